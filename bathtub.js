@@ -1,361 +1,707 @@
-// from http://en.wikipedia.org/wiki/Shallow_water_equations
-// conservative form of shallow water equations:
-// for 		n		- 	fluid column height at x,y,t
-//			(u,v)	-	fluid horizontal velocity at x,y,t
-//			g		-	acceleration due to gravity
-//			H 		- 	mean water height
-// if we write:
-// if 		   	{  n  }
-//		U  := 	{ n*u }
-//			   	{ n*v }
-//
-//				{ n*u               }
-//		F(U) :=	{ n*u^2 + g*n^2 / 2 }
-//				{ n*u*v             }
-//
-//				{ n*v }
-//		G(U) := { n*u*v}
-//				{ n*v^2 + g*n^2 / 2 }
-// then the system is:
-//
-//		dU     dF(U)     dG(U)     _
-//		--  +  -----  +  -----  =  0
-//		dt      dx        dy
-//
-// use Lax-Wendroff scheme per https://www.mathworks.com/moler/exm/chapters/water.pdf
-// at any given moment, we have 2d array U_n, which has values at integer points (x,y)
-// we want U_n+1. won't write out the method, but it's implemented below.
+// canvas front end for the shallow water solver. needs swe.js, swe-worker.js and
+// recorder.js (for Recorder.download) loaded first. the solver runs in a worker, see
+// SWEClient, and this only draws what comes back.
 
 /* ********************************************************************************* */
-// class SWE: interactive numerical shallow water system
-// takes parameters above.
-// reflective BCs: u = 0 at y = 0 or QUANT-1
-//				   v = 0 at x = 0 or QUANT-1
-// so our parameters are then:
-//		QUANT		-	we're doing numerics. so we need a number of discrete points
-//				    	to sample. our following parameters (except H) will thus be
-//						QUANTxQUANT arrays.
-//		LENGTH		-   the physical side length of the bathtub
-// 		n_o			-	QUANTxQUANT array. initial value for column height.
-//		u_o, v_o	-	same. IV for velocity. must conform to reflective BCs above.
-function SWE(QUANT, LENGTH, n_o, u_o, v_o, g) {
-	this.QUANT = QUANT || 100;
-	this.LENGTH = LENGTH || 10;
-	this.dd = this.LENGTH / this.QUANT;
-	this.delegate; // will call updateHeightAt(x,y,height) on delegate whenever a height changes;
-	// if n_o is not supplied, let's make a barely filled bathtub.
-	if (n_o == undefined) {
-		console.log("create n");
-		n_o = [];
-		for (var _i = 0; _i < QUANT; _i++) {
-			n_o.push([]);
-			for (var _j = 0; _j < QUANT; _j++) {
-				n_o[_i].push(20.0);
+/* visualization using canvas & simple colors                                        */
+// opts, all optional:
+//		QUANT_X, QUANT_Y	-	cells across and down (default QUANT, or 150)
+//		LENGTH				-	meters across (default 750)
+//		depth, g			-	fill depth and gravity (default 20 and 10, like SWE)
+// the canvas fills $ctnr and follows it when it's resized, with square cells.
+function CanvasBathtub($ctnr, opts) {
+	opts = opts || {};
+	var QX = opts.QUANT_X || opts.QUANT || 150;
+	var QY = opts.QUANT_Y || opts.QUANT || QX;
+
+	this.width = Math.round($ctnr.width()) || 750;
+	this.height = Math.round($ctnr.height()) || 750;
+	this.canvas = document.createElement("canvas");
+	this.canvas.setAttribute("id", "conway");
+	this.canvas.setAttribute("width", this.width);
+	this.canvas.setAttribute("height", this.height);
+	$ctnr.append($(this.canvas));
+	this.context = this.canvas.getContext("2d");
+	this.context.imageSmoothingEnabled = false;
+	this.running = true; // see play() and pause()
+	// simulated seconds per real second is timeScale * speed. timeScale is what the tub
+	// has always run at (it's 750 m across, so real time is dull), speed is the knob.
+	this.timeScale = 0.1;
+	this.speed = 1;
+	this.onFrame = null; // called with each SWEFrame after it's drawn
+	this.onReady = null; // called with the params whenever a new tub is up (load, preset, regrid)
+	// stop at the first NaN instead of painting the tub black
+	var swe = {
+		QUANT_X: QX, QUANT_Y: QY, LENGTH: opts.LENGTH || 750, depth: opts.depth || 20, g: opts.g || 10,
+		onBlowup: "pause", scheme: "laxWendroff"
+	};
+	var system = new SWEClient({ opts: swe });
+	var frame = null; // the latest SWEFrame, everything drawn comes from here
+	var self = this;
+	var px; // canvas pixels per cell
+	function fit() {
+		px = Math.min(self.width / QX, self.height / QY);
+	}
+	fit();
+	system.on("ready", function(params) {
+		QX = params.QUANT_X;
+		QY = params.QUANT_Y;
+		fit();
+		makeImage();
+		if (self.onReady) self.onReady(params);
+	});
+	system.on("frame", function(f) {
+		frame = f;
+		self.record(f);
+		self.update();
+		self.drawSparkline();
+		if (self.$stats.is(":visible")) self.showStats(f.diagnostics, f.cfl, f.remaining);
+		if (self.onFrame) self.onFrame(f);
+	});
+	// the frame that blew up comes right after this
+	system.on("blowup", function(e) {
+		self.blowup = e;
+		self.$stats.addClass("blowup").show();
+	});
+
+	// live numbers over the top left of the tub, see showStats
+	this.$stats = $("<div class='diagnostics'></div>").hide();
+	$ctnr.append(this.$stats);
+	this.blowup = null;
+
+	var then = Date.now();
+	var now;
+
+	// which cell the mouse is over
+	function cellAt(e) {
+		return {
+			x: Math.floor(Math.floor((e.pageX-$(self.canvas).offset().left)) / px),
+			y: Math.floor(Math.floor((e.pageY-$(self.canvas).offset().top)) / px)
+		};
+	}
+
+	// shift-drag paints walls, alt-drag erases them. painting is null when neither.
+	// otherwise the mouse does whatever this.tool is (see CanvasBathtub.tools):
+	// drops and troughs drip all along a drag, lines and paddles go from where the
+	// drag starts to where it ends.
+	this.brush = 3; // cells
+	this.tool = "drop";
+	this.dropOptions = { amplitude: SWE.dropDefaults.amplitude, radius: SWE.dropDefaults.radius };
+	var painting = null;
+	var dragStart = null, dragLast = null;
+	$(this.canvas).mousedown(function(e) {
+		var c = cellAt(e);
+		e.preventDefault();
+		if (e.shiftKey || e.altKey) {
+			painting = e.shiftKey;
+			self.paintAt(c.x, c.y, painting);
+			return;
+		}
+		dragStart = dragLast = c;
+		if (self.tool == "drop" || self.tool == "trough") self.dropAt(c.x, c.y);
+		else if (self.tool == "gauge") self.addGauge(c.x, c.y);
+	});
+	$(this.canvas).mousemove(function(e) {
+		var c = cellAt(e);
+		if (painting !== null) {
+			self.paintAt(c.x, c.y, painting);
+		} else if (dragLast && (self.tool == "drop" || self.tool == "trough")) {
+			// a drop every radius or so, not every pixel
+			var dx = c.x - dragLast.x, dy = c.y - dragLast.y;
+			if (dx * dx + dy * dy >= self.dropOptions.radius * self.dropOptions.radius) {
+				self.dropAt(c.x, c.y);
+				dragLast = c;
 			}
 		}
-	}
-	if (u_o == undefined)
-		u_o = n_o.map(function(a) { return a.map(function() { return 0.0; }) }); // backup is a correct-sized
-	if (v_o == undefined)
-		v_o = n_o.map(function(a) { return a.map(function() { return 0.0; }) }); // array of zeros
-	// hold current state
-	this.U = [];
-	var h;
-	for (var _ii = 0; _ii < QUANT; _ii++) {
-		this.U.push([]);
-		for (var _jj = 0; _jj < QUANT; _jj++) {
-			h = n_o[_ii][_jj];
-			this.U[_ii].push([h,
-				h * u_o[_ii][_jj],
-				h * v_o[_ii][_jj]]);
+	});
+	$(this.canvas).mouseup(function(e) {
+		var c = cellAt(e);
+		if (dragStart && self.tool == "line") {
+			system.line(dragStart.x, dragStart.y, c.x, c.y, self.dropOptions);
+		} else if (dragStart && self.tool == "paddle" && system.params) {
+			system.setParams({ paddles: system.params.paddles.concat([{ x0: dragStart.x, y0: dragStart.y, x1: c.x, y1: c.y }]) });
 		}
+	});
+	$(this.canvas).on("mouseup mouseleave", function() {
+		painting = null;
+		dragStart = dragLast = null;
+	});
+
+	// drip a drop (or a trough, with the trough tool) at x,y
+	this.dropAt = function(x,y) {
+		var opts = { amplitude: this.dropOptions.amplitude, radius: this.dropOptions.radius };
+		if (this.tool == "trough") opts.sign = -1;
+		system.drop(x, y, opts);
+	};
+
+	// rain this many drops per simulated second, 0 to stop
+	this.setRain = function(rate) {
+		system.setParams({ rain: rate > 0 ? { rate: rate, amplitude: 20, radius: 2 } : null });
+	};
+	this.rainRate = function() {
+		return system.params && system.params.rain ? system.params.rain.rate : 0;
+	};
+	this.clearPaddles = function() {
+		system.setParams({ paddles: [] });
+	};
+
+	// what gets drawn, one of CanvasBathtub.modes. the color range follows the field:
+	// it's refit every frame, and only ever shrinks slowly so it doesn't flicker.
+	this.mode = "height";
+	var range = null;
+	this.$legend = $("<div class='legend'><canvas width='128' height='10'></canvas><span></span></div>");
+	$ctnr.append(this.$legend);
+
+	// frames get drawn a pixel per cell into image, which goes onto the small scratch
+	// canvas and then gets stretched over the real one in one drawImage.
+	// remade when the grid size changes.
+	var scratch, image, values;
+	function makeImage() {
+		scratch = document.createElement("canvas");
+		scratch.width = QX;
+		scratch.height = QY;
+		image = scratch.getContext("2d").createImageData(QX, QY);
+		values = new Float64Array(QX * QY);
 	}
-	this.g = g || 10; // meters per second^2
-	// send current state
-	this.heightAt = function(x,y) {
-		return this.U[x][y][0];
-	};
-	// System
-	this.F = function(U_xy) {
-		var _hf = U_xy[0];
-		var _uf = U_xy[1] / _hf;
-		return [(U_xy[1]), 
-		(U_xy[1] * _uf + this.g * _hf * _hf * 0.5),
-		( U_xy[2] * _uf)];
-	};
-	this.G = function(U_xy) {
-		var _hg = U_xy[0];
-		var _vg = U_xy[2] / _hg;
-		return [(U_xy[2]),
-		(U_xy[1] * _vg),
-		(U_xy[2] * _vg + this.g * _hg * _hg * 0.5)];
-	};
-	// step function helpers
-	function addthree(a,b) {
-		return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
-	}
-	function subthree(a,b) {
-		return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
-	}
-	function scalethree(a,vec) {
-		return [a*vec[0],a*vec[1],a*vec[2]];
-	}
-	// numerically step the system by time-diff dt (seconds)
-	// use Lax-Wendroff scheme above
-	// this is a meaty method yall! now coming at you in ass-polynomial time.
-	// whence the NaNs??
-	this.step = function(dt) {
-		// have U^{n}_{i,j} of size QxQ stored in this.U
-		// that gives values here:
-		// |===|
-		// | x |
-		// |===|
-		// remember BCs: u = 0 at y = 0 or QUANT-1
-		//				 v = 0 at x = 0 or QUANT-1
-
-
-		/*******************/
-		/* STEP 1 Lax shiz */
-		/*******************/
-		var step_factor = dt * 0.5 / this.dd;
-		// this will be U^{n+.5}_{i+.5,j} of size Q+1xQ - the horizontal midpoints
-		// can see the size change cuz it gives values here:
-		// |===|
-		// x   x
-		// |===|
-		// careful with cases outside of U's dims:
-		// ih = 0 (i = -.5 in U coords) and
-		// ih = Q (i = Q - .5 in U coords)
-		// handle these by substituting U values for i = 0 and i = Q - 1
-		// also make sure 3rd component is 0 at these points
-		// for vertical edges, make sure U^{n+.5}_{i+.5,0} and U^{n+.5}_{i+.5,Q-1}
-		// have second component equal to zero.
-		var U_lax_horizontal = [];
-		var uhlo, uhhi; // store points to be interpolated
-		for (var ih = 0; ih < this.QUANT + 1; ih++) {
-			// ih is i + 1/2 in original coords
-			U_lax_horizontal.push([]);
-			for (var jh = 0; jh < this.QUANT; jh++) {
-				// jh is j in original coords
-				// interpolate U[ih - 1][jh] and U[ih][jh]
-				
-				// edge cases:
-				if (ih == 0) {
-					uhlo = this.U[ih][jh];
-					uhhi = uhlo;
-				} else if (ih == this.QUANT) {
-					uhlo = this.U[ih - 1][jh];
-					uhhi = uhlo;
+	makeImage();
+
+	this.setMode = function(name) {
+		if (!CanvasBathtub.modes[name]) {
+			throw new Error("CanvasBathtub: no render mode called " + name + ", try one of " + Object.keys(CanvasBathtub.modes).join(", "));
+		}
+		this.mode = name;
+		range = null;
+		particles = [];
+		this.update();
+	};
+
+	// update to current tub: refit the range, color every cell into the image, blit it,
+	// then any overlay on top. walls are gray, dry land is sand, blown up cells are
+	// black, water is the colormap.
+	this.update = function() {
+		if (!frame) return; // nothing back from the solver yet
+		var mode = CanvasBathtub.modes[this.mode];
+		var lo = Infinity, hi = -Infinity;
+		var x, y, v, i, c;
+		for (y = 0; y < QY; y++) {
+			for (x = 0; x < QX; x++) {
+				v = values[y * QX + x] = mode.value(frame, x, y);
+				if (isFinite(v) && !frame.isSolid(x,y) && frame.heightAt(x,y) > frame.hDry) {
+					lo = Math.min(lo, v);
+					hi = Math.max(hi, v);
+				}
+			}
+		}
+		if (mode.symmetric) {
+			hi = Math.max(Math.abs(lo), Math.abs(hi));
+			lo = -hi;
+		}
+		if (!(hi > lo)) { lo -= 1; hi += 1; } // flat, or nothing wet
+		if (range) {
+			// grow straight away, shrink a little each frame
+			if (lo > range.lo) lo = range.lo + 0.05 * (lo - range.lo);
+			if (hi < range.hi) hi = range.hi + 0.05 * (hi - range.hi);
+		}
+		range = { lo: lo, hi: hi };
+		var lut = CanvasBathtub.colormap(mode.colormap);
+		var data = image.data;
+		var scale = 255 / (hi - lo);
+		for (y = 0; y < QY; y++) {
+			for (x = 0; x < QX; x++) {
+				i = y * QX + x;
+				v = values[i];
+				if (frame.isSolid(x,y)) {
+					data[4 * i] = data[4 * i + 1] = data[4 * i + 2] = 85;
+				} else if (frame.heightAt(x,y) <= frame.hDry) {
+					data[4 * i] = 194; data[4 * i + 1] = 178; data[4 * i + 2] = 128;
+				} else if (!isFinite(v)) {
+					data[4 * i] = data[4 * i + 1] = data[4 * i + 2] = 0;
 				} else {
-					uhlo = this.U[ih - 1][jh];
-					uhhi = this.U[ih][jh];
+					c = 3 * Math.max(0, Math.min(255, Math.round(scale * (v - lo))));
+					data[4 * i] = lut[c]; data[4 * i + 1] = lut[c + 1]; data[4 * i + 2] = lut[c + 2];
 				}
-				// Lax interpolate
-				U_lax_horizontal[ih][jh] = subthree(scalethree(0.5, addthree(uhhi, uhlo)),
-					scalethree(step_factor,
-						subthree(this.F(uhhi), this.F(uhlo))));
+				data[4 * i + 3] = 255;
 			}
 		}
+		scratch.getContext("2d").putImageData(image, 0, 0);
+		this.context.imageSmoothingEnabled = false;
+		this.context.clearRect(0, 0, this.width, this.height);
+		this.context.drawImage(scratch, 0, 0, QX, QY, 0, 0, px * QX, px * QY);
+		if (mode.overlay) this.overlays[mode.overlay].call(this);
+		this.drawGauges();
+		this.drawLegend();
+	};
 
-		// this will be U^{n+.5}_{i,j+.5} of size QxQ+1 - the vertical midpoints
-		// size change cuz it gives values here:
-		// |=x=|
-		// |   |
-		// |=x=|
-		// careful with edge cases:
-		// jv = 0 (j = -1/2 in this.U coords) and
-		// jv = Q+1 (j = Q + .5 in U coords)
-		var U_lax_vertical = [];
-		var uvlo, uvhi; // store points to be interpolated
-		for (var iv = 0; iv < this.QUANT; iv++) {
-			// iv is i in original coords
-			U_lax_vertical.push([]);
-			for (var jv = 0; jv < this.QUANT + 1; jv++) {
-				// jv is j + 1/2 in original coords
-				
-				// edges:
-				if (jv == 0) {
-					uvhi = this.U[iv][jv];
-					uvlo = uvhi;
-				} else if (jv == this.QUANT) {
-					uvlo = this.U[iv][jv - 1];
-					uvhi = uvlo;
-				} else {
-					uvlo = this.U[iv][jv - 1];
-					uvhi = this.U[iv][jv];
+	// colorbar and range for the current mode
+	this.drawLegend = function() {
+		var mode = CanvasBathtub.modes[this.mode];
+		var lut = CanvasBathtub.colormap(mode.colormap);
+		var lctx = this.$legend.find("canvas")[0].getContext("2d");
+		for (var i = 0; i < 128; i++) {
+			lctx.fillStyle = "rgb(" + lut[6 * i] + "," + lut[6 * i + 1] + "," + lut[6 * i + 2] + ")";
+			lctx.fillRect(i, 0, 1, 10);
+		}
+		this.$legend.find("span").text(this.mode + " (" + mode.units + ")  " +
+			range.lo.toPrecision(3) + " .. " + range.hi.toPrecision(3));
+	};
+
+	// things drawn over the colors. they run after every full redraw.
+	var particles = [];
+	this.overlays = {
+		// an arrow every few cells, longest for the fastest water
+		arrows: function() {
+			var every = 6;
+			var top = 1e-12, x, y, uv;
+			for (x = 0; x < QX; x += every) {
+				for (y = 0; y < QY; y += every) {
+					uv = frame.velocityAt(x,y);
+					top = Math.max(top, Math.sqrt(uv[0] * uv[0] + uv[1] * uv[1]));
+				}
+			}
+			var ctx = this.context, scale = every * px / top, cx, cy, ex, ey, a;
+			ctx.strokeStyle = "#000";
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			for (x = every / 2; x < QX; x += every) {
+				for (y = every / 2; y < QY; y += every) {
+					uv = frame.velocityAt(x,y);
+					if (!isFinite(uv[0] + uv[1])) continue;
+					cx = px * (x + 0.5);
+					cy = px * (y + 0.5);
+					ex = cx + scale * uv[0];
+					ey = cy + scale * uv[1];
+					a = Math.atan2(ey - cy, ex - cx);
+					ctx.moveTo(cx, cy);
+					ctx.lineTo(ex, ey);
+					if (ex != cx || ey != cy) {
+						ctx.lineTo(ex - 4 * Math.cos(a - 0.5), ey - 4 * Math.sin(a - 0.5));
+						ctx.moveTo(ex, ey);
+						ctx.lineTo(ex - 4 * Math.cos(a + 0.5), ey - 4 * Math.sin(a + 0.5));
+					}
+				}
+			}
+			ctx.stroke();
+		},
+		// particles following (u, v) with short tails. the tub moves far too slowly to
+		// watch in real time, so they go a cell per frame at the fastest current and
+		// proportionally slower elsewhere: the paths are right, the pace isn't.
+		particles: function() {
+			var count = 400, tail = 12, top = 1e-12, p, uv, x, y, i;
+			for (x = 0; x < QX; x += 3) {
+				for (y = 0; y < QY; y += 3) {
+					uv = frame.velocityAt(x,y);
+					top = Math.max(top, Math.sqrt(uv[0] * uv[0] + uv[1] * uv[1]));
+				}
+			}
+			while (particles.length < count) {
+				x = Math.random() * QX;
+				y = Math.random() * QY;
+				particles.push({ trail: [[x, y]], age: Math.floor(Math.random() * 200) });
+			}
+			var ctx = this.context;
+			ctx.strokeStyle = "rgba(255,255,255,.8)";
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			for (i = 0; i < particles.length; i++) {
+				p = particles[i];
+				x = p.trail[0][0];
+				y = p.trail[0][1];
+				uv = frame.velocityAt(Math.floor(x), Math.floor(y));
+				x += uv[0] / top;
+				y += uv[1] / top;
+				p.age++;
+				// respawn anything that left, ran aground, or got old
+				if (!(x >= 0 && y >= 0 && x < QX && y < QY) || frame.isSolid(Math.floor(x), Math.floor(y)) || p.age > 200) {
+					particles[i] = { trail: [[Math.random() * QX, Math.random() * QY]], age: 0 };
+					continue;
 				}
-				// Lax interpolate
-				U_lax_vertical[iv][jv] = subthree((scalethree(0.5, addthree(uvhi, uvlo))),
-					scalethree(step_factor,
-						subthree(this.G(uvhi), this.G(uvlo))));
+				p.trail.unshift([x, y]);
+				if (p.trail.length > tail) p.trail.pop();
+				ctx.moveTo(px * p.trail[0][0], px * p.trail[0][1]);
+				for (var j = 1; j < p.trail.length; j++) ctx.lineTo(px * p.trail[j][0], px * p.trail[j][1]);
 			}
+			ctx.stroke();
 		}
+	};
 
-		/*****************/
-		/* Step 2 U_next */
-		/*****************/
-		// we're now generating U^{n+1}_{i,j} QxQ, the new value of U
-		var next_factor = step_factor * 2;
-		var U_next = [];
-		for (var i = 0; i < this.QUANT; i++) {
-			U_next.push([]);
-			for (var j = 0; j < this.QUANT; j++) {
-				// going to work with:
-				// U^{n+.5}_{i+.5,j} and U^{n+.5}_{i-.5,j}
-				//		find with [i+1][j] and [i][j], respectively
-				// U^{n+.5}_{i,j+.5} and U^{n+.5}_{i,j-.5}
-				//		find with [i][j+j1] and [i][j], respectively
-
-				// functional programming has ruined me, dear readers
-				U_next[i].push(subthree(this.U[i][j],
-					scalethree(next_factor,
-						addthree(subthree(this.F(U_lax_horizontal[i+1][j]),
-							this.F(U_lax_horizontal[i][j])),
-						subthree(this.G(U_lax_vertical[i][j+1]),
-							this.G(U_lax_vertical[i][j]))))));
-				if (this.delegate && U_next[i][j][0] != this.U[i][j][0])
-					this.delegate.updateHeightAt(i,j,U_next[i][j][0]);
+	// tide gauges: points that record h, u and v every frame. they're kept as fractions
+	// of the way across the tub so they stay put through a regrid or a preset. the
+	// series are parallel arrays, t[i] goes with h[i], u[i], v[i].
+	this.gauges = [];
+	this.gaugeLimit = 100000; // samples kept per gauge, the oldest go first
+	var gaugeColors = ["#e41a1c", "#ff7f00", "#4daf4a", "#984ea3", "#f781bf", "#a65628"];
+	this.addGauge = function(x,y) {
+		var gauge = {
+			X: (x + 0.5) / QX, Y: (y + 0.5) / QY,
+			color: gaugeColors[this.gauges.length % gaugeColors.length],
+			t: [], h: [], u: [], v: []
+		};
+		this.gauges.push(gauge);
+		if (frame) {
+			this.record(frame);
+			this.update();
+			this.drawSparkline();
+		}
+		return gauge;
+	};
+	this.clearGauges = function() {
+		this.gauges = [];
+		this.update();
+		this.drawSparkline();
+	};
+	// which cell a gauge is over on the current grid
+	function gaugeCell(gauge) {
+		return { x: Math.min(QX - 1, Math.floor(gauge.X * QX)), y: Math.min(QY - 1, Math.floor(gauge.Y * QY)) };
+	}
+	// add a sample from frame f to every gauge. if time went backwards (a rollback, a
+	// load) the samples from after f.t no longer happened, so they go.
+	this.record = function(f) {
+		var gauge, c, uv, n;
+		for (var i = 0; i < this.gauges.length; i++) {
+			gauge = this.gauges[i];
+			n = gauge.t.length;
+			while (n > 0 && gauge.t[n - 1] >= f.t) n--;
+			if (n < gauge.t.length) {
+				gauge.t.length = gauge.h.length = gauge.u.length = gauge.v.length = n;
+			}
+			c = gaugeCell(gauge);
+			uv = f.velocityAt(c.x, c.y);
+			gauge.t.push(f.t);
+			gauge.h.push(f.heightAt(c.x, c.y));
+			gauge.u.push(uv[0]);
+			gauge.v.push(uv[1]);
+			if (gauge.t.length > this.gaugeLimit) {
+				gauge.t.shift(); gauge.h.shift(); gauge.u.shift(); gauge.v.shift();
 			}
 		}
-		this.U = U_next; // ay
-		return true;
-	};
-
-	// plip helpers
-	this.addtoU = function(a,i,j) {
-		// got to break it down
-		this.U[i][j][1] = this.U[i][j][1] / this.U[i][j][0];
-		this.U[i][j][2] = this.U[i][j][2] / this.U[i][j][0];
-		this.U[i][j][0] += a;
-		this.U[i][j][1] *= this.U[i][j][0];
-		this.U[i][j][2] *= this.U[i][j][0];
-		for (var p = 0; p < 3; p++) {
-			console.assert(isFinite(this.U[i][j][p]));
+	};
+	this.drawGauges = function() {
+		var ctx = this.context, c;
+		ctx.lineWidth = 2;
+		for (var i = 0; i < this.gauges.length; i++) {
+			c = gaugeCell(this.gauges[i]);
+			ctx.strokeStyle = this.gauges[i].color;
+			ctx.beginPath();
+			ctx.arc(px * (c.x + 0.5), px * (c.y + 0.5), Math.max(4, px), 0, 2 * Math.PI);
+			ctx.stroke();
 		}
 	};
-	var drop = function(x, y, i, j) {
-		return 100 * Math.exp(-0.008 * ((x - i) * (x - i) + (y - j) * (y - j)));
-	};
-	// it would be boring if we couldn't interact with this thing.
-	// drip a drop at 0 < i,j < QUANT
-	this.plip = function(i,j) {
-		console.log("PLIP",i,j);
-		var d;
-		for (var p = 0; p < this.QUANT; p++) {
-			for (var q = 0; q < this.QUANT; q++) {
-				d = drop(p,q,i,j);
-				this.addtoU(d,p,q);
+	// h at every gauge over the last sparkLength samples, one line each in its color,
+	// all on the same scale
+	this.sparkLength = 600;
+	this.$sparkline = $("<div class='sparkline'><canvas width='200' height='50'></canvas><span></span></div>").hide();
+	$ctnr.append(this.$sparkline);
+	this.drawSparkline = function() {
+		if (!this.gauges.length) {
+			this.$sparkline.hide();
+			return;
+		}
+		this.$sparkline.show();
+		var canvas = this.$sparkline.find("canvas")[0];
+		var ctx = canvas.getContext("2d");
+		var w = canvas.width, h = canvas.height;
+		var t0 = Infinity, t1 = -Infinity, lo = Infinity, hi = -Infinity;
+		var gauge, from, i, j;
+		for (i = 0; i < this.gauges.length; i++) {
+			gauge = this.gauges[i];
+			from = Math.max(0, gauge.t.length - this.sparkLength);
+			for (j = from; j < gauge.t.length; j++) {
+				t0 = Math.min(t0, gauge.t[j]);
+				t1 = Math.max(t1, gauge.t[j]);
+				if (isFinite(gauge.h[j])) {
+					lo = Math.min(lo, gauge.h[j]);
+					hi = Math.max(hi, gauge.h[j]);
+				}
+			}
+		}
+		ctx.clearRect(0, 0, w, h);
+		if (!(t1 > t0)) t1 = t0 + 1;
+		if (!(hi > lo)) { lo -= 1e-3; hi += 1e-3; }
+		ctx.lineWidth = 1;
+		for (i = 0; i < this.gauges.length; i++) {
+			gauge = this.gauges[i];
+			from = Math.max(0, gauge.t.length - this.sparkLength);
+			ctx.strokeStyle = gauge.color;
+			ctx.beginPath();
+			for (j = from; j < gauge.t.length; j++) {
+				ctx[j == from ? "moveTo" : "lineTo"](w * (gauge.t[j] - t0) / (t1 - t0), h * (1 - (gauge.h[j] - lo) / (hi - lo)));
 			}
+			ctx.stroke();
 		}
-		return true;
+		this.$sparkline.find("span").text("h (m)  " + lo.toPrecision(4) + " .. " + hi.toPrecision(4) +
+			"  over " + (t1 - t0).toPrecision(3) + " s");
 	};
-
-	this.randomize = function() {
-		this.U = this.U.map(function (a) { return a.map(function(b) { return b.map(function() { return Math.random() * 40; })})});
-	}
-
-};
-
-/* ********************************************************************************* */
-/* visualization using canvas & simple colors                                        */
-function CanvasBathtub($ctnr) {
-	var Q = 150;
-
-	this.width = 750;
-	this.height = 750;
-	this.canvas = document.createElement("canvas");
-	this.canvas.setAttribute("id", "conway");
-	this.canvas.setAttribute("width", this.width);
-	this.canvas.setAttribute("height", this.height);
-	$ctnr.append($(this.canvas));
-	this.context = this.canvas.getContext("2d");
-	this.context.imageSmoothingEnabled = false;
-	this.running = true;
-	var system = new SWE(Q, this.width);
-	console.log(system);
-	var self = this;
-
-	var then = Date.now();
-	var now;
-	var dt;
-
-	$(this.canvas).click(function(e) {
-		var x = Math.floor(Math.floor((e.pageX-$(self.canvas).offset().left)) / (system.dd));
-		var y = Math.floor(Math.floor((e.pageY-$(self.canvas).offset().top)) / (system.dd));
-    	// pause and drip a plip at x,y
-    	self.running = false;
-    	system.plip(x,y);
-    	then = Date.now() - 1;
-    	self.update();
-    	self.running = true;
-    	self.loop();
-    });
-
-	// update to current tub.
-	this.update = function() {
-		console.log("refresh!");
-		var height;
-		for (var x = 0; x < Q; x++) {
-			for (var y = 0; y < Q; y++) {
-				height = system.heightAt(x,y);
-				var col = (255 - (Math.round(height) % 256));
-				this.context.fillStyle = "rgb("+ col + ","+ col +",255)";
-				this.context.fillRect(system.dd * x, system.dd * y, system.dd, system.dd);
+	// every gauge's series as csv, one row per time: t, then h, u, v for each gauge,
+	// with where it is in the header. gauges added later are blank before they started.
+	this.gaugeCSV = function() {
+		var dd = frame ? frame.dd : 1;
+		var header = ["t"];
+		var times = {}, i, j, gauge, c, where;
+		for (i = 0; i < this.gauges.length; i++) {
+			gauge = this.gauges[i];
+			c = gaugeCell(gauge);
+			where = " (x " + ((c.x + 0.5) * dd).toFixed(1) + " m y " + ((c.y + 0.5) * dd).toFixed(1) + " m)";
+			header.push("h" + (i + 1) + where, "u" + (i + 1) + where, "v" + (i + 1) + where);
+			for (j = 0; j < gauge.t.length; j++) {
+				times[gauge.t[j]] = times[gauge.t[j]] || [];
+				times[gauge.t[j]][i] = [gauge.h[j], gauge.u[j], gauge.v[j]];
 			}
 		}
+		var rows = [header.join(",")];
+		Object.keys(times).map(Number).sort(function(a, b) { return a - b; }).forEach(function(t) {
+			var row = [t];
+			for (var i = 0; i < self.gauges.length; i++) {
+				var sample = times[t][i];
+				row.push(sample ? sample.join(",") : ",,");
+			}
+			rows.push(row.join(","));
+		});
+		return rows.join("\n") + "\n";
+	};
+	this.saveGauges = function() {
+		Recorder.download(this.gaugeCSV(), "text/csv", "bathtub-gauges.csv");
 	};
 
-	// be a bathtub delegate
-	system.delegate = this;
-	this.updateHeightAt = function(x,y,height) {
-		var o = 
-		console.assert(isFinite(height));
-		var col = (255 - (Math.round(height) % 256));
-		this.context.fillStyle = "rgb("+ col + ","+ col +",255)";
-		if (!isFinite(height)) {
-			console.log("bimmer at",x,y,height);
-			console.log("color was",this.context.fillStyle);
-			this.context.fillStyle = "#000";
-		}
-		this.context.fillRect(system.dd * x, system.dd * y, system.dd, system.dd);
+	// make (or with isSolid false, clear) walls in a brush around x,y and repaint
+	this.paintAt = function(x,y,isSolid) {
+		system.paintSolid(x, y, this.brush, isSolid);
+	};
+
+	// the obstacle mask, flat QX*QY 0/1 x fastest. hand it back to setMask to restore it.
+	this.getMask = function() {
+		return frame ? Array.prototype.slice.call(frame.getMask()) : [];
+	};
+	this.setMask = function(mask) {
+		system.setParams({ mask: Array.prototype.slice.call(mask) });
+	};
+
+	// use an image as a heightmap for the bed: black is the bottom, white is relief
+	// units up (default 1.5x the fill depth, so the bright bits stick out as islands).
+	// src is anything an <img> takes, e.g. a data: url from a file input.
+	this.loadBed = function(src, relief) {
+		relief = relief || system.params.depth * 1.5;
+		var img = new Image();
+		img.onload = function() {
+			var scratch = document.createElement("canvas");
+			scratch.width = QX;
+			scratch.height = QY;
+			var sctx = scratch.getContext("2d");
+			sctx.drawImage(img, 0, 0, QX, QY);
+			var rgba = sctx.getImageData(0, 0, QX, QY).data;
+			var bed = [];
+			for (var i = 0; i < QX * QY; i++) {
+				bed.push(relief * (rgba[4 * i] + rgba[4 * i + 1] + rgba[4 * i + 2]) / 765);
+			}
+			system.setParams({ bed: bed });
+		};
+		img.src = src;
 	};
 
 	this.loop = function() {
 		console.log("loop")
+		if (!self.running) return;
 		now = Date.now();
-		dt = now - then;
-		system.step(dt / 10000);
-		then = now;
-		if (self.running) {
-			window.requestAnimationFrame(self.loop);
-		}
+		// one step in flight at a time. while the solver's busy the time piles up
+		// in now - then and goes into the next step. drawing happens on "frame".
+		// a background tab gets no frames, so don't try to catch up more than 100 ms.
+		if (system.step(Math.min(now - then, 100) / 1000 * self.timeScale * self.speed)) then = now;
+		window.requestAnimationFrame(self.loop);
 	};
 
-	this.cleanup = function() { 
+	this.play = function() {
+		if (this.running) return;
+		this.running = true;
+		then = Date.now();
+		this.loop();
+	};
+	this.pause = function() {
 		this.running = false;
 	};
-	this.update();
-};
-
-
-
-
-
-
-
-
-
-
-
-
+	// while paused, move on by one frame's worth (a 60th of a second at the current speed)
+	this.stepOnce = function() {
+		if (this.running) return;
+		system.step(this.timeScale * this.speed / 60);
+	};
+	// simulated seconds so far
+	this.time = function() {
+		return frame ? frame.t : 0;
+	};
 
+	// the tub as a file, format "binary" (default, smaller) or "json". see SWE.serialize
+	this.save = function(format) {
+		format = format || "binary";
+		system.snapshot(format, function(data) {
+			Recorder.download(data, format == "json" ? "application/json" : "application/octet-stream",
+				"bathtub-t" + (frame ? frame.t : 0).toFixed(2) + (format == "json" ? ".json" : ".swe"));
+		});
+	};
+	// hand the browser data to save as a file called name
+	// swap in a saved tub (an ArrayBuffer or json string from save) and carry on from it.
+	// the grid can be a different size, cells just get drawn bigger or smaller.
+	this.load = function(data) {
+		system.load(data);
+		system.setParams({ onBlowup: "pause" });
+		frame = null;
+		this.blowup = null;
+		this.$stats.removeClass("blowup");
+		then = Date.now();
+	};
 
+	// start over from one of SWE.presets. it's built here and shipped over like a saved
+	// tub, so presets added to SWE.presets on this page work too.
+	this.loadPreset = function(name) {
+		this.load(SWE.preset(name).serialize("binary"));
+		this.preset = name;
+	};
+	this.preset = null; // name of the last preset loaded
 
+	// the grid and physics the tub was made with, see the options up top
+	this.settings = function() {
+		var p = system.params || swe;
+		return { QUANT_X: p.QUANT_X, QUANT_Y: p.QUANT_Y, LENGTH: p.LENGTH, depth: p.depth, g: p.g };
+	};
+	// change any of those. the water gets interpolated onto the new grid, see SWE.regrid
+	this.regrid = function(changes) {
+		if ("g" in changes && Object.keys(changes).length == 1) {
+			system.setParams({ g: changes.g }); // no need to touch the water
+		} else {
+			system.regrid(changes);
+		}
+		particles = [];
+	};
+	// n cells along the long side of the canvas, and however many that makes along the
+	// short side for square cells
+	this.setResolution = function(n) {
+		var wide = this.width >= this.height;
+		var short = Math.max(1, Math.round(n * (wide ? this.height / this.width : this.width / this.height)));
+		this.regrid({ QUANT_X: wide ? n : short, QUANT_Y: wide ? short : n });
+	};
 
+	// match the canvas to the container, say after the window got resized
+	this.resize = function() {
+		this.width = Math.round($ctnr.width()) || this.width;
+		this.height = Math.round($ctnr.height()) || this.height;
+		this.canvas.setAttribute("width", this.width);
+		this.canvas.setAttribute("height", this.height);
+		fit();
+		this.update();
+	};
+	var observer = null;
+	if (typeof ResizeObserver !== "undefined") {
+		observer = new ResizeObserver(function() { self.resize(); });
+		observer.observe($ctnr[0]);
+	}
 
+	// swap numerical schemes on the fly, see SWE.schemes for names
+	this.setScheme = function(name) {
+		system.setParams({ scheme: name });
+	};
+	this.scheme = function() {
+		return system.params ? system.params.scheme : swe.scheme;
+	};
 
+	// fill in the stats overlay. cfl is what the last step ran at, if known, and
+	// remaining how far it fell short of the time asked for
+	this.showStats = function(d, cfl, remaining) {
+		var lines = [
+			"t      " + d.t.toFixed(3),
+			"mass   " + d.mass.toExponential(6),
+			"mom x  " + d.momentumX.toExponential(3),
+			"mom y  " + d.momentumY.toExponential(3),
+			"energy " + d.energy.toExponential(6),
+			"c max  " + d.maxWaveSpeed.toFixed(2)
+		];
+		if (cfl !== undefined) lines.push("cfl    " + cfl.toFixed(2));
+		if (remaining > 0) lines.push("short  " + remaining.toFixed(3) + " s, out of substeps");
+		if (this.blowup) {
+			var b = this.blowup;
+			lines.push("blew up at (" + b.x + "," + b.y + "), t " + b.t.toFixed(3),
+				"h " + b.h + " hu " + b.hu + " hv " + b.hv,
+				"paused. roll back or pick another scheme");
+		}
+		this.$stats.text(lines.join("\n"));
+	};
+	this.toggleStats = function() {
+		this.$stats.toggle();
+		if (frame) this.showStats(frame.diagnostics, frame.cfl, frame.remaining);
+	};
 
+	// undo the step that blew up and keep going
+	this.rollback = function() {
+		system.rollback();
+		this.blowup = null;
+		this.$stats.removeClass("blowup");
+		then = Date.now();
+	};
 
+	// as a window close handler, so no this
+	this.cleanup = function() {
+		self.running = false;
+		system.dispose();
+		if (observer) observer.disconnect();
+	};
+};
 
+// what the mouse can do, set this.tool to one of them
+CanvasBathtub.tools = ["drop", "trough", "line", "paddle", "gauge"];
+
+// render modes. value(frame, x, y) is the number a cell gets colored by, symmetric
+// ones get a range centered on 0 (so 0 is the middle of a diverging colormap), and
+// overlay names one of the overlays drawn on top.
+CanvasBathtub.modes = {
+	height: {
+		units: "m", colormap: "ocean",
+		value: function(frame, x, y) { return frame.heightAt(x,y); }
+	},
+	speed: {
+		units: "m/s", colormap: "inferno",
+		value: function(frame, x, y) {
+			var uv = frame.velocityAt(x,y);
+			return Math.sqrt(uv[0] * uv[0] + uv[1] * uv[1]);
+		}
+	},
+	vorticity: {
+		units: "1/s", colormap: "diverging", symmetric: true,
+		value: function(frame, x, y) { return frame.vorticityAt(x,y); }
+	},
+	energy: {
+		units: "J/kg m", colormap: "inferno",
+		value: function(frame, x, y) {
+			var uv = frame.velocityAt(x,y);
+			return 0.5 * frame.heightAt(x,y) * (uv[0] * uv[0] + uv[1] * uv[1]);
+		}
+	},
+	quiver: {
+		units: "m", colormap: "ocean", overlay: "arrows",
+		value: function(frame, x, y) { return frame.heightAt(x,y); }
+	},
+	streaks: {
+		units: "m", colormap: "ocean", overlay: "particles",
+		value: function(frame, x, y) { return frame.heightAt(x,y); }
+	}
+};
 
+// colormaps as evenly spaced rgb stops, low to high
+CanvasBathtub.colormaps = {
+	ocean: [[8, 29, 88], [34, 94, 168], [29, 145, 192], [65, 182, 196], [199, 233, 180], [255, 255, 217]],
+	inferno: [[0, 0, 4], [87, 16, 110], [188, 55, 84], [249, 142, 9], [252, 255, 164]],
+	diverging: [[5, 48, 97], [67, 147, 195], [247, 247, 247], [214, 96, 77], [103, 0, 31]]
+};
 
+// 256 colors interpolated from a colormap's stops as flat r, g, b bytes,
+// made once per colormap
+CanvasBathtub.colormap = function(name) {
+	var cache = CanvasBathtub.colormap.cache = CanvasBathtub.colormap.cache || {};
+	if (cache[name]) return cache[name];
+	var stops = CanvasBathtub.colormaps[name];
+	var lut = new Uint8ClampedArray(256 * 3);
+	for (var i = 0; i < 256; i++) {
+		var f = i / 255 * (stops.length - 1);
+		var s = Math.min(Math.floor(f), stops.length - 2);
+		var w = f - s;
+		for (var c = 0; c < 3; c++) {
+			lut[3 * i + c] = Math.round(stops[s][c] * (1 - w) + stops[s + 1][c] * w);
+		}
+	}
+	return (cache[name] = lut);
+};
@@ -1,17 +1,37 @@
-function Conway($container) {
+// opts.topology picks how the edges work, see setTopology. default "unbounded".
+function Conway($container, opts) {
+	opts = opts || {};
 	var self = this; // love JS!
-	this.state = [];
 	this.width = Math.round($container.width());
 	this.height = Math.round($container.height());
 	this.loopid = null;
+	this.generation = 0;
 
-	// init empty board
-	for (var x = 0; x < this.width; x++) {
-		this.state.push([]);
-		for (var y = 0; y < this.height; y++) {
-			this.state[x].push(false);
-		}
-	};
+	// what a cell becomes, by alive * 9 + live neighbors. B3/S23 to start, see setRule.
+	// the engines all share this one table, so it only ever changes in place.
+	this.rule = Conway.parseRule("B3/S23");
+	this.ruleString = "B3/S23";
+
+	// the universe lives in an engine, see life.js and hashlife.js:
+	//		sparse		-	an endless plane, a generation at a time. the default
+	//		grid		-	a board the size the window opened at, with edges that
+	//						join up however this.topology says
+	//		hashlife	-	endless too, and takes 2^stepExponent generations a step
+	//						and jumps millions at once
+	// the topology is "unbounded" for the endless ones.
+	this.topology = opts.topology || "unbounded";
+	if (this.topology != "unbounded" && !LifeGrid.topologies[this.topology]) {
+		throw new Error("Conway: no topology called " + this.topology + ", try one of " + Conway.topologies().join(", "));
+	}
+	this.engine = this.topology == "unbounded" ? "sparse" : "grid";
+	this.life = Conway.engines[this.engine](this);
+	this.stepExponent = 0;
+	this.onFrame = null; // called after each frame's drawn and stepped
+
+	// the canvas is a window onto the universe: view.x, view.y is the cell at its top
+	// left corner and cellSize is pixels per cell, a fraction when zoomed way out.
+	// the wheel zooms, dragging pans.
+	this.view = { x: 0, y: 0, cellSize: 1 };
 
 	this.$container = $container;
 	// init canvas
@@ -23,162 +43,258 @@ function Conway($container) {
 	this.context = this.canvas.getContext("2d");
 	this.context.imageSmoothingEnabled= false;
 
-	// get image data from current state
+	// one ImageData for the life of the board, written a whole pixel at a time
+	var image = this.context.createImageData(this.width, this.height);
+	var pixels = new Uint32Array(image.data.buffer);
+	var BLACK = 0xff000000, WHITE = 0xffffffff, GRAY = 0xffcccccc; // abgr, byte order's little endian everywhere that matters
+
+	// get image data from current state: white, black for anything alive, and gray
+	// past the edges of a grid
 	this.toImage = function() {
-		var imgd = this.context.createImageData(this.width, this.height);
-		for (var x = 0; x < this.width; x++) {
-			for (var y = 0; y < this.height; y++) {
-				if (this.state[x][y]) {
-					imgd.data[4 * x + 4 * this.width * y] = 0;
-					imgd.data[4 * x + 4 * this.width * y + 1] = 0;
-					imgd.data[4 * x + 4 * this.width * y + 2] = 0;
-					imgd.data[4 * x + 4 * this.width * y + 3] = 255;
-				} else {
-					imgd.data[4 * x + 4 * this.width * y + 1] = 255;
-					imgd.data[4 * x + 4 * this.width * y + 2] = 255;
-					imgd.data[4 * x + 4 * this.width * y + 3] = 255;
-					imgd.data[4 * x + 4 * this.width * y] = 255;
-				}
+		var v = this.view, s = v.cellSize, w = this.width, h = this.height;
+		if (this.engine == "grid") {
+			pixels.fill(GRAY);
+			var x0 = Math.max(0, Math.round(-v.x * s)), x1 = Math.min(w, Math.round((this.life.width - v.x) * s));
+			for (var y = Math.max(0, Math.round(-v.y * s)); y < Math.min(h, Math.round((this.life.height - v.y) * s)); y++) {
+				if (x1 > x0) pixels.fill(WHITE, y * w + x0, y * w + x1);
 			}
+		} else {
+			pixels.fill(WHITE);
 		}
-		return imgd;
+		this.life.plot(v.x, v.y, w / s, h / s, 1 / s, function(x, y, size) {
+			var px0 = Math.floor((x - v.x) * s), py0 = Math.floor((y - v.y) * s);
+			var px1 = Math.max(px0 + 1, Math.floor((x + size - v.x) * s)), py1 = Math.max(py0 + 1, Math.floor((y + size - v.y) * s));
+			px0 = Math.max(0, px0); py0 = Math.max(0, py0);
+			px1 = Math.min(w, px1); py1 = Math.min(h, py1);
+			for (var py = py0; py < py1; py++) {
+				if (px1 > px0) pixels.fill(BLACK, py * w + px0, py * w + px1);
+			}
+		});
+		return image;
 	};
 
-	// insert a width x height canvas into container
-	// seed the game
+	// draw and step once per animation frame, so 60 generations a second
 	this.loop = function() {
-		var self = this;
-		this.loopid = setInterval(function() {
-			console.log("looping");
+		window.cancelAnimationFrame(self.loopid);
+		function frame() {
 			self.context.putImageData(self.toImage(), 0, 0);
 			self.next();
-		}, 100);
+			if (self.onFrame) self.onFrame();
+			self.loopid = window.requestAnimationFrame(frame);
+		}
+		self.loopid = window.requestAnimationFrame(frame);
 	};
 
 	// cleanup tasks
 	this.destroy = function() {
-		clearInterval(self.loopid);
+		window.cancelAnimationFrame(self.loopid);
 	};
 
+	// the rectangle of cells on screen, { x, y, width, height }
+	this.visible = function() {
+		var v = this.view;
+		return { x: v.x, y: v.y, width: this.width / v.cellSize, height: this.height / v.cellSize };
+	};
+	// what's on screen, but no more than a cell per pixel's worth around the middle of
+	// it. seeding or printing a zoomed out screen cell by cell would take all day.
+	function onScreen() {
+		var v = self.visible();
+		var w = Math.min(v.width, self.width), h = Math.min(v.height, self.height);
+		return { x: Math.floor(v.x + (v.width - w) / 2), y: Math.floor(v.y + (v.height - h) / 2), width: Math.floor(w), height: Math.floor(h) };
+	}
+	// somewhere random on screen, margin (a fraction of the screen) in from the edges
+	this.randomX = function(margin) {
+		var s = onScreen();
+		return Math.floor(s.x + Math.random() * (s.width * (1 - 2 * margin) + 1) + s.width * margin);
+	};
+	this.randomY = function(margin) {
+		var s = onScreen();
+		return Math.floor(s.y + Math.random() * (s.height * (1 - 2 * margin) + 1) + s.height * margin);
+	};
 
-	// fill the state with falses
-	this.clear = function() {
-		for (var x = 0; x < this.width; x++) {
-			for (var y = 0; y < this.height; y++) {
-				this.state[x][y] = false;
-			}
+	// zoom to size pixels per cell (see Conway.cellSizes), keeping the cell under the
+	// pixel at px, py (default the middle of the canvas) where it is
+	this.zoom = function(size, px, py) {
+		var sizes = Conway.cellSizes;
+		size = Math.max(sizes[0], Math.min(sizes[sizes.length - 1], size));
+		if (px === undefined) { px = this.width / 2; py = this.height / 2; }
+		var v = this.view;
+		v.x += px / v.cellSize - px / size;
+		v.y += py / v.cellSize - py / size;
+		v.cellSize = size;
+	};
+	this.pan = function(dx, dy) {
+		this.view.x -= dx / this.view.cellSize;
+		this.view.y -= dy / this.view.cellSize;
+	};
+	// zoom and pan so everything alive is on screen, as big as it'll go
+	this.fit = function() {
+		var b = this.life.bounds();
+		if (!b) return;
+		var sizes = Conway.cellSizes, size = sizes[0];
+		for (var i = 0; i < sizes.length; i++) {
+			if (b.width * sizes[i] <= this.width * 0.9 && b.height * sizes[i] <= this.height * 0.9) size = sizes[i];
 		}
+		this.view.cellSize = size;
+		this.view.x = b.x + b.width / 2 - this.width / size / 2;
+		this.view.y = b.y + b.height / 2 - this.height / size / 2;
+	};
+
+	$(this.canvas).on("wheel", function(e) {
+		e.preventDefault();
+		var offset = $(self.canvas).offset();
+		var i = Conway.cellSizes.indexOf(self.view.cellSize);
+		var next = Conway.cellSizes[Math.max(0, Math.min(Conway.cellSizes.length - 1, i + (e.originalEvent.deltaY < 0 ? 1 : -1)))];
+		self.zoom(next, e.pageX - offset.left, e.pageY - offset.top);
+	});
+	var dragging = null;
+	$(this.canvas).mousedown(function(e) {
+		e.preventDefault();
+		dragging = { x: e.pageX, y: e.pageY };
+	});
+	$(this.canvas).mousemove(function(e) {
+		if (!dragging) return;
+		self.pan(e.pageX - dragging.x, e.pageY - dragging.y);
+		dragging = { x: e.pageX, y: e.pageY };
+	});
+	$(this.canvas).on("mouseup mouseleave", function() {
+		dragging = null;
+	});
+
+	this.get = function(x, y) {
+		return this.life.get(x, y);
+	};
+	// bring x, y to life (or kill it with alive false)
+	this.set = function(x, y, alive) {
+		this.life.set(x, y, alive);
+	};
+
+	// kill everything
+	this.clear = function() {
+		this.life.clear();
 	}; // end clear
 
-	// refill the state randomly
+	// refill what's on screen randomly, and kill everything else
 	this.randomSeed = function() {
-		for (var x = 0; x < this.width; x++) {
-			for (var y = 0; y < this.height; y++) {
-						this.state[x][y] = Math.random() < .5;; // increment if the cell is true
-			}
+		var s = onScreen();
+		var cells = new Uint8Array(s.width * s.height);
+		for (var i = 0; i < cells.length; i++) {
+			cells[i] = Math.random() < .5 ? 1 : 0;
 		}
+		this.life.load(cells, s.width, s.height, function(x, y) { return y * s.width + x; }, s.x, s.y);
 	}; // end randomSeed
 	this.randomSeed();
 
 	// count all of the living cells
 	this.count = function() {
-		var count = 0;
-		for (var x = 0; x < this.width; x++) {
-			for (var y = 0; y < this.height; y++) {
-				if (this.state[x][y]) {
-						count++; // increment if the cell is true
-					}
-				}
-			}
-			return count;
+		return this.life.population();
 	}; // end count
 
-	// transition to the next state
+	// transition to the next state, or 2^stepExponent of them
 	// if a cell is alive, it stays alive if it has 2 or 3 neighbors
 	// a dead cell comes to life with exactly 3 neighbors
 	this.next = function() {
-		var next_state = new Array(this.width);
-		for (var x = 0; x < this.width; x++) {
-			next_state[x] = new Array(this.height);
+		this.life.step(this.stepExponent);
+		this.generation = this.life.generation;
+	}; // end next
+
+	// run a different life-like rule, a B/S rulestring like "B36/S23" (see
+	// Conway.parseRule) or the name of one of Conway.rules. the cells stay as they are.
+	this.setRule = function(rule) {
+		var rulestring = Conway.rules.hasOwnProperty(rule) ? Conway.rules[rule] : rule;
+		var table = Conway.parseRule(rulestring);
+		if (table[0] && this.engine != "grid") {
+			throw new Error("Conway: " + rulestring + " has B0, so every empty cell on the endless plane would be born at once. pick a bounded topology first");
+		}
+		this.rule.set(table);
+		this.ruleString = Conway.ruleString(table);
+		// hashlife remembers futures under the old rule, so it needs starting over
+		if (this.engine == "hashlife") {
+			this.engine = "sparse";
+			this.setEngine("hashlife");
 		}
+	};
 
-		for (var x = 0; x < this.width; x++) {
-			for (var y = 0; y < this.height; y++) {
-				next_state[x][y] = this.lives(x, y);
-			}
+	// switch engines, see this.engine. whatever's alive carries over, except that a
+	// grid forgets anything past its edges.
+	this.setEngine = function(name) {
+		if (name == this.engine) return;
+		var make = Conway.engines[name];
+		if (!make) {
+			throw new Error("Conway: no engine called " + name + ", try one of " + Object.keys(Conway.engines).join(", "));
 		}
-		this.state = next_state;
-		return this.state;
-	}; // end next
+		if (this.rule[0] && name != "grid") {
+			throw new Error("Conway: " + this.ruleString + " has B0, which only works on a grid");
+		}
+		var life = make(this);
+		var b = this.life.bounds();
+		if (b) {
+			var cells = new Uint8Array(b.width * b.height);
+			this.life.plot(b.x, b.y, b.width, b.height, 1, function(x, y) {
+				cells[(y - b.y) * b.width + x - b.x] = 1;
+			});
+			life.load(cells, b.width, b.height, function(x, y) { return y * b.width + x; }, b.x, b.y);
+		}
+		life.generation = this.generation;
+		this.life = life;
+		this.engine = name;
+		this.topology = name == "grid" ? life.topology : "unbounded";
+		if (name != "hashlife") this.stepExponent = 0;
+	};
+
+	// how the edges join up, one of Conway.topologies(). anything but unbounded is a
+	// grid the size the window opened at (see LifeGrid.topologies), so it switches to
+	// the grid engine, and unbounded switches off it.
+	this.setTopology = function(name) {
+		if (name == "unbounded") {
+			if (this.engine == "grid") this.setEngine("sparse");
+			return;
+		}
+		if (!LifeGrid.topologies[name]) {
+			throw new Error("Conway: no topology called " + name + ", try one of " + Conway.topologies().join(", "));
+		}
+		this.topology = name;
+		if (this.engine == "grid") this.life.setTopology(name);
+		else this.setEngine("grid");
+	};
+
+	// go 2^k generations a step. only hashlife can, so anything over 0 switches to it
+	this.setStep = function(k) {
+		if (k > 0) this.setEngine("hashlife");
+		this.stepExponent = k;
+	};
+
+	// straight to n generations from now, by way of hashlife
+	this.jump = function(n) {
+		this.setEngine("hashlife");
+		this.life.jump(n);
+		this.generation = this.life.generation;
+	};
 
 	// see if the cell at x, y will live to the next generation
 	this.lives = function(x, y) {
-		var neighbors = this.neighbors(x, y);
-		if (this.state[x][y]) {
-			return (neighbors > 1 && neighbors < 4);
-		} else {
-			return (neighbors == 3);
-		}
+		return this.rule[(this.get(x, y) ? 9 : 0) + this.neighbors(x, y)] == 1;
 	}; // end lives
 
-	// count a cell's living neighbors
+	// count a cell's living neighbors, across the edges if the topology joins them
 	this.neighbors = function(x, y) {
+		if (this.life.neighbors) return this.life.neighbors(x, y);
 		var n = 0;
-		if (x > 0 && x < this.width - 1 && y > 0 && y < this.height) {
-			for (var i = -1; i <= 1; i++) {
-				for (var p = -1; p <= 1; p++) {
-					if (!(i == 0 && p == 0) && this.state[x + i][y + p]) n++;
-				}
+		for (var i = -1; i <= 1; i++) {
+			for (var p = -1; p <= 1; p++) {
+				if (!(i == 0 && p == 0) && this.get(x + i, y + p)) n++;
 			}
-		} else if (x == 0 && y == 0) {
-			if (this.state[x][y + 1]) n++;
-			if (this.state[x + 1][y]) n++;
-			if (this.state[x + 1][y + 1]) n++;
-		} else if (x == 0 && y == this.height - 1) {
-			if (this.state[x][y - 1]) n++;
-			if (this.state[x + 1][y - 1]) n++;
-			if (this.state[x + 1][y]) n++;
-		} else if (x == this.width - 1 && y == 0) {
-			if (this.state[x - 1][y]) n++;
-			if (this.state[x - 1][y + 1]) n++;
-			if (this.state[x][y + 1]) n++;
-		} else if (x == this.width - 1 && y == this.height - 1) {
-			if (this.state[x][y - 1]) n++;
-			if (this.state[x - 1][y]) n++;
-			if (this.state[x - 1][y - 1]) n++;
-		} else if (x == 0) {
-			if (this.state[x][y + 1]) n++;
-			if (this.state[x][y - 1]) n++;
-			if (this.state[x + 1][y + 1]) n++;
-			if (this.state[x + 1][y - 1]) n++;
-			if (this.state[x + 1][y]) n++;
-		} else if (x == this.width - 1) {
-			if (this.state[x][y + 1]) n++;
-			if (this.state[x][y - 1]) n++;
-			if (this.state[x - 1][y + 1]) n++;
-			if (this.state[x - 1][y - 1]) n++;
-			if (this.state[x - 1][y]) n++;
-		} else if (y == 0) {
-			if (this.state[x + 1][y]) n++;
-			if (this.state[x - 1][y]) n++;
-			if (this.state[x + 1][y + 1]) n++;
-			if (this.state[x - 1][y + 1]) n++;
-			if (this.state[x][y + 1]) n++;
-		} else if (y == this.height - 1) {
-			if (this.state[x + 1][y]) n++;
-			if (this.state[x - 1][y]) n++;
-			if (this.state[x + 1][y - 1]) n++;
-			if (this.state[x - 1][y - 1]) n++;
-			if (this.state[x][y - 1]) n++;
 		}
 		return n;
 	}; // end neighbors
 
+	// what's on screen
 	this.toString = function() {
+		var s = onScreen();
 		var out = "";
-		for (var y = 0; y < this.height; y++) {
-			for (var x = 0; x < this.width; x++) {
-				if (this.state[x][y]) {
+		for (var y = s.y; y < s.y + s.height; y++) {
+			for (var x = s.x; x < s.x + s.width; x++) {
+				if (this.get(x, y)) {
 					out = out + "+ ";
 				} else {
 					out = out + "  ";
@@ -191,1958 +307,2032 @@ function Conway($container) {
 	// drop a glider randomly on the grid
 	this.glider = function() {
 			console.log("glider: " + this);
-			var xcenter = Math.floor(Math.random() * (this.width * 0.8 + 1) + this.width * 0.1);
-			var ycenter = Math.floor(Math.random() * (this.height * 0.8 + 1) + this.height * 0.1);
-			this.state[xcenter][ycenter + 1] = true;
-			this.state[xcenter - 1][ycenter] = true;
-			this.state[xcenter - 1][ycenter - 1] = true;
-			this.state[xcenter][ycenter - 1] = true;
-			this.state[xcenter + 1][ycenter - 1] = true;
+			var xcenter = this.randomX(0.1);
+			var ycenter = this.randomY(0.1);
+			this.set(xcenter, ycenter + 1);
+			this.set(xcenter - 1, ycenter);
+			this.set(xcenter - 1, ycenter - 1);
+			this.set(xcenter, ycenter - 1);
+			this.set(xcenter + 1, ycenter - 1);
 
 	}; // /glider
 	// drop a glider gun randomly on the grid
 	this.gliderGun = function() {
-			var xcenter = Math.floor(Math.random() * (this.width * 0.8 + 1) + this.width * 0.1);
-			var ycenter = Math.floor(Math.random() * (this.height * 0.8 + 1) + this.height * 0.1);
-			this.state[xcenter + 6][ycenter + -4] = true;
-			this.state[xcenter + 4][ycenter + -3] = true;
-			this.state[xcenter + 6][ycenter + -3] = true;
-			this.state[xcenter + -6][ycenter + -2] = true;
-			this.state[xcenter + -5][ycenter + -2] = true;
-			this.state[xcenter + 2][ycenter + -2] = true;
-			this.state[xcenter + 3][ycenter + -2] = true;
-			this.state[xcenter + 16][ycenter + -2] = true;
-			this.state[xcenter + 17][ycenter + -2] = true;
-			this.state[xcenter + -7][ycenter + -1] = true;
-			this.state[xcenter + -3][ycenter + -1] = true;
-			this.state[xcenter + 2][ycenter + -1] = true;
-			this.state[xcenter + 3][ycenter + -1] = true;
-			this.state[xcenter + 16][ycenter + -1] = true;
-			this.state[xcenter + 17][ycenter + -1] = true;
-			this.state[xcenter + -18][ycenter + 0] = true;
-			this.state[xcenter + -17][ycenter + 0] = true;
-			this.state[xcenter + -8][ycenter + 0] = true;
-			this.state[xcenter + -2][ycenter + 0] = true;
-			this.state[xcenter + 2][ycenter + 0] = true;
-			this.state[xcenter + 3][ycenter + 0] = true;
-			this.state[xcenter + -18][ycenter + 1] = true;
-			this.state[xcenter + -17][ycenter + 1] = true;
-			this.state[xcenter + -8][ycenter + 1] = true;
-			this.state[xcenter + -4][ycenter + 1] = true;
-			this.state[xcenter + -2][ycenter + 1] = true;
-			this.state[xcenter + -1][ycenter + 1] = true;
-			this.state[xcenter + 4][ycenter + 1] = true;
-			this.state[xcenter + 6][ycenter + 1] = true;
-			this.state[xcenter + -8][ycenter + 2] = true;
-			this.state[xcenter + -2][ycenter + 2] = true;
-			this.state[xcenter + 6][ycenter + 2] = true;
-			this.state[xcenter + -7][ycenter + 3] = true;
-			this.state[xcenter + -3][ycenter + 3] = true;
-			this.state[xcenter + -6][ycenter + 4] = true;
-			this.state[xcenter + -5][ycenter + 4] = true;
+			var xcenter = this.randomX(0.1);
+			var ycenter = this.randomY(0.1);
+			this.set(xcenter + 6, ycenter + -4);
+			this.set(xcenter + 4, ycenter + -3);
+			this.set(xcenter + 6, ycenter + -3);
+			this.set(xcenter + -6, ycenter + -2);
+			this.set(xcenter + -5, ycenter + -2);
+			this.set(xcenter + 2, ycenter + -2);
+			this.set(xcenter + 3, ycenter + -2);
+			this.set(xcenter + 16, ycenter + -2);
+			this.set(xcenter + 17, ycenter + -2);
+			this.set(xcenter + -7, ycenter + -1);
+			this.set(xcenter + -3, ycenter + -1);
+			this.set(xcenter + 2, ycenter + -1);
+			this.set(xcenter + 3, ycenter + -1);
+			this.set(xcenter + 16, ycenter + -1);
+			this.set(xcenter + 17, ycenter + -1);
+			this.set(xcenter + -18, ycenter + 0);
+			this.set(xcenter + -17, ycenter + 0);
+			this.set(xcenter + -8, ycenter + 0);
+			this.set(xcenter + -2, ycenter + 0);
+			this.set(xcenter + 2, ycenter + 0);
+			this.set(xcenter + 3, ycenter + 0);
+			this.set(xcenter + -18, ycenter + 1);
+			this.set(xcenter + -17, ycenter + 1);
+			this.set(xcenter + -8, ycenter + 1);
+			this.set(xcenter + -4, ycenter + 1);
+			this.set(xcenter + -2, ycenter + 1);
+			this.set(xcenter + -1, ycenter + 1);
+			this.set(xcenter + 4, ycenter + 1);
+			this.set(xcenter + 6, ycenter + 1);
+			this.set(xcenter + -8, ycenter + 2);
+			this.set(xcenter + -2, ycenter + 2);
+			this.set(xcenter + 6, ycenter + 2);
+			this.set(xcenter + -7, ycenter + 3);
+			this.set(xcenter + -3, ycenter + 3);
+			this.set(xcenter + -6, ycenter + 4);
+			this.set(xcenter + -5, ycenter + 4);
 	};
 	// drop puffer randomly on the grid
 	this.puffer = function() {
-			var xcenter = Math.floor(Math.random() * (this.width * 0.7 + 1) + this.width * 0.15);
-			var ycenter = Math.floor(Math.random() * (this.height * 0.8 + 1) + this.height * 0.1);
-			this.state[xcenter + 0][ycenter + 43] = true;
-			this.state[xcenter + 1][ycenter + 41] = true;
-			this.state[xcenter + 1][ycenter + 43] = true;
-			this.state[xcenter + 2][ycenter + 42] = true;
-			this.state[xcenter + 2][ycenter + 43] = true;
-			this.state[xcenter + 3][ycenter + 84] = true;
-			this.state[xcenter + 4][ycenter + 82] = true;
-			this.state[xcenter + 4][ycenter + 83] = true;
-			this.state[xcenter + 5][ycenter + 83] = true;
-			this.state[xcenter + 5][ycenter + 84] = true;
-			this.state[xcenter + 10][ycenter + 58] = true;
-			this.state[xcenter + 10][ycenter + 59] = true;
-			this.state[xcenter + 11][ycenter + 57] = true;
-			this.state[xcenter + 11][ycenter + 59] = true;
-			this.state[xcenter + 12][ycenter + 46] = true;
-			this.state[xcenter + 12][ycenter + 47] = true;
-			this.state[xcenter + 12][ycenter + 57] = true;
-			this.state[xcenter + 12][ycenter + 58] = true;
-			this.state[xcenter + 12][ycenter + 68] = true;
-			this.state[xcenter + 12][ycenter + 69] = true;
-			this.state[xcenter + 13][ycenter + 46] = true;
-			this.state[xcenter + 13][ycenter + 47] = true;
-			this.state[xcenter + 13][ycenter + 68] = true;
-			this.state[xcenter + 13][ycenter + 70] = true;
-			this.state[xcenter + 14][ycenter + 69] = true;
-			this.state[xcenter + 14][ycenter + 70] = true;
-			this.state[xcenter + 14][ycenter + 80] = true;
-			this.state[xcenter + 14][ycenter + 81] = true;
-			this.state[xcenter + 15][ycenter + 28] = true;
-			this.state[xcenter + 15][ycenter + 80] = true;
-			this.state[xcenter + 15][ycenter + 81] = true;
-			this.state[xcenter + 16][ycenter + 26] = true;
-			this.state[xcenter + 16][ycenter + 28] = true;
-			this.state[xcenter + 17][ycenter + 15] = true;
-			this.state[xcenter + 17][ycenter + 17] = true;
-			this.state[xcenter + 17][ycenter + 27] = true;
-			this.state[xcenter + 17][ycenter + 28] = true;
-			this.state[xcenter + 18][ycenter + 14] = true;
-			this.state[xcenter + 18][ycenter + 99] = true;
-			this.state[xcenter + 19][ycenter + 14] = true;
-			this.state[xcenter + 19][ycenter + 18] = true;
-			this.state[xcenter + 19][ycenter + 97] = true;
-			this.state[xcenter + 19][ycenter + 98] = true;
-			this.state[xcenter + 20][ycenter + 14] = true;
-			this.state[xcenter + 20][ycenter + 98] = true;
-			this.state[xcenter + 20][ycenter + 99] = true;
-			this.state[xcenter + 21][ycenter + 14] = true;
-			this.state[xcenter + 21][ycenter + 17] = true;
-			this.state[xcenter + 21][ycenter + 110] = true;
-			this.state[xcenter + 21][ycenter + 112] = true;
-			this.state[xcenter + 22][ycenter + 14] = true;
-			this.state[xcenter + 22][ycenter + 15] = true;
-			this.state[xcenter + 22][ycenter + 16] = true;
-			this.state[xcenter + 22][ycenter + 113] = true;
-			this.state[xcenter + 23][ycenter + 109] = true;
-			this.state[xcenter + 23][ycenter + 113] = true;
-			this.state[xcenter + 24][ycenter + 113] = true;
-			this.state[xcenter + 25][ycenter + 18] = true;
-			this.state[xcenter + 25][ycenter + 110] = true;
-			this.state[xcenter + 25][ycenter + 113] = true;
-			this.state[xcenter + 26][ycenter + 16] = true;
-			this.state[xcenter + 26][ycenter + 18] = true;
-			this.state[xcenter + 26][ycenter + 22] = true;
-			this.state[xcenter + 26][ycenter + 111] = true;
-			this.state[xcenter + 26][ycenter + 112] = true;
-			this.state[xcenter + 26][ycenter + 113] = true;
-			this.state[xcenter + 27][ycenter + 17] = true;
-			this.state[xcenter + 27][ycenter + 18] = true;
-			this.state[xcenter + 27][ycenter + 22] = true;
-			this.state[xcenter + 28][ycenter + 43] = true;
-			this.state[xcenter + 28][ycenter + 109] = true;
-			this.state[xcenter + 29][ycenter + 43] = true;
-			this.state[xcenter + 29][ycenter + 44] = true;
-			this.state[xcenter + 29][ycenter + 107] = true;
-			this.state[xcenter + 29][ycenter + 108] = true;
-			this.state[xcenter + 30][ycenter + 13] = true;
-			this.state[xcenter + 30][ycenter + 43] = true;
-			this.state[xcenter + 30][ycenter + 44] = true;
-			this.state[xcenter + 30][ycenter + 45] = true;
-			this.state[xcenter + 30][ycenter + 84] = true;
-			this.state[xcenter + 30][ycenter + 108] = true;
-			this.state[xcenter + 30][ycenter + 109] = true;
-			this.state[xcenter + 31][ycenter + 11] = true;
-			this.state[xcenter + 31][ycenter + 13] = true;
-			this.state[xcenter + 31][ycenter + 19] = true;
-			this.state[xcenter + 31][ycenter + 20] = true;
-			this.state[xcenter + 31][ycenter + 24] = true;
-			this.state[xcenter + 31][ycenter + 25] = true;
-			this.state[xcenter + 31][ycenter + 37] = true;
-			this.state[xcenter + 31][ycenter + 45] = true;
-			this.state[xcenter + 31][ycenter + 46] = true;
-			this.state[xcenter + 31][ycenter + 83] = true;
-			this.state[xcenter + 31][ycenter + 84] = true;
-			this.state[xcenter + 32][ycenter + 12] = true;
-			this.state[xcenter + 32][ycenter + 13] = true;
-			this.state[xcenter + 32][ycenter + 36] = true;
-			this.state[xcenter + 32][ycenter + 37] = true;
-			this.state[xcenter + 32][ycenter + 38] = true;
-			this.state[xcenter + 32][ycenter + 40] = true;
-			this.state[xcenter + 32][ycenter + 44] = true;
-			this.state[xcenter + 32][ycenter + 45] = true;
-			this.state[xcenter + 32][ycenter + 82] = true;
-			this.state[xcenter + 32][ycenter + 83] = true;
-			this.state[xcenter + 32][ycenter + 84] = true;
-			this.state[xcenter + 33][ycenter + 35] = true;
-			this.state[xcenter + 33][ycenter + 36] = true;
-			this.state[xcenter + 33][ycenter + 38] = true;
-			this.state[xcenter + 33][ycenter + 39] = true;
-			this.state[xcenter + 33][ycenter + 40] = true;
-			this.state[xcenter + 33][ycenter + 41] = true;
-			this.state[xcenter + 33][ycenter + 43] = true;
-			this.state[xcenter + 33][ycenter + 44] = true;
-			this.state[xcenter + 33][ycenter + 57] = true;
-			this.state[xcenter + 33][ycenter + 58] = true;
-			this.state[xcenter + 33][ycenter + 81] = true;
-			this.state[xcenter + 33][ycenter + 82] = true;
-			this.state[xcenter + 33][ycenter + 90] = true;
-			this.state[xcenter + 33][ycenter + 114] = true;
-			this.state[xcenter + 34][ycenter + 22] = true;
-			this.state[xcenter + 34][ycenter + 29] = true;
-			this.state[xcenter + 34][ycenter + 30] = true;
-			this.state[xcenter + 34][ycenter + 36] = true;
-			this.state[xcenter + 34][ycenter + 38] = true;
-			this.state[xcenter + 34][ycenter + 39] = true;
-			this.state[xcenter + 34][ycenter + 41] = true;
-			this.state[xcenter + 34][ycenter + 42] = true;
-			this.state[xcenter + 34][ycenter + 56] = true;
-			this.state[xcenter + 34][ycenter + 59] = true;
-			this.state[xcenter + 34][ycenter + 82] = true;
-			this.state[xcenter + 34][ycenter + 83] = true;
-			this.state[xcenter + 34][ycenter + 87] = true;
-			this.state[xcenter + 34][ycenter + 89] = true;
-			this.state[xcenter + 34][ycenter + 90] = true;
-			this.state[xcenter + 34][ycenter + 91] = true;
-			this.state[xcenter + 34][ycenter + 112] = true;
-			this.state[xcenter + 34][ycenter + 113] = true;
-			this.state[xcenter + 35][ycenter + 8] = true;
-			this.state[xcenter + 35][ycenter + 21] = true;
-			this.state[xcenter + 35][ycenter + 23] = true;
-			this.state[xcenter + 35][ycenter + 28] = true;
-			this.state[xcenter + 35][ycenter + 29] = true;
-			this.state[xcenter + 35][ycenter + 30] = true;
-			this.state[xcenter + 35][ycenter + 37] = true;
-			this.state[xcenter + 35][ycenter + 38] = true;
-			this.state[xcenter + 35][ycenter + 39] = true;
-			this.state[xcenter + 35][ycenter + 41] = true;
-			this.state[xcenter + 35][ycenter + 46] = true;
-			this.state[xcenter + 35][ycenter + 57] = true;
-			this.state[xcenter + 35][ycenter + 58] = true;
-			this.state[xcenter + 35][ycenter + 69] = true;
-			this.state[xcenter + 35][ycenter + 70] = true;
-			this.state[xcenter + 35][ycenter + 83] = true;
-			this.state[xcenter + 35][ycenter + 84] = true;
-			this.state[xcenter + 35][ycenter + 86] = true;
-			this.state[xcenter + 35][ycenter + 87] = true;
-			this.state[xcenter + 35][ycenter + 88] = true;
-			this.state[xcenter + 35][ycenter + 89] = true;
-			this.state[xcenter + 35][ycenter + 91] = true;
-			this.state[xcenter + 35][ycenter + 92] = true;
-			this.state[xcenter + 35][ycenter + 105] = true;
-			this.state[xcenter + 35][ycenter + 113] = true;
-			this.state[xcenter + 35][ycenter + 114] = true;
-			this.state[xcenter + 36][ycenter + 6] = true;
-			this.state[xcenter + 36][ycenter + 8] = true;
-			this.state[xcenter + 36][ycenter + 21] = true;
-			this.state[xcenter + 36][ycenter + 23] = true;
-			this.state[xcenter + 36][ycenter + 28] = true;
-			this.state[xcenter + 36][ycenter + 29] = true;
-			this.state[xcenter + 36][ycenter + 31] = true;
-			this.state[xcenter + 36][ycenter + 38] = true;
-			this.state[xcenter + 36][ycenter + 39] = true;
-			this.state[xcenter + 36][ycenter + 45] = true;
-			this.state[xcenter + 36][ycenter + 47] = true;
-			this.state[xcenter + 36][ycenter + 68] = true;
-			this.state[xcenter + 36][ycenter + 71] = true;
-			this.state[xcenter + 36][ycenter + 85] = true;
-			this.state[xcenter + 36][ycenter + 86] = true;
-			this.state[xcenter + 36][ycenter + 88] = true;
-			this.state[xcenter + 36][ycenter + 89] = true;
-			this.state[xcenter + 36][ycenter + 91] = true;
-			this.state[xcenter + 36][ycenter + 97] = true;
-			this.state[xcenter + 36][ycenter + 98] = true;
-			this.state[xcenter + 36][ycenter + 104] = true;
-			this.state[xcenter + 36][ycenter + 105] = true;
-			this.state[xcenter + 36][ycenter + 106] = true;
-			this.state[xcenter + 37][ycenter + 7] = true;
-			this.state[xcenter + 37][ycenter + 8] = true;
-			this.state[xcenter + 37][ycenter + 22] = true;
-			this.state[xcenter + 37][ycenter + 29] = true;
-			this.state[xcenter + 37][ycenter + 30] = true;
-			this.state[xcenter + 37][ycenter + 31] = true;
-			this.state[xcenter + 37][ycenter + 45] = true;
-			this.state[xcenter + 37][ycenter + 47] = true;
-			this.state[xcenter + 37][ycenter + 48] = true;
-			this.state[xcenter + 37][ycenter + 69] = true;
-			this.state[xcenter + 37][ycenter + 70] = true;
-			this.state[xcenter + 37][ycenter + 81] = true;
-			this.state[xcenter + 37][ycenter + 86] = true;
-			this.state[xcenter + 37][ycenter + 88] = true;
-			this.state[xcenter + 37][ycenter + 89] = true;
-			this.state[xcenter + 37][ycenter + 90] = true;
-			this.state[xcenter + 37][ycenter + 97] = true;
-			this.state[xcenter + 37][ycenter + 98] = true;
-			this.state[xcenter + 37][ycenter + 99] = true;
-			this.state[xcenter + 37][ycenter + 104] = true;
-			this.state[xcenter + 37][ycenter + 105] = true;
-			this.state[xcenter + 37][ycenter + 106] = true;
-			this.state[xcenter + 38][ycenter + 22] = true;
-			this.state[xcenter + 38][ycenter + 30] = true;
-			this.state[xcenter + 38][ycenter + 46] = true;
-			this.state[xcenter + 38][ycenter + 47] = true;
-			this.state[xcenter + 38][ycenter + 80] = true;
-			this.state[xcenter + 38][ycenter + 82] = true;
-			this.state[xcenter + 38][ycenter + 88] = true;
-			this.state[xcenter + 38][ycenter + 89] = true;
-			this.state[xcenter + 38][ycenter + 96] = true;
-			this.state[xcenter + 38][ycenter + 98] = true;
-			this.state[xcenter + 38][ycenter + 99] = true;
-			this.state[xcenter + 38][ycenter + 102] = true;
-			this.state[xcenter + 38][ycenter + 104] = true;
-			this.state[xcenter + 38][ycenter + 106] = true;
-			this.state[xcenter + 38][ycenter + 108] = true;
-			this.state[xcenter + 38][ycenter + 119] = true;
-			this.state[xcenter + 39][ycenter + 21] = true;
-			this.state[xcenter + 39][ycenter + 23] = true;
-			this.state[xcenter + 39][ycenter + 79] = true;
-			this.state[xcenter + 39][ycenter + 80] = true;
-			this.state[xcenter + 39][ycenter + 82] = true;
-			this.state[xcenter + 39][ycenter + 96] = true;
-			this.state[xcenter + 39][ycenter + 97] = true;
-			this.state[xcenter + 39][ycenter + 98] = true;
-			this.state[xcenter + 39][ycenter + 103] = true;
-			this.state[xcenter + 39][ycenter + 107] = true;
-			this.state[xcenter + 39][ycenter + 117] = true;
-			this.state[xcenter + 39][ycenter + 118] = true;
-			this.state[xcenter + 40][ycenter + 20] = true;
-			this.state[xcenter + 40][ycenter + 24] = true;
-			this.state[xcenter + 40][ycenter + 58] = true;
-			this.state[xcenter + 40][ycenter + 59] = true;
-			this.state[xcenter + 40][ycenter + 80] = true;
-			this.state[xcenter + 40][ycenter + 81] = true;
-			this.state[xcenter + 40][ycenter + 97] = true;
-			this.state[xcenter + 40][ycenter + 103] = true;
-			this.state[xcenter + 40][ycenter + 107] = true;
-			this.state[xcenter + 40][ycenter + 118] = true;
-			this.state[xcenter + 40][ycenter + 119] = true;
-			this.state[xcenter + 41][ycenter + 21] = true;
-			this.state[xcenter + 41][ycenter + 23] = true;
-			this.state[xcenter + 41][ycenter + 41] = true;
-			this.state[xcenter + 41][ycenter + 47] = true;
-			this.state[xcenter + 41][ycenter + 57] = true;
-			this.state[xcenter + 41][ycenter + 59] = true;
-			this.state[xcenter + 42][ycenter + 1] = true;
-			this.state[xcenter + 42][ycenter + 3] = true;
-			this.state[xcenter + 42][ycenter + 22] = true;
-			this.state[xcenter + 42][ycenter + 41] = true;
-			this.state[xcenter + 42][ycenter + 42] = true;
-			this.state[xcenter + 42][ycenter + 47] = true;
-			this.state[xcenter + 42][ycenter + 57] = true;
-			this.state[xcenter + 42][ycenter + 58] = true;
-			this.state[xcenter + 42][ycenter + 68] = true;
-			this.state[xcenter + 42][ycenter + 69] = true;
-			this.state[xcenter + 43][ycenter + 0] = true;
-			this.state[xcenter + 43][ycenter + 40] = true;
-			this.state[xcenter + 43][ycenter + 42] = true;
-			this.state[xcenter + 43][ycenter + 47] = true;
-			this.state[xcenter + 43][ycenter + 68] = true;
-			this.state[xcenter + 43][ycenter + 70] = true;
-			this.state[xcenter + 43][ycenter + 80] = true;
-			this.state[xcenter + 43][ycenter + 86] = true;
-			this.state[xcenter + 44][ycenter + 0] = true;
-			this.state[xcenter + 44][ycenter + 19] = true;
-			this.state[xcenter + 44][ycenter + 20] = true;
-			this.state[xcenter + 44][ycenter + 24] = true;
-			this.state[xcenter + 44][ycenter + 25] = true;
-			this.state[xcenter + 44][ycenter + 69] = true;
-			this.state[xcenter + 44][ycenter + 70] = true;
-			this.state[xcenter + 44][ycenter + 80] = true;
-			this.state[xcenter + 44][ycenter + 85] = true;
-			this.state[xcenter + 44][ycenter + 86] = true;
-			this.state[xcenter + 44][ycenter + 104] = true;
-			this.state[xcenter + 44][ycenter + 105] = true;
-			this.state[xcenter + 44][ycenter + 106] = true;
-			this.state[xcenter + 45][ycenter + 0] = true;
-			this.state[xcenter + 45][ycenter + 3] = true;
-			this.state[xcenter + 45][ycenter + 10] = true;
-			this.state[xcenter + 45][ycenter + 11] = true;
-			this.state[xcenter + 45][ycenter + 12] = true;
-			this.state[xcenter + 45][ycenter + 19] = true;
-			this.state[xcenter + 45][ycenter + 20] = true;
-			this.state[xcenter + 45][ycenter + 21] = true;
-			this.state[xcenter + 45][ycenter + 23] = true;
-			this.state[xcenter + 45][ycenter + 24] = true;
-			this.state[xcenter + 45][ycenter + 25] = true;
-			this.state[xcenter + 45][ycenter + 46] = true;
-			this.state[xcenter + 45][ycenter + 48] = true;
-			this.state[xcenter + 45][ycenter + 80] = true;
-			this.state[xcenter + 45][ycenter + 85] = true;
-			this.state[xcenter + 45][ycenter + 87] = true;
-			this.state[xcenter + 45][ycenter + 104] = true;
-			this.state[xcenter + 45][ycenter + 105] = true;
-			this.state[xcenter + 45][ycenter + 106] = true;
-			this.state[xcenter + 46][ycenter + 0] = true;
-			this.state[xcenter + 46][ycenter + 1] = true;
-			this.state[xcenter + 46][ycenter + 2] = true;
-			this.state[xcenter + 46][ycenter + 10] = true;
-			this.state[xcenter + 46][ycenter + 11] = true;
-			this.state[xcenter + 46][ycenter + 12] = true;
-			this.state[xcenter + 46][ycenter + 18] = true;
-			this.state[xcenter + 46][ycenter + 20] = true;
-			this.state[xcenter + 46][ycenter + 21] = true;
-			this.state[xcenter + 46][ycenter + 23] = true;
-			this.state[xcenter + 46][ycenter + 24] = true;
-			this.state[xcenter + 46][ycenter + 26] = true;
-			this.state[xcenter + 46][ycenter + 45] = true;
-			this.state[xcenter + 46][ycenter + 46] = true;
-			this.state[xcenter + 46][ycenter + 48] = true;
-			this.state[xcenter + 46][ycenter + 49] = true;
-			this.state[xcenter + 46][ycenter + 105] = true;
-			this.state[xcenter + 46][ycenter + 116] = true;
-			this.state[xcenter + 46][ycenter + 117] = true;
-			this.state[xcenter + 47][ycenter + 9] = true;
-			this.state[xcenter + 47][ycenter + 12] = true;
-			this.state[xcenter + 47][ycenter + 13] = true;
-			this.state[xcenter + 47][ycenter + 18] = true;
-			this.state[xcenter + 47][ycenter + 19] = true;
-			this.state[xcenter + 47][ycenter + 20] = true;
-			this.state[xcenter + 47][ycenter + 24] = true;
-			this.state[xcenter + 47][ycenter + 25] = true;
-			this.state[xcenter + 47][ycenter + 26] = true;
-			this.state[xcenter + 47][ycenter + 45] = true;
-			this.state[xcenter + 47][ycenter + 49] = true;
-			this.state[xcenter + 47][ycenter + 79] = true;
-			this.state[xcenter + 47][ycenter + 81] = true;
-			this.state[xcenter + 47][ycenter + 115] = true;
-			this.state[xcenter + 47][ycenter + 116] = true;
-			this.state[xcenter + 47][ycenter + 118] = true;
-			this.state[xcenter + 47][ycenter + 119] = true;
-			this.state[xcenter + 47][ycenter + 126] = true;
-			this.state[xcenter + 47][ycenter + 127] = true;
-			this.state[xcenter + 48][ycenter + 9] = true;
-			this.state[xcenter + 48][ycenter + 12] = true;
-			this.state[xcenter + 48][ycenter + 13] = true;
-			this.state[xcenter + 48][ycenter + 19] = true;
-			this.state[xcenter + 48][ycenter + 25] = true;
-			this.state[xcenter + 48][ycenter + 78] = true;
-			this.state[xcenter + 48][ycenter + 79] = true;
-			this.state[xcenter + 48][ycenter + 81] = true;
-			this.state[xcenter + 48][ycenter + 82] = true;
-			this.state[xcenter + 48][ycenter + 102] = true;
-			this.state[xcenter + 48][ycenter + 104] = true;
-			this.state[xcenter + 48][ycenter + 106] = true;
-			this.state[xcenter + 48][ycenter + 108] = true;
-			this.state[xcenter + 48][ycenter + 115] = true;
-			this.state[xcenter + 48][ycenter + 116] = true;
-			this.state[xcenter + 48][ycenter + 118] = true;
-			this.state[xcenter + 48][ycenter + 119] = true;
-			this.state[xcenter + 48][ycenter + 126] = true;
-			this.state[xcenter + 48][ycenter + 127] = true;
-			this.state[xcenter + 48][ycenter + 128] = true;
-			this.state[xcenter + 49][ycenter + 12] = true;
-			this.state[xcenter + 49][ycenter + 78] = true;
-			this.state[xcenter + 49][ycenter + 82] = true;
-			this.state[xcenter + 49][ycenter + 101] = true;
-			this.state[xcenter + 49][ycenter + 109] = true;
-			this.state[xcenter + 49][ycenter + 115] = true;
-			this.state[xcenter + 49][ycenter + 116] = true;
-			this.state[xcenter + 49][ycenter + 118] = true;
-			this.state[xcenter + 49][ycenter + 119] = true;
-			this.state[xcenter + 49][ycenter + 125] = true;
-			this.state[xcenter + 49][ycenter + 127] = true;
-			this.state[xcenter + 49][ycenter + 128] = true;
-			this.state[xcenter + 50][ycenter + 8] = true;
-			this.state[xcenter + 50][ycenter + 47] = true;
-			this.state[xcenter + 50][ycenter + 101] = true;
-			this.state[xcenter + 50][ycenter + 109] = true;
-			this.state[xcenter + 50][ycenter + 117] = true;
-			this.state[xcenter + 50][ycenter + 125] = true;
-			this.state[xcenter + 50][ycenter + 126] = true;
-			this.state[xcenter + 50][ycenter + 127] = true;
-			this.state[xcenter + 51][ycenter + 8] = true;
-			this.state[xcenter + 51][ycenter + 11] = true;
-			this.state[xcenter + 51][ycenter + 16] = true;
-			this.state[xcenter + 51][ycenter + 17] = true;
-			this.state[xcenter + 51][ycenter + 47] = true;
-			this.state[xcenter + 51][ycenter + 101] = true;
-			this.state[xcenter + 51][ycenter + 104] = true;
-			this.state[xcenter + 51][ycenter + 106] = true;
-			this.state[xcenter + 51][ycenter + 109] = true;
-			this.state[xcenter + 51][ycenter + 126] = true;
-			this.state[xcenter + 52][ycenter + 8] = true;
-			this.state[xcenter + 52][ycenter + 10] = true;
-			this.state[xcenter + 52][ycenter + 15] = true;
-			this.state[xcenter + 52][ycenter + 16] = true;
-			this.state[xcenter + 52][ycenter + 17] = true;
-			this.state[xcenter + 52][ycenter + 46] = true;
-			this.state[xcenter + 52][ycenter + 48] = true;
-			this.state[xcenter + 52][ycenter + 80] = true;
-			this.state[xcenter + 52][ycenter + 101] = true;
-			this.state[xcenter + 52][ycenter + 102] = true;
-			this.state[xcenter + 52][ycenter + 103] = true;
-			this.state[xcenter + 52][ycenter + 107] = true;
-			this.state[xcenter + 52][ycenter + 108] = true;
-			this.state[xcenter + 52][ycenter + 109] = true;
-			this.state[xcenter + 53][ycenter + 9] = true;
-			this.state[xcenter + 53][ycenter + 10] = true;
-			this.state[xcenter + 53][ycenter + 15] = true;
-			this.state[xcenter + 53][ycenter + 16] = true;
-			this.state[xcenter + 53][ycenter + 18] = true;
-			this.state[xcenter + 53][ycenter + 46] = true;
-			this.state[xcenter + 53][ycenter + 47] = true;
-			this.state[xcenter + 53][ycenter + 48] = true;
-			this.state[xcenter + 53][ycenter + 80] = true;
-			this.state[xcenter + 53][ycenter + 119] = true;
-			this.state[xcenter + 53][ycenter + 120] = true;
-			this.state[xcenter + 54][ycenter + 8] = true;
-			this.state[xcenter + 54][ycenter + 9] = true;
-			this.state[xcenter + 54][ycenter + 10] = true;
-			this.state[xcenter + 54][ycenter + 16] = true;
-			this.state[xcenter + 54][ycenter + 17] = true;
-			this.state[xcenter + 54][ycenter + 18] = true;
-			this.state[xcenter + 54][ycenter + 46] = true;
-			this.state[xcenter + 54][ycenter + 47] = true;
-			this.state[xcenter + 54][ycenter + 48] = true;
-			this.state[xcenter + 54][ycenter + 79] = true;
-			this.state[xcenter + 54][ycenter + 81] = true;
-			this.state[xcenter + 54][ycenter + 119] = true;
-			this.state[xcenter + 54][ycenter + 120] = true;
-			this.state[xcenter + 55][ycenter + 8] = true;
-			this.state[xcenter + 55][ycenter + 9] = true;
-			this.state[xcenter + 55][ycenter + 10] = true;
-			this.state[xcenter + 55][ycenter + 17] = true;
-			this.state[xcenter + 55][ycenter + 79] = true;
-			this.state[xcenter + 55][ycenter + 80] = true;
-			this.state[xcenter + 55][ycenter + 81] = true;
-			this.state[xcenter + 55][ycenter + 110] = true;
-			this.state[xcenter + 55][ycenter + 112] = true;
-			this.state[xcenter + 56][ycenter + 7] = true;
-			this.state[xcenter + 56][ycenter + 9] = true;
-			this.state[xcenter + 56][ycenter + 10] = true;
-			this.state[xcenter + 56][ycenter + 36] = true;
-			this.state[xcenter + 56][ycenter + 42] = true;
-			this.state[xcenter + 56][ycenter + 44] = true;
-			this.state[xcenter + 56][ycenter + 50] = true;
-			this.state[xcenter + 56][ycenter + 52] = true;
-			this.state[xcenter + 56][ycenter + 79] = true;
-			this.state[xcenter + 56][ycenter + 80] = true;
-			this.state[xcenter + 56][ycenter + 81] = true;
-			this.state[xcenter + 56][ycenter + 109] = true;
-			this.state[xcenter + 57][ycenter + 11] = true;
-			this.state[xcenter + 57][ycenter + 36] = true;
-			this.state[xcenter + 57][ycenter + 37] = true;
-			this.state[xcenter + 57][ycenter + 45] = true;
-			this.state[xcenter + 57][ycenter + 49] = true;
-			this.state[xcenter + 57][ycenter + 109] = true;
-			this.state[xcenter + 58][ycenter + 7] = true;
-			this.state[xcenter + 58][ycenter + 9] = true;
-			this.state[xcenter + 58][ycenter + 12] = true;
-			this.state[xcenter + 58][ycenter + 13] = true;
-			this.state[xcenter + 58][ycenter + 35] = true;
-			this.state[xcenter + 58][ycenter + 37] = true;
-			this.state[xcenter + 58][ycenter + 45] = true;
-			this.state[xcenter + 58][ycenter + 49] = true;
-			this.state[xcenter + 58][ycenter + 75] = true;
-			this.state[xcenter + 58][ycenter + 77] = true;
-			this.state[xcenter + 58][ycenter + 83] = true;
-			this.state[xcenter + 58][ycenter + 85] = true;
-			this.state[xcenter + 58][ycenter + 91] = true;
-			this.state[xcenter + 58][ycenter + 109] = true;
-			this.state[xcenter + 58][ycenter + 112] = true;
-			this.state[xcenter + 59][ycenter + 1] = true;
-			this.state[xcenter + 59][ycenter + 3] = true;
-			this.state[xcenter + 59][ycenter + 8] = true;
-			this.state[xcenter + 59][ycenter + 12] = true;
-			this.state[xcenter + 59][ycenter + 15] = true;
-			this.state[xcenter + 59][ycenter + 17] = true;
-			this.state[xcenter + 59][ycenter + 42] = true;
-			this.state[xcenter + 59][ycenter + 45] = true;
-			this.state[xcenter + 59][ycenter + 49] = true;
-			this.state[xcenter + 59][ycenter + 52] = true;
-			this.state[xcenter + 59][ycenter + 78] = true;
-			this.state[xcenter + 59][ycenter + 82] = true;
-			this.state[xcenter + 59][ycenter + 90] = true;
-			this.state[xcenter + 59][ycenter + 91] = true;
-			this.state[xcenter + 59][ycenter + 109] = true;
-			this.state[xcenter + 59][ycenter + 110] = true;
-			this.state[xcenter + 59][ycenter + 111] = true;
-			this.state[xcenter + 60][ycenter + 4] = true;
-			this.state[xcenter + 60][ycenter + 9] = true;
-			this.state[xcenter + 60][ycenter + 12] = true;
-			this.state[xcenter + 60][ycenter + 18] = true;
-			this.state[xcenter + 60][ycenter + 43] = true;
-			this.state[xcenter + 60][ycenter + 44] = true;
-			this.state[xcenter + 60][ycenter + 45] = true;
-			this.state[xcenter + 60][ycenter + 49] = true;
-			this.state[xcenter + 60][ycenter + 50] = true;
-			this.state[xcenter + 60][ycenter + 51] = true;
-			this.state[xcenter + 60][ycenter + 78] = true;
-			this.state[xcenter + 60][ycenter + 82] = true;
-			this.state[xcenter + 60][ycenter + 90] = true;
-			this.state[xcenter + 60][ycenter + 92] = true;
-			this.state[xcenter + 61][ycenter + 4] = true;
-			this.state[xcenter + 61][ycenter + 9] = true;
-			this.state[xcenter + 61][ycenter + 10] = true;
-			this.state[xcenter + 61][ycenter + 11] = true;
-			this.state[xcenter + 61][ycenter + 18] = true;
-			this.state[xcenter + 61][ycenter + 75] = true;
-			this.state[xcenter + 61][ycenter + 78] = true;
-			this.state[xcenter + 61][ycenter + 82] = true;
-			this.state[xcenter + 61][ycenter + 85] = true;
-			this.state[xcenter + 62][ycenter + 1] = true;
-			this.state[xcenter + 62][ycenter + 4] = true;
-			this.state[xcenter + 62][ycenter + 15] = true;
-			this.state[xcenter + 62][ycenter + 18] = true;
-			this.state[xcenter + 62][ycenter + 76] = true;
-			this.state[xcenter + 62][ycenter + 77] = true;
-			this.state[xcenter + 62][ycenter + 78] = true;
-			this.state[xcenter + 62][ycenter + 82] = true;
-			this.state[xcenter + 62][ycenter + 83] = true;
-			this.state[xcenter + 62][ycenter + 84] = true;
-			this.state[xcenter + 63][ycenter + 2] = true;
-			this.state[xcenter + 63][ycenter + 3] = true;
-			this.state[xcenter + 63][ycenter + 4] = true;
-			this.state[xcenter + 63][ycenter + 16] = true;
-			this.state[xcenter + 63][ycenter + 17] = true;
-			this.state[xcenter + 63][ycenter + 18] = true;
-			this.state[xcenter + 63][ycenter + 39] = true;
-			this.state[xcenter + 63][ycenter + 41] = true;
-			this.state[xcenter + 63][ycenter + 58] = true;
-			this.state[xcenter + 63][ycenter + 115] = true;
-			this.state[xcenter + 63][ycenter + 116] = true;
-			this.state[xcenter + 63][ycenter + 117] = true;
-			this.state[xcenter + 64][ycenter + 38] = true;
-			this.state[xcenter + 64][ycenter + 58] = true;
-			this.state[xcenter + 64][ycenter + 109] = true;
-			this.state[xcenter + 64][ycenter + 110] = true;
-			this.state[xcenter + 64][ycenter + 115] = true;
-			this.state[xcenter + 64][ycenter + 118] = true;
-			this.state[xcenter + 64][ycenter + 119] = true;
-			this.state[xcenter + 64][ycenter + 123] = true;
-			this.state[xcenter + 64][ycenter + 124] = true;
-			this.state[xcenter + 65][ycenter + 38] = true;
-			this.state[xcenter + 65][ycenter + 58] = true;
-			this.state[xcenter + 65][ycenter + 69] = true;
-			this.state[xcenter + 65][ycenter + 86] = true;
-			this.state[xcenter + 65][ycenter + 88] = true;
-			this.state[xcenter + 65][ycenter + 108] = true;
-			this.state[xcenter + 65][ycenter + 109] = true;
-			this.state[xcenter + 65][ycenter + 110] = true;
-			this.state[xcenter + 65][ycenter + 116] = true;
-			this.state[xcenter + 65][ycenter + 117] = true;
-			this.state[xcenter + 65][ycenter + 118] = true;
-			this.state[xcenter + 65][ycenter + 122] = true;
-			this.state[xcenter + 65][ycenter + 123] = true;
-			this.state[xcenter + 65][ycenter + 124] = true;
-			this.state[xcenter + 66][ycenter + 38] = true;
-			this.state[xcenter + 66][ycenter + 41] = true;
-			this.state[xcenter + 66][ycenter + 49] = true;
-			this.state[xcenter + 66][ycenter + 50] = true;
-			this.state[xcenter + 66][ycenter + 69] = true;
-			this.state[xcenter + 66][ycenter + 89] = true;
-			this.state[xcenter + 66][ycenter + 108] = true;
-			this.state[xcenter + 66][ycenter + 109] = true;
-			this.state[xcenter + 66][ycenter + 111] = true;
-			this.state[xcenter + 66][ycenter + 117] = true;
-			this.state[xcenter + 66][ycenter + 122] = true;
-			this.state[xcenter + 66][ycenter + 123] = true;
-			this.state[xcenter + 66][ycenter + 125] = true;
-			this.state[xcenter + 67][ycenter + 28] = true;
-			this.state[xcenter + 67][ycenter + 29] = true;
-			this.state[xcenter + 67][ycenter + 30] = true;
-			this.state[xcenter + 67][ycenter + 38] = true;
-			this.state[xcenter + 67][ycenter + 39] = true;
-			this.state[xcenter + 67][ycenter + 40] = true;
-			this.state[xcenter + 67][ycenter + 48] = true;
-			this.state[xcenter + 67][ycenter + 49] = true;
-			this.state[xcenter + 67][ycenter + 50] = true;
-			this.state[xcenter + 67][ycenter + 69] = true;
-			this.state[xcenter + 67][ycenter + 89] = true;
-			this.state[xcenter + 67][ycenter + 109] = true;
-			this.state[xcenter + 67][ycenter + 110] = true;
-			this.state[xcenter + 67][ycenter + 111] = true;
-			this.state[xcenter + 67][ycenter + 123] = true;
-			this.state[xcenter + 67][ycenter + 124] = true;
-			this.state[xcenter + 67][ycenter + 125] = true;
-			this.state[xcenter + 68][ycenter + 28] = true;
-			this.state[xcenter + 68][ycenter + 29] = true;
-			this.state[xcenter + 68][ycenter + 30] = true;
-			this.state[xcenter + 68][ycenter + 48] = true;
-			this.state[xcenter + 68][ycenter + 49] = true;
-			this.state[xcenter + 68][ycenter + 50] = true;
-			this.state[xcenter + 68][ycenter + 56] = true;
-			this.state[xcenter + 68][ycenter + 57] = true;
-			this.state[xcenter + 68][ycenter + 77] = true;
-			this.state[xcenter + 68][ycenter + 78] = true;
-			this.state[xcenter + 68][ycenter + 86] = true;
-			this.state[xcenter + 68][ycenter + 89] = true;
-			this.state[xcenter + 68][ycenter + 110] = true;
-			this.state[xcenter + 68][ycenter + 124] = true;
-			this.state[xcenter + 69][ycenter + 27] = true;
-			this.state[xcenter + 69][ycenter + 28] = true;
-			this.state[xcenter + 69][ycenter + 31] = true;
-			this.state[xcenter + 69][ycenter + 48] = true;
-			this.state[xcenter + 69][ycenter + 49] = true;
-			this.state[xcenter + 69][ycenter + 51] = true;
-			this.state[xcenter + 69][ycenter + 55] = true;
-			this.state[xcenter + 69][ycenter + 58] = true;
-			this.state[xcenter + 69][ycenter + 77] = true;
-			this.state[xcenter + 69][ycenter + 78] = true;
-			this.state[xcenter + 69][ycenter + 79] = true;
-			this.state[xcenter + 69][ycenter + 87] = true;
-			this.state[xcenter + 69][ycenter + 88] = true;
-			this.state[xcenter + 69][ycenter + 89] = true;
-			this.state[xcenter + 69][ycenter + 97] = true;
-			this.state[xcenter + 69][ycenter + 98] = true;
-			this.state[xcenter + 69][ycenter + 99] = true;
-			this.state[xcenter + 70][ycenter + 27] = true;
-			this.state[xcenter + 70][ycenter + 28] = true;
-			this.state[xcenter + 70][ycenter + 31] = true;
-			this.state[xcenter + 70][ycenter + 49] = true;
-			this.state[xcenter + 70][ycenter + 50] = true;
-			this.state[xcenter + 70][ycenter + 51] = true;
-			this.state[xcenter + 70][ycenter + 55] = true;
-			this.state[xcenter + 70][ycenter + 57] = true;
-			this.state[xcenter + 70][ycenter + 70] = true;
-			this.state[xcenter + 70][ycenter + 71] = true;
-			this.state[xcenter + 70][ycenter + 77] = true;
-			this.state[xcenter + 70][ycenter + 78] = true;
-			this.state[xcenter + 70][ycenter + 79] = true;
-			this.state[xcenter + 70][ycenter + 97] = true;
-			this.state[xcenter + 70][ycenter + 98] = true;
-			this.state[xcenter + 70][ycenter + 99] = true;
-			this.state[xcenter + 71][ycenter + 28] = true;
-			this.state[xcenter + 71][ycenter + 50] = true;
-			this.state[xcenter + 71][ycenter + 56] = true;
-			this.state[xcenter + 71][ycenter + 69] = true;
-			this.state[xcenter + 71][ycenter + 72] = true;
-			this.state[xcenter + 71][ycenter + 76] = true;
-			this.state[xcenter + 71][ycenter + 78] = true;
-			this.state[xcenter + 71][ycenter + 79] = true;
-			this.state[xcenter + 71][ycenter + 96] = true;
-			this.state[xcenter + 71][ycenter + 99] = true;
-			this.state[xcenter + 71][ycenter + 100] = true;
-			this.state[xcenter + 72][ycenter + 32] = true;
-			this.state[xcenter + 72][ycenter + 70] = true;
-			this.state[xcenter + 72][ycenter + 72] = true;
-			this.state[xcenter + 72][ycenter + 76] = true;
-			this.state[xcenter + 72][ycenter + 77] = true;
-			this.state[xcenter + 72][ycenter + 78] = true;
-			this.state[xcenter + 72][ycenter + 96] = true;
-			this.state[xcenter + 72][ycenter + 99] = true;
-			this.state[xcenter + 72][ycenter + 100] = true;
-			this.state[xcenter + 73][ycenter + 23] = true;
-			this.state[xcenter + 73][ycenter + 24] = true;
-			this.state[xcenter + 73][ycenter + 29] = true;
-			this.state[xcenter + 73][ycenter + 32] = true;
-			this.state[xcenter + 73][ycenter + 57] = true;
-			this.state[xcenter + 73][ycenter + 71] = true;
-			this.state[xcenter + 73][ycenter + 77] = true;
-			this.state[xcenter + 73][ycenter + 99] = true;
-			this.state[xcenter + 74][ycenter + 23] = true;
-			this.state[xcenter + 74][ycenter + 24] = true;
-			this.state[xcenter + 74][ycenter + 25] = true;
-			this.state[xcenter + 74][ycenter + 30] = true;
-			this.state[xcenter + 74][ycenter + 32] = true;
-			this.state[xcenter + 74][ycenter + 57] = true;
-			this.state[xcenter + 74][ycenter + 95] = true;
-			this.state[xcenter + 75][ycenter + 22] = true;
-			this.state[xcenter + 75][ycenter + 24] = true;
-			this.state[xcenter + 75][ycenter + 25] = true;
-			this.state[xcenter + 75][ycenter + 30] = true;
-			this.state[xcenter + 75][ycenter + 31] = true;
-			this.state[xcenter + 75][ycenter + 70] = true;
-			this.state[xcenter + 75][ycenter + 95] = true;
-			this.state[xcenter + 75][ycenter + 98] = true;
-			this.state[xcenter + 75][ycenter + 103] = true;
-			this.state[xcenter + 75][ycenter + 104] = true;
-			this.state[xcenter + 76][ycenter + 22] = true;
-			this.state[xcenter + 76][ycenter + 23] = true;
-			this.state[xcenter + 76][ycenter + 24] = true;
-			this.state[xcenter + 76][ycenter + 30] = true;
-			this.state[xcenter + 76][ycenter + 31] = true;
-			this.state[xcenter + 76][ycenter + 32] = true;
-			this.state[xcenter + 76][ycenter + 70] = true;
-			this.state[xcenter + 76][ycenter + 95] = true;
-			this.state[xcenter + 76][ycenter + 97] = true;
-			this.state[xcenter + 76][ycenter + 102] = true;
-			this.state[xcenter + 76][ycenter + 103] = true;
-			this.state[xcenter + 76][ycenter + 104] = true;
-			this.state[xcenter + 77][ycenter + 23] = true;
-			this.state[xcenter + 77][ycenter + 30] = true;
-			this.state[xcenter + 77][ycenter + 31] = true;
-			this.state[xcenter + 77][ycenter + 32] = true;
-			this.state[xcenter + 77][ycenter + 96] = true;
-			this.state[xcenter + 77][ycenter + 97] = true;
-			this.state[xcenter + 77][ycenter + 102] = true;
-			this.state[xcenter + 77][ycenter + 103] = true;
-			this.state[xcenter + 77][ycenter + 105] = true;
-			this.state[xcenter + 78][ycenter + 30] = true;
-			this.state[xcenter + 78][ycenter + 31] = true;
-			this.state[xcenter + 78][ycenter + 33] = true;
-			this.state[xcenter + 78][ycenter + 54] = true;
-			this.state[xcenter + 78][ycenter + 55] = true;
-			this.state[xcenter + 78][ycenter + 59] = true;
-			this.state[xcenter + 78][ycenter + 60] = true;
-			this.state[xcenter + 78][ycenter + 95] = true;
-			this.state[xcenter + 78][ycenter + 96] = true;
-			this.state[xcenter + 78][ycenter + 97] = true;
-			this.state[xcenter + 78][ycenter + 103] = true;
-			this.state[xcenter + 78][ycenter + 104] = true;
-			this.state[xcenter + 78][ycenter + 105] = true;
-			this.state[xcenter + 79][ycenter + 29] = true;
-			this.state[xcenter + 79][ycenter + 95] = true;
-			this.state[xcenter + 79][ycenter + 96] = true;
-			this.state[xcenter + 79][ycenter + 97] = true;
-			this.state[xcenter + 79][ycenter + 104] = true;
-			this.state[xcenter + 80][ycenter + 27] = true;
-			this.state[xcenter + 80][ycenter + 28] = true;
-			this.state[xcenter + 80][ycenter + 31] = true;
-			this.state[xcenter + 80][ycenter + 33] = true;
-			this.state[xcenter + 80][ycenter + 67] = true;
-			this.state[xcenter + 80][ycenter + 68] = true;
-			this.state[xcenter + 80][ycenter + 72] = true;
-			this.state[xcenter + 80][ycenter + 73] = true;
-			this.state[xcenter + 80][ycenter + 94] = true;
-			this.state[xcenter + 80][ycenter + 96] = true;
-			this.state[xcenter + 80][ycenter + 97] = true;
-			this.state[xcenter + 81][ycenter + 23] = true;
-			this.state[xcenter + 81][ycenter + 25] = true;
-			this.state[xcenter + 81][ycenter + 28] = true;
-			this.state[xcenter + 81][ycenter + 32] = true;
-			this.state[xcenter + 81][ycenter + 37] = true;
-			this.state[xcenter + 81][ycenter + 39] = true;
-			this.state[xcenter + 81][ycenter + 57] = true;
-			this.state[xcenter + 81][ycenter + 98] = true;
-			this.state[xcenter + 82][ycenter + 22] = true;
-			this.state[xcenter + 82][ycenter + 28] = true;
-			this.state[xcenter + 82][ycenter + 31] = true;
-			this.state[xcenter + 82][ycenter + 36] = true;
-			this.state[xcenter + 82][ycenter + 51] = true;
-			this.state[xcenter + 82][ycenter + 53] = true;
-			this.state[xcenter + 82][ycenter + 56] = true;
-			this.state[xcenter + 82][ycenter + 58] = true;
-			this.state[xcenter + 82][ycenter + 94] = true;
-			this.state[xcenter + 82][ycenter + 96] = true;
-			this.state[xcenter + 82][ycenter + 99] = true;
-			this.state[xcenter + 82][ycenter + 100] = true;
-			this.state[xcenter + 83][ycenter + 22] = true;
-			this.state[xcenter + 83][ycenter + 29] = true;
-			this.state[xcenter + 83][ycenter + 30] = true;
-			this.state[xcenter + 83][ycenter + 31] = true;
-			this.state[xcenter + 83][ycenter + 36] = true;
-			this.state[xcenter + 83][ycenter + 52] = true;
-			this.state[xcenter + 83][ycenter + 53] = true;
-			this.state[xcenter + 83][ycenter + 56] = true;
-			this.state[xcenter + 83][ycenter + 58] = true;
-			this.state[xcenter + 83][ycenter + 70] = true;
-			this.state[xcenter + 83][ycenter + 88] = true;
-			this.state[xcenter + 83][ycenter + 90] = true;
-			this.state[xcenter + 83][ycenter + 95] = true;
-			this.state[xcenter + 83][ycenter + 99] = true;
-			this.state[xcenter + 83][ycenter + 102] = true;
-			this.state[xcenter + 83][ycenter + 104] = true;
-			this.state[xcenter + 84][ycenter + 22] = true;
-			this.state[xcenter + 84][ycenter + 25] = true;
-			this.state[xcenter + 84][ycenter + 36] = true;
-			this.state[xcenter + 84][ycenter + 39] = true;
-			this.state[xcenter + 84][ycenter + 52] = true;
-			this.state[xcenter + 84][ycenter + 57] = true;
-			this.state[xcenter + 84][ycenter + 69] = true;
-			this.state[xcenter + 84][ycenter + 71] = true;
-			this.state[xcenter + 84][ycenter + 74] = true;
-			this.state[xcenter + 84][ycenter + 76] = true;
-			this.state[xcenter + 84][ycenter + 91] = true;
-			this.state[xcenter + 84][ycenter + 96] = true;
-			this.state[xcenter + 84][ycenter + 99] = true;
-			this.state[xcenter + 84][ycenter + 105] = true;
-			this.state[xcenter + 85][ycenter + 22] = true;
-			this.state[xcenter + 85][ycenter + 23] = true;
-			this.state[xcenter + 85][ycenter + 24] = true;
-			this.state[xcenter + 85][ycenter + 36] = true;
-			this.state[xcenter + 85][ycenter + 37] = true;
-			this.state[xcenter + 85][ycenter + 38] = true;
-			this.state[xcenter + 85][ycenter + 57] = true;
-			this.state[xcenter + 85][ycenter + 69] = true;
-			this.state[xcenter + 85][ycenter + 71] = true;
-			this.state[xcenter + 85][ycenter + 74] = true;
-			this.state[xcenter + 85][ycenter + 75] = true;
-			this.state[xcenter + 85][ycenter + 91] = true;
-			this.state[xcenter + 85][ycenter + 96] = true;
-			this.state[xcenter + 85][ycenter + 97] = true;
-			this.state[xcenter + 85][ycenter + 98] = true;
-			this.state[xcenter + 85][ycenter + 105] = true;
-			this.state[xcenter + 86][ycenter + 56] = true;
-			this.state[xcenter + 86][ycenter + 58] = true;
-			this.state[xcenter + 86][ycenter + 70] = true;
-			this.state[xcenter + 86][ycenter + 75] = true;
-			this.state[xcenter + 86][ycenter + 88] = true;
-			this.state[xcenter + 86][ycenter + 91] = true;
-			this.state[xcenter + 86][ycenter + 102] = true;
-			this.state[xcenter + 86][ycenter + 105] = true;
-			this.state[xcenter + 87][ycenter + 46] = true;
-			this.state[xcenter + 87][ycenter + 48] = true;
-			this.state[xcenter + 87][ycenter + 55] = true;
-			this.state[xcenter + 87][ycenter + 59] = true;
-			this.state[xcenter + 87][ycenter + 70] = true;
-			this.state[xcenter + 87][ycenter + 89] = true;
-			this.state[xcenter + 87][ycenter + 90] = true;
-			this.state[xcenter + 87][ycenter + 91] = true;
-			this.state[xcenter + 87][ycenter + 103] = true;
-			this.state[xcenter + 87][ycenter + 104] = true;
-			this.state[xcenter + 87][ycenter + 105] = true;
-			this.state[xcenter + 88][ycenter + 47] = true;
-			this.state[xcenter + 88][ycenter + 48] = true;
-			this.state[xcenter + 88][ycenter + 56] = true;
-			this.state[xcenter + 88][ycenter + 58] = true;
-			this.state[xcenter + 88][ycenter + 69] = true;
-			this.state[xcenter + 88][ycenter + 71] = true;
-			this.state[xcenter + 89][ycenter + 47] = true;
-			this.state[xcenter + 89][ycenter + 57] = true;
-			this.state[xcenter + 89][ycenter + 68] = true;
-			this.state[xcenter + 89][ycenter + 72] = true;
-			this.state[xcenter + 89][ycenter + 79] = true;
-			this.state[xcenter + 89][ycenter + 81] = true;
-			this.state[xcenter + 90][ycenter + 69] = true;
-			this.state[xcenter + 90][ycenter + 71] = true;
-			this.state[xcenter + 90][ycenter + 79] = true;
-			this.state[xcenter + 90][ycenter + 80] = true;
-			this.state[xcenter + 91][ycenter + 54] = true;
-			this.state[xcenter + 91][ycenter + 55] = true;
-			this.state[xcenter + 91][ycenter + 59] = true;
-			this.state[xcenter + 91][ycenter + 60] = true;
-			this.state[xcenter + 91][ycenter + 70] = true;
-			this.state[xcenter + 91][ycenter + 80] = true;
-			this.state[xcenter + 92][ycenter + 54] = true;
-			this.state[xcenter + 92][ycenter + 55] = true;
-			this.state[xcenter + 92][ycenter + 56] = true;
-			this.state[xcenter + 92][ycenter + 58] = true;
-			this.state[xcenter + 92][ycenter + 59] = true;
-			this.state[xcenter + 92][ycenter + 60] = true;
-			this.state[xcenter + 93][ycenter + 48] = true;
-			this.state[xcenter + 93][ycenter + 49] = true;
-			this.state[xcenter + 93][ycenter + 53] = true;
-			this.state[xcenter + 93][ycenter + 55] = true;
-			this.state[xcenter + 93][ycenter + 56] = true;
-			this.state[xcenter + 93][ycenter + 58] = true;
-			this.state[xcenter + 93][ycenter + 59] = true;
-			this.state[xcenter + 93][ycenter + 61] = true;
-			this.state[xcenter + 93][ycenter + 67] = true;
-			this.state[xcenter + 93][ycenter + 68] = true;
-			this.state[xcenter + 93][ycenter + 72] = true;
-			this.state[xcenter + 93][ycenter + 73] = true;
-			this.state[xcenter + 94][ycenter + 47] = true;
-			this.state[xcenter + 94][ycenter + 48] = true;
-			this.state[xcenter + 94][ycenter + 49] = true;
-			this.state[xcenter + 94][ycenter + 53] = true;
-			this.state[xcenter + 94][ycenter + 54] = true;
-			this.state[xcenter + 94][ycenter + 55] = true;
-			this.state[xcenter + 94][ycenter + 59] = true;
-			this.state[xcenter + 94][ycenter + 60] = true;
-			this.state[xcenter + 94][ycenter + 61] = true;
-			this.state[xcenter + 94][ycenter + 67] = true;
-			this.state[xcenter + 94][ycenter + 68] = true;
-			this.state[xcenter + 94][ycenter + 69] = true;
-			this.state[xcenter + 94][ycenter + 71] = true;
-			this.state[xcenter + 94][ycenter + 72] = true;
-			this.state[xcenter + 94][ycenter + 73] = true;
-			this.state[xcenter + 95][ycenter + 46] = true;
-			this.state[xcenter + 95][ycenter + 47] = true;
-			this.state[xcenter + 95][ycenter + 48] = true;
-			this.state[xcenter + 95][ycenter + 49] = true;
-			this.state[xcenter + 95][ycenter + 50] = true;
-			this.state[xcenter + 95][ycenter + 54] = true;
-			this.state[xcenter + 95][ycenter + 60] = true;
-			this.state[xcenter + 95][ycenter + 66] = true;
-			this.state[xcenter + 95][ycenter + 68] = true;
-			this.state[xcenter + 95][ycenter + 69] = true;
-			this.state[xcenter + 95][ycenter + 71] = true;
-			this.state[xcenter + 95][ycenter + 72] = true;
-			this.state[xcenter + 95][ycenter + 74] = true;
-			this.state[xcenter + 95][ycenter + 78] = true;
-			this.state[xcenter + 95][ycenter + 79] = true;
-			this.state[xcenter + 96][ycenter + 39] = true;
-			this.state[xcenter + 96][ycenter + 40] = true;
-			this.state[xcenter + 96][ycenter + 45] = true;
-			this.state[xcenter + 96][ycenter + 46] = true;
-			this.state[xcenter + 96][ycenter + 66] = true;
-			this.state[xcenter + 96][ycenter + 67] = true;
-			this.state[xcenter + 96][ycenter + 68] = true;
-			this.state[xcenter + 96][ycenter + 72] = true;
-			this.state[xcenter + 96][ycenter + 73] = true;
-			this.state[xcenter + 96][ycenter + 74] = true;
-			this.state[xcenter + 96][ycenter + 78] = true;
-			this.state[xcenter + 96][ycenter + 79] = true;
-			this.state[xcenter + 96][ycenter + 80] = true;
-			this.state[xcenter + 97][ycenter + 39] = true;
-			this.state[xcenter + 97][ycenter + 40] = true;
-			this.state[xcenter + 97][ycenter + 41] = true;
-			this.state[xcenter + 97][ycenter + 46] = true;
-			this.state[xcenter + 97][ycenter + 47] = true;
-			this.state[xcenter + 97][ycenter + 48] = true;
-			this.state[xcenter + 97][ycenter + 49] = true;
-			this.state[xcenter + 97][ycenter + 50] = true;
-			this.state[xcenter + 97][ycenter + 67] = true;
-			this.state[xcenter + 97][ycenter + 73] = true;
-			this.state[xcenter + 97][ycenter + 77] = true;
-			this.state[xcenter + 97][ycenter + 78] = true;
-			this.state[xcenter + 97][ycenter + 79] = true;
-			this.state[xcenter + 97][ycenter + 80] = true;
-			this.state[xcenter + 97][ycenter + 81] = true;
-			this.state[xcenter + 98][ycenter + 38] = true;
-			this.state[xcenter + 98][ycenter + 40] = true;
-			this.state[xcenter + 98][ycenter + 41] = true;
-			this.state[xcenter + 98][ycenter + 47] = true;
-			this.state[xcenter + 98][ycenter + 48] = true;
-			this.state[xcenter + 98][ycenter + 49] = true;
-			this.state[xcenter + 98][ycenter + 81] = true;
-			this.state[xcenter + 98][ycenter + 82] = true;
-			this.state[xcenter + 98][ycenter + 87] = true;
-			this.state[xcenter + 98][ycenter + 88] = true;
-			this.state[xcenter + 99][ycenter + 38] = true;
-			this.state[xcenter + 99][ycenter + 39] = true;
-			this.state[xcenter + 99][ycenter + 40] = true;
-			this.state[xcenter + 99][ycenter + 48] = true;
-			this.state[xcenter + 99][ycenter + 77] = true;
-			this.state[xcenter + 99][ycenter + 78] = true;
-			this.state[xcenter + 99][ycenter + 79] = true;
-			this.state[xcenter + 99][ycenter + 80] = true;
-			this.state[xcenter + 99][ycenter + 81] = true;
-			this.state[xcenter + 99][ycenter + 86] = true;
-			this.state[xcenter + 99][ycenter + 87] = true;
-			this.state[xcenter + 99][ycenter + 88] = true;
-			this.state[xcenter + 100][ycenter + 39] = true;
-			this.state[xcenter + 100][ycenter + 78] = true;
-			this.state[xcenter + 100][ycenter + 79] = true;
-			this.state[xcenter + 100][ycenter + 80] = true;
-			this.state[xcenter + 100][ycenter + 86] = true;
-			this.state[xcenter + 100][ycenter + 87] = true;
-			this.state[xcenter + 100][ycenter + 89] = true;
-			this.state[xcenter + 101][ycenter + 45] = true;
-			this.state[xcenter + 101][ycenter + 46] = true;
-			this.state[xcenter + 101][ycenter + 79] = true;
-			this.state[xcenter + 101][ycenter + 87] = true;
-			this.state[xcenter + 101][ycenter + 88] = true;
-			this.state[xcenter + 101][ycenter + 89] = true;
-			this.state[xcenter + 102][ycenter + 45] = true;
-			this.state[xcenter + 102][ycenter + 46] = true;
-			this.state[xcenter + 102][ycenter + 88] = true;
-			this.state[xcenter + 103][ycenter + 81] = true;
-			this.state[xcenter + 103][ycenter + 82] = true;
-			this.state[xcenter + 104][ycenter + 55] = true;
-			this.state[xcenter + 104][ycenter + 57] = true;
-			this.state[xcenter + 104][ycenter + 81] = true;
-			this.state[xcenter + 104][ycenter + 82] = true;
-			this.state[xcenter + 105][ycenter + 54] = true;
-			this.state[xcenter + 106][ycenter + 54] = true;
-			this.state[xcenter + 106][ycenter + 70] = true;
-			this.state[xcenter + 106][ycenter + 72] = true;
-			this.state[xcenter + 107][ycenter + 54] = true;
-			this.state[xcenter + 107][ycenter + 57] = true;
-			this.state[xcenter + 107][ycenter + 73] = true;
-			this.state[xcenter + 108][ycenter + 54] = true;
-			this.state[xcenter + 108][ycenter + 55] = true;
-			this.state[xcenter + 108][ycenter + 56] = true;
-			this.state[xcenter + 108][ycenter + 73] = true;
-			this.state[xcenter + 109][ycenter + 70] = true;
-			this.state[xcenter + 109][ycenter + 73] = true;
-			this.state[xcenter + 110][ycenter + 49] = true;
-			this.state[xcenter + 110][ycenter + 50] = true;
-			this.state[xcenter + 110][ycenter + 71] = true;
-			this.state[xcenter + 110][ycenter + 72] = true;
-			this.state[xcenter + 110][ycenter + 73] = true;
-			this.state[xcenter + 111][ycenter + 47] = true;
-			this.state[xcenter + 111][ycenter + 48] = true;
-			this.state[xcenter + 111][ycenter + 50] = true;
-			this.state[xcenter + 112][ycenter + 46] = true;
-			this.state[xcenter + 112][ycenter + 50] = true;
-			this.state[xcenter + 112][ycenter + 77] = true;
-			this.state[xcenter + 112][ycenter + 78] = true;
-			this.state[xcenter + 113][ycenter + 40] = true;
-			this.state[xcenter + 113][ycenter + 41] = true;
-			this.state[xcenter + 113][ycenter + 46] = true;
-			this.state[xcenter + 113][ycenter + 49] = true;
-			this.state[xcenter + 113][ycenter + 50] = true;
-			this.state[xcenter + 113][ycenter + 54] = true;
-			this.state[xcenter + 113][ycenter + 55] = true;
-			this.state[xcenter + 113][ycenter + 77] = true;
-			this.state[xcenter + 113][ycenter + 79] = true;
-			this.state[xcenter + 113][ycenter + 80] = true;
-			this.state[xcenter + 114][ycenter + 39] = true;
-			this.state[xcenter + 114][ycenter + 40] = true;
-			this.state[xcenter + 114][ycenter + 41] = true;
-			this.state[xcenter + 114][ycenter + 47] = true;
-			this.state[xcenter + 114][ycenter + 48] = true;
-			this.state[xcenter + 114][ycenter + 49] = true;
-			this.state[xcenter + 114][ycenter + 53] = true;
-			this.state[xcenter + 114][ycenter + 54] = true;
-			this.state[xcenter + 114][ycenter + 55] = true;
-			this.state[xcenter + 114][ycenter + 77] = true;
-			this.state[xcenter + 114][ycenter + 81] = true;
-			this.state[xcenter + 115][ycenter + 39] = true;
-			this.state[xcenter + 115][ycenter + 40] = true;
-			this.state[xcenter + 115][ycenter + 42] = true;
-			this.state[xcenter + 115][ycenter + 48] = true;
-			this.state[xcenter + 115][ycenter + 53] = true;
-			this.state[xcenter + 115][ycenter + 54] = true;
-			this.state[xcenter + 115][ycenter + 56] = true;
-			this.state[xcenter + 115][ycenter + 72] = true;
-			this.state[xcenter + 115][ycenter + 73] = true;
-			this.state[xcenter + 115][ycenter + 77] = true;
-			this.state[xcenter + 115][ycenter + 78] = true;
-			this.state[xcenter + 115][ycenter + 81] = true;
-			this.state[xcenter + 115][ycenter + 86] = true;
-			this.state[xcenter + 115][ycenter + 87] = true;
-			this.state[xcenter + 116][ycenter + 40] = true;
-			this.state[xcenter + 116][ycenter + 41] = true;
-			this.state[xcenter + 116][ycenter + 42] = true;
-			this.state[xcenter + 116][ycenter + 54] = true;
-			this.state[xcenter + 116][ycenter + 55] = true;
-			this.state[xcenter + 116][ycenter + 56] = true;
-			this.state[xcenter + 116][ycenter + 72] = true;
-			this.state[xcenter + 116][ycenter + 73] = true;
-			this.state[xcenter + 116][ycenter + 74] = true;
-			this.state[xcenter + 116][ycenter + 78] = true;
-			this.state[xcenter + 116][ycenter + 79] = true;
-			this.state[xcenter + 116][ycenter + 80] = true;
-			this.state[xcenter + 116][ycenter + 86] = true;
-			this.state[xcenter + 116][ycenter + 87] = true;
-			this.state[xcenter + 116][ycenter + 88] = true;
-			this.state[xcenter + 117][ycenter + 41] = true;
-			this.state[xcenter + 117][ycenter + 55] = true;
-			this.state[xcenter + 117][ycenter + 71] = true;
-			this.state[xcenter + 117][ycenter + 73] = true;
-			this.state[xcenter + 117][ycenter + 74] = true;
-			this.state[xcenter + 117][ycenter + 79] = true;
-			this.state[xcenter + 117][ycenter + 85] = true;
-			this.state[xcenter + 117][ycenter + 87] = true;
-			this.state[xcenter + 117][ycenter + 88] = true;
-			this.state[xcenter + 118][ycenter + 71] = true;
-			this.state[xcenter + 118][ycenter + 72] = true;
-			this.state[xcenter + 118][ycenter + 73] = true;
-			this.state[xcenter + 118][ycenter + 85] = true;
-			this.state[xcenter + 118][ycenter + 86] = true;
-			this.state[xcenter + 118][ycenter + 87] = true;
-			this.state[xcenter + 119][ycenter + 72] = true;
-			this.state[xcenter + 119][ycenter + 86] = true;
+			var xcenter = this.randomX(0.15);
+			var ycenter = this.randomY(0.1);
+			this.set(xcenter + 0, ycenter + 43);
+			this.set(xcenter + 1, ycenter + 41);
+			this.set(xcenter + 1, ycenter + 43);
+			this.set(xcenter + 2, ycenter + 42);
+			this.set(xcenter + 2, ycenter + 43);
+			this.set(xcenter + 3, ycenter + 84);
+			this.set(xcenter + 4, ycenter + 82);
+			this.set(xcenter + 4, ycenter + 83);
+			this.set(xcenter + 5, ycenter + 83);
+			this.set(xcenter + 5, ycenter + 84);
+			this.set(xcenter + 10, ycenter + 58);
+			this.set(xcenter + 10, ycenter + 59);
+			this.set(xcenter + 11, ycenter + 57);
+			this.set(xcenter + 11, ycenter + 59);
+			this.set(xcenter + 12, ycenter + 46);
+			this.set(xcenter + 12, ycenter + 47);
+			this.set(xcenter + 12, ycenter + 57);
+			this.set(xcenter + 12, ycenter + 58);
+			this.set(xcenter + 12, ycenter + 68);
+			this.set(xcenter + 12, ycenter + 69);
+			this.set(xcenter + 13, ycenter + 46);
+			this.set(xcenter + 13, ycenter + 47);
+			this.set(xcenter + 13, ycenter + 68);
+			this.set(xcenter + 13, ycenter + 70);
+			this.set(xcenter + 14, ycenter + 69);
+			this.set(xcenter + 14, ycenter + 70);
+			this.set(xcenter + 14, ycenter + 80);
+			this.set(xcenter + 14, ycenter + 81);
+			this.set(xcenter + 15, ycenter + 28);
+			this.set(xcenter + 15, ycenter + 80);
+			this.set(xcenter + 15, ycenter + 81);
+			this.set(xcenter + 16, ycenter + 26);
+			this.set(xcenter + 16, ycenter + 28);
+			this.set(xcenter + 17, ycenter + 15);
+			this.set(xcenter + 17, ycenter + 17);
+			this.set(xcenter + 17, ycenter + 27);
+			this.set(xcenter + 17, ycenter + 28);
+			this.set(xcenter + 18, ycenter + 14);
+			this.set(xcenter + 18, ycenter + 99);
+			this.set(xcenter + 19, ycenter + 14);
+			this.set(xcenter + 19, ycenter + 18);
+			this.set(xcenter + 19, ycenter + 97);
+			this.set(xcenter + 19, ycenter + 98);
+			this.set(xcenter + 20, ycenter + 14);
+			this.set(xcenter + 20, ycenter + 98);
+			this.set(xcenter + 20, ycenter + 99);
+			this.set(xcenter + 21, ycenter + 14);
+			this.set(xcenter + 21, ycenter + 17);
+			this.set(xcenter + 21, ycenter + 110);
+			this.set(xcenter + 21, ycenter + 112);
+			this.set(xcenter + 22, ycenter + 14);
+			this.set(xcenter + 22, ycenter + 15);
+			this.set(xcenter + 22, ycenter + 16);
+			this.set(xcenter + 22, ycenter + 113);
+			this.set(xcenter + 23, ycenter + 109);
+			this.set(xcenter + 23, ycenter + 113);
+			this.set(xcenter + 24, ycenter + 113);
+			this.set(xcenter + 25, ycenter + 18);
+			this.set(xcenter + 25, ycenter + 110);
+			this.set(xcenter + 25, ycenter + 113);
+			this.set(xcenter + 26, ycenter + 16);
+			this.set(xcenter + 26, ycenter + 18);
+			this.set(xcenter + 26, ycenter + 22);
+			this.set(xcenter + 26, ycenter + 111);
+			this.set(xcenter + 26, ycenter + 112);
+			this.set(xcenter + 26, ycenter + 113);
+			this.set(xcenter + 27, ycenter + 17);
+			this.set(xcenter + 27, ycenter + 18);
+			this.set(xcenter + 27, ycenter + 22);
+			this.set(xcenter + 28, ycenter + 43);
+			this.set(xcenter + 28, ycenter + 109);
+			this.set(xcenter + 29, ycenter + 43);
+			this.set(xcenter + 29, ycenter + 44);
+			this.set(xcenter + 29, ycenter + 107);
+			this.set(xcenter + 29, ycenter + 108);
+			this.set(xcenter + 30, ycenter + 13);
+			this.set(xcenter + 30, ycenter + 43);
+			this.set(xcenter + 30, ycenter + 44);
+			this.set(xcenter + 30, ycenter + 45);
+			this.set(xcenter + 30, ycenter + 84);
+			this.set(xcenter + 30, ycenter + 108);
+			this.set(xcenter + 30, ycenter + 109);
+			this.set(xcenter + 31, ycenter + 11);
+			this.set(xcenter + 31, ycenter + 13);
+			this.set(xcenter + 31, ycenter + 19);
+			this.set(xcenter + 31, ycenter + 20);
+			this.set(xcenter + 31, ycenter + 24);
+			this.set(xcenter + 31, ycenter + 25);
+			this.set(xcenter + 31, ycenter + 37);
+			this.set(xcenter + 31, ycenter + 45);
+			this.set(xcenter + 31, ycenter + 46);
+			this.set(xcenter + 31, ycenter + 83);
+			this.set(xcenter + 31, ycenter + 84);
+			this.set(xcenter + 32, ycenter + 12);
+			this.set(xcenter + 32, ycenter + 13);
+			this.set(xcenter + 32, ycenter + 36);
+			this.set(xcenter + 32, ycenter + 37);
+			this.set(xcenter + 32, ycenter + 38);
+			this.set(xcenter + 32, ycenter + 40);
+			this.set(xcenter + 32, ycenter + 44);
+			this.set(xcenter + 32, ycenter + 45);
+			this.set(xcenter + 32, ycenter + 82);
+			this.set(xcenter + 32, ycenter + 83);
+			this.set(xcenter + 32, ycenter + 84);
+			this.set(xcenter + 33, ycenter + 35);
+			this.set(xcenter + 33, ycenter + 36);
+			this.set(xcenter + 33, ycenter + 38);
+			this.set(xcenter + 33, ycenter + 39);
+			this.set(xcenter + 33, ycenter + 40);
+			this.set(xcenter + 33, ycenter + 41);
+			this.set(xcenter + 33, ycenter + 43);
+			this.set(xcenter + 33, ycenter + 44);
+			this.set(xcenter + 33, ycenter + 57);
+			this.set(xcenter + 33, ycenter + 58);
+			this.set(xcenter + 33, ycenter + 81);
+			this.set(xcenter + 33, ycenter + 82);
+			this.set(xcenter + 33, ycenter + 90);
+			this.set(xcenter + 33, ycenter + 114);
+			this.set(xcenter + 34, ycenter + 22);
+			this.set(xcenter + 34, ycenter + 29);
+			this.set(xcenter + 34, ycenter + 30);
+			this.set(xcenter + 34, ycenter + 36);
+			this.set(xcenter + 34, ycenter + 38);
+			this.set(xcenter + 34, ycenter + 39);
+			this.set(xcenter + 34, ycenter + 41);
+			this.set(xcenter + 34, ycenter + 42);
+			this.set(xcenter + 34, ycenter + 56);
+			this.set(xcenter + 34, ycenter + 59);
+			this.set(xcenter + 34, ycenter + 82);
+			this.set(xcenter + 34, ycenter + 83);
+			this.set(xcenter + 34, ycenter + 87);
+			this.set(xcenter + 34, ycenter + 89);
+			this.set(xcenter + 34, ycenter + 90);
+			this.set(xcenter + 34, ycenter + 91);
+			this.set(xcenter + 34, ycenter + 112);
+			this.set(xcenter + 34, ycenter + 113);
+			this.set(xcenter + 35, ycenter + 8);
+			this.set(xcenter + 35, ycenter + 21);
+			this.set(xcenter + 35, ycenter + 23);
+			this.set(xcenter + 35, ycenter + 28);
+			this.set(xcenter + 35, ycenter + 29);
+			this.set(xcenter + 35, ycenter + 30);
+			this.set(xcenter + 35, ycenter + 37);
+			this.set(xcenter + 35, ycenter + 38);
+			this.set(xcenter + 35, ycenter + 39);
+			this.set(xcenter + 35, ycenter + 41);
+			this.set(xcenter + 35, ycenter + 46);
+			this.set(xcenter + 35, ycenter + 57);
+			this.set(xcenter + 35, ycenter + 58);
+			this.set(xcenter + 35, ycenter + 69);
+			this.set(xcenter + 35, ycenter + 70);
+			this.set(xcenter + 35, ycenter + 83);
+			this.set(xcenter + 35, ycenter + 84);
+			this.set(xcenter + 35, ycenter + 86);
+			this.set(xcenter + 35, ycenter + 87);
+			this.set(xcenter + 35, ycenter + 88);
+			this.set(xcenter + 35, ycenter + 89);
+			this.set(xcenter + 35, ycenter + 91);
+			this.set(xcenter + 35, ycenter + 92);
+			this.set(xcenter + 35, ycenter + 105);
+			this.set(xcenter + 35, ycenter + 113);
+			this.set(xcenter + 35, ycenter + 114);
+			this.set(xcenter + 36, ycenter + 6);
+			this.set(xcenter + 36, ycenter + 8);
+			this.set(xcenter + 36, ycenter + 21);
+			this.set(xcenter + 36, ycenter + 23);
+			this.set(xcenter + 36, ycenter + 28);
+			this.set(xcenter + 36, ycenter + 29);
+			this.set(xcenter + 36, ycenter + 31);
+			this.set(xcenter + 36, ycenter + 38);
+			this.set(xcenter + 36, ycenter + 39);
+			this.set(xcenter + 36, ycenter + 45);
+			this.set(xcenter + 36, ycenter + 47);
+			this.set(xcenter + 36, ycenter + 68);
+			this.set(xcenter + 36, ycenter + 71);
+			this.set(xcenter + 36, ycenter + 85);
+			this.set(xcenter + 36, ycenter + 86);
+			this.set(xcenter + 36, ycenter + 88);
+			this.set(xcenter + 36, ycenter + 89);
+			this.set(xcenter + 36, ycenter + 91);
+			this.set(xcenter + 36, ycenter + 97);
+			this.set(xcenter + 36, ycenter + 98);
+			this.set(xcenter + 36, ycenter + 104);
+			this.set(xcenter + 36, ycenter + 105);
+			this.set(xcenter + 36, ycenter + 106);
+			this.set(xcenter + 37, ycenter + 7);
+			this.set(xcenter + 37, ycenter + 8);
+			this.set(xcenter + 37, ycenter + 22);
+			this.set(xcenter + 37, ycenter + 29);
+			this.set(xcenter + 37, ycenter + 30);
+			this.set(xcenter + 37, ycenter + 31);
+			this.set(xcenter + 37, ycenter + 45);
+			this.set(xcenter + 37, ycenter + 47);
+			this.set(xcenter + 37, ycenter + 48);
+			this.set(xcenter + 37, ycenter + 69);
+			this.set(xcenter + 37, ycenter + 70);
+			this.set(xcenter + 37, ycenter + 81);
+			this.set(xcenter + 37, ycenter + 86);
+			this.set(xcenter + 37, ycenter + 88);
+			this.set(xcenter + 37, ycenter + 89);
+			this.set(xcenter + 37, ycenter + 90);
+			this.set(xcenter + 37, ycenter + 97);
+			this.set(xcenter + 37, ycenter + 98);
+			this.set(xcenter + 37, ycenter + 99);
+			this.set(xcenter + 37, ycenter + 104);
+			this.set(xcenter + 37, ycenter + 105);
+			this.set(xcenter + 37, ycenter + 106);
+			this.set(xcenter + 38, ycenter + 22);
+			this.set(xcenter + 38, ycenter + 30);
+			this.set(xcenter + 38, ycenter + 46);
+			this.set(xcenter + 38, ycenter + 47);
+			this.set(xcenter + 38, ycenter + 80);
+			this.set(xcenter + 38, ycenter + 82);
+			this.set(xcenter + 38, ycenter + 88);
+			this.set(xcenter + 38, ycenter + 89);
+			this.set(xcenter + 38, ycenter + 96);
+			this.set(xcenter + 38, ycenter + 98);
+			this.set(xcenter + 38, ycenter + 99);
+			this.set(xcenter + 38, ycenter + 102);
+			this.set(xcenter + 38, ycenter + 104);
+			this.set(xcenter + 38, ycenter + 106);
+			this.set(xcenter + 38, ycenter + 108);
+			this.set(xcenter + 38, ycenter + 119);
+			this.set(xcenter + 39, ycenter + 21);
+			this.set(xcenter + 39, ycenter + 23);
+			this.set(xcenter + 39, ycenter + 79);
+			this.set(xcenter + 39, ycenter + 80);
+			this.set(xcenter + 39, ycenter + 82);
+			this.set(xcenter + 39, ycenter + 96);
+			this.set(xcenter + 39, ycenter + 97);
+			this.set(xcenter + 39, ycenter + 98);
+			this.set(xcenter + 39, ycenter + 103);
+			this.set(xcenter + 39, ycenter + 107);
+			this.set(xcenter + 39, ycenter + 117);
+			this.set(xcenter + 39, ycenter + 118);
+			this.set(xcenter + 40, ycenter + 20);
+			this.set(xcenter + 40, ycenter + 24);
+			this.set(xcenter + 40, ycenter + 58);
+			this.set(xcenter + 40, ycenter + 59);
+			this.set(xcenter + 40, ycenter + 80);
+			this.set(xcenter + 40, ycenter + 81);
+			this.set(xcenter + 40, ycenter + 97);
+			this.set(xcenter + 40, ycenter + 103);
+			this.set(xcenter + 40, ycenter + 107);
+			this.set(xcenter + 40, ycenter + 118);
+			this.set(xcenter + 40, ycenter + 119);
+			this.set(xcenter + 41, ycenter + 21);
+			this.set(xcenter + 41, ycenter + 23);
+			this.set(xcenter + 41, ycenter + 41);
+			this.set(xcenter + 41, ycenter + 47);
+			this.set(xcenter + 41, ycenter + 57);
+			this.set(xcenter + 41, ycenter + 59);
+			this.set(xcenter + 42, ycenter + 1);
+			this.set(xcenter + 42, ycenter + 3);
+			this.set(xcenter + 42, ycenter + 22);
+			this.set(xcenter + 42, ycenter + 41);
+			this.set(xcenter + 42, ycenter + 42);
+			this.set(xcenter + 42, ycenter + 47);
+			this.set(xcenter + 42, ycenter + 57);
+			this.set(xcenter + 42, ycenter + 58);
+			this.set(xcenter + 42, ycenter + 68);
+			this.set(xcenter + 42, ycenter + 69);
+			this.set(xcenter + 43, ycenter + 0);
+			this.set(xcenter + 43, ycenter + 40);
+			this.set(xcenter + 43, ycenter + 42);
+			this.set(xcenter + 43, ycenter + 47);
+			this.set(xcenter + 43, ycenter + 68);
+			this.set(xcenter + 43, ycenter + 70);
+			this.set(xcenter + 43, ycenter + 80);
+			this.set(xcenter + 43, ycenter + 86);
+			this.set(xcenter + 44, ycenter + 0);
+			this.set(xcenter + 44, ycenter + 19);
+			this.set(xcenter + 44, ycenter + 20);
+			this.set(xcenter + 44, ycenter + 24);
+			this.set(xcenter + 44, ycenter + 25);
+			this.set(xcenter + 44, ycenter + 69);
+			this.set(xcenter + 44, ycenter + 70);
+			this.set(xcenter + 44, ycenter + 80);
+			this.set(xcenter + 44, ycenter + 85);
+			this.set(xcenter + 44, ycenter + 86);
+			this.set(xcenter + 44, ycenter + 104);
+			this.set(xcenter + 44, ycenter + 105);
+			this.set(xcenter + 44, ycenter + 106);
+			this.set(xcenter + 45, ycenter + 0);
+			this.set(xcenter + 45, ycenter + 3);
+			this.set(xcenter + 45, ycenter + 10);
+			this.set(xcenter + 45, ycenter + 11);
+			this.set(xcenter + 45, ycenter + 12);
+			this.set(xcenter + 45, ycenter + 19);
+			this.set(xcenter + 45, ycenter + 20);
+			this.set(xcenter + 45, ycenter + 21);
+			this.set(xcenter + 45, ycenter + 23);
+			this.set(xcenter + 45, ycenter + 24);
+			this.set(xcenter + 45, ycenter + 25);
+			this.set(xcenter + 45, ycenter + 46);
+			this.set(xcenter + 45, ycenter + 48);
+			this.set(xcenter + 45, ycenter + 80);
+			this.set(xcenter + 45, ycenter + 85);
+			this.set(xcenter + 45, ycenter + 87);
+			this.set(xcenter + 45, ycenter + 104);
+			this.set(xcenter + 45, ycenter + 105);
+			this.set(xcenter + 45, ycenter + 106);
+			this.set(xcenter + 46, ycenter + 0);
+			this.set(xcenter + 46, ycenter + 1);
+			this.set(xcenter + 46, ycenter + 2);
+			this.set(xcenter + 46, ycenter + 10);
+			this.set(xcenter + 46, ycenter + 11);
+			this.set(xcenter + 46, ycenter + 12);
+			this.set(xcenter + 46, ycenter + 18);
+			this.set(xcenter + 46, ycenter + 20);
+			this.set(xcenter + 46, ycenter + 21);
+			this.set(xcenter + 46, ycenter + 23);
+			this.set(xcenter + 46, ycenter + 24);
+			this.set(xcenter + 46, ycenter + 26);
+			this.set(xcenter + 46, ycenter + 45);
+			this.set(xcenter + 46, ycenter + 46);
+			this.set(xcenter + 46, ycenter + 48);
+			this.set(xcenter + 46, ycenter + 49);
+			this.set(xcenter + 46, ycenter + 105);
+			this.set(xcenter + 46, ycenter + 116);
+			this.set(xcenter + 46, ycenter + 117);
+			this.set(xcenter + 47, ycenter + 9);
+			this.set(xcenter + 47, ycenter + 12);
+			this.set(xcenter + 47, ycenter + 13);
+			this.set(xcenter + 47, ycenter + 18);
+			this.set(xcenter + 47, ycenter + 19);
+			this.set(xcenter + 47, ycenter + 20);
+			this.set(xcenter + 47, ycenter + 24);
+			this.set(xcenter + 47, ycenter + 25);
+			this.set(xcenter + 47, ycenter + 26);
+			this.set(xcenter + 47, ycenter + 45);
+			this.set(xcenter + 47, ycenter + 49);
+			this.set(xcenter + 47, ycenter + 79);
+			this.set(xcenter + 47, ycenter + 81);
+			this.set(xcenter + 47, ycenter + 115);
+			this.set(xcenter + 47, ycenter + 116);
+			this.set(xcenter + 47, ycenter + 118);
+			this.set(xcenter + 47, ycenter + 119);
+			this.set(xcenter + 47, ycenter + 126);
+			this.set(xcenter + 47, ycenter + 127);
+			this.set(xcenter + 48, ycenter + 9);
+			this.set(xcenter + 48, ycenter + 12);
+			this.set(xcenter + 48, ycenter + 13);
+			this.set(xcenter + 48, ycenter + 19);
+			this.set(xcenter + 48, ycenter + 25);
+			this.set(xcenter + 48, ycenter + 78);
+			this.set(xcenter + 48, ycenter + 79);
+			this.set(xcenter + 48, ycenter + 81);
+			this.set(xcenter + 48, ycenter + 82);
+			this.set(xcenter + 48, ycenter + 102);
+			this.set(xcenter + 48, ycenter + 104);
+			this.set(xcenter + 48, ycenter + 106);
+			this.set(xcenter + 48, ycenter + 108);
+			this.set(xcenter + 48, ycenter + 115);
+			this.set(xcenter + 48, ycenter + 116);
+			this.set(xcenter + 48, ycenter + 118);
+			this.set(xcenter + 48, ycenter + 119);
+			this.set(xcenter + 48, ycenter + 126);
+			this.set(xcenter + 48, ycenter + 127);
+			this.set(xcenter + 48, ycenter + 128);
+			this.set(xcenter + 49, ycenter + 12);
+			this.set(xcenter + 49, ycenter + 78);
+			this.set(xcenter + 49, ycenter + 82);
+			this.set(xcenter + 49, ycenter + 101);
+			this.set(xcenter + 49, ycenter + 109);
+			this.set(xcenter + 49, ycenter + 115);
+			this.set(xcenter + 49, ycenter + 116);
+			this.set(xcenter + 49, ycenter + 118);
+			this.set(xcenter + 49, ycenter + 119);
+			this.set(xcenter + 49, ycenter + 125);
+			this.set(xcenter + 49, ycenter + 127);
+			this.set(xcenter + 49, ycenter + 128);
+			this.set(xcenter + 50, ycenter + 8);
+			this.set(xcenter + 50, ycenter + 47);
+			this.set(xcenter + 50, ycenter + 101);
+			this.set(xcenter + 50, ycenter + 109);
+			this.set(xcenter + 50, ycenter + 117);
+			this.set(xcenter + 50, ycenter + 125);
+			this.set(xcenter + 50, ycenter + 126);
+			this.set(xcenter + 50, ycenter + 127);
+			this.set(xcenter + 51, ycenter + 8);
+			this.set(xcenter + 51, ycenter + 11);
+			this.set(xcenter + 51, ycenter + 16);
+			this.set(xcenter + 51, ycenter + 17);
+			this.set(xcenter + 51, ycenter + 47);
+			this.set(xcenter + 51, ycenter + 101);
+			this.set(xcenter + 51, ycenter + 104);
+			this.set(xcenter + 51, ycenter + 106);
+			this.set(xcenter + 51, ycenter + 109);
+			this.set(xcenter + 51, ycenter + 126);
+			this.set(xcenter + 52, ycenter + 8);
+			this.set(xcenter + 52, ycenter + 10);
+			this.set(xcenter + 52, ycenter + 15);
+			this.set(xcenter + 52, ycenter + 16);
+			this.set(xcenter + 52, ycenter + 17);
+			this.set(xcenter + 52, ycenter + 46);
+			this.set(xcenter + 52, ycenter + 48);
+			this.set(xcenter + 52, ycenter + 80);
+			this.set(xcenter + 52, ycenter + 101);
+			this.set(xcenter + 52, ycenter + 102);
+			this.set(xcenter + 52, ycenter + 103);
+			this.set(xcenter + 52, ycenter + 107);
+			this.set(xcenter + 52, ycenter + 108);
+			this.set(xcenter + 52, ycenter + 109);
+			this.set(xcenter + 53, ycenter + 9);
+			this.set(xcenter + 53, ycenter + 10);
+			this.set(xcenter + 53, ycenter + 15);
+			this.set(xcenter + 53, ycenter + 16);
+			this.set(xcenter + 53, ycenter + 18);
+			this.set(xcenter + 53, ycenter + 46);
+			this.set(xcenter + 53, ycenter + 47);
+			this.set(xcenter + 53, ycenter + 48);
+			this.set(xcenter + 53, ycenter + 80);
+			this.set(xcenter + 53, ycenter + 119);
+			this.set(xcenter + 53, ycenter + 120);
+			this.set(xcenter + 54, ycenter + 8);
+			this.set(xcenter + 54, ycenter + 9);
+			this.set(xcenter + 54, ycenter + 10);
+			this.set(xcenter + 54, ycenter + 16);
+			this.set(xcenter + 54, ycenter + 17);
+			this.set(xcenter + 54, ycenter + 18);
+			this.set(xcenter + 54, ycenter + 46);
+			this.set(xcenter + 54, ycenter + 47);
+			this.set(xcenter + 54, ycenter + 48);
+			this.set(xcenter + 54, ycenter + 79);
+			this.set(xcenter + 54, ycenter + 81);
+			this.set(xcenter + 54, ycenter + 119);
+			this.set(xcenter + 54, ycenter + 120);
+			this.set(xcenter + 55, ycenter + 8);
+			this.set(xcenter + 55, ycenter + 9);
+			this.set(xcenter + 55, ycenter + 10);
+			this.set(xcenter + 55, ycenter + 17);
+			this.set(xcenter + 55, ycenter + 79);
+			this.set(xcenter + 55, ycenter + 80);
+			this.set(xcenter + 55, ycenter + 81);
+			this.set(xcenter + 55, ycenter + 110);
+			this.set(xcenter + 55, ycenter + 112);
+			this.set(xcenter + 56, ycenter + 7);
+			this.set(xcenter + 56, ycenter + 9);
+			this.set(xcenter + 56, ycenter + 10);
+			this.set(xcenter + 56, ycenter + 36);
+			this.set(xcenter + 56, ycenter + 42);
+			this.set(xcenter + 56, ycenter + 44);
+			this.set(xcenter + 56, ycenter + 50);
+			this.set(xcenter + 56, ycenter + 52);
+			this.set(xcenter + 56, ycenter + 79);
+			this.set(xcenter + 56, ycenter + 80);
+			this.set(xcenter + 56, ycenter + 81);
+			this.set(xcenter + 56, ycenter + 109);
+			this.set(xcenter + 57, ycenter + 11);
+			this.set(xcenter + 57, ycenter + 36);
+			this.set(xcenter + 57, ycenter + 37);
+			this.set(xcenter + 57, ycenter + 45);
+			this.set(xcenter + 57, ycenter + 49);
+			this.set(xcenter + 57, ycenter + 109);
+			this.set(xcenter + 58, ycenter + 7);
+			this.set(xcenter + 58, ycenter + 9);
+			this.set(xcenter + 58, ycenter + 12);
+			this.set(xcenter + 58, ycenter + 13);
+			this.set(xcenter + 58, ycenter + 35);
+			this.set(xcenter + 58, ycenter + 37);
+			this.set(xcenter + 58, ycenter + 45);
+			this.set(xcenter + 58, ycenter + 49);
+			this.set(xcenter + 58, ycenter + 75);
+			this.set(xcenter + 58, ycenter + 77);
+			this.set(xcenter + 58, ycenter + 83);
+			this.set(xcenter + 58, ycenter + 85);
+			this.set(xcenter + 58, ycenter + 91);
+			this.set(xcenter + 58, ycenter + 109);
+			this.set(xcenter + 58, ycenter + 112);
+			this.set(xcenter + 59, ycenter + 1);
+			this.set(xcenter + 59, ycenter + 3);
+			this.set(xcenter + 59, ycenter + 8);
+			this.set(xcenter + 59, ycenter + 12);
+			this.set(xcenter + 59, ycenter + 15);
+			this.set(xcenter + 59, ycenter + 17);
+			this.set(xcenter + 59, ycenter + 42);
+			this.set(xcenter + 59, ycenter + 45);
+			this.set(xcenter + 59, ycenter + 49);
+			this.set(xcenter + 59, ycenter + 52);
+			this.set(xcenter + 59, ycenter + 78);
+			this.set(xcenter + 59, ycenter + 82);
+			this.set(xcenter + 59, ycenter + 90);
+			this.set(xcenter + 59, ycenter + 91);
+			this.set(xcenter + 59, ycenter + 109);
+			this.set(xcenter + 59, ycenter + 110);
+			this.set(xcenter + 59, ycenter + 111);
+			this.set(xcenter + 60, ycenter + 4);
+			this.set(xcenter + 60, ycenter + 9);
+			this.set(xcenter + 60, ycenter + 12);
+			this.set(xcenter + 60, ycenter + 18);
+			this.set(xcenter + 60, ycenter + 43);
+			this.set(xcenter + 60, ycenter + 44);
+			this.set(xcenter + 60, ycenter + 45);
+			this.set(xcenter + 60, ycenter + 49);
+			this.set(xcenter + 60, ycenter + 50);
+			this.set(xcenter + 60, ycenter + 51);
+			this.set(xcenter + 60, ycenter + 78);
+			this.set(xcenter + 60, ycenter + 82);
+			this.set(xcenter + 60, ycenter + 90);
+			this.set(xcenter + 60, ycenter + 92);
+			this.set(xcenter + 61, ycenter + 4);
+			this.set(xcenter + 61, ycenter + 9);
+			this.set(xcenter + 61, ycenter + 10);
+			this.set(xcenter + 61, ycenter + 11);
+			this.set(xcenter + 61, ycenter + 18);
+			this.set(xcenter + 61, ycenter + 75);
+			this.set(xcenter + 61, ycenter + 78);
+			this.set(xcenter + 61, ycenter + 82);
+			this.set(xcenter + 61, ycenter + 85);
+			this.set(xcenter + 62, ycenter + 1);
+			this.set(xcenter + 62, ycenter + 4);
+			this.set(xcenter + 62, ycenter + 15);
+			this.set(xcenter + 62, ycenter + 18);
+			this.set(xcenter + 62, ycenter + 76);
+			this.set(xcenter + 62, ycenter + 77);
+			this.set(xcenter + 62, ycenter + 78);
+			this.set(xcenter + 62, ycenter + 82);
+			this.set(xcenter + 62, ycenter + 83);
+			this.set(xcenter + 62, ycenter + 84);
+			this.set(xcenter + 63, ycenter + 2);
+			this.set(xcenter + 63, ycenter + 3);
+			this.set(xcenter + 63, ycenter + 4);
+			this.set(xcenter + 63, ycenter + 16);
+			this.set(xcenter + 63, ycenter + 17);
+			this.set(xcenter + 63, ycenter + 18);
+			this.set(xcenter + 63, ycenter + 39);
+			this.set(xcenter + 63, ycenter + 41);
+			this.set(xcenter + 63, ycenter + 58);
+			this.set(xcenter + 63, ycenter + 115);
+			this.set(xcenter + 63, ycenter + 116);
+			this.set(xcenter + 63, ycenter + 117);
+			this.set(xcenter + 64, ycenter + 38);
+			this.set(xcenter + 64, ycenter + 58);
+			this.set(xcenter + 64, ycenter + 109);
+			this.set(xcenter + 64, ycenter + 110);
+			this.set(xcenter + 64, ycenter + 115);
+			this.set(xcenter + 64, ycenter + 118);
+			this.set(xcenter + 64, ycenter + 119);
+			this.set(xcenter + 64, ycenter + 123);
+			this.set(xcenter + 64, ycenter + 124);
+			this.set(xcenter + 65, ycenter + 38);
+			this.set(xcenter + 65, ycenter + 58);
+			this.set(xcenter + 65, ycenter + 69);
+			this.set(xcenter + 65, ycenter + 86);
+			this.set(xcenter + 65, ycenter + 88);
+			this.set(xcenter + 65, ycenter + 108);
+			this.set(xcenter + 65, ycenter + 109);
+			this.set(xcenter + 65, ycenter + 110);
+			this.set(xcenter + 65, ycenter + 116);
+			this.set(xcenter + 65, ycenter + 117);
+			this.set(xcenter + 65, ycenter + 118);
+			this.set(xcenter + 65, ycenter + 122);
+			this.set(xcenter + 65, ycenter + 123);
+			this.set(xcenter + 65, ycenter + 124);
+			this.set(xcenter + 66, ycenter + 38);
+			this.set(xcenter + 66, ycenter + 41);
+			this.set(xcenter + 66, ycenter + 49);
+			this.set(xcenter + 66, ycenter + 50);
+			this.set(xcenter + 66, ycenter + 69);
+			this.set(xcenter + 66, ycenter + 89);
+			this.set(xcenter + 66, ycenter + 108);
+			this.set(xcenter + 66, ycenter + 109);
+			this.set(xcenter + 66, ycenter + 111);
+			this.set(xcenter + 66, ycenter + 117);
+			this.set(xcenter + 66, ycenter + 122);
+			this.set(xcenter + 66, ycenter + 123);
+			this.set(xcenter + 66, ycenter + 125);
+			this.set(xcenter + 67, ycenter + 28);
+			this.set(xcenter + 67, ycenter + 29);
+			this.set(xcenter + 67, ycenter + 30);
+			this.set(xcenter + 67, ycenter + 38);
+			this.set(xcenter + 67, ycenter + 39);
+			this.set(xcenter + 67, ycenter + 40);
+			this.set(xcenter + 67, ycenter + 48);
+			this.set(xcenter + 67, ycenter + 49);
+			this.set(xcenter + 67, ycenter + 50);
+			this.set(xcenter + 67, ycenter + 69);
+			this.set(xcenter + 67, ycenter + 89);
+			this.set(xcenter + 67, ycenter + 109);
+			this.set(xcenter + 67, ycenter + 110);
+			this.set(xcenter + 67, ycenter + 111);
+			this.set(xcenter + 67, ycenter + 123);
+			this.set(xcenter + 67, ycenter + 124);
+			this.set(xcenter + 67, ycenter + 125);
+			this.set(xcenter + 68, ycenter + 28);
+			this.set(xcenter + 68, ycenter + 29);
+			this.set(xcenter + 68, ycenter + 30);
+			this.set(xcenter + 68, ycenter + 48);
+			this.set(xcenter + 68, ycenter + 49);
+			this.set(xcenter + 68, ycenter + 50);
+			this.set(xcenter + 68, ycenter + 56);
+			this.set(xcenter + 68, ycenter + 57);
+			this.set(xcenter + 68, ycenter + 77);
+			this.set(xcenter + 68, ycenter + 78);
+			this.set(xcenter + 68, ycenter + 86);
+			this.set(xcenter + 68, ycenter + 89);
+			this.set(xcenter + 68, ycenter + 110);
+			this.set(xcenter + 68, ycenter + 124);
+			this.set(xcenter + 69, ycenter + 27);
+			this.set(xcenter + 69, ycenter + 28);
+			this.set(xcenter + 69, ycenter + 31);
+			this.set(xcenter + 69, ycenter + 48);
+			this.set(xcenter + 69, ycenter + 49);
+			this.set(xcenter + 69, ycenter + 51);
+			this.set(xcenter + 69, ycenter + 55);
+			this.set(xcenter + 69, ycenter + 58);
+			this.set(xcenter + 69, ycenter + 77);
+			this.set(xcenter + 69, ycenter + 78);
+			this.set(xcenter + 69, ycenter + 79);
+			this.set(xcenter + 69, ycenter + 87);
+			this.set(xcenter + 69, ycenter + 88);
+			this.set(xcenter + 69, ycenter + 89);
+			this.set(xcenter + 69, ycenter + 97);
+			this.set(xcenter + 69, ycenter + 98);
+			this.set(xcenter + 69, ycenter + 99);
+			this.set(xcenter + 70, ycenter + 27);
+			this.set(xcenter + 70, ycenter + 28);
+			this.set(xcenter + 70, ycenter + 31);
+			this.set(xcenter + 70, ycenter + 49);
+			this.set(xcenter + 70, ycenter + 50);
+			this.set(xcenter + 70, ycenter + 51);
+			this.set(xcenter + 70, ycenter + 55);
+			this.set(xcenter + 70, ycenter + 57);
+			this.set(xcenter + 70, ycenter + 70);
+			this.set(xcenter + 70, ycenter + 71);
+			this.set(xcenter + 70, ycenter + 77);
+			this.set(xcenter + 70, ycenter + 78);
+			this.set(xcenter + 70, ycenter + 79);
+			this.set(xcenter + 70, ycenter + 97);
+			this.set(xcenter + 70, ycenter + 98);
+			this.set(xcenter + 70, ycenter + 99);
+			this.set(xcenter + 71, ycenter + 28);
+			this.set(xcenter + 71, ycenter + 50);
+			this.set(xcenter + 71, ycenter + 56);
+			this.set(xcenter + 71, ycenter + 69);
+			this.set(xcenter + 71, ycenter + 72);
+			this.set(xcenter + 71, ycenter + 76);
+			this.set(xcenter + 71, ycenter + 78);
+			this.set(xcenter + 71, ycenter + 79);
+			this.set(xcenter + 71, ycenter + 96);
+			this.set(xcenter + 71, ycenter + 99);
+			this.set(xcenter + 71, ycenter + 100);
+			this.set(xcenter + 72, ycenter + 32);
+			this.set(xcenter + 72, ycenter + 70);
+			this.set(xcenter + 72, ycenter + 72);
+			this.set(xcenter + 72, ycenter + 76);
+			this.set(xcenter + 72, ycenter + 77);
+			this.set(xcenter + 72, ycenter + 78);
+			this.set(xcenter + 72, ycenter + 96);
+			this.set(xcenter + 72, ycenter + 99);
+			this.set(xcenter + 72, ycenter + 100);
+			this.set(xcenter + 73, ycenter + 23);
+			this.set(xcenter + 73, ycenter + 24);
+			this.set(xcenter + 73, ycenter + 29);
+			this.set(xcenter + 73, ycenter + 32);
+			this.set(xcenter + 73, ycenter + 57);
+			this.set(xcenter + 73, ycenter + 71);
+			this.set(xcenter + 73, ycenter + 77);
+			this.set(xcenter + 73, ycenter + 99);
+			this.set(xcenter + 74, ycenter + 23);
+			this.set(xcenter + 74, ycenter + 24);
+			this.set(xcenter + 74, ycenter + 25);
+			this.set(xcenter + 74, ycenter + 30);
+			this.set(xcenter + 74, ycenter + 32);
+			this.set(xcenter + 74, ycenter + 57);
+			this.set(xcenter + 74, ycenter + 95);
+			this.set(xcenter + 75, ycenter + 22);
+			this.set(xcenter + 75, ycenter + 24);
+			this.set(xcenter + 75, ycenter + 25);
+			this.set(xcenter + 75, ycenter + 30);
+			this.set(xcenter + 75, ycenter + 31);
+			this.set(xcenter + 75, ycenter + 70);
+			this.set(xcenter + 75, ycenter + 95);
+			this.set(xcenter + 75, ycenter + 98);
+			this.set(xcenter + 75, ycenter + 103);
+			this.set(xcenter + 75, ycenter + 104);
+			this.set(xcenter + 76, ycenter + 22);
+			this.set(xcenter + 76, ycenter + 23);
+			this.set(xcenter + 76, ycenter + 24);
+			this.set(xcenter + 76, ycenter + 30);
+			this.set(xcenter + 76, ycenter + 31);
+			this.set(xcenter + 76, ycenter + 32);
+			this.set(xcenter + 76, ycenter + 70);
+			this.set(xcenter + 76, ycenter + 95);
+			this.set(xcenter + 76, ycenter + 97);
+			this.set(xcenter + 76, ycenter + 102);
+			this.set(xcenter + 76, ycenter + 103);
+			this.set(xcenter + 76, ycenter + 104);
+			this.set(xcenter + 77, ycenter + 23);
+			this.set(xcenter + 77, ycenter + 30);
+			this.set(xcenter + 77, ycenter + 31);
+			this.set(xcenter + 77, ycenter + 32);
+			this.set(xcenter + 77, ycenter + 96);
+			this.set(xcenter + 77, ycenter + 97);
+			this.set(xcenter + 77, ycenter + 102);
+			this.set(xcenter + 77, ycenter + 103);
+			this.set(xcenter + 77, ycenter + 105);
+			this.set(xcenter + 78, ycenter + 30);
+			this.set(xcenter + 78, ycenter + 31);
+			this.set(xcenter + 78, ycenter + 33);
+			this.set(xcenter + 78, ycenter + 54);
+			this.set(xcenter + 78, ycenter + 55);
+			this.set(xcenter + 78, ycenter + 59);
+			this.set(xcenter + 78, ycenter + 60);
+			this.set(xcenter + 78, ycenter + 95);
+			this.set(xcenter + 78, ycenter + 96);
+			this.set(xcenter + 78, ycenter + 97);
+			this.set(xcenter + 78, ycenter + 103);
+			this.set(xcenter + 78, ycenter + 104);
+			this.set(xcenter + 78, ycenter + 105);
+			this.set(xcenter + 79, ycenter + 29);
+			this.set(xcenter + 79, ycenter + 95);
+			this.set(xcenter + 79, ycenter + 96);
+			this.set(xcenter + 79, ycenter + 97);
+			this.set(xcenter + 79, ycenter + 104);
+			this.set(xcenter + 80, ycenter + 27);
+			this.set(xcenter + 80, ycenter + 28);
+			this.set(xcenter + 80, ycenter + 31);
+			this.set(xcenter + 80, ycenter + 33);
+			this.set(xcenter + 80, ycenter + 67);
+			this.set(xcenter + 80, ycenter + 68);
+			this.set(xcenter + 80, ycenter + 72);
+			this.set(xcenter + 80, ycenter + 73);
+			this.set(xcenter + 80, ycenter + 94);
+			this.set(xcenter + 80, ycenter + 96);
+			this.set(xcenter + 80, ycenter + 97);
+			this.set(xcenter + 81, ycenter + 23);
+			this.set(xcenter + 81, ycenter + 25);
+			this.set(xcenter + 81, ycenter + 28);
+			this.set(xcenter + 81, ycenter + 32);
+			this.set(xcenter + 81, ycenter + 37);
+			this.set(xcenter + 81, ycenter + 39);
+			this.set(xcenter + 81, ycenter + 57);
+			this.set(xcenter + 81, ycenter + 98);
+			this.set(xcenter + 82, ycenter + 22);
+			this.set(xcenter + 82, ycenter + 28);
+			this.set(xcenter + 82, ycenter + 31);
+			this.set(xcenter + 82, ycenter + 36);
+			this.set(xcenter + 82, ycenter + 51);
+			this.set(xcenter + 82, ycenter + 53);
+			this.set(xcenter + 82, ycenter + 56);
+			this.set(xcenter + 82, ycenter + 58);
+			this.set(xcenter + 82, ycenter + 94);
+			this.set(xcenter + 82, ycenter + 96);
+			this.set(xcenter + 82, ycenter + 99);
+			this.set(xcenter + 82, ycenter + 100);
+			this.set(xcenter + 83, ycenter + 22);
+			this.set(xcenter + 83, ycenter + 29);
+			this.set(xcenter + 83, ycenter + 30);
+			this.set(xcenter + 83, ycenter + 31);
+			this.set(xcenter + 83, ycenter + 36);
+			this.set(xcenter + 83, ycenter + 52);
+			this.set(xcenter + 83, ycenter + 53);
+			this.set(xcenter + 83, ycenter + 56);
+			this.set(xcenter + 83, ycenter + 58);
+			this.set(xcenter + 83, ycenter + 70);
+			this.set(xcenter + 83, ycenter + 88);
+			this.set(xcenter + 83, ycenter + 90);
+			this.set(xcenter + 83, ycenter + 95);
+			this.set(xcenter + 83, ycenter + 99);
+			this.set(xcenter + 83, ycenter + 102);
+			this.set(xcenter + 83, ycenter + 104);
+			this.set(xcenter + 84, ycenter + 22);
+			this.set(xcenter + 84, ycenter + 25);
+			this.set(xcenter + 84, ycenter + 36);
+			this.set(xcenter + 84, ycenter + 39);
+			this.set(xcenter + 84, ycenter + 52);
+			this.set(xcenter + 84, ycenter + 57);
+			this.set(xcenter + 84, ycenter + 69);
+			this.set(xcenter + 84, ycenter + 71);
+			this.set(xcenter + 84, ycenter + 74);
+			this.set(xcenter + 84, ycenter + 76);
+			this.set(xcenter + 84, ycenter + 91);
+			this.set(xcenter + 84, ycenter + 96);
+			this.set(xcenter + 84, ycenter + 99);
+			this.set(xcenter + 84, ycenter + 105);
+			this.set(xcenter + 85, ycenter + 22);
+			this.set(xcenter + 85, ycenter + 23);
+			this.set(xcenter + 85, ycenter + 24);
+			this.set(xcenter + 85, ycenter + 36);
+			this.set(xcenter + 85, ycenter + 37);
+			this.set(xcenter + 85, ycenter + 38);
+			this.set(xcenter + 85, ycenter + 57);
+			this.set(xcenter + 85, ycenter + 69);
+			this.set(xcenter + 85, ycenter + 71);
+			this.set(xcenter + 85, ycenter + 74);
+			this.set(xcenter + 85, ycenter + 75);
+			this.set(xcenter + 85, ycenter + 91);
+			this.set(xcenter + 85, ycenter + 96);
+			this.set(xcenter + 85, ycenter + 97);
+			this.set(xcenter + 85, ycenter + 98);
+			this.set(xcenter + 85, ycenter + 105);
+			this.set(xcenter + 86, ycenter + 56);
+			this.set(xcenter + 86, ycenter + 58);
+			this.set(xcenter + 86, ycenter + 70);
+			this.set(xcenter + 86, ycenter + 75);
+			this.set(xcenter + 86, ycenter + 88);
+			this.set(xcenter + 86, ycenter + 91);
+			this.set(xcenter + 86, ycenter + 102);
+			this.set(xcenter + 86, ycenter + 105);
+			this.set(xcenter + 87, ycenter + 46);
+			this.set(xcenter + 87, ycenter + 48);
+			this.set(xcenter + 87, ycenter + 55);
+			this.set(xcenter + 87, ycenter + 59);
+			this.set(xcenter + 87, ycenter + 70);
+			this.set(xcenter + 87, ycenter + 89);
+			this.set(xcenter + 87, ycenter + 90);
+			this.set(xcenter + 87, ycenter + 91);
+			this.set(xcenter + 87, ycenter + 103);
+			this.set(xcenter + 87, ycenter + 104);
+			this.set(xcenter + 87, ycenter + 105);
+			this.set(xcenter + 88, ycenter + 47);
+			this.set(xcenter + 88, ycenter + 48);
+			this.set(xcenter + 88, ycenter + 56);
+			this.set(xcenter + 88, ycenter + 58);
+			this.set(xcenter + 88, ycenter + 69);
+			this.set(xcenter + 88, ycenter + 71);
+			this.set(xcenter + 89, ycenter + 47);
+			this.set(xcenter + 89, ycenter + 57);
+			this.set(xcenter + 89, ycenter + 68);
+			this.set(xcenter + 89, ycenter + 72);
+			this.set(xcenter + 89, ycenter + 79);
+			this.set(xcenter + 89, ycenter + 81);
+			this.set(xcenter + 90, ycenter + 69);
+			this.set(xcenter + 90, ycenter + 71);
+			this.set(xcenter + 90, ycenter + 79);
+			this.set(xcenter + 90, ycenter + 80);
+			this.set(xcenter + 91, ycenter + 54);
+			this.set(xcenter + 91, ycenter + 55);
+			this.set(xcenter + 91, ycenter + 59);
+			this.set(xcenter + 91, ycenter + 60);
+			this.set(xcenter + 91, ycenter + 70);
+			this.set(xcenter + 91, ycenter + 80);
+			this.set(xcenter + 92, ycenter + 54);
+			this.set(xcenter + 92, ycenter + 55);
+			this.set(xcenter + 92, ycenter + 56);
+			this.set(xcenter + 92, ycenter + 58);
+			this.set(xcenter + 92, ycenter + 59);
+			this.set(xcenter + 92, ycenter + 60);
+			this.set(xcenter + 93, ycenter + 48);
+			this.set(xcenter + 93, ycenter + 49);
+			this.set(xcenter + 93, ycenter + 53);
+			this.set(xcenter + 93, ycenter + 55);
+			this.set(xcenter + 93, ycenter + 56);
+			this.set(xcenter + 93, ycenter + 58);
+			this.set(xcenter + 93, ycenter + 59);
+			this.set(xcenter + 93, ycenter + 61);
+			this.set(xcenter + 93, ycenter + 67);
+			this.set(xcenter + 93, ycenter + 68);
+			this.set(xcenter + 93, ycenter + 72);
+			this.set(xcenter + 93, ycenter + 73);
+			this.set(xcenter + 94, ycenter + 47);
+			this.set(xcenter + 94, ycenter + 48);
+			this.set(xcenter + 94, ycenter + 49);
+			this.set(xcenter + 94, ycenter + 53);
+			this.set(xcenter + 94, ycenter + 54);
+			this.set(xcenter + 94, ycenter + 55);
+			this.set(xcenter + 94, ycenter + 59);
+			this.set(xcenter + 94, ycenter + 60);
+			this.set(xcenter + 94, ycenter + 61);
+			this.set(xcenter + 94, ycenter + 67);
+			this.set(xcenter + 94, ycenter + 68);
+			this.set(xcenter + 94, ycenter + 69);
+			this.set(xcenter + 94, ycenter + 71);
+			this.set(xcenter + 94, ycenter + 72);
+			this.set(xcenter + 94, ycenter + 73);
+			this.set(xcenter + 95, ycenter + 46);
+			this.set(xcenter + 95, ycenter + 47);
+			this.set(xcenter + 95, ycenter + 48);
+			this.set(xcenter + 95, ycenter + 49);
+			this.set(xcenter + 95, ycenter + 50);
+			this.set(xcenter + 95, ycenter + 54);
+			this.set(xcenter + 95, ycenter + 60);
+			this.set(xcenter + 95, ycenter + 66);
+			this.set(xcenter + 95, ycenter + 68);
+			this.set(xcenter + 95, ycenter + 69);
+			this.set(xcenter + 95, ycenter + 71);
+			this.set(xcenter + 95, ycenter + 72);
+			this.set(xcenter + 95, ycenter + 74);
+			this.set(xcenter + 95, ycenter + 78);
+			this.set(xcenter + 95, ycenter + 79);
+			this.set(xcenter + 96, ycenter + 39);
+			this.set(xcenter + 96, ycenter + 40);
+			this.set(xcenter + 96, ycenter + 45);
+			this.set(xcenter + 96, ycenter + 46);
+			this.set(xcenter + 96, ycenter + 66);
+			this.set(xcenter + 96, ycenter + 67);
+			this.set(xcenter + 96, ycenter + 68);
+			this.set(xcenter + 96, ycenter + 72);
+			this.set(xcenter + 96, ycenter + 73);
+			this.set(xcenter + 96, ycenter + 74);
+			this.set(xcenter + 96, ycenter + 78);
+			this.set(xcenter + 96, ycenter + 79);
+			this.set(xcenter + 96, ycenter + 80);
+			this.set(xcenter + 97, ycenter + 39);
+			this.set(xcenter + 97, ycenter + 40);
+			this.set(xcenter + 97, ycenter + 41);
+			this.set(xcenter + 97, ycenter + 46);
+			this.set(xcenter + 97, ycenter + 47);
+			this.set(xcenter + 97, ycenter + 48);
+			this.set(xcenter + 97, ycenter + 49);
+			this.set(xcenter + 97, ycenter + 50);
+			this.set(xcenter + 97, ycenter + 67);
+			this.set(xcenter + 97, ycenter + 73);
+			this.set(xcenter + 97, ycenter + 77);
+			this.set(xcenter + 97, ycenter + 78);
+			this.set(xcenter + 97, ycenter + 79);
+			this.set(xcenter + 97, ycenter + 80);
+			this.set(xcenter + 97, ycenter + 81);
+			this.set(xcenter + 98, ycenter + 38);
+			this.set(xcenter + 98, ycenter + 40);
+			this.set(xcenter + 98, ycenter + 41);
+			this.set(xcenter + 98, ycenter + 47);
+			this.set(xcenter + 98, ycenter + 48);
+			this.set(xcenter + 98, ycenter + 49);
+			this.set(xcenter + 98, ycenter + 81);
+			this.set(xcenter + 98, ycenter + 82);
+			this.set(xcenter + 98, ycenter + 87);
+			this.set(xcenter + 98, ycenter + 88);
+			this.set(xcenter + 99, ycenter + 38);
+			this.set(xcenter + 99, ycenter + 39);
+			this.set(xcenter + 99, ycenter + 40);
+			this.set(xcenter + 99, ycenter + 48);
+			this.set(xcenter + 99, ycenter + 77);
+			this.set(xcenter + 99, ycenter + 78);
+			this.set(xcenter + 99, ycenter + 79);
+			this.set(xcenter + 99, ycenter + 80);
+			this.set(xcenter + 99, ycenter + 81);
+			this.set(xcenter + 99, ycenter + 86);
+			this.set(xcenter + 99, ycenter + 87);
+			this.set(xcenter + 99, ycenter + 88);
+			this.set(xcenter + 100, ycenter + 39);
+			this.set(xcenter + 100, ycenter + 78);
+			this.set(xcenter + 100, ycenter + 79);
+			this.set(xcenter + 100, ycenter + 80);
+			this.set(xcenter + 100, ycenter + 86);
+			this.set(xcenter + 100, ycenter + 87);
+			this.set(xcenter + 100, ycenter + 89);
+			this.set(xcenter + 101, ycenter + 45);
+			this.set(xcenter + 101, ycenter + 46);
+			this.set(xcenter + 101, ycenter + 79);
+			this.set(xcenter + 101, ycenter + 87);
+			this.set(xcenter + 101, ycenter + 88);
+			this.set(xcenter + 101, ycenter + 89);
+			this.set(xcenter + 102, ycenter + 45);
+			this.set(xcenter + 102, ycenter + 46);
+			this.set(xcenter + 102, ycenter + 88);
+			this.set(xcenter + 103, ycenter + 81);
+			this.set(xcenter + 103, ycenter + 82);
+			this.set(xcenter + 104, ycenter + 55);
+			this.set(xcenter + 104, ycenter + 57);
+			this.set(xcenter + 104, ycenter + 81);
+			this.set(xcenter + 104, ycenter + 82);
+			this.set(xcenter + 105, ycenter + 54);
+			this.set(xcenter + 106, ycenter + 54);
+			this.set(xcenter + 106, ycenter + 70);
+			this.set(xcenter + 106, ycenter + 72);
+			this.set(xcenter + 107, ycenter + 54);
+			this.set(xcenter + 107, ycenter + 57);
+			this.set(xcenter + 107, ycenter + 73);
+			this.set(xcenter + 108, ycenter + 54);
+			this.set(xcenter + 108, ycenter + 55);
+			this.set(xcenter + 108, ycenter + 56);
+			this.set(xcenter + 108, ycenter + 73);
+			this.set(xcenter + 109, ycenter + 70);
+			this.set(xcenter + 109, ycenter + 73);
+			this.set(xcenter + 110, ycenter + 49);
+			this.set(xcenter + 110, ycenter + 50);
+			this.set(xcenter + 110, ycenter + 71);
+			this.set(xcenter + 110, ycenter + 72);
+			this.set(xcenter + 110, ycenter + 73);
+			this.set(xcenter + 111, ycenter + 47);
+			this.set(xcenter + 111, ycenter + 48);
+			this.set(xcenter + 111, ycenter + 50);
+			this.set(xcenter + 112, ycenter + 46);
+			this.set(xcenter + 112, ycenter + 50);
+			this.set(xcenter + 112, ycenter + 77);
+			this.set(xcenter + 112, ycenter + 78);
+			this.set(xcenter + 113, ycenter + 40);
+			this.set(xcenter + 113, ycenter + 41);
+			this.set(xcenter + 113, ycenter + 46);
+			this.set(xcenter + 113, ycenter + 49);
+			this.set(xcenter + 113, ycenter + 50);
+			this.set(xcenter + 113, ycenter + 54);
+			this.set(xcenter + 113, ycenter + 55);
+			this.set(xcenter + 113, ycenter + 77);
+			this.set(xcenter + 113, ycenter + 79);
+			this.set(xcenter + 113, ycenter + 80);
+			this.set(xcenter + 114, ycenter + 39);
+			this.set(xcenter + 114, ycenter + 40);
+			this.set(xcenter + 114, ycenter + 41);
+			this.set(xcenter + 114, ycenter + 47);
+			this.set(xcenter + 114, ycenter + 48);
+			this.set(xcenter + 114, ycenter + 49);
+			this.set(xcenter + 114, ycenter + 53);
+			this.set(xcenter + 114, ycenter + 54);
+			this.set(xcenter + 114, ycenter + 55);
+			this.set(xcenter + 114, ycenter + 77);
+			this.set(xcenter + 114, ycenter + 81);
+			this.set(xcenter + 115, ycenter + 39);
+			this.set(xcenter + 115, ycenter + 40);
+			this.set(xcenter + 115, ycenter + 42);
+			this.set(xcenter + 115, ycenter + 48);
+			this.set(xcenter + 115, ycenter + 53);
+			this.set(xcenter + 115, ycenter + 54);
+			this.set(xcenter + 115, ycenter + 56);
+			this.set(xcenter + 115, ycenter + 72);
+			this.set(xcenter + 115, ycenter + 73);
+			this.set(xcenter + 115, ycenter + 77);
+			this.set(xcenter + 115, ycenter + 78);
+			this.set(xcenter + 115, ycenter + 81);
+			this.set(xcenter + 115, ycenter + 86);
+			this.set(xcenter + 115, ycenter + 87);
+			this.set(xcenter + 116, ycenter + 40);
+			this.set(xcenter + 116, ycenter + 41);
+			this.set(xcenter + 116, ycenter + 42);
+			this.set(xcenter + 116, ycenter + 54);
+			this.set(xcenter + 116, ycenter + 55);
+			this.set(xcenter + 116, ycenter + 56);
+			this.set(xcenter + 116, ycenter + 72);
+			this.set(xcenter + 116, ycenter + 73);
+			this.set(xcenter + 116, ycenter + 74);
+			this.set(xcenter + 116, ycenter + 78);
+			this.set(xcenter + 116, ycenter + 79);
+			this.set(xcenter + 116, ycenter + 80);
+			this.set(xcenter + 116, ycenter + 86);
+			this.set(xcenter + 116, ycenter + 87);
+			this.set(xcenter + 116, ycenter + 88);
+			this.set(xcenter + 117, ycenter + 41);
+			this.set(xcenter + 117, ycenter + 55);
+			this.set(xcenter + 117, ycenter + 71);
+			this.set(xcenter + 117, ycenter + 73);
+			this.set(xcenter + 117, ycenter + 74);
+			this.set(xcenter + 117, ycenter + 79);
+			this.set(xcenter + 117, ycenter + 85);
+			this.set(xcenter + 117, ycenter + 87);
+			this.set(xcenter + 117, ycenter + 88);
+			this.set(xcenter + 118, ycenter + 71);
+			this.set(xcenter + 118, ycenter + 72);
+			this.set(xcenter + 118, ycenter + 73);
+			this.set(xcenter + 118, ycenter + 85);
+			this.set(xcenter + 118, ycenter + 86);
+			this.set(xcenter + 118, ycenter + 87);
+			this.set(xcenter + 119, ycenter + 72);
+			this.set(xcenter + 119, ycenter + 86);
 		}
 		// drop cordership.
 		this.cordership = function() {
-			var xcenter = Math.floor(Math.random() * (this.width * 0.7 + 1) + this.width * 0.15);
-			var ycenter = Math.floor(Math.random() * (this.height * 0.8 + 1) + this.height * 0.1);
-			this.state[xcenter + -88][ycenter + -4] = true;
-			this.state[xcenter + -88][ycenter + -3] = true;
-			this.state[xcenter + -87][ycenter + -4] = true;
-			this.state[xcenter + -87][ycenter + -3] = true;
-			this.state[xcenter + -86][ycenter + -4] = true;
-			this.state[xcenter + -86][ycenter + -3] = true;
-			this.state[xcenter + -85][ycenter + -4] = true;
-			this.state[xcenter + -85][ycenter + -3] = true;
-			this.state[xcenter + -84][ycenter + 0] = true;
-			this.state[xcenter + -84][ycenter + 1] = true;
-			this.state[xcenter + -84][ycenter + 12] = true;
-			this.state[xcenter + -84][ycenter + 13] = true;
-			this.state[xcenter + -83][ycenter + 0] = true;
-			this.state[xcenter + -83][ycenter + 1] = true;
-			this.state[xcenter + -83][ycenter + 12] = true;
-			this.state[xcenter + -83][ycenter + 13] = true;
-			this.state[xcenter + -82][ycenter + -2] = true;
-			this.state[xcenter + -82][ycenter + -1] = true;
-			this.state[xcenter + -82][ycenter + 12] = true;
-			this.state[xcenter + -82][ycenter + 13] = true;
-			this.state[xcenter + -82][ycenter + 16] = true;
-			this.state[xcenter + -82][ycenter + 17] = true;
-			this.state[xcenter + -81][ycenter + -2] = true;
-			this.state[xcenter + -81][ycenter + -1] = true;
-			this.state[xcenter + -81][ycenter + 12] = true;
-			this.state[xcenter + -81][ycenter + 13] = true;
-			this.state[xcenter + -81][ycenter + 16] = true;
-			this.state[xcenter + -81][ycenter + 17] = true;
-			this.state[xcenter + -80][ycenter + -4] = true;
-			this.state[xcenter + -80][ycenter + -3] = true;
-			this.state[xcenter + -80][ycenter + 4] = true;
-			this.state[xcenter + -80][ycenter + 5] = true;
-			this.state[xcenter + -80][ycenter + 10] = true;
-			this.state[xcenter + -80][ycenter + 11] = true;
-			this.state[xcenter + -79][ycenter + -4] = true;
-			this.state[xcenter + -79][ycenter + -3] = true;
-			this.state[xcenter + -79][ycenter + 4] = true;
-			this.state[xcenter + -79][ycenter + 5] = true;
-			this.state[xcenter + -79][ycenter + 10] = true;
-			this.state[xcenter + -79][ycenter + 11] = true;
-			this.state[xcenter + -78][ycenter + -2] = true;
-			this.state[xcenter + -78][ycenter + -1] = true;
-			this.state[xcenter + -78][ycenter + 4] = true;
-			this.state[xcenter + -78][ycenter + 5] = true;
-			this.state[xcenter + -78][ycenter + 8] = true;
-			this.state[xcenter + -78][ycenter + 9] = true;
-			this.state[xcenter + -78][ycenter + 12] = true;
-			this.state[xcenter + -78][ycenter + 13] = true;
-			this.state[xcenter + -78][ycenter + 14] = true;
-			this.state[xcenter + -78][ycenter + 15] = true;
-			this.state[xcenter + -77][ycenter + -2] = true;
-			this.state[xcenter + -77][ycenter + -1] = true;
-			this.state[xcenter + -77][ycenter + 4] = true;
-			this.state[xcenter + -77][ycenter + 5] = true;
-			this.state[xcenter + -77][ycenter + 8] = true;
-			this.state[xcenter + -77][ycenter + 9] = true;
-			this.state[xcenter + -77][ycenter + 12] = true;
-			this.state[xcenter + -77][ycenter + 13] = true;
-			this.state[xcenter + -77][ycenter + 14] = true;
-			this.state[xcenter + -77][ycenter + 15] = true;
-			this.state[xcenter + -76][ycenter + 8] = true;
-			this.state[xcenter + -76][ycenter + 9] = true;
-			this.state[xcenter + -76][ycenter + 12] = true;
-			this.state[xcenter + -76][ycenter + 13] = true;
-			this.state[xcenter + -76][ycenter + 14] = true;
-			this.state[xcenter + -76][ycenter + 15] = true;
-			this.state[xcenter + -75][ycenter + 8] = true;
-			this.state[xcenter + -75][ycenter + 9] = true;
-			this.state[xcenter + -75][ycenter + 12] = true;
-			this.state[xcenter + -75][ycenter + 13] = true;
-			this.state[xcenter + -75][ycenter + 14] = true;
-			this.state[xcenter + -75][ycenter + 15] = true;
-			this.state[xcenter + -74][ycenter + 36] = true;
-			this.state[xcenter + -74][ycenter + 37] = true;
-			this.state[xcenter + -74][ycenter + 38] = true;
-			this.state[xcenter + -74][ycenter + 39] = true;
-			this.state[xcenter + -73][ycenter + 36] = true;
-			this.state[xcenter + -73][ycenter + 37] = true;
-			this.state[xcenter + -73][ycenter + 38] = true;
-			this.state[xcenter + -73][ycenter + 39] = true;
-			this.state[xcenter + -72][ycenter + 36] = true;
-			this.state[xcenter + -72][ycenter + 37] = true;
-			this.state[xcenter + -72][ycenter + 38] = true;
-			this.state[xcenter + -72][ycenter + 39] = true;
-			this.state[xcenter + -71][ycenter + 36] = true;
-			this.state[xcenter + -71][ycenter + 37] = true;
-			this.state[xcenter + -71][ycenter + 38] = true;
-			this.state[xcenter + -71][ycenter + 39] = true;
-			this.state[xcenter + -58][ycenter + 52] = true;
-			this.state[xcenter + -58][ycenter + 53] = true;
-			this.state[xcenter + -58][ycenter + 54] = true;
-			this.state[xcenter + -58][ycenter + 55] = true;
-			this.state[xcenter + -57][ycenter + 52] = true;
-			this.state[xcenter + -57][ycenter + 53] = true;
-			this.state[xcenter + -57][ycenter + 54] = true;
-			this.state[xcenter + -57][ycenter + 55] = true;
-			this.state[xcenter + -56][ycenter + -36] = true;
-			this.state[xcenter + -56][ycenter + -35] = true;
-			this.state[xcenter + -56][ycenter + -34] = true;
-			this.state[xcenter + -56][ycenter + -33] = true;
-			this.state[xcenter + -56][ycenter + -28] = true;
-			this.state[xcenter + -56][ycenter + -27] = true;
-			this.state[xcenter + -56][ycenter + 52] = true;
-			this.state[xcenter + -56][ycenter + 53] = true;
-			this.state[xcenter + -56][ycenter + 54] = true;
-			this.state[xcenter + -56][ycenter + 55] = true;
-			this.state[xcenter + -55][ycenter + -36] = true;
-			this.state[xcenter + -55][ycenter + -35] = true;
-			this.state[xcenter + -55][ycenter + -34] = true;
-			this.state[xcenter + -55][ycenter + -33] = true;
-			this.state[xcenter + -55][ycenter + -28] = true;
-			this.state[xcenter + -55][ycenter + -27] = true;
-			this.state[xcenter + -55][ycenter + 52] = true;
-			this.state[xcenter + -55][ycenter + 53] = true;
-			this.state[xcenter + -55][ycenter + 54] = true;
-			this.state[xcenter + -55][ycenter + 55] = true;
-			this.state[xcenter + -54][ycenter + -30] = true;
-			this.state[xcenter + -54][ycenter + -29] = true;
-			this.state[xcenter + -54][ycenter + -26] = true;
-			this.state[xcenter + -54][ycenter + -25] = true;
-			this.state[xcenter + -53][ycenter + -30] = true;
-			this.state[xcenter + -53][ycenter + -29] = true;
-			this.state[xcenter + -53][ycenter + -26] = true;
-			this.state[xcenter + -53][ycenter + -25] = true;
-			this.state[xcenter + -52][ycenter + -32] = true;
-			this.state[xcenter + -52][ycenter + -31] = true;
-			this.state[xcenter + -51][ycenter + -32] = true;
-			this.state[xcenter + -51][ycenter + -31] = true;
-			this.state[xcenter + -48][ycenter + -28] = true;
-			this.state[xcenter + -48][ycenter + -27] = true;
-			this.state[xcenter + -48][ycenter + -26] = true;
-			this.state[xcenter + -48][ycenter + -25] = true;
-			this.state[xcenter + -47][ycenter + -28] = true;
-			this.state[xcenter + -47][ycenter + -27] = true;
-			this.state[xcenter + -47][ycenter + -26] = true;
-			this.state[xcenter + -47][ycenter + -25] = true;
-			this.state[xcenter + -44][ycenter + -26] = true;
-			this.state[xcenter + -44][ycenter + -25] = true;
-			this.state[xcenter + -44][ycenter + -24] = true;
-			this.state[xcenter + -44][ycenter + -23] = true;
-			this.state[xcenter + -43][ycenter + -26] = true;
-			this.state[xcenter + -43][ycenter + -25] = true;
-			this.state[xcenter + -43][ycenter + -24] = true;
-			this.state[xcenter + -43][ycenter + -23] = true;
-			this.state[xcenter + -42][ycenter + -28] = true;
-			this.state[xcenter + -42][ycenter + -27] = true;
-			this.state[xcenter + -42][ycenter + 68] = true;
-			this.state[xcenter + -42][ycenter + 69] = true;
-			this.state[xcenter + -42][ycenter + 70] = true;
-			this.state[xcenter + -42][ycenter + 71] = true;
-			this.state[xcenter + -41][ycenter + -28] = true;
-			this.state[xcenter + -41][ycenter + -27] = true;
-			this.state[xcenter + -41][ycenter + 68] = true;
-			this.state[xcenter + -41][ycenter + 69] = true;
-			this.state[xcenter + -41][ycenter + 70] = true;
-			this.state[xcenter + -41][ycenter + 71] = true;
-			this.state[xcenter + -40][ycenter + -32] = true;
-			this.state[xcenter + -40][ycenter + -31] = true;
-			this.state[xcenter + -40][ycenter + -30] = true;
-			this.state[xcenter + -40][ycenter + -29] = true;
-			this.state[xcenter + -40][ycenter + -26] = true;
-			this.state[xcenter + -40][ycenter + -25] = true;
-			this.state[xcenter + -40][ycenter + -24] = true;
-			this.state[xcenter + -40][ycenter + -23] = true;
-			this.state[xcenter + -40][ycenter + 68] = true;
-			this.state[xcenter + -40][ycenter + 69] = true;
-			this.state[xcenter + -40][ycenter + 70] = true;
-			this.state[xcenter + -40][ycenter + 71] = true;
-			this.state[xcenter + -39][ycenter + -32] = true;
-			this.state[xcenter + -39][ycenter + -31] = true;
-			this.state[xcenter + -39][ycenter + -30] = true;
-			this.state[xcenter + -39][ycenter + -29] = true;
-			this.state[xcenter + -39][ycenter + -26] = true;
-			this.state[xcenter + -39][ycenter + -25] = true;
-			this.state[xcenter + -39][ycenter + -24] = true;
-			this.state[xcenter + -39][ycenter + -23] = true;
-			this.state[xcenter + -39][ycenter + 68] = true;
-			this.state[xcenter + -39][ycenter + 69] = true;
-			this.state[xcenter + -39][ycenter + 70] = true;
-			this.state[xcenter + -39][ycenter + 71] = true;
-			this.state[xcenter + -38][ycenter + -26] = true;
-			this.state[xcenter + -38][ycenter + -25] = true;
-			this.state[xcenter + -38][ycenter + -24] = true;
-			this.state[xcenter + -38][ycenter + -23] = true;
-			this.state[xcenter + -37][ycenter + -26] = true;
-			this.state[xcenter + -37][ycenter + -25] = true;
-			this.state[xcenter + -37][ycenter + -24] = true;
-			this.state[xcenter + -37][ycenter + -23] = true;
-			this.state[xcenter + -36][ycenter + -56] = true;
-			this.state[xcenter + -36][ycenter + -55] = true;
-			this.state[xcenter + -36][ycenter + -30] = true;
-			this.state[xcenter + -36][ycenter + -29] = true;
-			this.state[xcenter + -35][ycenter + -56] = true;
-			this.state[xcenter + -35][ycenter + -55] = true;
-			this.state[xcenter + -35][ycenter + -30] = true;
-			this.state[xcenter + -35][ycenter + -29] = true;
-			this.state[xcenter + -34][ycenter + -56] = true;
-			this.state[xcenter + -34][ycenter + -55] = true;
-			this.state[xcenter + -34][ycenter + -10] = true;
-			this.state[xcenter + -34][ycenter + -9] = true;
-			this.state[xcenter + -34][ycenter + -8] = true;
-			this.state[xcenter + -34][ycenter + -7] = true;
-			this.state[xcenter + -34][ycenter + -6] = true;
-			this.state[xcenter + -34][ycenter + -5] = true;
-			this.state[xcenter + -33][ycenter + -56] = true;
-			this.state[xcenter + -33][ycenter + -55] = true;
-			this.state[xcenter + -33][ycenter + -10] = true;
-			this.state[xcenter + -33][ycenter + -9] = true;
-			this.state[xcenter + -33][ycenter + -8] = true;
-			this.state[xcenter + -33][ycenter + -7] = true;
-			this.state[xcenter + -33][ycenter + -6] = true;
-			this.state[xcenter + -33][ycenter + -5] = true;
-			this.state[xcenter + -32][ycenter + -52] = true;
-			this.state[xcenter + -32][ycenter + -51] = true;
-			this.state[xcenter + -32][ycenter + -40] = true;
-			this.state[xcenter + -32][ycenter + -39] = true;
-			this.state[xcenter + -32][ycenter + -12] = true;
-			this.state[xcenter + -32][ycenter + -11] = true;
-			this.state[xcenter + -31][ycenter + -52] = true;
-			this.state[xcenter + -31][ycenter + -51] = true;
-			this.state[xcenter + -31][ycenter + -40] = true;
-			this.state[xcenter + -31][ycenter + -39] = true;
-			this.state[xcenter + -31][ycenter + -12] = true;
-			this.state[xcenter + -31][ycenter + -11] = true;
-			this.state[xcenter + -30][ycenter + -54] = true;
-			this.state[xcenter + -30][ycenter + -53] = true;
-			this.state[xcenter + -30][ycenter + -40] = true;
-			this.state[xcenter + -30][ycenter + -39] = true;
-			this.state[xcenter + -30][ycenter + -36] = true;
-			this.state[xcenter + -30][ycenter + -35] = true;
-			this.state[xcenter + -30][ycenter + -14] = true;
-			this.state[xcenter + -30][ycenter + -13] = true;
-			this.state[xcenter + -30][ycenter + -4] = true;
-			this.state[xcenter + -30][ycenter + -3] = true;
-			this.state[xcenter + -30][ycenter + -2] = true;
-			this.state[xcenter + -30][ycenter + -1] = true;
-			this.state[xcenter + -29][ycenter + -54] = true;
-			this.state[xcenter + -29][ycenter + -53] = true;
-			this.state[xcenter + -29][ycenter + -40] = true;
-			this.state[xcenter + -29][ycenter + -39] = true;
-			this.state[xcenter + -29][ycenter + -36] = true;
-			this.state[xcenter + -29][ycenter + -35] = true;
-			this.state[xcenter + -29][ycenter + -14] = true;
-			this.state[xcenter + -29][ycenter + -13] = true;
-			this.state[xcenter + -29][ycenter + -4] = true;
-			this.state[xcenter + -29][ycenter + -3] = true;
-			this.state[xcenter + -29][ycenter + -2] = true;
-			this.state[xcenter + -29][ycenter + -1] = true;
-			this.state[xcenter + -28][ycenter + -56] = true;
-			this.state[xcenter + -28][ycenter + -55] = true;
-			this.state[xcenter + -28][ycenter + -48] = true;
-			this.state[xcenter + -28][ycenter + -47] = true;
-			this.state[xcenter + -28][ycenter + -42] = true;
-			this.state[xcenter + -28][ycenter + -41] = true;
-			this.state[xcenter + -28][ycenter + -16] = true;
-			this.state[xcenter + -28][ycenter + -15] = true;
-			this.state[xcenter + -28][ycenter + -8] = true;
-			this.state[xcenter + -28][ycenter + -7] = true;
-			this.state[xcenter + -27][ycenter + -56] = true;
-			this.state[xcenter + -27][ycenter + -55] = true;
-			this.state[xcenter + -27][ycenter + -48] = true;
-			this.state[xcenter + -27][ycenter + -47] = true;
-			this.state[xcenter + -27][ycenter + -42] = true;
-			this.state[xcenter + -27][ycenter + -41] = true;
-			this.state[xcenter + -27][ycenter + -16] = true;
-			this.state[xcenter + -27][ycenter + -15] = true;
-			this.state[xcenter + -27][ycenter + -8] = true;
-			this.state[xcenter + -27][ycenter + -7] = true;
-			this.state[xcenter + -26][ycenter + -54] = true;
-			this.state[xcenter + -26][ycenter + -53] = true;
-			this.state[xcenter + -26][ycenter + -48] = true;
-			this.state[xcenter + -26][ycenter + -47] = true;
-			this.state[xcenter + -26][ycenter + -44] = true;
-			this.state[xcenter + -26][ycenter + -43] = true;
-			this.state[xcenter + -26][ycenter + -40] = true;
-			this.state[xcenter + -26][ycenter + -39] = true;
-			this.state[xcenter + -26][ycenter + -38] = true;
-			this.state[xcenter + -26][ycenter + -37] = true;
-			this.state[xcenter + -26][ycenter + -16] = true;
-			this.state[xcenter + -26][ycenter + -15] = true;
-			this.state[xcenter + -26][ycenter + -10] = true;
-			this.state[xcenter + -26][ycenter + -9] = true;
-			this.state[xcenter + -26][ycenter + 0] = true;
-			this.state[xcenter + -26][ycenter + 1] = true;
-			this.state[xcenter + -26][ycenter + 84] = true;
-			this.state[xcenter + -26][ycenter + 85] = true;
-			this.state[xcenter + -26][ycenter + 86] = true;
-			this.state[xcenter + -26][ycenter + 87] = true;
-			this.state[xcenter + -25][ycenter + -54] = true;
-			this.state[xcenter + -25][ycenter + -53] = true;
-			this.state[xcenter + -25][ycenter + -48] = true;
-			this.state[xcenter + -25][ycenter + -47] = true;
-			this.state[xcenter + -25][ycenter + -44] = true;
-			this.state[xcenter + -25][ycenter + -43] = true;
-			this.state[xcenter + -25][ycenter + -40] = true;
-			this.state[xcenter + -25][ycenter + -39] = true;
-			this.state[xcenter + -25][ycenter + -38] = true;
-			this.state[xcenter + -25][ycenter + -37] = true;
-			this.state[xcenter + -25][ycenter + -16] = true;
-			this.state[xcenter + -25][ycenter + -15] = true;
-			this.state[xcenter + -25][ycenter + -10] = true;
-			this.state[xcenter + -25][ycenter + -9] = true;
-			this.state[xcenter + -25][ycenter + 0] = true;
-			this.state[xcenter + -25][ycenter + 1] = true;
-			this.state[xcenter + -25][ycenter + 84] = true;
-			this.state[xcenter + -25][ycenter + 85] = true;
-			this.state[xcenter + -25][ycenter + 86] = true;
-			this.state[xcenter + -25][ycenter + 87] = true;
-			this.state[xcenter + -24][ycenter + -44] = true;
-			this.state[xcenter + -24][ycenter + -43] = true;
-			this.state[xcenter + -24][ycenter + -40] = true;
-			this.state[xcenter + -24][ycenter + -39] = true;
-			this.state[xcenter + -24][ycenter + -38] = true;
-			this.state[xcenter + -24][ycenter + -37] = true;
-			this.state[xcenter + -24][ycenter + -16] = true;
-			this.state[xcenter + -24][ycenter + -15] = true;
-			this.state[xcenter + -24][ycenter + -8] = true;
-			this.state[xcenter + -24][ycenter + -7] = true;
-			this.state[xcenter + -24][ycenter + 0] = true;
-			this.state[xcenter + -24][ycenter + 1] = true;
-			this.state[xcenter + -24][ycenter + 66] = true;
-			this.state[xcenter + -24][ycenter + 67] = true;
-			this.state[xcenter + -24][ycenter + 84] = true;
-			this.state[xcenter + -24][ycenter + 85] = true;
-			this.state[xcenter + -24][ycenter + 86] = true;
-			this.state[xcenter + -24][ycenter + 87] = true;
-			this.state[xcenter + -23][ycenter + -44] = true;
-			this.state[xcenter + -23][ycenter + -43] = true;
-			this.state[xcenter + -23][ycenter + -40] = true;
-			this.state[xcenter + -23][ycenter + -39] = true;
-			this.state[xcenter + -23][ycenter + -38] = true;
-			this.state[xcenter + -23][ycenter + -37] = true;
-			this.state[xcenter + -23][ycenter + -16] = true;
-			this.state[xcenter + -23][ycenter + -15] = true;
-			this.state[xcenter + -23][ycenter + -8] = true;
-			this.state[xcenter + -23][ycenter + -7] = true;
-			this.state[xcenter + -23][ycenter + 0] = true;
-			this.state[xcenter + -23][ycenter + 1] = true;
-			this.state[xcenter + -23][ycenter + 66] = true;
-			this.state[xcenter + -23][ycenter + 67] = true;
-			this.state[xcenter + -23][ycenter + 84] = true;
-			this.state[xcenter + -23][ycenter + 85] = true;
-			this.state[xcenter + -23][ycenter + 86] = true;
-			this.state[xcenter + -23][ycenter + 87] = true;
-			this.state[xcenter + -22][ycenter + -14] = true;
-			this.state[xcenter + -22][ycenter + -13] = true;
-			this.state[xcenter + -22][ycenter + -12] = true;
-			this.state[xcenter + -22][ycenter + -11] = true;
-			this.state[xcenter + -22][ycenter + -8] = true;
-			this.state[xcenter + -22][ycenter + -7] = true;
-			this.state[xcenter + -22][ycenter + -4] = true;
-			this.state[xcenter + -22][ycenter + -3] = true;
-			this.state[xcenter + -22][ycenter + -2] = true;
-			this.state[xcenter + -22][ycenter + -1] = true;
-			this.state[xcenter + -22][ycenter + 0] = true;
-			this.state[xcenter + -22][ycenter + 1] = true;
-			this.state[xcenter + -22][ycenter + 64] = true;
-			this.state[xcenter + -22][ycenter + 65] = true;
-			this.state[xcenter + -22][ycenter + 68] = true;
-			this.state[xcenter + -22][ycenter + 69] = true;
-			this.state[xcenter + -21][ycenter + -14] = true;
-			this.state[xcenter + -21][ycenter + -13] = true;
-			this.state[xcenter + -21][ycenter + -12] = true;
-			this.state[xcenter + -21][ycenter + -11] = true;
-			this.state[xcenter + -21][ycenter + -8] = true;
-			this.state[xcenter + -21][ycenter + -7] = true;
-			this.state[xcenter + -21][ycenter + -4] = true;
-			this.state[xcenter + -21][ycenter + -3] = true;
-			this.state[xcenter + -21][ycenter + -2] = true;
-			this.state[xcenter + -21][ycenter + -1] = true;
-			this.state[xcenter + -21][ycenter + 0] = true;
-			this.state[xcenter + -21][ycenter + 1] = true;
-			this.state[xcenter + -21][ycenter + 64] = true;
-			this.state[xcenter + -21][ycenter + 65] = true;
-			this.state[xcenter + -21][ycenter + 68] = true;
-			this.state[xcenter + -21][ycenter + 69] = true;
-			this.state[xcenter + -20][ycenter + -8] = true;
-			this.state[xcenter + -20][ycenter + -7] = true;
-			this.state[xcenter + -19][ycenter + -8] = true;
-			this.state[xcenter + -19][ycenter + -7] = true;
-			this.state[xcenter + -18][ycenter + -6] = true;
-			this.state[xcenter + -18][ycenter + -5] = true;
-			this.state[xcenter + -18][ycenter + -4] = true;
-			this.state[xcenter + -18][ycenter + -3] = true;
-			this.state[xcenter + -18][ycenter + -2] = true;
-			this.state[xcenter + -18][ycenter + -1] = true;
-			this.state[xcenter + -18][ycenter + 0] = true;
-			this.state[xcenter + -18][ycenter + 1] = true;
-			this.state[xcenter + -18][ycenter + 64] = true;
-			this.state[xcenter + -18][ycenter + 65] = true;
-			this.state[xcenter + -18][ycenter + 70] = true;
-			this.state[xcenter + -18][ycenter + 71] = true;
-			this.state[xcenter + -17][ycenter + -6] = true;
-			this.state[xcenter + -17][ycenter + -5] = true;
-			this.state[xcenter + -17][ycenter + -4] = true;
-			this.state[xcenter + -17][ycenter + -3] = true;
-			this.state[xcenter + -17][ycenter + -2] = true;
-			this.state[xcenter + -17][ycenter + -1] = true;
-			this.state[xcenter + -17][ycenter + 0] = true;
-			this.state[xcenter + -17][ycenter + 1] = true;
-			this.state[xcenter + -17][ycenter + 64] = true;
-			this.state[xcenter + -17][ycenter + 65] = true;
-			this.state[xcenter + -17][ycenter + 70] = true;
-			this.state[xcenter + -17][ycenter + 71] = true;
-			this.state[xcenter + -16][ycenter + -28] = true;
-			this.state[xcenter + -16][ycenter + -27] = true;
-			this.state[xcenter + -16][ycenter + -26] = true;
-			this.state[xcenter + -16][ycenter + -25] = true;
-			this.state[xcenter + -16][ycenter + -24] = true;
-			this.state[xcenter + -16][ycenter + -23] = true;
-			this.state[xcenter + -16][ycenter + -2] = true;
-			this.state[xcenter + -16][ycenter + -1] = true;
-			this.state[xcenter + -16][ycenter + 0] = true;
-			this.state[xcenter + -16][ycenter + 1] = true;
-			this.state[xcenter + -16][ycenter + 68] = true;
-			this.state[xcenter + -16][ycenter + 69] = true;
-			this.state[xcenter + -16][ycenter + 70] = true;
-			this.state[xcenter + -16][ycenter + 71] = true;
-			this.state[xcenter + -15][ycenter + -28] = true;
-			this.state[xcenter + -15][ycenter + -27] = true;
-			this.state[xcenter + -15][ycenter + -26] = true;
-			this.state[xcenter + -15][ycenter + -25] = true;
-			this.state[xcenter + -15][ycenter + -24] = true;
-			this.state[xcenter + -15][ycenter + -23] = true;
-			this.state[xcenter + -15][ycenter + -2] = true;
-			this.state[xcenter + -15][ycenter + -1] = true;
-			this.state[xcenter + -15][ycenter + 0] = true;
-			this.state[xcenter + -15][ycenter + 1] = true;
-			this.state[xcenter + -15][ycenter + 68] = true;
-			this.state[xcenter + -15][ycenter + 69] = true;
-			this.state[xcenter + -15][ycenter + 70] = true;
-			this.state[xcenter + -15][ycenter + 71] = true;
-			this.state[xcenter + -14][ycenter + -30] = true;
-			this.state[xcenter + -14][ycenter + -29] = true;
-			this.state[xcenter + -14][ycenter + -22] = true;
-			this.state[xcenter + -14][ycenter + -21] = true;
-			this.state[xcenter + -14][ycenter + 70] = true;
-			this.state[xcenter + -14][ycenter + 71] = true;
-			this.state[xcenter + -13][ycenter + -30] = true;
-			this.state[xcenter + -13][ycenter + -29] = true;
-			this.state[xcenter + -13][ycenter + -22] = true;
-			this.state[xcenter + -13][ycenter + -21] = true;
-			this.state[xcenter + -13][ycenter + 70] = true;
-			this.state[xcenter + -13][ycenter + 71] = true;
-			this.state[xcenter + -12][ycenter + -32] = true;
-			this.state[xcenter + -12][ycenter + -31] = true;
-			this.state[xcenter + -12][ycenter + -22] = true;
-			this.state[xcenter + -12][ycenter + -21] = true;
-			this.state[xcenter + -11][ycenter + -32] = true;
-			this.state[xcenter + -11][ycenter + -31] = true;
-			this.state[xcenter + -11][ycenter + -22] = true;
-			this.state[xcenter + -11][ycenter + -21] = true;
-			this.state[xcenter + -10][ycenter + -34] = true;
-			this.state[xcenter + -10][ycenter + -33] = true;
-			this.state[xcenter + -10][ycenter + -26] = true;
-			this.state[xcenter + -10][ycenter + -25] = true;
-			this.state[xcenter + -9][ycenter + -34] = true;
-			this.state[xcenter + -9][ycenter + -33] = true;
-			this.state[xcenter + -9][ycenter + -26] = true;
-			this.state[xcenter + -9][ycenter + -25] = true;
-			this.state[xcenter + -8][ycenter + -34] = true;
-			this.state[xcenter + -8][ycenter + -33] = true;
-			this.state[xcenter + -8][ycenter + -28] = true;
-			this.state[xcenter + -8][ycenter + -27] = true;
-			this.state[xcenter + -8][ycenter + -24] = true;
-			this.state[xcenter + -8][ycenter + -23] = true;
-			this.state[xcenter + -8][ycenter + -22] = true;
-			this.state[xcenter + -8][ycenter + -21] = true;
-			this.state[xcenter + -8][ycenter + -20] = true;
-			this.state[xcenter + -8][ycenter + -19] = true;
-			this.state[xcenter + -7][ycenter + -34] = true;
-			this.state[xcenter + -7][ycenter + -33] = true;
-			this.state[xcenter + -7][ycenter + -28] = true;
-			this.state[xcenter + -7][ycenter + -27] = true;
-			this.state[xcenter + -7][ycenter + -24] = true;
-			this.state[xcenter + -7][ycenter + -23] = true;
-			this.state[xcenter + -7][ycenter + -22] = true;
-			this.state[xcenter + -7][ycenter + -21] = true;
-			this.state[xcenter + -7][ycenter + -20] = true;
-			this.state[xcenter + -7][ycenter + -19] = true;
-			this.state[xcenter + -6][ycenter + -34] = true;
-			this.state[xcenter + -6][ycenter + -33] = true;
-			this.state[xcenter + -6][ycenter + -18] = true;
-			this.state[xcenter + -6][ycenter + -17] = true;
-			this.state[xcenter + -5][ycenter + -34] = true;
-			this.state[xcenter + -5][ycenter + -33] = true;
-			this.state[xcenter + -5][ycenter + -18] = true;
-			this.state[xcenter + -5][ycenter + -17] = true;
-			this.state[xcenter + -4][ycenter + -88] = true;
-			this.state[xcenter + -4][ycenter + -87] = true;
-			this.state[xcenter + -4][ycenter + -86] = true;
-			this.state[xcenter + -4][ycenter + -85] = true;
-			this.state[xcenter + -4][ycenter + -80] = true;
-			this.state[xcenter + -4][ycenter + -79] = true;
-			this.state[xcenter + -4][ycenter + -30] = true;
-			this.state[xcenter + -4][ycenter + -29] = true;
-			this.state[xcenter + -4][ycenter + -22] = true;
-			this.state[xcenter + -4][ycenter + -21] = true;
-			this.state[xcenter + -4][ycenter + -18] = true;
-			this.state[xcenter + -4][ycenter + -17] = true;
-			this.state[xcenter + -4][ycenter + 64] = true;
-			this.state[xcenter + -4][ycenter + 65] = true;
-			this.state[xcenter + -4][ycenter + 66] = true;
-			this.state[xcenter + -4][ycenter + 67] = true;
-			this.state[xcenter + -3][ycenter + -88] = true;
-			this.state[xcenter + -3][ycenter + -87] = true;
-			this.state[xcenter + -3][ycenter + -86] = true;
-			this.state[xcenter + -3][ycenter + -85] = true;
-			this.state[xcenter + -3][ycenter + -80] = true;
-			this.state[xcenter + -3][ycenter + -79] = true;
-			this.state[xcenter + -3][ycenter + -30] = true;
-			this.state[xcenter + -3][ycenter + -29] = true;
-			this.state[xcenter + -3][ycenter + -22] = true;
-			this.state[xcenter + -3][ycenter + -21] = true;
-			this.state[xcenter + -3][ycenter + -18] = true;
-			this.state[xcenter + -3][ycenter + -17] = true;
-			this.state[xcenter + -3][ycenter + 64] = true;
-			this.state[xcenter + -3][ycenter + 65] = true;
-			this.state[xcenter + -3][ycenter + 66] = true;
-			this.state[xcenter + -3][ycenter + 67] = true;
-			this.state[xcenter + -2][ycenter + -82] = true;
-			this.state[xcenter + -2][ycenter + -81] = true;
-			this.state[xcenter + -2][ycenter + -78] = true;
-			this.state[xcenter + -2][ycenter + -77] = true;
-			this.state[xcenter + -2][ycenter + -30] = true;
-			this.state[xcenter + -2][ycenter + -29] = true;
-			this.state[xcenter + -2][ycenter + -22] = true;
-			this.state[xcenter + -2][ycenter + -21] = true;
-			this.state[xcenter + -2][ycenter + -18] = true;
-			this.state[xcenter + -2][ycenter + -17] = true;
-			this.state[xcenter + -2][ycenter + -16] = true;
-			this.state[xcenter + -2][ycenter + -15] = true;
-			this.state[xcenter + -2][ycenter + 68] = true;
-			this.state[xcenter + -2][ycenter + 69] = true;
-			this.state[xcenter + -1][ycenter + -82] = true;
-			this.state[xcenter + -1][ycenter + -81] = true;
-			this.state[xcenter + -1][ycenter + -78] = true;
-			this.state[xcenter + -1][ycenter + -77] = true;
-			this.state[xcenter + -1][ycenter + -30] = true;
-			this.state[xcenter + -1][ycenter + -29] = true;
-			this.state[xcenter + -1][ycenter + -22] = true;
-			this.state[xcenter + -1][ycenter + -21] = true;
-			this.state[xcenter + -1][ycenter + -18] = true;
-			this.state[xcenter + -1][ycenter + -17] = true;
-			this.state[xcenter + -1][ycenter + -16] = true;
-			this.state[xcenter + -1][ycenter + -15] = true;
-			this.state[xcenter + -1][ycenter + 68] = true;
-			this.state[xcenter + -1][ycenter + 69] = true;
-			this.state[xcenter + 0][ycenter + -84] = true;
-			this.state[xcenter + 0][ycenter + -83] = true;
-			this.state[xcenter + 0][ycenter + -26] = true;
-			this.state[xcenter + 0][ycenter + -25] = true;
-			this.state[xcenter + 0][ycenter + -24] = true;
-			this.state[xcenter + 0][ycenter + -23] = true;
-			this.state[xcenter + 0][ycenter + -22] = true;
-			this.state[xcenter + 0][ycenter + -21] = true;
-			this.state[xcenter + 0][ycenter + -18] = true;
-			this.state[xcenter + 0][ycenter + -17] = true;
-			this.state[xcenter + 0][ycenter + -16] = true;
-			this.state[xcenter + 0][ycenter + -15] = true;
-			this.state[xcenter + 0][ycenter + 64] = true;
-			this.state[xcenter + 0][ycenter + 65] = true;
-			this.state[xcenter + 0][ycenter + 66] = true;
-			this.state[xcenter + 0][ycenter + 67] = true;
-			this.state[xcenter + 1][ycenter + -84] = true;
-			this.state[xcenter + 1][ycenter + -83] = true;
-			this.state[xcenter + 1][ycenter + -26] = true;
-			this.state[xcenter + 1][ycenter + -25] = true;
-			this.state[xcenter + 1][ycenter + -24] = true;
-			this.state[xcenter + 1][ycenter + -23] = true;
-			this.state[xcenter + 1][ycenter + -22] = true;
-			this.state[xcenter + 1][ycenter + -21] = true;
-			this.state[xcenter + 1][ycenter + -18] = true;
-			this.state[xcenter + 1][ycenter + -17] = true;
-			this.state[xcenter + 1][ycenter + -16] = true;
-			this.state[xcenter + 1][ycenter + -15] = true;
-			this.state[xcenter + 1][ycenter + 64] = true;
-			this.state[xcenter + 1][ycenter + 65] = true;
-			this.state[xcenter + 1][ycenter + 66] = true;
-			this.state[xcenter + 1][ycenter + 67] = true;
-			this.state[xcenter + 4][ycenter + -80] = true;
-			this.state[xcenter + 4][ycenter + -79] = true;
-			this.state[xcenter + 4][ycenter + -78] = true;
-			this.state[xcenter + 4][ycenter + -77] = true;
-			this.state[xcenter + 5][ycenter + -80] = true;
-			this.state[xcenter + 5][ycenter + -79] = true;
-			this.state[xcenter + 5][ycenter + -78] = true;
-			this.state[xcenter + 5][ycenter + -77] = true;
-			this.state[xcenter + 8][ycenter + -78] = true;
-			this.state[xcenter + 8][ycenter + -77] = true;
-			this.state[xcenter + 8][ycenter + -76] = true;
-			this.state[xcenter + 8][ycenter + -75] = true;
-			this.state[xcenter + 9][ycenter + -78] = true;
-			this.state[xcenter + 9][ycenter + -77] = true;
-			this.state[xcenter + 9][ycenter + -76] = true;
-			this.state[xcenter + 9][ycenter + -75] = true;
-			this.state[xcenter + 10][ycenter + -80] = true;
-			this.state[xcenter + 10][ycenter + -79] = true;
-			this.state[xcenter + 11][ycenter + -80] = true;
-			this.state[xcenter + 11][ycenter + -79] = true;
-			this.state[xcenter + 12][ycenter + -84] = true;
-			this.state[xcenter + 12][ycenter + -83] = true;
-			this.state[xcenter + 12][ycenter + -82] = true;
-			this.state[xcenter + 12][ycenter + -81] = true;
-			this.state[xcenter + 12][ycenter + -78] = true;
-			this.state[xcenter + 12][ycenter + -77] = true;
-			this.state[xcenter + 12][ycenter + -76] = true;
-			this.state[xcenter + 12][ycenter + -75] = true;
-			this.state[xcenter + 12][ycenter + 30] = true;
-			this.state[xcenter + 12][ycenter + 31] = true;
-			this.state[xcenter + 12][ycenter + 34] = true;
-			this.state[xcenter + 12][ycenter + 35] = true;
-			this.state[xcenter + 12][ycenter + 48] = true;
-			this.state[xcenter + 12][ycenter + 49] = true;
-			this.state[xcenter + 12][ycenter + 52] = true;
-			this.state[xcenter + 12][ycenter + 53] = true;
-			this.state[xcenter + 13][ycenter + -84] = true;
-			this.state[xcenter + 13][ycenter + -83] = true;
-			this.state[xcenter + 13][ycenter + -82] = true;
-			this.state[xcenter + 13][ycenter + -81] = true;
-			this.state[xcenter + 13][ycenter + -78] = true;
-			this.state[xcenter + 13][ycenter + -77] = true;
-			this.state[xcenter + 13][ycenter + -76] = true;
-			this.state[xcenter + 13][ycenter + -75] = true;
-			this.state[xcenter + 13][ycenter + 30] = true;
-			this.state[xcenter + 13][ycenter + 31] = true;
-			this.state[xcenter + 13][ycenter + 34] = true;
-			this.state[xcenter + 13][ycenter + 35] = true;
-			this.state[xcenter + 13][ycenter + 48] = true;
-			this.state[xcenter + 13][ycenter + 49] = true;
-			this.state[xcenter + 13][ycenter + 52] = true;
-			this.state[xcenter + 13][ycenter + 53] = true;
-			this.state[xcenter + 14][ycenter + -78] = true;
-			this.state[xcenter + 14][ycenter + -77] = true;
-			this.state[xcenter + 14][ycenter + -76] = true;
-			this.state[xcenter + 14][ycenter + -75] = true;
-			this.state[xcenter + 14][ycenter + 28] = true;
-			this.state[xcenter + 14][ycenter + 29] = true;
-			this.state[xcenter + 14][ycenter + 48] = true;
-			this.state[xcenter + 14][ycenter + 49] = true;
-			this.state[xcenter + 14][ycenter + 52] = true;
-			this.state[xcenter + 14][ycenter + 53] = true;
-			this.state[xcenter + 15][ycenter + -78] = true;
-			this.state[xcenter + 15][ycenter + -77] = true;
-			this.state[xcenter + 15][ycenter + -76] = true;
-			this.state[xcenter + 15][ycenter + -75] = true;
-			this.state[xcenter + 15][ycenter + 28] = true;
-			this.state[xcenter + 15][ycenter + 29] = true;
-			this.state[xcenter + 15][ycenter + 48] = true;
-			this.state[xcenter + 15][ycenter + 49] = true;
-			this.state[xcenter + 15][ycenter + 52] = true;
-			this.state[xcenter + 15][ycenter + 53] = true;
-			this.state[xcenter + 16][ycenter + -82] = true;
-			this.state[xcenter + 16][ycenter + -81] = true;
-			this.state[xcenter + 16][ycenter + 30] = true;
-			this.state[xcenter + 16][ycenter + 31] = true;
-			this.state[xcenter + 16][ycenter + 36] = true;
-			this.state[xcenter + 16][ycenter + 37] = true;
-			this.state[xcenter + 16][ycenter + 50] = true;
-			this.state[xcenter + 16][ycenter + 51] = true;
-			this.state[xcenter + 17][ycenter + -82] = true;
-			this.state[xcenter + 17][ycenter + -81] = true;
-			this.state[xcenter + 17][ycenter + 30] = true;
-			this.state[xcenter + 17][ycenter + 31] = true;
-			this.state[xcenter + 17][ycenter + 36] = true;
-			this.state[xcenter + 17][ycenter + 37] = true;
-			this.state[xcenter + 17][ycenter + 50] = true;
-			this.state[xcenter + 17][ycenter + 51] = true;
-			this.state[xcenter + 18][ycenter + 34] = true;
-			this.state[xcenter + 18][ycenter + 35] = true;
-			this.state[xcenter + 18][ycenter + 36] = true;
-			this.state[xcenter + 18][ycenter + 37] = true;
-			this.state[xcenter + 18][ycenter + 38] = true;
-			this.state[xcenter + 18][ycenter + 39] = true;
-			this.state[xcenter + 19][ycenter + 34] = true;
-			this.state[xcenter + 19][ycenter + 35] = true;
-			this.state[xcenter + 19][ycenter + 36] = true;
-			this.state[xcenter + 19][ycenter + 37] = true;
-			this.state[xcenter + 19][ycenter + 38] = true;
-			this.state[xcenter + 19][ycenter + 39] = true;
-			this.state[xcenter + 28][ycenter + 14] = true;
-			this.state[xcenter + 28][ycenter + 15] = true;
-			this.state[xcenter + 29][ycenter + 14] = true;
-			this.state[xcenter + 29][ycenter + 15] = true;
-			this.state[xcenter + 30][ycenter + 12] = true;
-			this.state[xcenter + 30][ycenter + 13] = true;
-			this.state[xcenter + 30][ycenter + 16] = true;
-			this.state[xcenter + 30][ycenter + 17] = true;
-			this.state[xcenter + 31][ycenter + 12] = true;
-			this.state[xcenter + 31][ycenter + 13] = true;
-			this.state[xcenter + 31][ycenter + 16] = true;
-			this.state[xcenter + 31][ycenter + 17] = true;
-			this.state[xcenter + 34][ycenter + 12] = true;
-			this.state[xcenter + 34][ycenter + 13] = true;
-			this.state[xcenter + 34][ycenter + 18] = true;
-			this.state[xcenter + 34][ycenter + 19] = true;
-			this.state[xcenter + 35][ycenter + 12] = true;
-			this.state[xcenter + 35][ycenter + 13] = true;
-			this.state[xcenter + 35][ycenter + 18] = true;
-			this.state[xcenter + 35][ycenter + 19] = true;
-			this.state[xcenter + 36][ycenter + -74] = true;
-			this.state[xcenter + 36][ycenter + -73] = true;
-			this.state[xcenter + 36][ycenter + -72] = true;
-			this.state[xcenter + 36][ycenter + -71] = true;
-			this.state[xcenter + 36][ycenter + 16] = true;
-			this.state[xcenter + 36][ycenter + 17] = true;
-			this.state[xcenter + 36][ycenter + 18] = true;
-			this.state[xcenter + 36][ycenter + 19] = true;
-			this.state[xcenter + 37][ycenter + -74] = true;
-			this.state[xcenter + 37][ycenter + -73] = true;
-			this.state[xcenter + 37][ycenter + -72] = true;
-			this.state[xcenter + 37][ycenter + -71] = true;
-			this.state[xcenter + 37][ycenter + 16] = true;
-			this.state[xcenter + 37][ycenter + 17] = true;
-			this.state[xcenter + 37][ycenter + 18] = true;
-			this.state[xcenter + 37][ycenter + 19] = true;
-			this.state[xcenter + 38][ycenter + -74] = true;
-			this.state[xcenter + 38][ycenter + -73] = true;
-			this.state[xcenter + 38][ycenter + -72] = true;
-			this.state[xcenter + 38][ycenter + -71] = true;
-			this.state[xcenter + 38][ycenter + 18] = true;
-			this.state[xcenter + 38][ycenter + 19] = true;
-			this.state[xcenter + 39][ycenter + -74] = true;
-			this.state[xcenter + 39][ycenter + -73] = true;
-			this.state[xcenter + 39][ycenter + -72] = true;
-			this.state[xcenter + 39][ycenter + -71] = true;
-			this.state[xcenter + 39][ycenter + 18] = true;
-			this.state[xcenter + 39][ycenter + 19] = true;
-			this.state[xcenter + 48][ycenter + 12] = true;
-			this.state[xcenter + 48][ycenter + 13] = true;
-			this.state[xcenter + 48][ycenter + 14] = true;
-			this.state[xcenter + 48][ycenter + 15] = true;
-			this.state[xcenter + 49][ycenter + 12] = true;
-			this.state[xcenter + 49][ycenter + 13] = true;
-			this.state[xcenter + 49][ycenter + 14] = true;
-			this.state[xcenter + 49][ycenter + 15] = true;
-			this.state[xcenter + 50][ycenter + 16] = true;
-			this.state[xcenter + 50][ycenter + 17] = true;
-			this.state[xcenter + 51][ycenter + 16] = true;
-			this.state[xcenter + 51][ycenter + 17] = true;
-			this.state[xcenter + 52][ycenter + -58] = true;
-			this.state[xcenter + 52][ycenter + -57] = true;
-			this.state[xcenter + 52][ycenter + -56] = true;
-			this.state[xcenter + 52][ycenter + -55] = true;
-			this.state[xcenter + 52][ycenter + 12] = true;
-			this.state[xcenter + 52][ycenter + 13] = true;
-			this.state[xcenter + 52][ycenter + 14] = true;
-			this.state[xcenter + 52][ycenter + 15] = true;
-			this.state[xcenter + 53][ycenter + -58] = true;
-			this.state[xcenter + 53][ycenter + -57] = true;
-			this.state[xcenter + 53][ycenter + -56] = true;
-			this.state[xcenter + 53][ycenter + -55] = true;
-			this.state[xcenter + 53][ycenter + 12] = true;
-			this.state[xcenter + 53][ycenter + 13] = true;
-			this.state[xcenter + 53][ycenter + 14] = true;
-			this.state[xcenter + 53][ycenter + 15] = true;
-			this.state[xcenter + 54][ycenter + -58] = true;
-			this.state[xcenter + 54][ycenter + -57] = true;
-			this.state[xcenter + 54][ycenter + -56] = true;
-			this.state[xcenter + 54][ycenter + -55] = true;
-			this.state[xcenter + 55][ycenter + -58] = true;
-			this.state[xcenter + 55][ycenter + -57] = true;
-			this.state[xcenter + 55][ycenter + -56] = true;
-			this.state[xcenter + 55][ycenter + -55] = true;
-			this.state[xcenter + 64][ycenter + -22] = true;
-			this.state[xcenter + 64][ycenter + -21] = true;
-			this.state[xcenter + 64][ycenter + -18] = true;
-			this.state[xcenter + 64][ycenter + -17] = true;
-			this.state[xcenter + 64][ycenter + -4] = true;
-			this.state[xcenter + 64][ycenter + -3] = true;
-			this.state[xcenter + 64][ycenter + 0] = true;
-			this.state[xcenter + 64][ycenter + 1] = true;
-			this.state[xcenter + 65][ycenter + -22] = true;
-			this.state[xcenter + 65][ycenter + -21] = true;
-			this.state[xcenter + 65][ycenter + -18] = true;
-			this.state[xcenter + 65][ycenter + -17] = true;
-			this.state[xcenter + 65][ycenter + -4] = true;
-			this.state[xcenter + 65][ycenter + -3] = true;
-			this.state[xcenter + 65][ycenter + 0] = true;
-			this.state[xcenter + 65][ycenter + 1] = true;
-			this.state[xcenter + 66][ycenter + -24] = true;
-			this.state[xcenter + 66][ycenter + -23] = true;
-			this.state[xcenter + 66][ycenter + -4] = true;
-			this.state[xcenter + 66][ycenter + -3] = true;
-			this.state[xcenter + 66][ycenter + 0] = true;
-			this.state[xcenter + 66][ycenter + 1] = true;
-			this.state[xcenter + 67][ycenter + -24] = true;
-			this.state[xcenter + 67][ycenter + -23] = true;
-			this.state[xcenter + 67][ycenter + -4] = true;
-			this.state[xcenter + 67][ycenter + -3] = true;
-			this.state[xcenter + 67][ycenter + 0] = true;
-			this.state[xcenter + 67][ycenter + 1] = true;
-			this.state[xcenter + 68][ycenter + -42] = true;
-			this.state[xcenter + 68][ycenter + -41] = true;
-			this.state[xcenter + 68][ycenter + -40] = true;
-			this.state[xcenter + 68][ycenter + -39] = true;
-			this.state[xcenter + 68][ycenter + -22] = true;
-			this.state[xcenter + 68][ycenter + -21] = true;
-			this.state[xcenter + 68][ycenter + -16] = true;
-			this.state[xcenter + 68][ycenter + -15] = true;
-			this.state[xcenter + 68][ycenter + -2] = true;
-			this.state[xcenter + 68][ycenter + -1] = true;
-			this.state[xcenter + 69][ycenter + -42] = true;
-			this.state[xcenter + 69][ycenter + -41] = true;
-			this.state[xcenter + 69][ycenter + -40] = true;
-			this.state[xcenter + 69][ycenter + -39] = true;
-			this.state[xcenter + 69][ycenter + -22] = true;
-			this.state[xcenter + 69][ycenter + -21] = true;
-			this.state[xcenter + 69][ycenter + -16] = true;
-			this.state[xcenter + 69][ycenter + -15] = true;
-			this.state[xcenter + 69][ycenter + -2] = true;
-			this.state[xcenter + 69][ycenter + -1] = true;
-			this.state[xcenter + 70][ycenter + -42] = true;
-			this.state[xcenter + 70][ycenter + -41] = true;
-			this.state[xcenter + 70][ycenter + -40] = true;
-			this.state[xcenter + 70][ycenter + -39] = true;
-			this.state[xcenter + 70][ycenter + -18] = true;
-			this.state[xcenter + 70][ycenter + -17] = true;
-			this.state[xcenter + 70][ycenter + -16] = true;
-			this.state[xcenter + 70][ycenter + -15] = true;
-			this.state[xcenter + 70][ycenter + -14] = true;
-			this.state[xcenter + 70][ycenter + -13] = true;
-			this.state[xcenter + 71][ycenter + -42] = true;
-			this.state[xcenter + 71][ycenter + -41] = true;
-			this.state[xcenter + 71][ycenter + -40] = true;
-			this.state[xcenter + 71][ycenter + -39] = true;
-			this.state[xcenter + 71][ycenter + -18] = true;
-			this.state[xcenter + 71][ycenter + -17] = true;
-			this.state[xcenter + 71][ycenter + -16] = true;
-			this.state[xcenter + 71][ycenter + -15] = true;
-			this.state[xcenter + 71][ycenter + -14] = true;
-			this.state[xcenter + 71][ycenter + -13] = true;
-			this.state[xcenter + 84][ycenter + -26] = true;
-			this.state[xcenter + 84][ycenter + -25] = true;
-			this.state[xcenter + 84][ycenter + -24] = true;
-			this.state[xcenter + 84][ycenter + -23] = true;
-			this.state[xcenter + 85][ycenter + -26] = true;
-			this.state[xcenter + 85][ycenter + -25] = true;
-			this.state[xcenter + 85][ycenter + -24] = true;
-			this.state[xcenter + 85][ycenter + -23] = true;
-			this.state[xcenter + 86][ycenter + -26] = true;
-			this.state[xcenter + 86][ycenter + -25] = true;
-			this.state[xcenter + 86][ycenter + -24] = true;
-			this.state[xcenter + 86][ycenter + -23] = true;
-			this.state[xcenter + 87][ycenter + -26] = true;
-			this.state[xcenter + 87][ycenter + -25] = true;
-			this.state[xcenter + 87][ycenter + -24] = true;
-			this.state[xcenter + 87][ycenter + -23] = true;
+			var xcenter = this.randomX(0.15);
+			var ycenter = this.randomY(0.1);
+			this.set(xcenter + -88, ycenter + -4);
+			this.set(xcenter + -88, ycenter + -3);
+			this.set(xcenter + -87, ycenter + -4);
+			this.set(xcenter + -87, ycenter + -3);
+			this.set(xcenter + -86, ycenter + -4);
+			this.set(xcenter + -86, ycenter + -3);
+			this.set(xcenter + -85, ycenter + -4);
+			this.set(xcenter + -85, ycenter + -3);
+			this.set(xcenter + -84, ycenter + 0);
+			this.set(xcenter + -84, ycenter + 1);
+			this.set(xcenter + -84, ycenter + 12);
+			this.set(xcenter + -84, ycenter + 13);
+			this.set(xcenter + -83, ycenter + 0);
+			this.set(xcenter + -83, ycenter + 1);
+			this.set(xcenter + -83, ycenter + 12);
+			this.set(xcenter + -83, ycenter + 13);
+			this.set(xcenter + -82, ycenter + -2);
+			this.set(xcenter + -82, ycenter + -1);
+			this.set(xcenter + -82, ycenter + 12);
+			this.set(xcenter + -82, ycenter + 13);
+			this.set(xcenter + -82, ycenter + 16);
+			this.set(xcenter + -82, ycenter + 17);
+			this.set(xcenter + -81, ycenter + -2);
+			this.set(xcenter + -81, ycenter + -1);
+			this.set(xcenter + -81, ycenter + 12);
+			this.set(xcenter + -81, ycenter + 13);
+			this.set(xcenter + -81, ycenter + 16);
+			this.set(xcenter + -81, ycenter + 17);
+			this.set(xcenter + -80, ycenter + -4);
+			this.set(xcenter + -80, ycenter + -3);
+			this.set(xcenter + -80, ycenter + 4);
+			this.set(xcenter + -80, ycenter + 5);
+			this.set(xcenter + -80, ycenter + 10);
+			this.set(xcenter + -80, ycenter + 11);
+			this.set(xcenter + -79, ycenter + -4);
+			this.set(xcenter + -79, ycenter + -3);
+			this.set(xcenter + -79, ycenter + 4);
+			this.set(xcenter + -79, ycenter + 5);
+			this.set(xcenter + -79, ycenter + 10);
+			this.set(xcenter + -79, ycenter + 11);
+			this.set(xcenter + -78, ycenter + -2);
+			this.set(xcenter + -78, ycenter + -1);
+			this.set(xcenter + -78, ycenter + 4);
+			this.set(xcenter + -78, ycenter + 5);
+			this.set(xcenter + -78, ycenter + 8);
+			this.set(xcenter + -78, ycenter + 9);
+			this.set(xcenter + -78, ycenter + 12);
+			this.set(xcenter + -78, ycenter + 13);
+			this.set(xcenter + -78, ycenter + 14);
+			this.set(xcenter + -78, ycenter + 15);
+			this.set(xcenter + -77, ycenter + -2);
+			this.set(xcenter + -77, ycenter + -1);
+			this.set(xcenter + -77, ycenter + 4);
+			this.set(xcenter + -77, ycenter + 5);
+			this.set(xcenter + -77, ycenter + 8);
+			this.set(xcenter + -77, ycenter + 9);
+			this.set(xcenter + -77, ycenter + 12);
+			this.set(xcenter + -77, ycenter + 13);
+			this.set(xcenter + -77, ycenter + 14);
+			this.set(xcenter + -77, ycenter + 15);
+			this.set(xcenter + -76, ycenter + 8);
+			this.set(xcenter + -76, ycenter + 9);
+			this.set(xcenter + -76, ycenter + 12);
+			this.set(xcenter + -76, ycenter + 13);
+			this.set(xcenter + -76, ycenter + 14);
+			this.set(xcenter + -76, ycenter + 15);
+			this.set(xcenter + -75, ycenter + 8);
+			this.set(xcenter + -75, ycenter + 9);
+			this.set(xcenter + -75, ycenter + 12);
+			this.set(xcenter + -75, ycenter + 13);
+			this.set(xcenter + -75, ycenter + 14);
+			this.set(xcenter + -75, ycenter + 15);
+			this.set(xcenter + -74, ycenter + 36);
+			this.set(xcenter + -74, ycenter + 37);
+			this.set(xcenter + -74, ycenter + 38);
+			this.set(xcenter + -74, ycenter + 39);
+			this.set(xcenter + -73, ycenter + 36);
+			this.set(xcenter + -73, ycenter + 37);
+			this.set(xcenter + -73, ycenter + 38);
+			this.set(xcenter + -73, ycenter + 39);
+			this.set(xcenter + -72, ycenter + 36);
+			this.set(xcenter + -72, ycenter + 37);
+			this.set(xcenter + -72, ycenter + 38);
+			this.set(xcenter + -72, ycenter + 39);
+			this.set(xcenter + -71, ycenter + 36);
+			this.set(xcenter + -71, ycenter + 37);
+			this.set(xcenter + -71, ycenter + 38);
+			this.set(xcenter + -71, ycenter + 39);
+			this.set(xcenter + -58, ycenter + 52);
+			this.set(xcenter + -58, ycenter + 53);
+			this.set(xcenter + -58, ycenter + 54);
+			this.set(xcenter + -58, ycenter + 55);
+			this.set(xcenter + -57, ycenter + 52);
+			this.set(xcenter + -57, ycenter + 53);
+			this.set(xcenter + -57, ycenter + 54);
+			this.set(xcenter + -57, ycenter + 55);
+			this.set(xcenter + -56, ycenter + -36);
+			this.set(xcenter + -56, ycenter + -35);
+			this.set(xcenter + -56, ycenter + -34);
+			this.set(xcenter + -56, ycenter + -33);
+			this.set(xcenter + -56, ycenter + -28);
+			this.set(xcenter + -56, ycenter + -27);
+			this.set(xcenter + -56, ycenter + 52);
+			this.set(xcenter + -56, ycenter + 53);
+			this.set(xcenter + -56, ycenter + 54);
+			this.set(xcenter + -56, ycenter + 55);
+			this.set(xcenter + -55, ycenter + -36);
+			this.set(xcenter + -55, ycenter + -35);
+			this.set(xcenter + -55, ycenter + -34);
+			this.set(xcenter + -55, ycenter + -33);
+			this.set(xcenter + -55, ycenter + -28);
+			this.set(xcenter + -55, ycenter + -27);
+			this.set(xcenter + -55, ycenter + 52);
+			this.set(xcenter + -55, ycenter + 53);
+			this.set(xcenter + -55, ycenter + 54);
+			this.set(xcenter + -55, ycenter + 55);
+			this.set(xcenter + -54, ycenter + -30);
+			this.set(xcenter + -54, ycenter + -29);
+			this.set(xcenter + -54, ycenter + -26);
+			this.set(xcenter + -54, ycenter + -25);
+			this.set(xcenter + -53, ycenter + -30);
+			this.set(xcenter + -53, ycenter + -29);
+			this.set(xcenter + -53, ycenter + -26);
+			this.set(xcenter + -53, ycenter + -25);
+			this.set(xcenter + -52, ycenter + -32);
+			this.set(xcenter + -52, ycenter + -31);
+			this.set(xcenter + -51, ycenter + -32);
+			this.set(xcenter + -51, ycenter + -31);
+			this.set(xcenter + -48, ycenter + -28);
+			this.set(xcenter + -48, ycenter + -27);
+			this.set(xcenter + -48, ycenter + -26);
+			this.set(xcenter + -48, ycenter + -25);
+			this.set(xcenter + -47, ycenter + -28);
+			this.set(xcenter + -47, ycenter + -27);
+			this.set(xcenter + -47, ycenter + -26);
+			this.set(xcenter + -47, ycenter + -25);
+			this.set(xcenter + -44, ycenter + -26);
+			this.set(xcenter + -44, ycenter + -25);
+			this.set(xcenter + -44, ycenter + -24);
+			this.set(xcenter + -44, ycenter + -23);
+			this.set(xcenter + -43, ycenter + -26);
+			this.set(xcenter + -43, ycenter + -25);
+			this.set(xcenter + -43, ycenter + -24);
+			this.set(xcenter + -43, ycenter + -23);
+			this.set(xcenter + -42, ycenter + -28);
+			this.set(xcenter + -42, ycenter + -27);
+			this.set(xcenter + -42, ycenter + 68);
+			this.set(xcenter + -42, ycenter + 69);
+			this.set(xcenter + -42, ycenter + 70);
+			this.set(xcenter + -42, ycenter + 71);
+			this.set(xcenter + -41, ycenter + -28);
+			this.set(xcenter + -41, ycenter + -27);
+			this.set(xcenter + -41, ycenter + 68);
+			this.set(xcenter + -41, ycenter + 69);
+			this.set(xcenter + -41, ycenter + 70);
+			this.set(xcenter + -41, ycenter + 71);
+			this.set(xcenter + -40, ycenter + -32);
+			this.set(xcenter + -40, ycenter + -31);
+			this.set(xcenter + -40, ycenter + -30);
+			this.set(xcenter + -40, ycenter + -29);
+			this.set(xcenter + -40, ycenter + -26);
+			this.set(xcenter + -40, ycenter + -25);
+			this.set(xcenter + -40, ycenter + -24);
+			this.set(xcenter + -40, ycenter + -23);
+			this.set(xcenter + -40, ycenter + 68);
+			this.set(xcenter + -40, ycenter + 69);
+			this.set(xcenter + -40, ycenter + 70);
+			this.set(xcenter + -40, ycenter + 71);
+			this.set(xcenter + -39, ycenter + -32);
+			this.set(xcenter + -39, ycenter + -31);
+			this.set(xcenter + -39, ycenter + -30);
+			this.set(xcenter + -39, ycenter + -29);
+			this.set(xcenter + -39, ycenter + -26);
+			this.set(xcenter + -39, ycenter + -25);
+			this.set(xcenter + -39, ycenter + -24);
+			this.set(xcenter + -39, ycenter + -23);
+			this.set(xcenter + -39, ycenter + 68);
+			this.set(xcenter + -39, ycenter + 69);
+			this.set(xcenter + -39, ycenter + 70);
+			this.set(xcenter + -39, ycenter + 71);
+			this.set(xcenter + -38, ycenter + -26);
+			this.set(xcenter + -38, ycenter + -25);
+			this.set(xcenter + -38, ycenter + -24);
+			this.set(xcenter + -38, ycenter + -23);
+			this.set(xcenter + -37, ycenter + -26);
+			this.set(xcenter + -37, ycenter + -25);
+			this.set(xcenter + -37, ycenter + -24);
+			this.set(xcenter + -37, ycenter + -23);
+			this.set(xcenter + -36, ycenter + -56);
+			this.set(xcenter + -36, ycenter + -55);
+			this.set(xcenter + -36, ycenter + -30);
+			this.set(xcenter + -36, ycenter + -29);
+			this.set(xcenter + -35, ycenter + -56);
+			this.set(xcenter + -35, ycenter + -55);
+			this.set(xcenter + -35, ycenter + -30);
+			this.set(xcenter + -35, ycenter + -29);
+			this.set(xcenter + -34, ycenter + -56);
+			this.set(xcenter + -34, ycenter + -55);
+			this.set(xcenter + -34, ycenter + -10);
+			this.set(xcenter + -34, ycenter + -9);
+			this.set(xcenter + -34, ycenter + -8);
+			this.set(xcenter + -34, ycenter + -7);
+			this.set(xcenter + -34, ycenter + -6);
+			this.set(xcenter + -34, ycenter + -5);
+			this.set(xcenter + -33, ycenter + -56);
+			this.set(xcenter + -33, ycenter + -55);
+			this.set(xcenter + -33, ycenter + -10);
+			this.set(xcenter + -33, ycenter + -9);
+			this.set(xcenter + -33, ycenter + -8);
+			this.set(xcenter + -33, ycenter + -7);
+			this.set(xcenter + -33, ycenter + -6);
+			this.set(xcenter + -33, ycenter + -5);
+			this.set(xcenter + -32, ycenter + -52);
+			this.set(xcenter + -32, ycenter + -51);
+			this.set(xcenter + -32, ycenter + -40);
+			this.set(xcenter + -32, ycenter + -39);
+			this.set(xcenter + -32, ycenter + -12);
+			this.set(xcenter + -32, ycenter + -11);
+			this.set(xcenter + -31, ycenter + -52);
+			this.set(xcenter + -31, ycenter + -51);
+			this.set(xcenter + -31, ycenter + -40);
+			this.set(xcenter + -31, ycenter + -39);
+			this.set(xcenter + -31, ycenter + -12);
+			this.set(xcenter + -31, ycenter + -11);
+			this.set(xcenter + -30, ycenter + -54);
+			this.set(xcenter + -30, ycenter + -53);
+			this.set(xcenter + -30, ycenter + -40);
+			this.set(xcenter + -30, ycenter + -39);
+			this.set(xcenter + -30, ycenter + -36);
+			this.set(xcenter + -30, ycenter + -35);
+			this.set(xcenter + -30, ycenter + -14);
+			this.set(xcenter + -30, ycenter + -13);
+			this.set(xcenter + -30, ycenter + -4);
+			this.set(xcenter + -30, ycenter + -3);
+			this.set(xcenter + -30, ycenter + -2);
+			this.set(xcenter + -30, ycenter + -1);
+			this.set(xcenter + -29, ycenter + -54);
+			this.set(xcenter + -29, ycenter + -53);
+			this.set(xcenter + -29, ycenter + -40);
+			this.set(xcenter + -29, ycenter + -39);
+			this.set(xcenter + -29, ycenter + -36);
+			this.set(xcenter + -29, ycenter + -35);
+			this.set(xcenter + -29, ycenter + -14);
+			this.set(xcenter + -29, ycenter + -13);
+			this.set(xcenter + -29, ycenter + -4);
+			this.set(xcenter + -29, ycenter + -3);
+			this.set(xcenter + -29, ycenter + -2);
+			this.set(xcenter + -29, ycenter + -1);
+			this.set(xcenter + -28, ycenter + -56);
+			this.set(xcenter + -28, ycenter + -55);
+			this.set(xcenter + -28, ycenter + -48);
+			this.set(xcenter + -28, ycenter + -47);
+			this.set(xcenter + -28, ycenter + -42);
+			this.set(xcenter + -28, ycenter + -41);
+			this.set(xcenter + -28, ycenter + -16);
+			this.set(xcenter + -28, ycenter + -15);
+			this.set(xcenter + -28, ycenter + -8);
+			this.set(xcenter + -28, ycenter + -7);
+			this.set(xcenter + -27, ycenter + -56);
+			this.set(xcenter + -27, ycenter + -55);
+			this.set(xcenter + -27, ycenter + -48);
+			this.set(xcenter + -27, ycenter + -47);
+			this.set(xcenter + -27, ycenter + -42);
+			this.set(xcenter + -27, ycenter + -41);
+			this.set(xcenter + -27, ycenter + -16);
+			this.set(xcenter + -27, ycenter + -15);
+			this.set(xcenter + -27, ycenter + -8);
+			this.set(xcenter + -27, ycenter + -7);
+			this.set(xcenter + -26, ycenter + -54);
+			this.set(xcenter + -26, ycenter + -53);
+			this.set(xcenter + -26, ycenter + -48);
+			this.set(xcenter + -26, ycenter + -47);
+			this.set(xcenter + -26, ycenter + -44);
+			this.set(xcenter + -26, ycenter + -43);
+			this.set(xcenter + -26, ycenter + -40);
+			this.set(xcenter + -26, ycenter + -39);
+			this.set(xcenter + -26, ycenter + -38);
+			this.set(xcenter + -26, ycenter + -37);
+			this.set(xcenter + -26, ycenter + -16);
+			this.set(xcenter + -26, ycenter + -15);
+			this.set(xcenter + -26, ycenter + -10);
+			this.set(xcenter + -26, ycenter + -9);
+			this.set(xcenter + -26, ycenter + 0);
+			this.set(xcenter + -26, ycenter + 1);
+			this.set(xcenter + -26, ycenter + 84);
+			this.set(xcenter + -26, ycenter + 85);
+			this.set(xcenter + -26, ycenter + 86);
+			this.set(xcenter + -26, ycenter + 87);
+			this.set(xcenter + -25, ycenter + -54);
+			this.set(xcenter + -25, ycenter + -53);
+			this.set(xcenter + -25, ycenter + -48);
+			this.set(xcenter + -25, ycenter + -47);
+			this.set(xcenter + -25, ycenter + -44);
+			this.set(xcenter + -25, ycenter + -43);
+			this.set(xcenter + -25, ycenter + -40);
+			this.set(xcenter + -25, ycenter + -39);
+			this.set(xcenter + -25, ycenter + -38);
+			this.set(xcenter + -25, ycenter + -37);
+			this.set(xcenter + -25, ycenter + -16);
+			this.set(xcenter + -25, ycenter + -15);
+			this.set(xcenter + -25, ycenter + -10);
+			this.set(xcenter + -25, ycenter + -9);
+			this.set(xcenter + -25, ycenter + 0);
+			this.set(xcenter + -25, ycenter + 1);
+			this.set(xcenter + -25, ycenter + 84);
+			this.set(xcenter + -25, ycenter + 85);
+			this.set(xcenter + -25, ycenter + 86);
+			this.set(xcenter + -25, ycenter + 87);
+			this.set(xcenter + -24, ycenter + -44);
+			this.set(xcenter + -24, ycenter + -43);
+			this.set(xcenter + -24, ycenter + -40);
+			this.set(xcenter + -24, ycenter + -39);
+			this.set(xcenter + -24, ycenter + -38);
+			this.set(xcenter + -24, ycenter + -37);
+			this.set(xcenter + -24, ycenter + -16);
+			this.set(xcenter + -24, ycenter + -15);
+			this.set(xcenter + -24, ycenter + -8);
+			this.set(xcenter + -24, ycenter + -7);
+			this.set(xcenter + -24, ycenter + 0);
+			this.set(xcenter + -24, ycenter + 1);
+			this.set(xcenter + -24, ycenter + 66);
+			this.set(xcenter + -24, ycenter + 67);
+			this.set(xcenter + -24, ycenter + 84);
+			this.set(xcenter + -24, ycenter + 85);
+			this.set(xcenter + -24, ycenter + 86);
+			this.set(xcenter + -24, ycenter + 87);
+			this.set(xcenter + -23, ycenter + -44);
+			this.set(xcenter + -23, ycenter + -43);
+			this.set(xcenter + -23, ycenter + -40);
+			this.set(xcenter + -23, ycenter + -39);
+			this.set(xcenter + -23, ycenter + -38);
+			this.set(xcenter + -23, ycenter + -37);
+			this.set(xcenter + -23, ycenter + -16);
+			this.set(xcenter + -23, ycenter + -15);
+			this.set(xcenter + -23, ycenter + -8);
+			this.set(xcenter + -23, ycenter + -7);
+			this.set(xcenter + -23, ycenter + 0);
+			this.set(xcenter + -23, ycenter + 1);
+			this.set(xcenter + -23, ycenter + 66);
+			this.set(xcenter + -23, ycenter + 67);
+			this.set(xcenter + -23, ycenter + 84);
+			this.set(xcenter + -23, ycenter + 85);
+			this.set(xcenter + -23, ycenter + 86);
+			this.set(xcenter + -23, ycenter + 87);
+			this.set(xcenter + -22, ycenter + -14);
+			this.set(xcenter + -22, ycenter + -13);
+			this.set(xcenter + -22, ycenter + -12);
+			this.set(xcenter + -22, ycenter + -11);
+			this.set(xcenter + -22, ycenter + -8);
+			this.set(xcenter + -22, ycenter + -7);
+			this.set(xcenter + -22, ycenter + -4);
+			this.set(xcenter + -22, ycenter + -3);
+			this.set(xcenter + -22, ycenter + -2);
+			this.set(xcenter + -22, ycenter + -1);
+			this.set(xcenter + -22, ycenter + 0);
+			this.set(xcenter + -22, ycenter + 1);
+			this.set(xcenter + -22, ycenter + 64);
+			this.set(xcenter + -22, ycenter + 65);
+			this.set(xcenter + -22, ycenter + 68);
+			this.set(xcenter + -22, ycenter + 69);
+			this.set(xcenter + -21, ycenter + -14);
+			this.set(xcenter + -21, ycenter + -13);
+			this.set(xcenter + -21, ycenter + -12);
+			this.set(xcenter + -21, ycenter + -11);
+			this.set(xcenter + -21, ycenter + -8);
+			this.set(xcenter + -21, ycenter + -7);
+			this.set(xcenter + -21, ycenter + -4);
+			this.set(xcenter + -21, ycenter + -3);
+			this.set(xcenter + -21, ycenter + -2);
+			this.set(xcenter + -21, ycenter + -1);
+			this.set(xcenter + -21, ycenter + 0);
+			this.set(xcenter + -21, ycenter + 1);
+			this.set(xcenter + -21, ycenter + 64);
+			this.set(xcenter + -21, ycenter + 65);
+			this.set(xcenter + -21, ycenter + 68);
+			this.set(xcenter + -21, ycenter + 69);
+			this.set(xcenter + -20, ycenter + -8);
+			this.set(xcenter + -20, ycenter + -7);
+			this.set(xcenter + -19, ycenter + -8);
+			this.set(xcenter + -19, ycenter + -7);
+			this.set(xcenter + -18, ycenter + -6);
+			this.set(xcenter + -18, ycenter + -5);
+			this.set(xcenter + -18, ycenter + -4);
+			this.set(xcenter + -18, ycenter + -3);
+			this.set(xcenter + -18, ycenter + -2);
+			this.set(xcenter + -18, ycenter + -1);
+			this.set(xcenter + -18, ycenter + 0);
+			this.set(xcenter + -18, ycenter + 1);
+			this.set(xcenter + -18, ycenter + 64);
+			this.set(xcenter + -18, ycenter + 65);
+			this.set(xcenter + -18, ycenter + 70);
+			this.set(xcenter + -18, ycenter + 71);
+			this.set(xcenter + -17, ycenter + -6);
+			this.set(xcenter + -17, ycenter + -5);
+			this.set(xcenter + -17, ycenter + -4);
+			this.set(xcenter + -17, ycenter + -3);
+			this.set(xcenter + -17, ycenter + -2);
+			this.set(xcenter + -17, ycenter + -1);
+			this.set(xcenter + -17, ycenter + 0);
+			this.set(xcenter + -17, ycenter + 1);
+			this.set(xcenter + -17, ycenter + 64);
+			this.set(xcenter + -17, ycenter + 65);
+			this.set(xcenter + -17, ycenter + 70);
+			this.set(xcenter + -17, ycenter + 71);
+			this.set(xcenter + -16, ycenter + -28);
+			this.set(xcenter + -16, ycenter + -27);
+			this.set(xcenter + -16, ycenter + -26);
+			this.set(xcenter + -16, ycenter + -25);
+			this.set(xcenter + -16, ycenter + -24);
+			this.set(xcenter + -16, ycenter + -23);
+			this.set(xcenter + -16, ycenter + -2);
+			this.set(xcenter + -16, ycenter + -1);
+			this.set(xcenter + -16, ycenter + 0);
+			this.set(xcenter + -16, ycenter + 1);
+			this.set(xcenter + -16, ycenter + 68);
+			this.set(xcenter + -16, ycenter + 69);
+			this.set(xcenter + -16, ycenter + 70);
+			this.set(xcenter + -16, ycenter + 71);
+			this.set(xcenter + -15, ycenter + -28);
+			this.set(xcenter + -15, ycenter + -27);
+			this.set(xcenter + -15, ycenter + -26);
+			this.set(xcenter + -15, ycenter + -25);
+			this.set(xcenter + -15, ycenter + -24);
+			this.set(xcenter + -15, ycenter + -23);
+			this.set(xcenter + -15, ycenter + -2);
+			this.set(xcenter + -15, ycenter + -1);
+			this.set(xcenter + -15, ycenter + 0);
+			this.set(xcenter + -15, ycenter + 1);
+			this.set(xcenter + -15, ycenter + 68);
+			this.set(xcenter + -15, ycenter + 69);
+			this.set(xcenter + -15, ycenter + 70);
+			this.set(xcenter + -15, ycenter + 71);
+			this.set(xcenter + -14, ycenter + -30);
+			this.set(xcenter + -14, ycenter + -29);
+			this.set(xcenter + -14, ycenter + -22);
+			this.set(xcenter + -14, ycenter + -21);
+			this.set(xcenter + -14, ycenter + 70);
+			this.set(xcenter + -14, ycenter + 71);
+			this.set(xcenter + -13, ycenter + -30);
+			this.set(xcenter + -13, ycenter + -29);
+			this.set(xcenter + -13, ycenter + -22);
+			this.set(xcenter + -13, ycenter + -21);
+			this.set(xcenter + -13, ycenter + 70);
+			this.set(xcenter + -13, ycenter + 71);
+			this.set(xcenter + -12, ycenter + -32);
+			this.set(xcenter + -12, ycenter + -31);
+			this.set(xcenter + -12, ycenter + -22);
+			this.set(xcenter + -12, ycenter + -21);
+			this.set(xcenter + -11, ycenter + -32);
+			this.set(xcenter + -11, ycenter + -31);
+			this.set(xcenter + -11, ycenter + -22);
+			this.set(xcenter + -11, ycenter + -21);
+			this.set(xcenter + -10, ycenter + -34);
+			this.set(xcenter + -10, ycenter + -33);
+			this.set(xcenter + -10, ycenter + -26);
+			this.set(xcenter + -10, ycenter + -25);
+			this.set(xcenter + -9, ycenter + -34);
+			this.set(xcenter + -9, ycenter + -33);
+			this.set(xcenter + -9, ycenter + -26);
+			this.set(xcenter + -9, ycenter + -25);
+			this.set(xcenter + -8, ycenter + -34);
+			this.set(xcenter + -8, ycenter + -33);
+			this.set(xcenter + -8, ycenter + -28);
+			this.set(xcenter + -8, ycenter + -27);
+			this.set(xcenter + -8, ycenter + -24);
+			this.set(xcenter + -8, ycenter + -23);
+			this.set(xcenter + -8, ycenter + -22);
+			this.set(xcenter + -8, ycenter + -21);
+			this.set(xcenter + -8, ycenter + -20);
+			this.set(xcenter + -8, ycenter + -19);
+			this.set(xcenter + -7, ycenter + -34);
+			this.set(xcenter + -7, ycenter + -33);
+			this.set(xcenter + -7, ycenter + -28);
+			this.set(xcenter + -7, ycenter + -27);
+			this.set(xcenter + -7, ycenter + -24);
+			this.set(xcenter + -7, ycenter + -23);
+			this.set(xcenter + -7, ycenter + -22);
+			this.set(xcenter + -7, ycenter + -21);
+			this.set(xcenter + -7, ycenter + -20);
+			this.set(xcenter + -7, ycenter + -19);
+			this.set(xcenter + -6, ycenter + -34);
+			this.set(xcenter + -6, ycenter + -33);
+			this.set(xcenter + -6, ycenter + -18);
+			this.set(xcenter + -6, ycenter + -17);
+			this.set(xcenter + -5, ycenter + -34);
+			this.set(xcenter + -5, ycenter + -33);
+			this.set(xcenter + -5, ycenter + -18);
+			this.set(xcenter + -5, ycenter + -17);
+			this.set(xcenter + -4, ycenter + -88);
+			this.set(xcenter + -4, ycenter + -87);
+			this.set(xcenter + -4, ycenter + -86);
+			this.set(xcenter + -4, ycenter + -85);
+			this.set(xcenter + -4, ycenter + -80);
+			this.set(xcenter + -4, ycenter + -79);
+			this.set(xcenter + -4, ycenter + -30);
+			this.set(xcenter + -4, ycenter + -29);
+			this.set(xcenter + -4, ycenter + -22);
+			this.set(xcenter + -4, ycenter + -21);
+			this.set(xcenter + -4, ycenter + -18);
+			this.set(xcenter + -4, ycenter + -17);
+			this.set(xcenter + -4, ycenter + 64);
+			this.set(xcenter + -4, ycenter + 65);
+			this.set(xcenter + -4, ycenter + 66);
+			this.set(xcenter + -4, ycenter + 67);
+			this.set(xcenter + -3, ycenter + -88);
+			this.set(xcenter + -3, ycenter + -87);
+			this.set(xcenter + -3, ycenter + -86);
+			this.set(xcenter + -3, ycenter + -85);
+			this.set(xcenter + -3, ycenter + -80);
+			this.set(xcenter + -3, ycenter + -79);
+			this.set(xcenter + -3, ycenter + -30);
+			this.set(xcenter + -3, ycenter + -29);
+			this.set(xcenter + -3, ycenter + -22);
+			this.set(xcenter + -3, ycenter + -21);
+			this.set(xcenter + -3, ycenter + -18);
+			this.set(xcenter + -3, ycenter + -17);
+			this.set(xcenter + -3, ycenter + 64);
+			this.set(xcenter + -3, ycenter + 65);
+			this.set(xcenter + -3, ycenter + 66);
+			this.set(xcenter + -3, ycenter + 67);
+			this.set(xcenter + -2, ycenter + -82);
+			this.set(xcenter + -2, ycenter + -81);
+			this.set(xcenter + -2, ycenter + -78);
+			this.set(xcenter + -2, ycenter + -77);
+			this.set(xcenter + -2, ycenter + -30);
+			this.set(xcenter + -2, ycenter + -29);
+			this.set(xcenter + -2, ycenter + -22);
+			this.set(xcenter + -2, ycenter + -21);
+			this.set(xcenter + -2, ycenter + -18);
+			this.set(xcenter + -2, ycenter + -17);
+			this.set(xcenter + -2, ycenter + -16);
+			this.set(xcenter + -2, ycenter + -15);
+			this.set(xcenter + -2, ycenter + 68);
+			this.set(xcenter + -2, ycenter + 69);
+			this.set(xcenter + -1, ycenter + -82);
+			this.set(xcenter + -1, ycenter + -81);
+			this.set(xcenter + -1, ycenter + -78);
+			this.set(xcenter + -1, ycenter + -77);
+			this.set(xcenter + -1, ycenter + -30);
+			this.set(xcenter + -1, ycenter + -29);
+			this.set(xcenter + -1, ycenter + -22);
+			this.set(xcenter + -1, ycenter + -21);
+			this.set(xcenter + -1, ycenter + -18);
+			this.set(xcenter + -1, ycenter + -17);
+			this.set(xcenter + -1, ycenter + -16);
+			this.set(xcenter + -1, ycenter + -15);
+			this.set(xcenter + -1, ycenter + 68);
+			this.set(xcenter + -1, ycenter + 69);
+			this.set(xcenter + 0, ycenter + -84);
+			this.set(xcenter + 0, ycenter + -83);
+			this.set(xcenter + 0, ycenter + -26);
+			this.set(xcenter + 0, ycenter + -25);
+			this.set(xcenter + 0, ycenter + -24);
+			this.set(xcenter + 0, ycenter + -23);
+			this.set(xcenter + 0, ycenter + -22);
+			this.set(xcenter + 0, ycenter + -21);
+			this.set(xcenter + 0, ycenter + -18);
+			this.set(xcenter + 0, ycenter + -17);
+			this.set(xcenter + 0, ycenter + -16);
+			this.set(xcenter + 0, ycenter + -15);
+			this.set(xcenter + 0, ycenter + 64);
+			this.set(xcenter + 0, ycenter + 65);
+			this.set(xcenter + 0, ycenter + 66);
+			this.set(xcenter + 0, ycenter + 67);
+			this.set(xcenter + 1, ycenter + -84);
+			this.set(xcenter + 1, ycenter + -83);
+			this.set(xcenter + 1, ycenter + -26);
+			this.set(xcenter + 1, ycenter + -25);
+			this.set(xcenter + 1, ycenter + -24);
+			this.set(xcenter + 1, ycenter + -23);
+			this.set(xcenter + 1, ycenter + -22);
+			this.set(xcenter + 1, ycenter + -21);
+			this.set(xcenter + 1, ycenter + -18);
+			this.set(xcenter + 1, ycenter + -17);
+			this.set(xcenter + 1, ycenter + -16);
+			this.set(xcenter + 1, ycenter + -15);
+			this.set(xcenter + 1, ycenter + 64);
+			this.set(xcenter + 1, ycenter + 65);
+			this.set(xcenter + 1, ycenter + 66);
+			this.set(xcenter + 1, ycenter + 67);
+			this.set(xcenter + 4, ycenter + -80);
+			this.set(xcenter + 4, ycenter + -79);
+			this.set(xcenter + 4, ycenter + -78);
+			this.set(xcenter + 4, ycenter + -77);
+			this.set(xcenter + 5, ycenter + -80);
+			this.set(xcenter + 5, ycenter + -79);
+			this.set(xcenter + 5, ycenter + -78);
+			this.set(xcenter + 5, ycenter + -77);
+			this.set(xcenter + 8, ycenter + -78);
+			this.set(xcenter + 8, ycenter + -77);
+			this.set(xcenter + 8, ycenter + -76);
+			this.set(xcenter + 8, ycenter + -75);
+			this.set(xcenter + 9, ycenter + -78);
+			this.set(xcenter + 9, ycenter + -77);
+			this.set(xcenter + 9, ycenter + -76);
+			this.set(xcenter + 9, ycenter + -75);
+			this.set(xcenter + 10, ycenter + -80);
+			this.set(xcenter + 10, ycenter + -79);
+			this.set(xcenter + 11, ycenter + -80);
+			this.set(xcenter + 11, ycenter + -79);
+			this.set(xcenter + 12, ycenter + -84);
+			this.set(xcenter + 12, ycenter + -83);
+			this.set(xcenter + 12, ycenter + -82);
+			this.set(xcenter + 12, ycenter + -81);
+			this.set(xcenter + 12, ycenter + -78);
+			this.set(xcenter + 12, ycenter + -77);
+			this.set(xcenter + 12, ycenter + -76);
+			this.set(xcenter + 12, ycenter + -75);
+			this.set(xcenter + 12, ycenter + 30);
+			this.set(xcenter + 12, ycenter + 31);
+			this.set(xcenter + 12, ycenter + 34);
+			this.set(xcenter + 12, ycenter + 35);
+			this.set(xcenter + 12, ycenter + 48);
+			this.set(xcenter + 12, ycenter + 49);
+			this.set(xcenter + 12, ycenter + 52);
+			this.set(xcenter + 12, ycenter + 53);
+			this.set(xcenter + 13, ycenter + -84);
+			this.set(xcenter + 13, ycenter + -83);
+			this.set(xcenter + 13, ycenter + -82);
+			this.set(xcenter + 13, ycenter + -81);
+			this.set(xcenter + 13, ycenter + -78);
+			this.set(xcenter + 13, ycenter + -77);
+			this.set(xcenter + 13, ycenter + -76);
+			this.set(xcenter + 13, ycenter + -75);
+			this.set(xcenter + 13, ycenter + 30);
+			this.set(xcenter + 13, ycenter + 31);
+			this.set(xcenter + 13, ycenter + 34);
+			this.set(xcenter + 13, ycenter + 35);
+			this.set(xcenter + 13, ycenter + 48);
+			this.set(xcenter + 13, ycenter + 49);
+			this.set(xcenter + 13, ycenter + 52);
+			this.set(xcenter + 13, ycenter + 53);
+			this.set(xcenter + 14, ycenter + -78);
+			this.set(xcenter + 14, ycenter + -77);
+			this.set(xcenter + 14, ycenter + -76);
+			this.set(xcenter + 14, ycenter + -75);
+			this.set(xcenter + 14, ycenter + 28);
+			this.set(xcenter + 14, ycenter + 29);
+			this.set(xcenter + 14, ycenter + 48);
+			this.set(xcenter + 14, ycenter + 49);
+			this.set(xcenter + 14, ycenter + 52);
+			this.set(xcenter + 14, ycenter + 53);
+			this.set(xcenter + 15, ycenter + -78);
+			this.set(xcenter + 15, ycenter + -77);
+			this.set(xcenter + 15, ycenter + -76);
+			this.set(xcenter + 15, ycenter + -75);
+			this.set(xcenter + 15, ycenter + 28);
+			this.set(xcenter + 15, ycenter + 29);
+			this.set(xcenter + 15, ycenter + 48);
+			this.set(xcenter + 15, ycenter + 49);
+			this.set(xcenter + 15, ycenter + 52);
+			this.set(xcenter + 15, ycenter + 53);
+			this.set(xcenter + 16, ycenter + -82);
+			this.set(xcenter + 16, ycenter + -81);
+			this.set(xcenter + 16, ycenter + 30);
+			this.set(xcenter + 16, ycenter + 31);
+			this.set(xcenter + 16, ycenter + 36);
+			this.set(xcenter + 16, ycenter + 37);
+			this.set(xcenter + 16, ycenter + 50);
+			this.set(xcenter + 16, ycenter + 51);
+			this.set(xcenter + 17, ycenter + -82);
+			this.set(xcenter + 17, ycenter + -81);
+			this.set(xcenter + 17, ycenter + 30);
+			this.set(xcenter + 17, ycenter + 31);
+			this.set(xcenter + 17, ycenter + 36);
+			this.set(xcenter + 17, ycenter + 37);
+			this.set(xcenter + 17, ycenter + 50);
+			this.set(xcenter + 17, ycenter + 51);
+			this.set(xcenter + 18, ycenter + 34);
+			this.set(xcenter + 18, ycenter + 35);
+			this.set(xcenter + 18, ycenter + 36);
+			this.set(xcenter + 18, ycenter + 37);
+			this.set(xcenter + 18, ycenter + 38);
+			this.set(xcenter + 18, ycenter + 39);
+			this.set(xcenter + 19, ycenter + 34);
+			this.set(xcenter + 19, ycenter + 35);
+			this.set(xcenter + 19, ycenter + 36);
+			this.set(xcenter + 19, ycenter + 37);
+			this.set(xcenter + 19, ycenter + 38);
+			this.set(xcenter + 19, ycenter + 39);
+			this.set(xcenter + 28, ycenter + 14);
+			this.set(xcenter + 28, ycenter + 15);
+			this.set(xcenter + 29, ycenter + 14);
+			this.set(xcenter + 29, ycenter + 15);
+			this.set(xcenter + 30, ycenter + 12);
+			this.set(xcenter + 30, ycenter + 13);
+			this.set(xcenter + 30, ycenter + 16);
+			this.set(xcenter + 30, ycenter + 17);
+			this.set(xcenter + 31, ycenter + 12);
+			this.set(xcenter + 31, ycenter + 13);
+			this.set(xcenter + 31, ycenter + 16);
+			this.set(xcenter + 31, ycenter + 17);
+			this.set(xcenter + 34, ycenter + 12);
+			this.set(xcenter + 34, ycenter + 13);
+			this.set(xcenter + 34, ycenter + 18);
+			this.set(xcenter + 34, ycenter + 19);
+			this.set(xcenter + 35, ycenter + 12);
+			this.set(xcenter + 35, ycenter + 13);
+			this.set(xcenter + 35, ycenter + 18);
+			this.set(xcenter + 35, ycenter + 19);
+			this.set(xcenter + 36, ycenter + -74);
+			this.set(xcenter + 36, ycenter + -73);
+			this.set(xcenter + 36, ycenter + -72);
+			this.set(xcenter + 36, ycenter + -71);
+			this.set(xcenter + 36, ycenter + 16);
+			this.set(xcenter + 36, ycenter + 17);
+			this.set(xcenter + 36, ycenter + 18);
+			this.set(xcenter + 36, ycenter + 19);
+			this.set(xcenter + 37, ycenter + -74);
+			this.set(xcenter + 37, ycenter + -73);
+			this.set(xcenter + 37, ycenter + -72);
+			this.set(xcenter + 37, ycenter + -71);
+			this.set(xcenter + 37, ycenter + 16);
+			this.set(xcenter + 37, ycenter + 17);
+			this.set(xcenter + 37, ycenter + 18);
+			this.set(xcenter + 37, ycenter + 19);
+			this.set(xcenter + 38, ycenter + -74);
+			this.set(xcenter + 38, ycenter + -73);
+			this.set(xcenter + 38, ycenter + -72);
+			this.set(xcenter + 38, ycenter + -71);
+			this.set(xcenter + 38, ycenter + 18);
+			this.set(xcenter + 38, ycenter + 19);
+			this.set(xcenter + 39, ycenter + -74);
+			this.set(xcenter + 39, ycenter + -73);
+			this.set(xcenter + 39, ycenter + -72);
+			this.set(xcenter + 39, ycenter + -71);
+			this.set(xcenter + 39, ycenter + 18);
+			this.set(xcenter + 39, ycenter + 19);
+			this.set(xcenter + 48, ycenter + 12);
+			this.set(xcenter + 48, ycenter + 13);
+			this.set(xcenter + 48, ycenter + 14);
+			this.set(xcenter + 48, ycenter + 15);
+			this.set(xcenter + 49, ycenter + 12);
+			this.set(xcenter + 49, ycenter + 13);
+			this.set(xcenter + 49, ycenter + 14);
+			this.set(xcenter + 49, ycenter + 15);
+			this.set(xcenter + 50, ycenter + 16);
+			this.set(xcenter + 50, ycenter + 17);
+			this.set(xcenter + 51, ycenter + 16);
+			this.set(xcenter + 51, ycenter + 17);
+			this.set(xcenter + 52, ycenter + -58);
+			this.set(xcenter + 52, ycenter + -57);
+			this.set(xcenter + 52, ycenter + -56);
+			this.set(xcenter + 52, ycenter + -55);
+			this.set(xcenter + 52, ycenter + 12);
+			this.set(xcenter + 52, ycenter + 13);
+			this.set(xcenter + 52, ycenter + 14);
+			this.set(xcenter + 52, ycenter + 15);
+			this.set(xcenter + 53, ycenter + -58);
+			this.set(xcenter + 53, ycenter + -57);
+			this.set(xcenter + 53, ycenter + -56);
+			this.set(xcenter + 53, ycenter + -55);
+			this.set(xcenter + 53, ycenter + 12);
+			this.set(xcenter + 53, ycenter + 13);
+			this.set(xcenter + 53, ycenter + 14);
+			this.set(xcenter + 53, ycenter + 15);
+			this.set(xcenter + 54, ycenter + -58);
+			this.set(xcenter + 54, ycenter + -57);
+			this.set(xcenter + 54, ycenter + -56);
+			this.set(xcenter + 54, ycenter + -55);
+			this.set(xcenter + 55, ycenter + -58);
+			this.set(xcenter + 55, ycenter + -57);
+			this.set(xcenter + 55, ycenter + -56);
+			this.set(xcenter + 55, ycenter + -55);
+			this.set(xcenter + 64, ycenter + -22);
+			this.set(xcenter + 64, ycenter + -21);
+			this.set(xcenter + 64, ycenter + -18);
+			this.set(xcenter + 64, ycenter + -17);
+			this.set(xcenter + 64, ycenter + -4);
+			this.set(xcenter + 64, ycenter + -3);
+			this.set(xcenter + 64, ycenter + 0);
+			this.set(xcenter + 64, ycenter + 1);
+			this.set(xcenter + 65, ycenter + -22);
+			this.set(xcenter + 65, ycenter + -21);
+			this.set(xcenter + 65, ycenter + -18);
+			this.set(xcenter + 65, ycenter + -17);
+			this.set(xcenter + 65, ycenter + -4);
+			this.set(xcenter + 65, ycenter + -3);
+			this.set(xcenter + 65, ycenter + 0);
+			this.set(xcenter + 65, ycenter + 1);
+			this.set(xcenter + 66, ycenter + -24);
+			this.set(xcenter + 66, ycenter + -23);
+			this.set(xcenter + 66, ycenter + -4);
+			this.set(xcenter + 66, ycenter + -3);
+			this.set(xcenter + 66, ycenter + 0);
+			this.set(xcenter + 66, ycenter + 1);
+			this.set(xcenter + 67, ycenter + -24);
+			this.set(xcenter + 67, ycenter + -23);
+			this.set(xcenter + 67, ycenter + -4);
+			this.set(xcenter + 67, ycenter + -3);
+			this.set(xcenter + 67, ycenter + 0);
+			this.set(xcenter + 67, ycenter + 1);
+			this.set(xcenter + 68, ycenter + -42);
+			this.set(xcenter + 68, ycenter + -41);
+			this.set(xcenter + 68, ycenter + -40);
+			this.set(xcenter + 68, ycenter + -39);
+			this.set(xcenter + 68, ycenter + -22);
+			this.set(xcenter + 68, ycenter + -21);
+			this.set(xcenter + 68, ycenter + -16);
+			this.set(xcenter + 68, ycenter + -15);
+			this.set(xcenter + 68, ycenter + -2);
+			this.set(xcenter + 68, ycenter + -1);
+			this.set(xcenter + 69, ycenter + -42);
+			this.set(xcenter + 69, ycenter + -41);
+			this.set(xcenter + 69, ycenter + -40);
+			this.set(xcenter + 69, ycenter + -39);
+			this.set(xcenter + 69, ycenter + -22);
+			this.set(xcenter + 69, ycenter + -21);
+			this.set(xcenter + 69, ycenter + -16);
+			this.set(xcenter + 69, ycenter + -15);
+			this.set(xcenter + 69, ycenter + -2);
+			this.set(xcenter + 69, ycenter + -1);
+			this.set(xcenter + 70, ycenter + -42);
+			this.set(xcenter + 70, ycenter + -41);
+			this.set(xcenter + 70, ycenter + -40);
+			this.set(xcenter + 70, ycenter + -39);
+			this.set(xcenter + 70, ycenter + -18);
+			this.set(xcenter + 70, ycenter + -17);
+			this.set(xcenter + 70, ycenter + -16);
+			this.set(xcenter + 70, ycenter + -15);
+			this.set(xcenter + 70, ycenter + -14);
+			this.set(xcenter + 70, ycenter + -13);
+			this.set(xcenter + 71, ycenter + -42);
+			this.set(xcenter + 71, ycenter + -41);
+			this.set(xcenter + 71, ycenter + -40);
+			this.set(xcenter + 71, ycenter + -39);
+			this.set(xcenter + 71, ycenter + -18);
+			this.set(xcenter + 71, ycenter + -17);
+			this.set(xcenter + 71, ycenter + -16);
+			this.set(xcenter + 71, ycenter + -15);
+			this.set(xcenter + 71, ycenter + -14);
+			this.set(xcenter + 71, ycenter + -13);
+			this.set(xcenter + 84, ycenter + -26);
+			this.set(xcenter + 84, ycenter + -25);
+			this.set(xcenter + 84, ycenter + -24);
+			this.set(xcenter + 84, ycenter + -23);
+			this.set(xcenter + 85, ycenter + -26);
+			this.set(xcenter + 85, ycenter + -25);
+			this.set(xcenter + 85, ycenter + -24);
+			this.set(xcenter + 85, ycenter + -23);
+			this.set(xcenter + 86, ycenter + -26);
+			this.set(xcenter + 86, ycenter + -25);
+			this.set(xcenter + 86, ycenter + -24);
+			this.set(xcenter + 86, ycenter + -23);
+			this.set(xcenter + 87, ycenter + -26);
+			this.set(xcenter + 87, ycenter + -25);
+			this.set(xcenter + 87, ycenter + -24);
+			this.set(xcenter + 87, ycenter + -23);
 	};
-}
\ No newline at end of file
+}
+
+// pixels per cell the view can zoom between, a step of the wheel apart
+Conway.cellSizes = [1 / 16, 1 / 8, 1 / 4, 1 / 2, 1, 2, 4, 8, 16, 32];
+
+// life-like rules worth a look, by name
+Conway.rules = {
+	"Life": "B3/S23",
+	"HighLife": "B36/S23",
+	"Day & Night": "B3678/S34678",
+	"Seeds": "B2/S",
+	"Maze": "B3/S12345",
+	"Replicator": "B1357/S1357"
+};
+
+// a rulestring like "B3/S23" into a rule table (see this.rule): the B digits are
+// neighbor counts that bring a dead cell to life, the S digits ones that keep a live
+// cell alive. either part can come first, either can be empty, case doesn't matter.
+Conway.parseRule = function(rulestring) {
+	var parts = String(rulestring).replace(/\s+/g, "").split("/");
+	var table = new Uint8Array(18);
+	var seen = {};
+	if (parts.length != 2) {
+		throw new Error("Conway: rule \"" + rulestring + "\" should be a B part and an S part split by a slash, like B3/S23");
+	}
+	parts.forEach(function(part) {
+		if (!part) {
+			throw new Error("Conway: rule \"" + rulestring + "\" is missing a part, write an empty one as just the letter, like B2/S");
+		}
+		var letter = part.charAt(0).toUpperCase();
+		if (letter != "B" && letter != "S") {
+			throw new Error("Conway: rule \"" + rulestring + "\" has a part starting with \"" + part.charAt(0) + "\", they start with B (born) or S (survives)");
+		}
+		if (seen[letter]) {
+			throw new Error("Conway: rule \"" + rulestring + "\" has two " + letter + " parts");
+		}
+		seen[letter] = {};
+		for (var i = 1; i < part.length; i++) {
+			var c = part.charAt(i);
+			if (!/[0-8]/.test(c)) {
+				throw new Error("Conway: rule \"" + rulestring + "\" has \"" + c + "\" in its " + letter + " part, only neighbor counts 0 to 8 go there");
+			}
+			if (seen[letter][c]) {
+				throw new Error("Conway: rule \"" + rulestring + "\" has " + c + " twice in its " + letter + " part");
+			}
+			seen[letter][c] = true;
+			table[(letter == "S" ? 9 : 0) + Number(c)] = 1;
+		}
+	});
+	return table;
+};
+
+// a rule table back to its rulestring, B first, digits in order
+Conway.ruleString = function(table) {
+	var b = "", s = "";
+	for (var n = 0; n <= 8; n++) {
+		if (table[n]) b += n;
+		if (table[9 + n]) s += n;
+	}
+	return "B" + b + "/S" + s;
+};
+
+// every topology there is: the grid's, and the endless plane
+Conway.topologies = function() {
+	return Object.keys(LifeGrid.topologies).concat(["unbounded"]);
+};
+
+// make an engine by name for a Conway, see this.engine
+Conway.engines = {
+	sparse: function(conway) { return new LifeSparse(conway.rule); },
+	grid: function(conway) {
+		return new LifeGrid(conway.width, conway.height, conway.rule, conway.topology == "unbounded" ? "dead" : conway.topology);
+	},
+	hashlife: function(conway) { return new Hashlife(conway.rule); }
+};
@@ -0,0 +1,302 @@
+// hashlife (Gosper's algorithm) for life-like automata on an endless plane.
+// the universe is a quadtree where every distinct square of cells exists exactly
+// once, and each square remembers what its middle looks like some power of two
+// generations later. patterns with any regularity to them (guns, puffers,
+// spaceships) end up reusing most of their squares, so a million generations
+// costs about as much as a few dozen.
+//
+// a node is a square of 2^level cells on a side:
+//		level			-	0 for a single cell
+//		nw, ne, sw, se	-	the four level - 1 quarters, null for cells
+//		population		-	how many cells in it are alive
+//		id				-	unique, for hashing the nodes above it
+//		next			-	next[j] is the middle half of the square 2^j generations
+//							on, once somebody's asked, see successor
+// nodes are never changed once made, so they can be shared freely.
+//
+// coordinates are cells, x right and y down, anywhere a double can count exactly.
+// rule is the same table Conway uses: rule[alive * 9 + neighbors] is 1 if the cell
+// is alive next generation. rules where nothing is born from nothing (no B0) only.
+
+function Hashlife(rule) {
+	var self = this;
+	this.rule = rule || Hashlife.life;
+	if (this.rule[0]) {
+		throw new Error("Hashlife: rules with B0 turn the empty plane on and off forever, no can do");
+	}
+	this.generation = 0;
+	// nodes get recycled once there are this many, see collect
+	this.maxNodes = 1 << 21;
+
+	var table, ids, empties;
+	var OFF = { level: 0, nw: null, ne: null, sw: null, se: null, population: 0, id: 0, next: null };
+	var ON = { level: 0, nw: null, ne: null, sw: null, se: null, population: 1, id: 1, next: null };
+	function reset() {
+		table = new Map();
+		ids = 2;
+		empties = [OFF];
+	}
+	reset();
+
+	// the one node with these quarters
+	function join(nw, ne, sw, se) {
+		var key = nw.id + "," + ne.id + "," + sw.id + "," + se.id;
+		var node = table.get(key);
+		if (node) return node;
+		node = {
+			level: nw.level + 1, nw: nw, ne: ne, sw: sw, se: se,
+			population: nw.population + ne.population + sw.population + se.population,
+			id: ids++, next: []
+		};
+		table.set(key, node);
+		return node;
+	}
+	function empty(level) {
+		while (empties.length <= level) {
+			var e = empties[empties.length - 1];
+			empties.push(join(e, e, e, e));
+		}
+		return empties[level];
+	}
+	this.empty = empty;
+
+	// the middle half of node, as it is
+	function centre(node) {
+		return join(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw);
+	}
+
+	// a level 2 node's middle 2x2, one generation on, straight from the rule
+	function base(node) {
+		// the 16 cells row by row
+		var c = [
+			node.nw.nw, node.nw.ne, node.ne.nw, node.ne.ne,
+			node.nw.sw, node.nw.se, node.ne.sw, node.ne.se,
+			node.sw.nw, node.sw.ne, node.se.nw, node.se.ne,
+			node.sw.sw, node.sw.se, node.se.sw, node.se.se
+		].map(function(n) { return n.population; });
+		function at(x, y) {
+			var n = 0;
+			for (var dy = -1; dy <= 1; dy++) {
+				for (var dx = -1; dx <= 1; dx++) {
+					if (dx || dy) n += c[(y + dy) * 4 + x + dx];
+				}
+			}
+			return self.rule[c[y * 4 + x] * 9 + n] ? ON : OFF;
+		}
+		return join(at(1, 1), at(2, 1), at(1, 2), at(2, 2));
+	}
+
+	// the middle half of node (level L) 2^j generations on, for j up to L - 2. the
+	// square is cut into nine overlapping level L - 1 pieces, and those are either
+	// moved on by half the time (j = L - 2, then the other half happens below) or just
+	// cropped to their middles. regrouped into four, each of those goes the rest of the
+	// way. every answer's kept on the node.
+	function successor(node, j) {
+		if (node.population == 0) return node.nw;
+		if (node.next[j]) return node.next[j];
+		var result;
+		if (node.level == 2) {
+			result = base(node);
+		} else {
+			var nw = node.nw, ne = node.ne, sw = node.sw, se = node.se;
+			var pieces = [
+				nw, join(nw.ne, ne.nw, nw.se, ne.sw), ne,
+				join(nw.sw, nw.se, sw.nw, sw.ne), join(nw.se, ne.sw, sw.ne, se.nw), join(ne.sw, ne.se, se.nw, se.ne),
+				sw, join(sw.ne, se.nw, sw.se, se.sw), se
+			];
+			var full = j == node.level - 2;
+			var a = pieces.map(function(p) { return full ? successor(p, j - 1) : centre(p); });
+			var rest = full ? j - 1 : j;
+			result = join(
+				successor(join(a[0], a[1], a[3], a[4]), rest),
+				successor(join(a[1], a[2], a[4], a[5]), rest),
+				successor(join(a[3], a[4], a[6], a[7]), rest),
+				successor(join(a[4], a[5], a[7], a[8]), rest)
+			);
+		}
+		node.next[j] = result;
+		return result;
+	}
+
+	// the universe: root, with its top left corner at (x, y)
+	this.root = empty(3);
+	this.x = -4;
+	this.y = -4;
+
+	// the same cells in a root one level up, centered on the old one
+	function expand() {
+		var r = self.root, e = empty(r.level - 1);
+		var half = Math.pow(2, r.level - 1);
+		self.root = join(join(e, e, e, r.nw), join(e, e, r.ne, e), join(e, r.sw, e, e), join(r.se, e, e, e));
+		self.x -= half;
+		self.y -= half;
+	}
+	function contains(x, y) {
+		var size = Math.pow(2, self.root.level);
+		return x >= self.x && y >= self.y && x < self.x + size && y < self.y + size;
+	}
+
+	this.population = function() {
+		return this.root.population;
+	};
+
+	this.get = function(x, y) {
+		if (!contains(x, y)) return false;
+		var node = this.root, nx = this.x, ny = this.y, half;
+		while (node.level > 0) {
+			if (node.population == 0) return false;
+			half = Math.pow(2, node.level - 1);
+			if (y < ny + half) {
+				if (x < nx + half) node = node.nw;
+				else { node = node.ne; nx += half; }
+			} else {
+				ny += half;
+				if (x < nx + half) node = node.sw;
+				else { node = node.se; nx += half; }
+			}
+		}
+		return node === ON;
+	};
+
+	// bring x, y to life, or kill it with alive false
+	this.set = function(x, y, alive) {
+		if (alive === false && !contains(x, y)) return;
+		while (!contains(x, y)) expand();
+		function put(node, nx, ny) {
+			if (node.level == 0) return alive === false ? OFF : ON;
+			var half = Math.pow(2, node.level - 1);
+			if (y < ny + half) {
+				if (x < nx + half) return join(put(node.nw, nx, ny), node.ne, node.sw, node.se);
+				return join(node.nw, put(node.ne, nx + half, ny), node.sw, node.se);
+			}
+			if (x < nx + half) return join(node.nw, node.ne, put(node.sw, nx, ny + half), node.se);
+			return join(node.nw, node.ne, node.sw, put(node.se, nx + half, ny + half));
+		}
+		this.root = put(this.root, this.x, this.y);
+	};
+
+	this.clear = function() {
+		reset();
+		this.root = empty(3);
+		this.x = this.y = -4;
+	};
+
+	// replace everything with a width x height board of cells, where cells[index(x, y)]
+	// is 1 for alive, with its top left at x0, y0 (default 0, 0)
+	this.load = function(cells, width, height, index, x0, y0) {
+		reset();
+		var level = 3;
+		while (Math.pow(2, level) < Math.max(width, height)) level++;
+		function build(level, x, y) {
+			if (x >= width || y >= height) return empty(level);
+			if (level == 0) return cells[index(x, y)] ? ON : OFF;
+			var half = Math.pow(2, level - 1);
+			return join(build(level - 1, x, y), build(level - 1, x + half, y),
+				build(level - 1, x, y + half), build(level - 1, x + half, y + half));
+		}
+		this.root = build(level, 0, 0);
+		this.x = x0 || 0;
+		this.y = y0 || 0;
+	};
+
+	// fn(x, y, size) for every live cell in the width x height rectangle with its top
+	// left at x0, y0, except that any square of up to scale cells on a side with something
+	// alive in it comes as one call. zoomed way out, that's a lot fewer calls. zoomed in,
+	// scale is under 1 and it's a call per cell.
+	this.plot = function(x0, y0, width, height, scale, fn) {
+		function visit(node, nx, ny) {
+			var size = Math.pow(2, node.level);
+			if (node.population == 0 || nx >= x0 + width || ny >= y0 + height || nx + size <= x0 || ny + size <= y0) return;
+			if (node.level == 0 || size <= scale) {
+				fn(nx, ny, size);
+				return;
+			}
+			var half = size / 2;
+			visit(node.nw, nx, ny);
+			visit(node.ne, nx + half, ny);
+			visit(node.sw, nx, ny + half);
+			visit(node.se, nx + half, ny + half);
+		}
+		visit(this.root, this.x, this.y);
+	};
+
+	// the smallest rectangle around every live cell, { x, y, width, height }, or null
+	// when nothing's alive
+	this.bounds = function() {
+		if (this.root.population == 0) return null;
+		var box = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+		function visit(node, nx, ny) {
+			var size = Math.pow(2, node.level);
+			if (node.population == 0) return;
+			// nothing in here can stretch the box
+			if (nx >= box.x0 && ny >= box.y0 && nx + size <= box.x1 && ny + size <= box.y1) return;
+			if (node.level == 0) {
+				box.x0 = Math.min(box.x0, nx);
+				box.y0 = Math.min(box.y0, ny);
+				box.x1 = Math.max(box.x1, nx + 1);
+				box.y1 = Math.max(box.y1, ny + 1);
+				return;
+			}
+			var half = size / 2;
+			visit(node.nw, nx, ny);
+			visit(node.ne, nx + half, ny);
+			visit(node.sw, nx, ny + half);
+			visit(node.se, nx + half, ny + half);
+		}
+		visit(this.root, this.x, this.y);
+		return { x: box.x0, y: box.y0, width: box.x1 - box.x0, height: box.y1 - box.y0 };
+	};
+
+	// 2^j generations on. the root grows until the live cells sit in the middle
+	// quarter of it with room for 2^j generations of growth all round, then gets
+	// replaced by its successor.
+	this.step = function(j) {
+		j = j || 0;
+		while (this.root.level < j + 3 || centre(centre(this.root)).population != this.root.population) {
+			expand();
+		}
+		var quarter = Math.pow(2, this.root.level - 2);
+		this.root = successor(this.root, j);
+		this.x += quarter;
+		this.y += quarter;
+		this.generation += Math.pow(2, j);
+		if (table.size > this.maxNodes) this.collect();
+	};
+
+	// n generations on, a power of two at a time
+	this.jump = function(n) {
+		for (var j = 0; n >= 1; j++) {
+			if (n % 2 == 1) this.step(j);
+			n = Math.floor(n / 2);
+		}
+	};
+
+	// forget every node the universe doesn't use any more, and everything they
+	// remembered about the future
+	this.collect = function() {
+		var seen = new Map();
+		reset();
+		function copy(node) {
+			if (node.level == 0) return node;
+			var done = seen.get(node);
+			if (done) return done;
+			done = join(copy(node.nw), copy(node.ne), copy(node.sw), copy(node.se));
+			seen.set(node, done);
+			return done;
+		}
+		this.root = copy(this.root);
+	};
+
+	this.nodes = function() {
+		return table.size;
+	};
+}
+
+// B3/S23, as a Conway rule table
+Hashlife.life = new Uint8Array(18);
+Hashlife.life[3] = Hashlife.life[9 + 2] = Hashlife.life[9 + 3] = 1;
+
+// node wants to require this, browsers just get the global
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = Hashlife;
+}
@@ -0,0 +1,236 @@
+// checks the life engines against the dumbest stepper there is. run it with node:
+//		node life-test.js
+// random small boards go into Hashlife, LifeGrid and LifeSparse, get stepped a
+// generation at a time, 2^k at a time and (hashlife) by jump(n), and have to come out
+// cell for cell the same as naive below, and plot has to find every live cell. then
+// every LifeGrid topology gets its neighbors and steps checked against edges glued
+// together one crossing at a time. prints each check and exits 1 if any fail.
+
+var Hashlife = require("./hashlife.js");
+var LifeGrid = require("./life.js").LifeGrid;
+var LifeSparse = require("./life.js").LifeSparse;
+
+// a rule table from born and survive digit strings, like rule("3", "23")
+function rule(born, survive) {
+	var table = new Uint8Array(18);
+	born.split("").forEach(function(n) { table[Number(n)] = 1; });
+	survive.split("").forEach(function(n) { table[9 + Number(n)] = 1; });
+	return table;
+}
+var rules = { "B3/S23": rule("3", "23"), "B36/S23": rule("36", "23"), "B2/S": rule("2", "") };
+
+// the same numbers every run, so a failure stays put
+var seed = 1;
+function random() {
+	seed = (seed * 16807) % 2147483647;
+	return seed / 2147483647;
+}
+
+// gens generations of a width x height board of 0s and 1s, row after row. a neighbor
+// off the board comes from wrap(x, y, width, height), [x, y] on the board or null for
+// dead, like LifeGrid.topologies.
+function naive(cells, width, height, table, gens, wrap) {
+	wrap = wrap || LifeGrid.topologies.dead;
+	for (var g = 0; g < gens; g++) {
+		var next = [];
+		for (var y = 0; y < height; y++) {
+			for (var x = 0; x < width; x++) {
+				var n = 0;
+				for (var dy = -1; dy <= 1; dy++) {
+					for (var dx = -1; dx <= 1; dx++) {
+						if (!dx && !dy) continue;
+						var nx = x + dx, ny = y + dy;
+						if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+							var to = wrap(nx, ny, width, height);
+							if (!to) continue;
+							nx = to[0];
+							ny = to[1];
+						}
+						n += cells[ny * width + nx];
+					}
+				}
+				next.push(table[cells[y * width + x] * 9 + n]);
+			}
+		}
+		cells = next;
+	}
+	return cells;
+}
+
+// a board size x size with a random soup side x side in the middle, so there's
+// (size - side) / 2 cells of nothing all round for it to grow into
+function soup(size, side, density) {
+	var cells = [], o = Math.floor((size - side) / 2);
+	for (var y = 0; y < size; y++) {
+		for (var x = 0; x < size; x++) {
+			cells.push(x >= o && y >= o && x < o + side && y < o + side && random() < density ? 1 : 0);
+		}
+	}
+	return cells;
+}
+
+var failed = 0;
+function check(what, ok) {
+	console.log((ok ? "  ok   " : "  FAIL ") + what);
+	if (!ok) failed++;
+}
+
+// engine matches cells (width wide) everywhere on the board, and has nothing off it
+function same(engine, cells, width, height) {
+	var population = 0;
+	for (var y = 0; y < height; y++) {
+		for (var x = 0; x < width; x++) {
+			if (engine.get(x, y) != (cells[y * width + x] == 1)) return false;
+			population += cells[y * width + x];
+		}
+	}
+	return engine.population() == population;
+}
+
+var engines = {
+	hashlife: function(table) { return new Hashlife(table); },
+	grid: function(table, size) { return new LifeGrid(size, size, table); },
+	sparse: function(table) { return new LifeSparse(table); }
+};
+function load(name, table, cells, size) {
+	var engine = engines[name](table, size);
+	engine.load(cells, size, size, function(x, y) { return y * size + x; }, 0, 0);
+	return engine;
+}
+
+console.log("engines against naive");
+Object.keys(rules).forEach(function(r) {
+	var table = rules[r];
+	for (var trial = 0; trial < 3; trial++) {
+		// no more than 64 generations, so 70 cells of margin never runs out
+		var size = 152, side = 4 + Math.floor(random() * 9);
+		var cells = soup(size, side, 0.2 + 0.3 * random());
+		var n = 1 + Math.floor(random() * 64);
+		var gens = {};
+		[1, 2, 4, 8, 16, 32, n].forEach(function(g) { gens[g] = naive(cells, size, size, table, g); });
+		Object.keys(engines).forEach(function(name) {
+			var label = r + " " + side + "x" + side + " soup, " + name;
+			var engine = load(name, table, cells, size), g;
+			for (g = 1; g <= 8; g++) engine.step();
+			check(label + ", 8 steps of 1", same(engine, gens[8], size, size));
+			for (var k = 0; k <= 5; k++) {
+				engine = load(name, table, cells, size);
+				engine.step(k);
+				check(label + ", one step of 2^" + k, same(engine, gens[Math.pow(2, k)], size, size));
+			}
+			engine = load(name, table, cells, size);
+			if (engine.jump) engine.jump(n);
+			else for (g = 0; g < n; g++) engine.step();
+			check(label + ", " + (engine.jump ? "jump(" + n + ")" : n + " steps"), same(engine, gens[n], size, size) && engine.generation == n);
+		});
+	}
+});
+
+// plot has to hand back every live cell, once, whatever the scale. zoomed in past a
+// pixel a cell, scale drops under 1.
+console.log("plot");
+Object.keys(engines).forEach(function(name) {
+	var size = 40, cells = soup(size, 30, 0.4);
+	var engine = load(name, rules["B3/S23"], cells, size);
+	engine.step(2);
+	var expected = naive(cells, size, size, rules["B3/S23"], 4);
+	[0.25, 0.5, 1].forEach(function(scale) {
+		var plotted = [], ok = true;
+		for (var i = 0; i < size * size; i++) plotted.push(0);
+		try {
+			engine.plot(0, 0, size, size, scale, function(x, y, s) {
+				if (s != 1) ok = false;
+				else plotted[y * size + x]++;
+			});
+		} catch (e) {
+			ok = false;
+		}
+		check(name + " at scale " + scale, ok && plotted.join() == expected.join());
+	});
+});
+
+// the topologies again, as what happens crossing each edge: across = [dx, dy] takes a
+// cell that's gone past the left or right edge back on (after x has wrapped), down the
+// same for top or bottom. left and right go first, like LifeGrid.topologies.cross.
+var glue = {
+	dead: null,
+	torus: { across: function(x, y, w, h) { return [x, y]; }, down: function(x, y, w, h) { return [x, y]; } },
+	klein: { across: function(x, y, w, h) { return [x, y]; }, down: function(x, y, w, h) { return [w - 1 - x, y]; } },
+	cross: { across: function(x, y, w, h) { return [x, h - 1 - y]; }, down: function(x, y, w, h) { return [w - 1 - x, y]; } }
+};
+// a wrap for naive out of glue, for cells at most one off the board
+function glued(name) {
+	var g = glue[name];
+	return function(x, y, w, h) {
+		if (!g) return null;
+		var p = [x, y];
+		if (x < 0 || x >= w) p = g.across((x + w) % w, y, w, h);
+		if (p[1] < 0 || p[1] >= h) p = g.down(p[0], (p[1] + h) % h, w, h);
+		return p;
+	};
+}
+
+console.log("topologies");
+var life = rules["B3/S23"];
+Object.keys(glue).forEach(function(name) {
+	[[8, 6], [7, 7], [2, 3], [1, 6], [6, 1], [1, 1]].forEach(function(dims) {
+		var w = dims[0], h = dims[1], label = name + " " + w + "x" + h;
+		var cells = [], i, x, y;
+		for (i = 0; i < w * h; i++) cells.push(random() < 0.4 ? 1 : 0);
+		var grid = new LifeGrid(w, h, life, name);
+		grid.load(cells, w, h, function(x, y) { return y * w + x; });
+		// every cell, which on these sizes is mostly edges and corners
+		var wrong = [];
+		for (y = 0; y < h; y++) {
+			for (x = 0; x < w; x++) {
+				var n = 0;
+				for (var dy = -1; dy <= 1; dy++) {
+					for (var dx = -1; dx <= 1; dx++) {
+						if (!dx && !dy) continue;
+						var p = x + dx >= 0 && y + dy >= 0 && x + dx < w && y + dy < h ? [x + dx, y + dy] : glued(name)(x + dx, y + dy, w, h);
+						if (p) n += cells[p[1] * w + p[0]];
+					}
+				}
+				if (grid.neighbors(x, y) != n) wrong.push(x + "," + y);
+			}
+		}
+		check(label + " neighbors", wrong.length == 0);
+		for (i = 0; i < 10; i++) grid.step();
+		check(label + ", 10 steps", same(grid, naive(cells, w, h, life, 10, glued(name)), w, h));
+		grid.load(cells, w, h, function(x, y) { return y * w + x; });
+		grid.step(3);
+		check(label + ", one step of 2^3", same(grid, naive(cells, w, h, life, 8, glued(name)), w, h));
+	});
+});
+// on the projective plane the cell diagonally past a corner is the corner itself
+[[0, 0], [7, 0], [0, 5], [7, 5]].forEach(function(c) {
+	var grid = new LifeGrid(8, 6, life, "cross");
+	grid.set(c[0], c[1]);
+	check("cross 8x6 corner " + c + " is its own neighbor", grid.neighbors(c[0], c[1]) == 1 && grid.get(c[0] - (c[0] ? -1 : 1), c[1] - (c[1] ? -1 : 1)));
+	grid = new LifeGrid(8, 6, life, "torus");
+	grid.set(c[0], c[1]);
+	check("torus 8x6 corner " + c + " isn't", grid.neighbors(c[0], c[1]) == 0);
+});
+// unbounded is the sparse engine: a soup across the chunk corner at 0, 0, where
+// every neighbor comes from another chunk, and a glider flying off through negative
+// coordinates into chunks that weren't there
+(function() {
+	var size = 40, cells = soup(size, 16, 0.4), o = -size / 2;
+	var sparse = new LifeSparse(life);
+	sparse.load(cells, size, size, function(x, y) { return y * size + x; }, o, o);
+	for (var i = 0; i < 10; i++) sparse.step();
+	var expected = naive(cells, size, size, life, 10), ok = sparse.population() == expected.reduce(function(a, b) { return a + b; });
+	for (var y = 0; y < size; y++) {
+		for (var x = 0; x < size; x++) ok = ok && sparse.get(x + o, y + o) == (expected[y * size + x] == 1);
+	}
+	check("unbounded soup across chunk corners", ok);
+	var glider = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+	sparse = new LifeSparse(life);
+	// heading up and left, from just inside chunk 0, 0
+	glider.forEach(function(p) { sparse.set(2 - p[0], 2 - p[1]); });
+	sparse.step(8); // 256 generations, 64 cells up and left
+	check("unbounded glider 64 cells on", sparse.population() == 5 && glider.every(function(p) { return sparse.get(2 - p[0] - 64, 2 - p[1] - 64); }));
+})();
+
+console.log(failed ? failed + " checks failed" : "all checks passed");
+if (failed) process.exitCode = 1;
@@ -0,0 +1,334 @@
+// the engines under Conway. each one keeps a universe of live cells and steps it by a
+// rule, and they all answer the same calls so Conway doesn't care which it has:
+//		rule					-	rule[alive * 9 + neighbors] is 1 if the cell is alive
+//									next generation (Conway.rule builds these)
+//		generation				-	how many generations in
+//		get(x, y), set(x, y, alive)	-	alive defaults to true for set
+//		clear()
+//		step(j)					-	2^j generations on (default 1)
+//		population()
+//		bounds()				-	{ x, y, width, height } around every live cell, or null
+//		plot(x0, y0, width, height, scale, fn)	-	fn(x, y, size) for live cells in the
+//									rectangle, or size x size blocks with something alive
+//									in them; size is 1 or up to scale
+//		load(cells, width, height, index, x0, y0)	-	replace everything with a board
+//									where cells[index(x, y)] is 1 for alive, put at x0, y0
+// Hashlife in hashlife.js is the third, for giant leaps.
+// coordinates are cells, x right and y down.
+
+/* ********************************************************************************* */
+// a fixed width x height board. the cells are a flat byte each, 1 alive 0 dead, row after
+// row, with a ring of extra cells around the outside so every cell has 8 neighbors to
+// add up and nothing has to check for edges. before each generation the ring gets
+// filled in with whatever's across the edge, which is up to the topology (one of
+// LifeGrid.topologies, default "dead"). a step writes the new generation into the back
+// buffer and swaps.
+function LifeGrid(width, height, rule, topology) {
+	this.width = width;
+	this.height = height;
+	this.rule = rule;
+	this.generation = 0;
+	var W = width + 2, H = height + 2;
+	this.cells = new Uint8Array(W * H);
+	var back = new Uint8Array(W * H);
+	this.index = function(x, y) {
+		return (y + 1) * W + x + 1;
+	};
+	function inside(x, y) {
+		return x >= 0 && y >= 0 && x < width && y < height;
+	}
+
+	// ring[2k] is a ring cell and ring[2k + 1] the board cell it copies, or -1 to stay dead
+	var ring;
+	this.setTopology = function(name) {
+		var wrap = LifeGrid.topologies[name];
+		if (!wrap) {
+			throw new Error("LifeGrid: no topology called " + name + ", try one of " + Object.keys(LifeGrid.topologies).join(", "));
+		}
+		this.topology = name;
+		var pairs = [], x, y;
+		for (y = -1; y <= height; y++) {
+			for (x = -1; x <= width; x++) {
+				if (inside(x, y)) continue;
+				var to = wrap(x, y, width, height);
+				pairs.push(this.index(x, y), to ? this.index(to[0], to[1]) : -1);
+			}
+		}
+		ring = new Int32Array(pairs);
+	};
+	this.setTopology(topology || "dead");
+	function fillRing(c) {
+		for (var k = 0; k < ring.length; k += 2) {
+			c[ring[k]] = ring[k + 1] < 0 ? 0 : c[ring[k + 1]];
+		}
+	}
+
+	// anywhere at all, by way of the topology when it's off the board
+	this.get = function(x, y) {
+		if (!inside(x, y)) {
+			var to = LifeGrid.topologies[this.topology](x, y, width, height);
+			if (!to) return false;
+			x = to[0];
+			y = to[1];
+		}
+		return this.cells[this.index(x, y)] == 1;
+	};
+	this.neighbors = function(x, y) {
+		var n = 0;
+		for (var dy = -1; dy <= 1; dy++) {
+			for (var dx = -1; dx <= 1; dx++) {
+				if ((dx || dy) && this.get(x + dx, y + dy)) n++;
+			}
+		}
+		return n;
+	};
+	this.set = function(x, y, alive) {
+		if (inside(x, y)) this.cells[this.index(x, y)] = alive === false ? 0 : 1;
+	};
+	this.clear = function() {
+		this.cells.fill(0);
+	};
+
+	this.step = function(j) {
+		for (var s = Math.pow(2, j || 0); s > 0; s--) {
+			var c = this.cells, n = back, rule = this.rule;
+			var i, end;
+			fillRing(c);
+			for (var y = 1; y <= height; y++) {
+				i = y * W + 1;
+				end = i + width;
+				for (; i < end; i++) {
+					n[i] = rule[c[i] * 9 +
+						c[i - W - 1] + c[i - W] + c[i - W + 1] +
+						c[i - 1] + c[i + 1] +
+						c[i + W - 1] + c[i + W] + c[i + W + 1]];
+				}
+			}
+			back = c;
+			this.cells = n;
+			this.generation++;
+		}
+	};
+
+	this.population = function() {
+		var count = 0;
+		for (var y = 0; y < height; y++) {
+			for (var i = this.index(0, y), end = i + width; i < end; i++) count += this.cells[i];
+		}
+		return count;
+	};
+	this.bounds = function() {
+		var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+		for (var y = 0; y < height; y++) {
+			for (var x = 0; x < width; x++) {
+				if (this.cells[this.index(x, y)]) {
+					x0 = Math.min(x0, x); x1 = Math.max(x1, x + 1);
+					y0 = Math.min(y0, y); y1 = Math.max(y1, y + 1);
+				}
+			}
+		}
+		return x1 > x0 ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : null;
+	};
+	this.plot = function(x0, y0, w, h, scale, fn) {
+		var xa = Math.max(0, Math.floor(x0)), ya = Math.max(0, Math.floor(y0));
+		var xb = Math.min(width, Math.ceil(x0 + w)), yb = Math.min(height, Math.ceil(y0 + h));
+		for (var y = ya; y < yb; y++) {
+			for (var x = xa; x < xb; x++) {
+				if (this.cells[this.index(x, y)]) fn(x, y, 1);
+			}
+		}
+	};
+	this.load = function(cells, w, h, index, x0, y0) {
+		this.clear();
+		for (var y = 0; y < h; y++) {
+			for (var x = 0; x < w; x++) {
+				if (cells[index(x, y)]) this.set(x + (x0 || 0), y + (y0 || 0));
+			}
+		}
+	};
+}
+
+// how a board's edges join up: wrap(x, y, width, height) takes a cell off the board
+// to the board cell that's really there, or null for nothing (dead).
+LifeGrid.topologies = {
+	dead: function() { return null; },
+	// left joins right and top joins bottom
+	torus: function(x, y, w, h) {
+		return [LifeGrid.mod(x, w), LifeGrid.mod(y, h)];
+	},
+	// left joins right, top joins bottom but flipped left to right
+	klein: function(x, y, w, h) {
+		var ty = Math.floor(y / h);
+		x = LifeGrid.mod(x, w);
+		return [ty % 2 ? w - 1 - x : x, LifeGrid.mod(y, h)];
+	},
+	// both pairs of edges join flipped, the real projective plane. past a corner it
+	// goes across left to right first, then top to bottom. both flips undo each other
+	// there, so the cell diagonally past a corner is that corner cell itself: a corner
+	// counts itself among its own eight neighbors. that's meant, it's what gluing the
+	// edges this way does to the corners.
+	cross: function(x, y, w, h) {
+		var tx = Math.floor(x / w);
+		x = LifeGrid.mod(x, w);
+		if (tx % 2) y = h - 1 - y;
+		var ty = Math.floor(y / h);
+		y = LifeGrid.mod(y, h);
+		return [ty % 2 ? w - 1 - x : x, y];
+	}
+};
+// x mod n, but never negative
+LifeGrid.mod = function(x, n) {
+	return ((x % n) + n) % n;
+};
+
+/* ********************************************************************************* */
+// an endless plane kept as CHUNK x CHUNK squares, only the ones with something alive in
+// them, by "cx,cy" in a Map. a step runs the same branch-free sum as LifeGrid over each
+// live chunk, plus any neighbor chunk something could be born into, each copied into a
+// padded scratch square with a ring of its neighbors' edge cells first.
+function LifeSparse(rule) {
+	var S = LifeSparse.CHUNK, P = S + 2;
+	this.rule = rule;
+	this.generation = 0;
+	var chunks = new Map();
+	var pad = new Uint8Array(P * P);
+
+	function key(cx, cy) {
+		return cx + "," + cy;
+	}
+	// the chunk at cx, cy, made empty if make and there isn't one
+	function chunk(cx, cy, make) {
+		var k = key(cx, cy), c = chunks.get(k);
+		if (!c && make) {
+			c = { x: cx, y: cy, cells: new Uint8Array(S * S), population: 0 };
+			chunks.set(k, c);
+		}
+		return c;
+	}
+
+	this.get = function(x, y) {
+		var cx = Math.floor(x / S), cy = Math.floor(y / S);
+		var c = chunk(cx, cy, false);
+		return !!c && c.cells[(y - cy * S) * S + x - cx * S] == 1;
+	};
+	this.set = function(x, y, alive) {
+		var cx = Math.floor(x / S), cy = Math.floor(y / S);
+		var c = chunk(cx, cy, alive !== false);
+		if (!c) return;
+		var i = (y - cy * S) * S + x - cx * S, v = alive === false ? 0 : 1;
+		c.population += v - c.cells[i];
+		c.cells[i] = v;
+		if (c.population == 0) chunks.delete(key(cx, cy));
+	};
+	this.clear = function() {
+		chunks = new Map();
+	};
+
+	// copy chunk cx, cy and the edges of its neighbors into pad
+	function fill(cx, cy) {
+		pad.fill(0);
+		var c = chunk(cx, cy, false), n, i;
+		if (c) {
+			for (i = 0; i < S; i++) pad.set(c.cells.subarray(i * S, i * S + S), (i + 1) * P + 1);
+		}
+		if ((n = chunk(cx, cy - 1, false))) pad.set(n.cells.subarray((S - 1) * S, S * S), 1);
+		if ((n = chunk(cx, cy + 1, false))) pad.set(n.cells.subarray(0, S), (S + 1) * P + 1);
+		if ((n = chunk(cx - 1, cy, false))) for (i = 0; i < S; i++) pad[(i + 1) * P] = n.cells[i * S + S - 1];
+		if ((n = chunk(cx + 1, cy, false))) for (i = 0; i < S; i++) pad[(i + 1) * P + S + 1] = n.cells[i * S];
+		if ((n = chunk(cx - 1, cy - 1, false))) pad[0] = n.cells[S * S - 1];
+		if ((n = chunk(cx + 1, cy - 1, false))) pad[S + 1] = n.cells[(S - 1) * S];
+		if ((n = chunk(cx - 1, cy + 1, false))) pad[(S + 1) * P] = n.cells[S - 1];
+		if ((n = chunk(cx + 1, cy + 1, false))) pad[(S + 1) * P + S + 1] = n.cells[0];
+	}
+
+	// which chunks could have anything alive next generation: the live ones, and the
+	// neighbors of any with live cells on the edge facing them
+	function candidates() {
+		var out = new Map();
+		chunks.forEach(function(c) {
+			out.set(key(c.x, c.y), c);
+			var cells = c.cells, top = 0, bottom = 0, left = 0, right = 0, i;
+			for (i = 0; i < S; i++) {
+				top |= cells[i];
+				bottom |= cells[(S - 1) * S + i];
+				left |= cells[i * S];
+				right |= cells[i * S + S - 1];
+			}
+			for (var dy = -1; dy <= 1; dy++) {
+				for (var dx = -1; dx <= 1; dx++) {
+					if ((dy < 0 && !top) || (dy > 0 && !bottom) || (dx < 0 && !left) || (dx > 0 && !right)) continue;
+					var k = key(c.x + dx, c.y + dy);
+					if (!out.has(k)) out.set(k, { x: c.x + dx, y: c.y + dy });
+				}
+			}
+		});
+		return out;
+	}
+
+	this.step = function(j) {
+		for (var s = Math.pow(2, j || 0); s > 0; s--) {
+			var next = new Map(), rule = this.rule;
+			candidates().forEach(function(c) {
+				fill(c.x, c.y);
+				var out = new Uint8Array(S * S), population = 0, i, o, v;
+				for (var y = 0; y < S; y++) {
+					i = (y + 1) * P + 1;
+					o = y * S;
+					for (var x = 0; x < S; x++, i++, o++) {
+						v = out[o] = rule[pad[i] * 9 +
+							pad[i - P - 1] + pad[i - P] + pad[i - P + 1] +
+							pad[i - 1] + pad[i + 1] +
+							pad[i + P - 1] + pad[i + P] + pad[i + P + 1]];
+						population += v;
+					}
+				}
+				if (population > 0) next.set(key(c.x, c.y), { x: c.x, y: c.y, cells: out, population: population });
+			});
+			chunks = next;
+			this.generation++;
+		}
+	};
+
+	this.population = function() {
+		var count = 0;
+		chunks.forEach(function(c) { count += c.population; });
+		return count;
+	};
+	this.bounds = function() {
+		var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+		chunks.forEach(function(c) {
+			for (var i = 0; i < S * S; i++) {
+				if (!c.cells[i]) continue;
+				var x = c.x * S + i % S, y = c.y * S + Math.floor(i / S);
+				x0 = Math.min(x0, x); x1 = Math.max(x1, x + 1);
+				y0 = Math.min(y0, y); y1 = Math.max(y1, y + 1);
+			}
+		});
+		return x1 > x0 ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : null;
+	};
+	this.plot = function(x0, y0, w, h, scale, fn) {
+		chunks.forEach(function(c) {
+			var cx = c.x * S, cy = c.y * S;
+			if (cx >= x0 + w || cy >= y0 + h || cx + S <= x0 || cy + S <= y0) return;
+			for (var i = 0; i < S * S; i++) {
+				if (!c.cells[i]) continue;
+				var x = cx + i % S, y = cy + Math.floor(i / S);
+				if (x >= x0 - 1 && y >= y0 - 1 && x < x0 + w && y < y0 + h) fn(x, y, 1);
+			}
+		});
+	};
+	this.load = function(cells, w, h, index, x0, y0) {
+		this.clear();
+		for (var y = 0; y < h; y++) {
+			for (var x = 0; x < w; x++) {
+				if (cells[index(x, y)]) this.set(x + (x0 || 0), y + (y0 || 0));
+			}
+		}
+	};
+}
+LifeSparse.CHUNK = 64;
+
+// node wants to require this, browsers just get the globals
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = { LifeGrid: LifeGrid, LifeSparse: LifeSparse };
+}
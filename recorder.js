@@ -0,0 +1,386 @@
+// records what a canvas shows: an animated gif, or a zip of pngs, all in plain js.
+//		var rec = new Recorder(canvas, { clock: function() { return toy.time(); }, rate: 10 });
+//		rec.attach(someWindow); // a ~Rec / ~Stop button
+// frames get grabbed at a fixed rate of whatever clock says, so a toy that runs slow
+// or fast still comes out evenly spaced in its own time. options:
+//		clock		-	function returning the time to pace captures by, defaults to seconds
+//						of real time. a generation count works too.
+//		rate		-	captures per unit of clock (default 10)
+//		fps			-	playback frames per second of the gif (default 10)
+//		format		-	"gif" (default) or "png" for a zip of numbered pngs
+//		scale		-	shrink the frames by this much, 0.5 is half size (default 1)
+//		maxFrames	-	stop by itself after this many (default 600)
+//		name		-	file name to save as, without the extension (default "recording")
+//		background	-	css color behind the canvas's transparent pixels, which gifs can't
+//						have. defaults to the page's: see Recorder.backgroundOf
+function Recorder(canvas, opts) {
+	opts = opts || {};
+	var self = this;
+	this.canvas = canvas;
+	this.clock = opts.clock || function() { return Date.now() / 1000; };
+	this.rate = opts.rate || 10;
+	this.fps = opts.fps || 10;
+	this.format = opts.format || "gif";
+	this.scale = opts.scale || 1;
+	this.maxFrames = opts.maxFrames || 600;
+	this.name = opts.name || "recording";
+	this.background = opts.background || null;
+	this.recording = false;
+	this.frames = 0; // captured so far this recording
+	this.onChange = null; // called with no arguments when recording starts or stops
+
+	if (!Recorder.formats[this.format]) {
+		throw new Error("Recorder: no format called " + this.format + ", try one of " + Object.keys(Recorder.formats).join(", "));
+	}
+
+	var scratch = null, encoder = null, next = 0, background = null;
+
+	this.start = function() {
+		if (this.recording) return;
+		scratch = document.createElement("canvas");
+		scratch.width = Math.max(1, Math.round(this.canvas.width * this.scale));
+		scratch.height = Math.max(1, Math.round(this.canvas.height * this.scale));
+		encoder = Recorder.formats[this.format].encoder(scratch.width, scratch.height, this.fps);
+		background = this.background || Recorder.backgroundOf(this.canvas);
+		this.recording = true;
+		this.frames = 0;
+		next = this.clock();
+		poll();
+		if (this.onChange) this.onChange();
+	};
+
+	// wrap up and download. discard throws the frames away instead.
+	this.stop = function(discard) {
+		if (!this.recording) return;
+		this.recording = false;
+		if (!discard && this.frames > 0) {
+			var format = Recorder.formats[this.format];
+			Recorder.download(encoder.finish(), format.type, this.name + "." + format.extension);
+		}
+		encoder = null;
+		scratch = null;
+		if (this.onChange) this.onChange();
+	};
+
+	this.toggle = function() {
+		if (this.recording) this.stop();
+		else this.start();
+	};
+
+	// grab whatever the canvas shows right now
+	this.capture = function() {
+		var sctx = scratch.getContext("2d");
+		sctx.fillStyle = background;
+		sctx.fillRect(0, 0, scratch.width, scratch.height);
+		sctx.drawImage(this.canvas, 0, 0, scratch.width, scratch.height);
+		encoder.add(scratch);
+		this.frames++;
+		if (this.frames >= this.maxFrames) this.stop();
+	};
+
+	// check the clock every animation frame. when it's past the next capture time,
+	// capture once and schedule the next one, skipping any we were too slow for. a
+	// canvas that's left the page (its window got closed) ends the recording.
+	function poll() {
+		if (!self.recording) return;
+		if (!document.body.contains(self.canvas)) {
+			self.stop(true);
+			return;
+		}
+		var now = self.clock();
+		if (now < next - 1 / self.rate) next = now; // the clock went backwards, start over from here
+		if (now >= next) {
+			self.capture();
+			next += Math.max(1, Math.floor((now - next) * self.rate) + 1) / self.rate;
+		}
+		window.requestAnimationFrame(poll);
+	}
+
+	// a ~Rec button on win (a Window) that turns into ~Stop while recording
+	this.attach = function(win) {
+		var $button = win.button("~Rec", function() {
+			self.toggle();
+		});
+		var before = this.onChange;
+		this.onChange = function() {
+			$button.text(self.recording ? "~Stop" : "~Rec");
+			if (before) before();
+		};
+		return $button;
+	};
+};
+
+// the color that shows through el's transparent pixels on the page: the background of
+// the closest of it or its ancestors that has one, else white. pond's blue is its
+// canvas's css, for one.
+Recorder.backgroundOf = function(el) {
+	for (; el && el.nodeType == 1; el = el.parentNode) {
+		var color = window.getComputedStyle(el).backgroundColor;
+		if (color && color != "transparent" && !/^rgba\(.*,\s*0\)$/.test(color)) return color;
+	}
+	return "white";
+};
+
+// hand the browser data to save as a file called name. the bathtub saves with it too
+Recorder.download = function(data, type, name) {
+	var a = document.createElement("a");
+	a.href = URL.createObjectURL(new Blob([data], { type: type }));
+	a.download = name;
+	document.body.appendChild(a);
+	a.click();
+	document.body.removeChild(a);
+	URL.revokeObjectURL(a.href);
+};
+
+// what a recording can be saved as. encoder(width, height, fps) returns something with
+// add(canvas) for each frame and finish() giving the file's bytes.
+Recorder.formats = {
+	gif: {
+		type: "image/gif", extension: "gif",
+		encoder: function(width, height, fps) { return new Recorder.GIF(width, height, fps); }
+	},
+	png: {
+		type: "application/zip", extension: "zip",
+		encoder: function(width, height, fps) {
+			var zip = new Recorder.Zip();
+			return {
+				add: function(canvas) {
+					var n = String(zip.files.length + 1);
+					while (n.length < 5) n = "0" + n;
+					zip.add("frame-" + n + ".png", Recorder.dataURLBytes(canvas.toDataURL("image/png")));
+				},
+				finish: function() { return zip.finish(); }
+			};
+		}
+	}
+};
+
+// the bytes in a base64 data: url
+Recorder.dataURLBytes = function(url) {
+	var raw = atob(url.slice(url.indexOf(",") + 1));
+	var bytes = new Uint8Array(raw.length);
+	for (var i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+	return bytes;
+};
+
+// growable byte buffer, for building files
+Recorder.Bytes = function() {
+	var buf = new Uint8Array(1 << 16), length = 0;
+	function room(n) {
+		if (length + n <= buf.length) return;
+		var bigger = new Uint8Array(Math.max(buf.length * 2, length + n));
+		bigger.set(buf.subarray(0, length));
+		buf = bigger;
+	}
+	this.byte = function(b) {
+		room(1);
+		buf[length++] = b;
+	};
+	// little endian
+	this.short = function(s) {
+		this.byte(s & 0xff);
+		this.byte((s >> 8) & 0xff);
+	};
+	this.int = function(i) {
+		this.short(i & 0xffff);
+		this.short((i >>> 16) & 0xffff);
+	};
+	this.bytes = function(bytes) {
+		room(bytes.length);
+		buf.set(bytes, length);
+		length += bytes.length;
+	};
+	this.ascii = function(s) {
+		for (var i = 0; i < s.length; i++) this.byte(s.charCodeAt(i));
+	};
+	this.length = function() {
+		return length;
+	};
+	this.result = function() {
+		return buf.slice(0, length);
+	};
+};
+
+/* ********************************************************************************* */
+// animated gif, looping forever. every frame shares one fixed palette, 8 levels of red
+// and green and 4 of blue (3-3-2 bits), which is nothing fancy but needs no second
+// pass and keeps black and white exact. frames get encoded as they come in so only the
+// compressed bytes pile up.
+Recorder.GIF = function(width, height, fps) {
+	var out = new Recorder.Bytes();
+	var delay = Math.max(2, Math.round(100 / fps)); // hundredths of a second
+	var i;
+	out.ascii("GIF89a");
+	out.short(width);
+	out.short(height);
+	out.byte(0xf7); // global color table of 256, 8 bits per primary
+	out.byte(0); // background color
+	out.byte(0); // square pixels
+	for (i = 0; i < 256; i++) {
+		out.byte(Math.round((i >> 5) * 255 / 7));
+		out.byte(Math.round(((i >> 2) & 7) * 255 / 7));
+		out.byte(Math.round((i & 3) * 255 / 3));
+	}
+	// loop forever
+	out.bytes([0x21, 0xff, 0x0b]);
+	out.ascii("NETSCAPE2.0");
+	out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+	// nearest palette level for each value of a channel
+	var levels8 = new Uint8Array(256), levels4 = new Uint8Array(256);
+	for (i = 0; i < 256; i++) {
+		levels8[i] = Math.round(i * 7 / 255);
+		levels4[i] = Math.round(i * 3 / 255);
+	}
+	var indices = new Uint8Array(width * height);
+
+	this.add = function(canvas) {
+		var rgba = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+		for (var p = 0; p < indices.length; p++) {
+			indices[p] = levels8[rgba[4 * p]] << 5 | levels8[rgba[4 * p + 1]] << 2 | levels4[rgba[4 * p + 2]];
+		}
+		// graphic control: no transparency, the delay
+		out.bytes([0x21, 0xf9, 0x04, 0x00]);
+		out.short(delay);
+		out.bytes([0x00, 0x00]);
+		// image descriptor: the whole screen, global colors
+		out.byte(0x2c);
+		out.short(0);
+		out.short(0);
+		out.short(width);
+		out.short(height);
+		out.byte(0);
+		Recorder.GIF.lzw(indices, 8, out);
+	};
+
+	this.finish = function() {
+		out.byte(0x3b);
+		return out.result();
+	};
+};
+
+// gif flavored lzw of indices (each under 2^minCodeSize) onto out, in 255 byte blocks
+Recorder.GIF.lzw = function(indices, minCodeSize, out) {
+	var clear = 1 << minCodeSize, eoi = clear + 1;
+	var codeSize = minCodeSize + 1, nextCode = eoi + 1;
+	var table = new Map();
+	var block = new Uint8Array(255), blockLength = 0;
+	var bits = 0, bitCount = 0;
+	function flush() {
+		out.byte(blockLength);
+		out.bytes(block.subarray(0, blockLength));
+		blockLength = 0;
+	}
+	function emit(code) {
+		bits |= code << bitCount;
+		bitCount += codeSize;
+		while (bitCount >= 8) {
+			block[blockLength++] = bits & 0xff;
+			if (blockLength == 255) flush();
+			bits >>>= 8;
+			bitCount -= 8;
+		}
+	}
+	out.byte(minCodeSize);
+	emit(clear);
+	var code = indices[0], key, found;
+	for (var i = 1; i < indices.length; i++) {
+		key = code << 8 | indices[i];
+		found = table.get(key);
+		if (found !== undefined) {
+			code = found;
+			continue;
+		}
+		emit(code);
+		if (nextCode == 4096) {
+			// table's full, start a fresh one
+			emit(clear);
+			table = new Map();
+			codeSize = minCodeSize + 1;
+			nextCode = eoi + 1;
+		} else {
+			if (nextCode >= 1 << codeSize) codeSize++;
+			table.set(key, nextCode++);
+		}
+		code = indices[i];
+	}
+	emit(code);
+	emit(eoi);
+	if (bitCount > 0) {
+		block[blockLength++] = bits & 0xff;
+		if (blockLength == 255) flush();
+	}
+	if (blockLength > 0) flush();
+	out.byte(0); // end of image data
+};
+
+/* ********************************************************************************* */
+// a zip that just stores its files, no compression (pngs are compressed already)
+Recorder.Zip = function() {
+	var out = new Recorder.Bytes();
+	this.files = [];
+
+	this.add = function(name, bytes) {
+		var file = { name: name, size: bytes.length, crc: Recorder.crc32(bytes), offset: out.length() };
+		this.files.push(file);
+		out.int(0x04034b50);
+		header(file);
+		out.ascii(name);
+		out.bytes(bytes);
+	};
+
+	// the part of a file's entry the local and central headers share
+	function header(file) {
+		out.short(20); // version needed
+		out.short(0); // flags
+		out.short(0); // stored
+		out.short(0); // time, midnight
+		out.short(0x21); // date, 1980-01-01
+		out.int(file.crc);
+		out.int(file.size);
+		out.int(file.size);
+		out.short(file.name.length);
+		out.short(0); // extra field
+	}
+
+	this.finish = function() {
+		var start = out.length();
+		for (var i = 0; i < this.files.length; i++) {
+			var file = this.files[i];
+			out.int(0x02014b50);
+			out.short(20); // version made by
+			header(file);
+			out.short(0); // comment
+			out.short(0); // disk
+			out.short(0); // internal attributes
+			out.int(0); // external attributes
+			out.int(file.offset);
+			out.ascii(file.name);
+		}
+		var size = out.length() - start;
+		out.int(0x06054b50);
+		out.short(0);
+		out.short(0);
+		out.short(this.files.length);
+		out.short(this.files.length);
+		out.int(size);
+		out.int(start);
+		out.short(0);
+		return out.result();
+	};
+};
+
+Recorder.crc32 = function(bytes) {
+	var table = Recorder.crc32.table;
+	if (!table) {
+		table = Recorder.crc32.table = new Int32Array(256);
+		for (var n = 0; n < 256; n++) {
+			var c = n;
+			for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			table[n] = c;
+		}
+	}
+	var crc = -1;
+	for (var i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	return (crc ^ -1) >>> 0;
+};
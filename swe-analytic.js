@@ -0,0 +1,348 @@
+// exact answers to hold SWE up against, and the error norms and convergence orders to do
+// it with. in the browser load it after swe.js, in node require it or run it:
+//		node swe-analytic.js [scheme ...]
+// which prints every case against every scheme (or just the ones named), refined a few
+// times over, with the observed order of convergence between each refinement, checks
+// each against the case's limits and exits 1 if any of them fail.
+//
+// a case is plain data like SWE.presets:
+//		description		-	for people
+//		params			-	SWE options. QUANT_X, QUANT_Y and scheme come from the run
+//		time			-	simulated seconds to run for
+//		setup(swe)		-	optional, set the initial state on a fresh SWE
+//		exact(x, t, swe) -	the exact depth h at x meters along the strip at time t, or null
+//							if there's no such thing
+//		measure(swe, before) - optional, extra numbers worth knowing, before is a copy of
+//							the SWE from t = 0
+//		limits			-	what counts as passing, by scheme name, with default for any
+//							scheme not named. each is { key: bound } where the keys are
+//							l1, l2, linf or anything measure returns, bounding its size on
+//							the finest grid, and order, the least L1 order between the two
+//							finest. a scheme's own limits go over the default ones, and a
+//							null bound isn't checked. see SWEAnalytic.check
+// cases are 1D, run on strips a couple of cells tall, and compared along x.
+
+if (typeof SWE == "undefined" && typeof require != "undefined") {
+	var SWE = require("./swe.js");
+}
+
+var SWEAnalytic = {};
+
+// the dam break on a wet bed (Stoker), depth hL for x < 0 and hR for x > 0 let go at
+// t = 0. the answer only depends on x / t: a rarefaction running left, a flat middle
+// state hm moving at um, and a bore running right at speed s. returns a function of
+// x / t giving { h, u }.
+SWEAnalytic.stoker = function(hL, hR, g) {
+	if (!(hL > hR && hR > 0)) {
+		throw new Error("SWE: stoker needs hL > hR > 0, got " + hL + ", " + hR);
+	}
+	var cL = Math.sqrt(g * hL);
+	// the middle depth where the rarefaction's and the bore's velocities agree
+	function mismatch(hm) {
+		return 2 * (cL - Math.sqrt(g * hm)) - (hm - hR) * Math.sqrt(0.5 * g * (hm + hR) / (hm * hR));
+	}
+	var lo = hR, hi = hL, hm;
+	for (var i = 0; i < 100; i++) {
+		hm = 0.5 * (lo + hi);
+		if (mismatch(hm) > 0) lo = hm;
+		else hi = hm;
+	}
+	var cm = Math.sqrt(g * hm);
+	var um = 2 * (cL - cm);
+	var s = hm * um / (hm - hR);
+	var solution = function(xi) {
+		if (xi <= -cL) return { h: hL, u: 0 };
+		if (xi <= um - cm) return { h: (2 * cL - xi) * (2 * cL - xi) / (9 * g), u: 2 * (cL + xi) / 3 };
+		if (xi <= s) return { h: hm, u: um };
+		return { h: hR, u: 0 };
+	};
+	solution.hm = hm;
+	solution.um = um;
+	solution.speed = s;
+	return solution;
+};
+
+// the lowest standing wave in a basin of length L, depth H, small amplitude a, linear
+// theory. returns a function of (x, t) giving { h, u }, and the period 2 L / sqrt(g H)
+// on it as .period.
+SWEAnalytic.standingWave = function(H, a, L, g) {
+	var k = Math.PI / L;
+	var omega = k * Math.sqrt(g * H);
+	var solution = function(x, t) {
+		return {
+			h: H + a * Math.cos(k * x) * Math.cos(omega * t),
+			u: g * a * k / omega * Math.sin(k * x) * Math.sin(omega * t)
+		};
+	};
+	solution.period = 2 * Math.PI / omega;
+	return solution;
+};
+
+// L1, L2 and Linf norms of the depth error along the bottom row of the strip, against
+// exact(x) in meters. L1 and L2 are per cell means, so they don't grow with the grid.
+SWEAnalytic.norms = function(swe, exact) {
+	var l1 = 0, l2 = 0, linf = 0, n = 0, e;
+	for (var x = 0; x < swe.QUANT_X; x++) {
+		if (swe.isSolid(x, 0)) continue;
+		e = Math.abs(swe.heightAt(x, 0) - exact((x + 0.5) * swe.dd));
+		l1 += e;
+		l2 += e * e;
+		linf = Math.max(linf, e);
+		n++;
+	}
+	return { l1: l1 / n, l2: Math.sqrt(l2 / n), linf: linf };
+};
+
+// observed order of convergence between each pair of refinements: errors[i] on a grid of
+// sizes[i] cells. a scheme of order p should give about p on smooth problems.
+SWEAnalytic.orders = function(errors, sizes) {
+	var orders = [];
+	for (var i = 1; i < errors.length; i++) {
+		orders.push(Math.log(errors[i - 1] / errors[i]) / Math.log(sizes[i] / sizes[i - 1]));
+	}
+	return orders;
+};
+
+// run SWEAnalytic.cases[name] with scheme on a strip QX cells long, returns the norms at
+// the end plus whatever the case measures
+SWEAnalytic.run = function(name, scheme, QX) {
+	var c = SWEAnalytic.cases[name];
+	if (!c) {
+		throw new Error("SWE: no analytic case called " + name + ", try one of " + Object.keys(SWEAnalytic.cases).join(", "));
+	}
+	var opts = {}, key;
+	for (key in c.params) opts[key] = c.params[key];
+	opts.QUANT_X = QX;
+	opts.QUANT_Y = 2;
+	opts.scheme = scheme;
+	opts.maxSubsteps = 1e6;
+	var swe = new SWE(opts);
+	if (c.setup) c.setup(swe);
+	var before = SWE.deserialize(swe.serialize("binary"));
+	swe.step(c.time);
+	var result = c.exact ? SWEAnalytic.norms(swe, function(x) { return c.exact(x, swe.t, swe); }) : {};
+	result.t = swe.t;
+	if (c.measure) {
+		var extra = c.measure(swe, before);
+		for (key in extra) result[key] = extra[key];
+	}
+	return result;
+};
+
+// SWEAnalytic.run over each of sizes, with the orders between them for each norm
+SWEAnalytic.convergence = function(name, scheme, sizes) {
+	var runs = sizes.map(function(QX) { return SWEAnalytic.run(name, scheme, QX); });
+	var orders = {};
+	if (runs[0].l1 != null) ["l1", "l2", "linf"].forEach(function(norm) {
+		orders[norm] = SWEAnalytic.orders(runs.map(function(r) { return r[norm]; }), sizes);
+	});
+	return { sizes: sizes, runs: runs, orders: orders };
+};
+
+SWEAnalytic.cases = {
+	lakeAtRest: {
+		description: "Still water over a bumpy bed has to stay still. Any error here is the scheme making waves out of nothing.",
+		params: { LENGTH: 1000, depth: 10, boundaries: "reflective" },
+		time: 20,
+		setup: function(swe) {
+			swe.setBed(function(x) {
+				var X = (x + 0.5) / swe.QUANT_X;
+				return 4 * Math.exp(-(X - 0.5) * (X - 0.5) / 0.01) + Math.sin(6 * Math.PI * X);
+			});
+			SWEAnalytic.fill(swe, function(x) { return swe.depth; });
+		},
+		exact: function(x, t, swe) {
+			return swe.depth - swe.bedAt(Math.floor(x / swe.dd), 0);
+		},
+		measure: function(swe) {
+			var worst = 0;
+			for (var x = 0; x < swe.QUANT_X; x++) worst = Math.max(worst, Math.abs(swe.velocityAt(x, 0)[0]));
+			return { maxSpeed: worst };
+		},
+		// roundoff, give or take
+		limits: { default: { linf: 1e-12, maxSpeed: 1e-12 } }
+	},
+	lakeAtRestSponge: {
+		description: "The same still lake, with open edges and sponges instead of walls. The sponges relax toward still water, so they must not add or take away any either.",
+		params: {
+			LENGTH: 1000, depth: 10,
+			boundaries: { left: { type: "open", sponge: 8 }, right: { type: "open", sponge: 8 } }
+		},
+		time: 20,
+		setup: function(swe) {
+			SWEAnalytic.cases.lakeAtRest.setup(swe);
+		},
+		exact: function(x, t, swe) {
+			return SWEAnalytic.cases.lakeAtRest.exact(x, t, swe);
+		},
+		measure: function(swe) {
+			return SWEAnalytic.cases.lakeAtRest.measure(swe);
+		},
+		limits: { default: { linf: 1e-12, maxSpeed: 1e-12 } }
+	},
+	standingWave: {
+		description: "A small standing wave, one period. Linear theory says it comes back where it started after 2 L / sqrt(g H); the phase speed is measured from when the surface first goes flat.",
+		params: { LENGTH: 1000, depth: 10, boundaries: "reflective" },
+		time: 200, // one period of the 1000 m, 10 m deep basin with g = 10
+		setup: function(swe) {
+			var wave = SWEAnalytic.standingWave(swe.depth, 0.001 * swe.depth, swe.LENGTH, swe.g);
+			SWEAnalytic.fill(swe, function(x) { return wave(x, 0).h; });
+		},
+		exact: function(x, t, swe) {
+			return SWEAnalytic.standingWave(swe.depth, 0.001 * swe.depth, swe.LENGTH, swe.g)(x, t).h;
+		},
+		// the wave goes flat a quarter period in, at L / (2 c). find that on a copy, a
+		// step at a time, and back out c.
+		measure: function(swe, before) {
+			function amplitude() {
+				var a = 0;
+				for (var x = 0; x < before.QUANT_X; x++) {
+					a += (before.heightAt(x, 0) - before.depth) * Math.cos(Math.PI * (x + 0.5) / before.QUANT_X);
+				}
+				return a;
+			}
+			var dt = 0.5 * before.dd / Math.sqrt(before.g * before.depth);
+			var last = amplitude(), now, t0;
+			while (before.t < 100) {
+				t0 = before.t;
+				before.step(dt);
+				now = amplitude();
+				if (now <= 0) {
+					var quarter = t0 + dt * last / (last - now);
+					var c = before.LENGTH / (2 * quarter);
+					return { phaseSpeed: c, phaseError: c / Math.sqrt(before.g * before.depth) - 1 };
+				}
+				last = now;
+			}
+			return { phaseSpeed: NaN, phaseError: NaN };
+		},
+		// second order but for Lax-Friedrichs. Lax-Wendroff's and MacCormack's error (the
+		// same scheme, for a wave this small) bottoms out around 5e-8 by 200 cells, so
+		// there's no order left to see on the finest grids.
+		limits: {
+			default: { l1: 1e-6, phaseError: 2e-5, order: 1.8 },
+			laxFriedrichs: { l1: 2e-4, order: 0.9 },
+			laxWendroff: { order: null },
+			macCormack: { order: null }
+		}
+	},
+	damBreak: {
+		description: "Stoker's dam break, 10 m deep against 2 m, let go in the middle of the strip and stopped before anything reaches the ends. boreError is how far off the bore's position is, as a fraction of how far it went.",
+		params: { LENGTH: 1000, depth: 10, boundaries: "reflective" },
+		time: 20,
+		setup: function(swe) {
+			SWEAnalytic.fill(swe, function(x) { return x < 0.5 * swe.LENGTH ? swe.depth : 0.2 * swe.depth; });
+		},
+		exact: function(x, t, swe) {
+			return SWEAnalytic.stoker(swe.depth, 0.2 * swe.depth, swe.g)((x - 0.5 * swe.LENGTH) / t).h;
+		},
+		// the bore is where the depth last drops through halfway between the middle
+		// state and the shallow side, counting in from the shallow end
+		measure: function(swe) {
+			var exact = SWEAnalytic.stoker(swe.depth, 0.2 * swe.depth, swe.g);
+			var half = 0.5 * (exact.hm + 0.2 * swe.depth), x = swe.QUANT_X - 1;
+			while (x > 0 && swe.heightAt(x, 0) < half) x--;
+			return { boreError: ((x + 1) * swe.dd - 0.5 * swe.LENGTH) / (exact.speed * swe.t) - 1 };
+		},
+		// first order at best across a bore, and the bore has to be within a cell or
+		// two. the rarefaction goes through the critical speed at the dam, where
+		// MacCormack (no entropy fix) makes an expansion shock and converges to a wrong
+		// middle state, so it gets no order. its bounds are what it does now, so it
+		// can't get any worse.
+		limits: {
+			default: { l1: 0.02, order: 0.8, boreError: 0.02 },
+			laxFriedrichs: { l1: 0.1, order: 0.6 },
+			laxWendroff: { l1: 0.05 },
+			macCormack: { l1: 0.4, order: null, boreError: 0.06 }
+		}
+	},
+	mass: {
+		description: "A big lopsided hump sloshing around between walls for a good while. All the water there was has to still be there.",
+		params: { LENGTH: 1000, depth: 10, boundaries: "reflective" },
+		time: 300,
+		setup: function(swe) {
+			SWEAnalytic.fill(swe, function(x) {
+				return swe.depth * (1 + 0.5 * Math.exp(-(x - 0.3 * swe.LENGTH) * (x - 0.3 * swe.LENGTH) / (2 * 50 * 50)));
+			});
+		},
+		// nothing exact to compare the depths to, so the error is how far off the volume is
+		exact: null,
+		measure: function(swe, before) {
+			var m0 = before.diagnostics().mass, m = swe.diagnostics().mass;
+			return { massDrift: (m - m0) / m0 };
+		},
+		// conservative to roundoff, every one of them
+		limits: { default: { massDrift: 1e-12 } }
+	}
+};
+
+// what a SWEAnalytic.convergence report of case name with scheme breaks of the case's
+// limits, as a list of messages. empty means it passed.
+SWEAnalytic.check = function(name, scheme, report) {
+	var c = SWEAnalytic.cases[name];
+	var limits = {}, key;
+	var given = c.limits || {};
+	for (key in given.default) limits[key] = given.default[key];
+	for (key in given[scheme]) limits[key] = given[scheme][key];
+	var finest = report.runs[report.runs.length - 1];
+	var failures = [];
+	for (key in limits) {
+		if (limits[key] == null) continue;
+		if (key == "order") {
+			var order = report.orders.l1[report.orders.l1.length - 1];
+			// NaN fails too
+			if (!(order >= limits.order)) failures.push("order " + Number(order).toFixed(2) + " is under " + limits.order);
+		} else if (!(Math.abs(finest[key]) <= limits[key])) {
+			failures.push(key + " " + Number(finest[key]).toExponential(2) + " is over " + limits[key]);
+		}
+	}
+	return failures;
+};
+
+// set the water surface to surface(x meters) everywhere, at rest, over whatever bed
+SWEAnalytic.fill = function(swe, surface) {
+	for (var y = 0; y < swe.QUANT_Y; y++) {
+		for (var x = 0; x < swe.QUANT_X; x++) {
+			var k = swe.index(x, y);
+			swe.U[0][k] = Math.max(0, surface((x + 0.5) * swe.dd) - swe.z[k]);
+			swe.U[1][k] = 0;
+			swe.U[2][k] = 0;
+		}
+	}
+};
+
+if (typeof module != "undefined" && module.exports) {
+	module.exports = SWEAnalytic;
+	if (require.main === module) {
+		var schemes = process.argv.length > 2 ? process.argv.slice(2) : Object.keys(SWE.schemes);
+		var sizes = [50, 100, 200, 400];
+		var failed = 0;
+		Object.keys(SWEAnalytic.cases).forEach(function(name) {
+			var c = SWEAnalytic.cases[name];
+			console.log(name + ": " + c.description);
+			schemes.forEach(function(scheme) {
+				var report = SWEAnalytic.convergence(name, scheme, sizes);
+				console.log("  " + scheme);
+				report.runs.forEach(function(run, i) {
+					var line = "    " + sizes[i] + " cells";
+					if (c.exact) {
+						line += "  L1 " + run.l1.toExponential(2) + "  L2 " + run.l2.toExponential(2) +
+							"  Linf " + run.linf.toExponential(2);
+						// orders between errors at roundoff are noise
+						if (i > 0 && report.runs[i - 1].l1 > 1e-12) line += "  order " + report.orders.l1[i - 1].toFixed(2);
+					}
+					for (var key in run) {
+						if (["l1", "l2", "linf", "t"].indexOf(key) < 0) line += "  " + key + " " + run[key].toExponential(2);
+					}
+					console.log(line);
+				});
+				SWEAnalytic.check(name, scheme, report).forEach(function(failure) {
+					console.log("    FAIL " + failure);
+					failed++;
+				});
+			});
+		});
+		console.log(failed ? failed + " checks failed" : "all checks passed");
+		if (failed) process.exitCode = 1;
+	}
+}
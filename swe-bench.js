@@ -0,0 +1,111 @@
+// benchmark: typed-array SWE.step against the old nested-array version.
+// run it with node:
+//		node swe-bench.js [QUANT] [steps]
+// prints ms per step for both and the worst height disagreement between them. that
+// comes out around 1e-5, because the new plip leaves off the gaussian's tail past
+// SWE.dropCutoff where the old one covered the whole grid.
+
+var SWE = require("./swe.js");
+
+// the nested-array Lax-Wendroff step we used to ship, kept here as the baseline.
+// U[x][y] = [h, hu, hv], fresh arrays for every cell every step.
+function LegacySWE(QUANT, LENGTH, g) {
+	this.QUANT = QUANT;
+	this.dd = LENGTH / QUANT;
+	this.g = g;
+	this.U = [];
+	for (var i = 0; i < QUANT; i++) {
+		this.U.push([]);
+		for (var j = 0; j < QUANT; j++) {
+			this.U[i].push([20.0, 0.0, 0.0]);
+		}
+	}
+	this.F = function(U_xy) {
+		var _uf = U_xy[1] / U_xy[0];
+		return [U_xy[1], U_xy[1] * _uf + this.g * U_xy[0] * U_xy[0] * 0.5, U_xy[2] * _uf];
+	};
+	this.G = function(U_xy) {
+		var _vg = U_xy[2] / U_xy[0];
+		return [U_xy[2], U_xy[1] * _vg, U_xy[2] * _vg + this.g * U_xy[0] * U_xy[0] * 0.5];
+	};
+	function addthree(a,b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+	function subthree(a,b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+	function scalethree(a,vec) { return [a*vec[0],a*vec[1],a*vec[2]]; }
+	this.step = function(dt) {
+		var Q = this.QUANT;
+		var step_factor = dt * 0.5 / this.dd;
+		var H = [], V = [], U_next = [];
+		var lo, hi, i, j;
+		for (i = 0; i < Q + 1; i++) {
+			H.push([]);
+			for (j = 0; j < Q; j++) {
+				lo = this.U[Math.max(i - 1, 0)][j];
+				hi = this.U[Math.min(i, Q - 1)][j];
+				H[i][j] = subthree(scalethree(0.5, addthree(hi, lo)),
+					scalethree(step_factor, subthree(this.F(hi), this.F(lo))));
+			}
+		}
+		for (i = 0; i < Q; i++) {
+			V.push([]);
+			for (j = 0; j < Q + 1; j++) {
+				lo = this.U[i][Math.max(j - 1, 0)];
+				hi = this.U[i][Math.min(j, Q - 1)];
+				V[i][j] = subthree(scalethree(0.5, addthree(hi, lo)),
+					scalethree(step_factor, subthree(this.G(hi), this.G(lo))));
+			}
+		}
+		for (i = 0; i < Q; i++) {
+			U_next.push([]);
+			for (j = 0; j < Q; j++) {
+				U_next[i].push(subthree(this.U[i][j], scalethree(step_factor * 2,
+					addthree(subthree(this.F(H[i+1][j]), this.F(H[i][j])),
+						subthree(this.G(V[i][j+1]), this.G(V[i][j]))))));
+			}
+		}
+		this.U = U_next;
+	};
+	this.plip = function(i,j) {
+		var d, c;
+		for (var p = 0; p < this.QUANT; p++) {
+			for (var q = 0; q < this.QUANT; q++) {
+				d = 100 * Math.exp(-0.008 * ((p - i) * (p - i) + (q - j) * (q - j)));
+				c = this.U[p][q];
+				this.U[p][q] = [c[0] + d, c[1] / c[0] * (c[0] + d), c[2] / c[0] * (c[0] + d)];
+			}
+		}
+	};
+}
+
+// raw steps, no CFL substepping, so both sides do the same amount of work
+function time(step, steps, dt) {
+	var start = Date.now();
+	for (var s = 0; s < steps; s++) {
+		step(dt);
+	}
+	return (Date.now() - start) / steps;
+}
+
+var Q = parseInt(process.argv[2], 10) || 150;
+var STEPS = parseInt(process.argv[3], 10) || 50;
+var DT = 0.05; // under the CFL limit of a 750 wide tub with the default plip
+
+var legacy = new LegacySWE(Q, 750, 10);
+var typed = new SWE({ QUANT: Q, LENGTH: 750 });
+legacy.plip(Q / 3, Q / 2);
+typed.plip(Q / 3, Q / 2);
+
+var legacyMs = time(legacy.step.bind(legacy), STEPS, DT);
+var typedMs = time(typed.advance.bind(typed), STEPS, DT);
+
+var worst = 0;
+for (var x = 0; x < Q; x++) {
+	for (var y = 0; y < Q; y++) {
+		worst = Math.max(worst, Math.abs(legacy.U[x][y][0] - typed.heightAt(x,y)));
+	}
+}
+
+console.log(Q + "x" + Q + ", " + STEPS + " steps");
+console.log("  nested arrays: " + legacyMs.toFixed(2) + " ms/step");
+console.log("  typed arrays:  " + typedMs.toFixed(2) + " ms/step");
+console.log("  speedup:       " + (legacyMs / typedMs).toFixed(1) + "x");
+console.log("  max |dh|:      " + worst.toExponential(2));
@@ -0,0 +1,359 @@
+// run an SWE off the UI thread. this file does double duty:
+//		as a worker (new Worker("swe-worker.js")) it pulls in swe.js and answers messages
+//		as a plain <script> after swe.js it defines SWEClient, which front ends talk to,
+//		plus SWEHost and SWEFrame, which the client uses when there are no workers
+//
+// protocol. everything is { type, ... }, client to host:
+//		init		-	{ opts } options for a new SWE, or { saved } anything SWE.deserialize takes
+//		step		-	{ dt, buffers } step by dt. buffers are the ArrayBuffers of the last frame,
+//						handed back so the host can fill them again instead of allocating
+//		plip		-	{ x, y, opts } a drop (see SWE.drop), or with x1, y1 too a line
+//		paint		-	{ x, y, r, solid } walls in (or out, solid false) a circle, see paintSolid
+//		set-params	-	{ params } any of SWEHost.params, see below
+//		regrid		-	{ changes } swap in SWE.regrid(tub, changes), for a new grid size,
+//						LENGTH, depth or g. a ready comes back like after init
+//		rollback	-	undo the step that blew up, and unpause
+//		snapshot	-	{ id, format } serialize the tub, format as in SWE.serialize
+//		dispose		-	drop the tub. (the client also ends the worker)
+// host to client:
+//		ready		-	{ params } after init: QUANT_X, QUANT_Y, LENGTH, dd, g, depth, hDry, t, ...
+//		frame		-	{ t, QUANT_X, QUANT_Y, h, hu, hv, solid, diagnostics, cfl, substeps, paused, remaining }
+//						after every step. the planes are QUANT_X*QUANT_Y, x fastest, and get transferred,
+//						not copied: h, hu, hv Float64Arrays, solid a Uint8Array
+//		params		-	{ params } same as ready has, after every set-params
+//		blowup		-	{ event } see the blowup event on SWE
+//		snapshot	-	{ id, data } a string for json, an ArrayBuffer (transferred) for binary
+//		error		-	{ message, request } something in a message threw
+
+/* ********************************************************************************* */
+// answers protocol messages for one SWE. post(message, transfer) is how replies go out,
+// postMessage in a worker or straight back to the client when in-thread.
+function SWEHost(post) {
+	var tub = null;
+
+	// the parts of the tub the client wants to know without asking
+	function describe() {
+		return {
+			QUANT_X: tub.QUANT_X, QUANT_Y: tub.QUANT_Y, LENGTH: tub.LENGTH, dd: tub.dd, g: tub.g, depth: tub.depth,
+			hDry: tub.hDry, t: tub.t, scheme: tub.scheme.name, limiter: tub.limiter,
+			rain: tub.rain, paddles: tub.paddles, onBlowup: tub.onBlowup
+		};
+	}
+
+	// a flat QUANT_X*QUANT_Y copy of plane, written into buffer if that's the right size
+	function interior(plane, buffer, Type) {
+		var QX = tub.QUANT_X, QY = tub.QUANT_Y;
+		var out = buffer && buffer.byteLength == QX * QY * Type.BYTES_PER_ELEMENT ? new Type(buffer) : new Type(QX * QY);
+		for (var y = 0; y < QY; y++) {
+			out.set(plane.subarray(tub.index(0, y), tub.index(QX, y)), y * QX);
+		}
+		return out;
+	}
+	function listen() {
+		tub.on("blowup", function(e) {
+			post({ type: "blowup", event: e });
+		});
+	}
+
+	this.handle = function(msg) {
+		try {
+			if (msg.type != "init" && msg.type != "dispose" && !tub) {
+				throw new Error("SWEHost: got " + msg.type + " before init");
+			}
+			switch (msg.type) {
+			case "init":
+				tub = msg.saved ? SWE.deserialize(msg.saved) : new SWE(msg.opts);
+				listen();
+				post({ type: "ready", params: describe() });
+				break;
+			case "regrid":
+				tub = SWE.regrid(tub, msg.changes);
+				listen();
+				post({ type: "ready", params: describe() });
+				break;
+			case "step":
+				var diff = tub.step(msg.dt);
+				var b = msg.buffers || [];
+				var frame = {
+					type: "frame", t: diff.t, QUANT_X: tub.QUANT_X, QUANT_Y: tub.QUANT_Y,
+					h: interior(tub.U[0], b[0], Float64Array),
+					hu: interior(tub.U[1], b[1], Float64Array),
+					hv: interior(tub.U[2], b[2], Float64Array),
+					solid: interior(tub.solid, b[3], Uint8Array),
+					diagnostics: diff.diagnostics, cfl: diff.cfl, substeps: diff.substeps, paused: diff.paused,
+					remaining: diff.remaining
+				};
+				post(frame, [frame.h.buffer, frame.hu.buffer, frame.hv.buffer, frame.solid.buffer]);
+				break;
+			case "plip":
+				if (msg.x1 !== undefined) tub.line(msg.x, msg.y, msg.x1, msg.y1, msg.opts);
+				else tub.drop(msg.x, msg.y, msg.opts);
+				break;
+			case "paint":
+				tub.paintSolid(msg.x, msg.y, msg.r, msg.solid);
+				break;
+			case "set-params":
+				for (var key in msg.params) {
+					if (!SWEHost.params[key]) {
+						throw new Error("SWEHost: can't set " + key + ", only " + Object.keys(SWEHost.params).join(", "));
+					}
+					SWEHost.params[key](tub, msg.params[key]);
+				}
+				post({ type: "params", params: describe() });
+				break;
+			case "rollback":
+				tub.rollback();
+				tub.resume();
+				break;
+			case "snapshot":
+				var data = tub.serialize(msg.format || "binary");
+				post({ type: "snapshot", id: msg.id, data: data }, typeof data === "string" ? [] : [data]);
+				break;
+			case "dispose":
+				tub = null;
+				break;
+			default:
+				throw new Error("SWEHost: no message type " + msg.type);
+			}
+		} catch (e) {
+			post({ type: "error", message: e.message, request: msg.type });
+		}
+	};
+}
+
+// what set-params can change, and how. most are plain fields on the SWE.
+SWEHost.params = {
+	scheme: function(tub, v) { tub.setScheme(v); },
+	boundaries: function(tub, v) { tub.setBoundaries(v); },
+	mask: function(tub, v) { tub.setMask(v); },
+	// flat QUANT_X*QUANT_Y, x fastest, like the mask
+	bed: function(tub, v) {
+		tub.setBed(function(x,y) { return v[y * tub.QUANT_X + x]; });
+	},
+	// a list of what addPaddle takes, replacing whatever paddles there were
+	paddles: function(tub, v) {
+		tub.paddles = [];
+		v.forEach(function(p) { tub.addPaddle(p); });
+	},
+	paused: function(tub, v) {
+		if (v) tub.paused = true;
+		else tub.resume();
+	}
+};
+["g", "limiter", "friction", "drag", "viscosity", "coriolis", "rain", "onBlowup", "cfl", "maxSubsteps"].forEach(function(key) {
+	SWEHost.params[key] = function(tub, v) { tub[key] = v; };
+});
+
+/* ********************************************************************************* */
+// read-only view of one frame, with the same lookups as an SWE so drawing code doesn't
+// care which it has. params is what the ready message said.
+function SWEFrame(msg, params) {
+	var Q = this.QUANT_X = msg.QUANT_X;
+	var QY = this.QUANT_Y = msg.QUANT_Y;
+	this.t = msg.t;
+	this.dd = params.dd;
+	this.hDry = params.hDry;
+	this.h = msg.h;
+	this.hu = msg.hu;
+	this.hv = msg.hv;
+	this.solid = msg.solid;
+	this.diagnostics = msg.diagnostics;
+	this.cfl = msg.cfl;
+	this.paused = msg.paused;
+	this.remaining = msg.remaining || 0; // seconds the step fell short by, see SWE.step
+
+	this.heightAt = function(x,y) {
+		return this.h[y * Q + x];
+	};
+	this.isSolid = function(x,y) {
+		return x >= 0 && y >= 0 && x < Q && y < QY && this.solid[y * Q + x] == 1;
+	};
+	this.velocityAt = function(x,y) {
+		var k = y * Q + x;
+		var h = this.h[k];
+		if (this.solid[k] || !(h > this.hDry)) return [0, 0];
+		return [this.hu[k] / h, this.hv[k] / h];
+	};
+	this.vorticityAt = function(x,y) {
+		var xl = Math.max(x - 1, 0), xr = Math.min(x + 1, Q - 1);
+		var yl = Math.max(y - 1, 0), yr = Math.min(y + 1, QY - 1);
+		var dvdx = (this.velocityAt(xr, y)[1] - this.velocityAt(xl, y)[1]) / ((xr - xl) * this.dd);
+		var dudy = (this.velocityAt(x, yr)[0] - this.velocityAt(x, yl)[0]) / ((yr - yl) * this.dd);
+		return dvdx - dudy;
+	};
+	// the mask as SWE.getMask has it
+	this.getMask = function() {
+		return new Uint8Array(this.solid);
+	};
+}
+
+/* ********************************************************************************* */
+// the front end's handle on a tub somewhere else. init is what the init message takes,
+// { opts } or { saved }. runs the host in a worker from url (default "swe-worker.js")
+// when it can, otherwise right here in the page. either way replies come back as events:
+//		ready	-	params, see the protocol above. also kept as this.params
+//		frame	-	an SWEFrame, also kept as this.frame
+//		blowup	-	the SWE blowup event
+//		error	-	{ message, request }
+// only one step is ever in flight: step() while waiting for a frame does nothing and
+// says false.
+function SWEClient(init, url) {
+	var self = this;
+	var listeners = {};
+	var worker = null;
+	var host = null;
+	var waiting = false;
+	var recycled = null; // buffers of the frame before last, to send back
+	var snapshots = {}; // id -> callback
+	var nextId = 0;
+	this.params = null;
+	this.frame = null;
+	this.inWorker = false;
+
+	this.on = function(event, fn) {
+		(listeners[event] = listeners[event] || []).push(fn);
+	};
+	function emit(event, data) {
+		(listeners[event] || []).forEach(function(fn) { fn(data); });
+	}
+
+	function receive(msg) {
+		switch (msg.type) {
+		case "ready":
+			self.params = msg.params;
+			emit("ready", msg.params);
+			break;
+		case "params":
+			self.params = msg.params;
+			break;
+		case "frame":
+			waiting = false;
+			if (!self.params) break; // from before a load, the ready isn't back yet
+			if (self.frame) recycled = [self.frame.h.buffer, self.frame.hu.buffer, self.frame.hv.buffer, self.frame.solid.buffer];
+			self.frame = new SWEFrame(msg, self.params);
+			emit("frame", self.frame);
+			break;
+		case "snapshot":
+			if (snapshots[msg.id]) snapshots[msg.id](msg.data);
+			delete snapshots[msg.id];
+			break;
+		case "blowup":
+			emit("blowup", msg.event);
+			break;
+		case "error":
+			waiting = false;
+			if (!listeners.error) console.error("SWE " + msg.request + ": " + msg.message);
+			emit("error", msg);
+			break;
+		}
+	}
+
+	// run the host right here, replies on the next tick like a worker's would be
+	function inThread() {
+		if (worker) worker.terminate();
+		worker = null;
+		self.inWorker = false;
+		host = new SWEHost(function(msg) {
+			setTimeout(function() { receive(msg); }, 0);
+		});
+	}
+
+	function send(msg, transfer) {
+		if (worker) worker.postMessage(msg, transfer || []);
+		else host.handle(msg);
+	}
+
+	// workers can be missing, or fail to load (some browsers refuse them on file: pages).
+	// either way fall back to in-thread and start over.
+	if (typeof Worker !== "undefined") {
+		try {
+			worker = new Worker(url || "swe-worker.js");
+			this.inWorker = true;
+			worker.onmessage = function(e) { receive(e.data); };
+			worker.onerror = function(e) {
+				if (self.params) return; // it was working, so that's a real error
+				e.preventDefault();
+				inThread();
+				waiting = false;
+				send({ type: "init", opts: init.opts, saved: init.saved });
+			};
+		} catch (e) {
+			inThread();
+		}
+	} else {
+		inThread();
+	}
+	send({ type: "init", opts: init.opts, saved: init.saved });
+
+	this.step = function(dt) {
+		if (waiting || !this.params) return false;
+		waiting = true;
+		var buffers = recycled;
+		recycled = null;
+		send({ type: "step", dt: dt, buffers: buffers }, buffers || []);
+		return true;
+	};
+	this.drop = function(x, y, opts) {
+		send({ type: "plip", x: x, y: y, opts: opts });
+	};
+	this.line = function(x0, y0, x1, y1, opts) {
+		send({ type: "plip", x: x0, y: y0, x1: x1, y1: y1, opts: opts });
+	};
+	this.paintSolid = function(x, y, r, isSolid) {
+		send({ type: "paint", x: x, y: y, r: r, solid: isSolid });
+	};
+	// see SWEHost.params. the ones the ready message lists get updated here right away,
+	// and the host says what it ended up with in a params message.
+	this.setParams = function(params) {
+		for (var key in params) {
+			if (this.params && key in this.params) this.params[key] = params[key];
+		}
+		send({ type: "set-params", params: params });
+	};
+	this.rollback = function() {
+		send({ type: "rollback" });
+	};
+	// callback(data) with whatever SWE.serialize(format) makes
+	this.snapshot = function(format, callback) {
+		var id = nextId++;
+		snapshots[id] = callback;
+		send({ type: "snapshot", id: id, format: format });
+	};
+	// see SWE.regrid. a ready comes back with the new params.
+	this.regrid = function(changes) {
+		this.params = null;
+		this.frame = null;
+		recycled = null;
+		send({ type: "regrid", changes: changes });
+	};
+	// start over from a saved tub. a ready comes back with the new params.
+	// an ArrayBuffer gets handed to the worker, so it's unusable here afterwards.
+	this.load = function(saved) {
+		this.params = null;
+		this.frame = null;
+		recycled = null;
+		send({ type: "init", saved: saved }, saved instanceof ArrayBuffer ? [saved] : []);
+	};
+	this.dispose = function() {
+		send({ type: "dispose" });
+		if (worker) worker.terminate();
+		worker = null;
+		listeners = {};
+	};
+}
+
+/* ********************************************************************************* */
+// in a worker: load the solver and answer the page
+if (typeof importScripts === "function" && typeof document === "undefined") {
+	importScripts("swe.js");
+	var sweHost = new SWEHost(function(msg, transfer) {
+		postMessage(msg, transfer || []);
+	});
+	onmessage = function(e) {
+		sweHost.handle(e.data);
+	};
+}
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = { SWEHost: SWEHost, SWEFrame: SWEFrame, SWEClient: SWEClient };
+}
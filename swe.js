@@ -0,0 +1,1626 @@
+// from http://en.wikipedia.org/wiki/Shallow_water_equations
+// conservative form of shallow water equations:
+// for 		n		- 	fluid column height at x,y,t
+//			(u,v)	-	fluid horizontal velocity at x,y,t
+//			g		-	acceleration due to gravity
+//			H 		- 	mean water height
+// if we write:
+// if 		   	{  n  }
+//		U  := 	{ n*u }
+//			   	{ n*v }
+//
+//				{ n*u               }
+//		F(U) :=	{ n*u^2 + g*n^2 / 2 }
+//				{ n*u*v             }
+//
+//				{ n*v }
+//		G(U) := { n*u*v}
+//				{ n*v^2 + g*n^2 / 2 }
+// then the system is:
+//
+//		dU     dF(U)     dG(U)     _
+//		--  +  -----  +  -----  =  0
+//		dt      dx        dy
+//
+// over a bed at elevation z(x,y) the momentum rows pick up -g*n*dz/dx and -g*n*dz/dy.
+// n is still the column height, so the free surface is at n + z. water shallower than
+// hDry counts as dry land: no velocity, and nobody divides by it.
+//
+// default is the Lax-Wendroff scheme per https://www.mathworks.com/moler/exm/chapters/water.pdf
+// at any given moment, we have 2d array U_n, which has values at integer points (x,y)
+// we want U_n+1. won't write out the method, but it's implemented below.
+//
+// every scheme (see SWE.schemes at the bottom) is written in flux form: it fills in
+// the numerical flux through each cell face, fx and fy, and then one shared update does
+//		U^{n+1}_{i,j} = U^n_{i,j} - dt/dd * (fx_{i+.5,j} - fx_{i-.5,j} + fy_{i,j+.5} - fy_{i,j-.5})
+// so swapping schemes never touches the update, the ghosts, or anything else. bed slope
+// terms don't fit in a flux, so schemes also leave momentum sources in S, which the
+// update adds as dt * S. the schemes pair the two up so that still water over any bed
+// stays exactly still ("well balanced").
+//
+// storage: U is three flat Float64Array planes [h, hu, hv], row-major with x fastest,
+// padded by NG ghost cells on every side. so cell (x,y) lives at
+//		(y + NG) * NX + (x + NG)		where NX = QUANT_X + 2 * NG
+// the ghosts get refilled from the edge cells before every step, which is what
+// lets the stencil loops below run without any edge-case branches.
+//
+// this file has no DOM in it, so it runs under node too:
+//		var SWE = require("./swe.js");
+//		var tub = new SWE({ QUANT: 50, LENGTH: 10 });
+//		tub.plip(25, 25);
+//		tub.step(0.01);
+
+/* ********************************************************************************* */
+// class SWE: interactive numerical shallow water system
+// takes parameters above.
+// BCs are per edge (left: x = 0, right: x = QUANT_X-1, top: y = 0, bottom: y = QUANT_Y-1),
+// see SWE.boundaryTypes. default is reflective everywhere: u = 0 at x = 0 or QUANT_X-1
+//																v = 0 at y = 0 or QUANT_Y-1
+// so our parameters are then, all as keys of one options object:
+//		QUANT		-	we're doing numerics. so we need a number of discrete points
+//				    	to sample. our following parameters (except H) will thus be
+//						QUANTxQUANT arrays.
+//		QUANT_X, QUANT_Y - for a tub that isn't square, cells across and down (each
+//						defaults to QUANT). the arrays are then QUANT_X x QUANT_Y.
+//						this.QUANT is QUANT_X.
+//		LENGTH		-   the physical side length of the bathtub, along x. cells are
+//						square, so it's QUANT_Y / QUANT_X as long along y
+// 		n_o			-	QUANTxQUANT array. initial value for column height.
+//		u_o, v_o	-	same. IV for velocity. must conform to reflective BCs above.
+//		g			-	gravity
+//		depth		-	fill height when there's no n_o, and the rest height sponges relax to.
+//						with a bed this is the free surface level, not the column height.
+//		bed			-	QUANTxQUANT array of bed elevations, or function(x,y) -> elevation.
+//						default flat at 0.
+//		hDry		-	columns thinner than this are dry (default 1e-3)
+//		mask		-	QUANTxQUANT array of solid cells (truthy = solid), or function(x,y).
+//						solid cells hold no water and every face against one is a
+//						reflective wall.
+//		friction	-	bottom friction, { type: "manning", n } or { type: "chezy", C }
+//		drag		-	linear drag rate r (1/s), du/dt = -r * u
+//		viscosity	-	horizontal eddy viscosity nu (m^2/s)
+//		coriolis	-	coriolis parameter f (1/s)
+//						(these four are all off by default, see SWE.sourceTerms. they're
+//						plain fields on the SWE, so set them to 0 / null to switch off.)
+//		paddles		-	wave makers, a list of what addPaddle takes
+//		rain		-	{ rate, amplitude, radius, sign }, see this.rain
+//		trackChanges -	have step() list every cell whose height changed (default off),
+//						for front ends that redraw cell by cell. see step().
+//		onBlowup	-	what to do when a step leaves a non-finite number in the tub:
+//						"none" (default, keep going), "pause" (stop stepping until resume()),
+//						or "rollback" (put back the state from before the step, and pause).
+//						a "blowup" event goes out either way, see on().
+//		boundaries	-	a boundary spec for all four edges, or { left, right, top, bottom }
+//						with one spec each (missing edges are reflective). a spec is a type
+//						name or { type, ...params }, see SWE.boundaryTypes.
+//		cfl			-	target courant number for the internal substeps (default 0.45)
+//		maxSubsteps	-	give up on a step() after this many substeps (default 500)
+//		scheme		-	name of one of SWE.schemes (default "laxWendroff")
+//		limiter		-	slope limiter for the finite volume schemes, one of SWE.limiters
+//						(default "minmod")
+function SWE(opts) {
+	opts = opts || {};
+	var QX = this.QUANT_X = opts.QUANT_X || opts.QUANT || 100;
+	var QY = this.QUANT_Y = opts.QUANT_Y || opts.QUANT || QX;
+	this.QUANT = QX;
+	this.LENGTH = opts.LENGTH || 10;
+	this.dd = this.LENGTH / QX;
+	this.g = opts.g || 10; // meters per second^2
+	this.t = 0; // simulated seconds so far
+	this.depth = opts.depth || 20.0;
+	this.hDry = opts.hDry || 1e-3;
+	this.cfl = opts.cfl || 0.45;
+	this.maxSubsteps = opts.maxSubsteps || 500;
+	this.friction = opts.friction || null;
+	this.drag = opts.drag || 0;
+	this.viscosity = opts.viscosity || 0;
+	this.coriolis = opts.coriolis || 0;
+	this.onBlowup = opts.onBlowup || "none";
+	this.trackChanges = !!opts.trackChanges;
+	this.paused = false;
+	if (["none", "pause", "rollback"].indexOf(this.onBlowup) < 0) {
+		throw new Error("SWE: onBlowup has to be none, pause or rollback, not " + this.onBlowup);
+	}
+	if (this.friction && !SWE.frictionLaws[this.friction.type]) {
+		throw new Error("SWE: friction type " + this.friction.type + " isn't one of " + Object.keys(SWE.frictionLaws).join(", "));
+	}
+	var NG = this.NG = 2; // ghost layers, enough for the widest stencil (MUSCL)
+	var NX = this.NX = QX + 2 * NG;
+	var NY = this.NY = QY + 2 * NG;
+	var N = NX * NY;
+	var before = new Float64Array(N); // heights at the start of step(), for the diff
+	// last known good state, for rolling back a blowup
+	var good = [new Float64Array(N), new Float64Array(N), new Float64Array(N)];
+	var goodT = 0;
+	var blownUp = false; // the last step() ended non-finite, so don't save over good
+	var listeners = {};
+	var n_o = opts.n_o, u_o = opts.u_o, v_o = opts.v_o;
+	// hold current state
+	this.U = [new Float64Array(N), new Float64Array(N), new Float64Array(N)];
+	// face fluxes, reused every step. fx[c][k] is the flux through the low-x face
+	// of cell k, fy[c][k] through its low-y face.
+	var fx = this.fx = [new Float64Array(N), new Float64Array(N), new Float64Array(N)];
+	var fy = this.fy = [new Float64Array(N), new Float64Array(N), new Float64Array(N)];
+	// momentum sources from the bed (hu, hv), refilled by the scheme every step
+	var S = this.S = [new Float64Array(N), new Float64Array(N)];
+	// bed elevation, ghosts included
+	var z = this.z = new Float64Array(N);
+	// 1 where the cell is solid (islands, breakwaters, ...), ghosts are never solid
+	var solid = this.solid = new Uint8Array(N);
+	var spare = []; // scratch planes for schemes that need them, made on first use
+
+	this.limiter = opts.limiter || "minmod";
+	// pick the numerical scheme. can be swapped between steps.
+	this.setScheme = function(name) {
+		if (!SWE.schemes[name]) {
+			throw new Error("SWE: no scheme called " + name + ", try one of " + Object.keys(SWE.schemes).join(", "));
+		}
+		this.scheme = SWE.schemes[name];
+	};
+	this.setScheme(opts.scheme || "laxWendroff");
+
+	// at least count scratch planes of the same shape as U
+	this.buffers = function(count) {
+		while (spare.length < count) {
+			spare.push(new Float64Array(N));
+		}
+		return spare;
+	};
+
+	// flat index of cell (x,y)
+	this.index = function(x,y) {
+		return (y + NG) * NX + x + NG;
+	};
+
+	// value of a per-cell field at (x,y), given as a nested array or function, see the
+	// options above
+	function fieldValue(field, x, y) {
+		if (!field) return 0;
+		return typeof field === "function" ? field(x, y) : field[x][y];
+	}
+	var bed = opts.bed;
+	for (var _bi = 0; _bi < QX; _bi++) {
+		for (var _bj = 0; _bj < QY; _bj++) {
+			z[this.index(_bi, _bj)] = fieldValue(bed, _bi, _bj);
+			solid[this.index(_bi, _bj)] = fieldValue(opts.mask, _bi, _bj) ? 1 : 0;
+		}
+	}
+
+	// if n_o is not supplied, let's make a barely filled bathtub.
+	// (filled up to a flat surface at depth, so over a bed the lake starts at rest)
+	var h, k;
+	for (var _i = 0; _i < QX; _i++) {
+		for (var _j = 0; _j < QY; _j++) {
+			h = n_o ? n_o[_i][_j] : Math.max(0, this.depth - z[this.index(_i, _j)]);
+			if (solid[this.index(_i, _j)]) h = 0;
+			k = this.index(_i, _j);
+			this.U[0][k] = h;
+			this.U[1][k] = u_o ? h * u_o[_i][_j] : 0.0;
+			this.U[2][k] = v_o ? h * v_o[_i][_j] : 0.0;
+		}
+	}
+	// send current state
+	this.heightAt = function(x,y) {
+		return this.U[0][this.index(x,y)];
+	};
+	this.bedAt = function(x,y) {
+		return z[this.index(x,y)];
+	};
+	// free surface elevation, bed + column
+	this.surfaceAt = function(x,y) {
+		var k = this.index(x,y);
+		return z[k] + this.U[0][k];
+	};
+
+	// depth averaged velocity at (x,y) as [u, v], 0 on dry land and in walls
+	this.velocityAt = function(x,y) {
+		var k = this.index(x,y);
+		var h = this.U[0][k];
+		if (solid[k] || !(h > this.hDry)) return [0, 0];
+		return [this.U[1][k] / h, this.U[2][k] / h];
+	};
+	// vorticity dv/dx - du/dy at (x,y) by centered differences, one sided at the edges
+	this.vorticityAt = function(x,y) {
+		var xl = Math.max(x - 1, 0), xr = Math.min(x + 1, QX - 1);
+		var yl = Math.max(y - 1, 0), yr = Math.min(y + 1, QY - 1);
+		var dvdx = (this.velocityAt(xr, y)[1] - this.velocityAt(xl, y)[1]) / ((xr - xl) * this.dd);
+		var dudy = (this.velocityAt(x, yr)[0] - this.velocityAt(x, yl)[0]) / ((yr - yl) * this.dd);
+		return dvdx - dudy;
+	};
+
+	// swap in a new bed (same formats as the bed option). the water gets re-leveled so
+	// the free surface stays where it was, which means columns can appear or vanish.
+	this.setBed = function(bed) {
+		var x, y, k, eta, u, v;
+		var h = this.U[0], hu = this.U[1], hv = this.U[2];
+		for (x = 0; x < QX; x++) {
+			for (y = 0; y < QY; y++) {
+				k = this.index(x,y);
+				eta = h[k] + z[k];
+				u = h[k] > this.hDry ? hu[k] / h[k] : 0;
+				v = h[k] > this.hDry ? hv[k] / h[k] : 0;
+				z[k] = fieldValue(bed, x, y);
+				h[k] = solid[k] ? 0 : Math.max(0, eta - z[k]);
+				hu[k] = h[k] * u;
+				hv[k] = h[k] * v;
+			}
+		}
+		this.fillBedGhosts();
+	};
+	// copy of the whole height field, x fastest, no ghosts
+	this.snapshot = function() {
+		var heights = new Float64Array(QX * QY);
+		for (var y = 0; y < QY; y++) {
+			for (var x = 0; x < QX; x++) {
+				heights[y * QX + x] = this.U[0][this.index(x,y)];
+			}
+		}
+		return { t: this.t, QUANT_X: QX, QUANT_Y: QY, heights: heights };
+	};
+	// every option that isn't per-cell data, as the constructor takes them
+	this.parameters = function() {
+		return {
+			QUANT_X: QX, QUANT_Y: QY, LENGTH: this.LENGTH, g: this.g, depth: this.depth,
+			hDry: this.hDry, cfl: this.cfl, maxSubsteps: this.maxSubsteps,
+			friction: this.friction, drag: this.drag, viscosity: this.viscosity,
+			coriolis: this.coriolis, paddles: this.paddles, rain: this.rain,
+			onBlowup: this.onBlowup, trackChanges: this.trackChanges,
+			boundaries: this.boundaries, scheme: this.scheme.name, limiter: this.limiter
+		};
+	};
+
+	// save the whole tub, see SWE.deserialize for getting it back.
+	// format "json" (default) gives a string, "binary" an ArrayBuffer laid out as
+	//		"SWE\0"					4 byte magic
+	//		version					uint32
+	//		header length L			uint32
+	//		header					L bytes of utf-8 json: params, t
+	//		(zero padding to a multiple of 8)
+	//		h, hu, hv, bed			QUANT_X*QUANT_Y float64 each
+	//		mask					QUANT_X*QUANT_Y uint8
+	// everything little-endian, planes x fastest without ghosts. inflow boundaries
+	// with functions for h or u can't be written down, those lose the function.
+	this.serialize = function(format) {
+		var header = {
+			format: "swe",
+			version: SWE.formatVersion,
+			t: this.t,
+			params: this.parameters()
+		};
+		var planes = [this.U[0], this.U[1], this.U[2], z];
+		var x, y, p, k, i;
+		if ((format || "json") == "json") {
+			var names = ["h", "hu", "hv", "bed"];
+			for (p = 0; p < 4; p++) header[names[p]] = [];
+			header.mask = [];
+			for (y = 0; y < QY; y++) {
+				for (x = 0; x < QX; x++) {
+					k = this.index(x,y);
+					for (p = 0; p < 4; p++) header[names[p]].push(planes[p][k]);
+					header.mask.push(solid[k]);
+				}
+			}
+			return JSON.stringify(header);
+		}
+		if (format != "binary") throw new Error("SWE: can't serialize to " + format + ", only json or binary");
+		var text = new TextEncoder().encode(JSON.stringify(header));
+		var start = Math.ceil((12 + text.length) / 8) * 8;
+		var cells = QX * QY;
+		var buffer = new ArrayBuffer(start + cells * 33);
+		var bytes = new Uint8Array(buffer);
+		var view = new DataView(buffer);
+		bytes.set([83, 87, 69, 0]);
+		view.setUint32(4, SWE.formatVersion, true);
+		view.setUint32(8, text.length, true);
+		bytes.set(text, 12);
+		for (y = 0, i = 0; y < QY; y++) {
+			for (x = 0; x < QX; x++, i++) {
+				k = this.index(x,y);
+				for (p = 0; p < 4; p++) view.setFloat64(start + 8 * (p * cells + i), planes[p][k], true);
+				bytes[start + 32 * cells + i] = solid[k];
+			}
+		}
+		return buffer;
+	};
+
+	// System
+	this.F = function(U_xy) {
+		var _hf = U_xy[0];
+		var _uf = U_xy[1] / _hf;
+		return [(U_xy[1]),
+		(U_xy[1] * _uf + this.g * _hf * _hf * 0.5),
+		( U_xy[2] * _uf)];
+	};
+	this.G = function(U_xy) {
+		var _hg = U_xy[0];
+		var _vg = U_xy[2] / _hg;
+		return [(U_xy[2]),
+		(U_xy[1] * _vg),
+		(U_xy[2] * _vg + this.g * _hg * _hg * 0.5)];
+	};
+
+	this.isSolid = function(x,y) {
+		return solid[this.index(x,y)] == 1;
+	};
+	// make cell (x,y) solid or water again. the water in a cell that turns solid is
+	// just gone, a cell that opens up fills to the surrounding level at rest. a cell
+	// that already is what it's asked to be is left alone, flow and all, so painting
+	// or setting a whole mask only touches what changes.
+	this.setSolid = function(x,y,isSolid) {
+		if (x < 0 || y < 0 || x >= QX || y >= QY) return;
+		var k = this.index(x,y);
+		if (solid[k] == (isSolid ? 1 : 0)) return;
+		solid[k] = isSolid ? 1 : 0;
+		this.U[0][k] = isSolid ? 0 : Math.max(0, neighborSurface(this, k) - z[k]);
+		this.U[1][k] = 0;
+		this.U[2][k] = 0;
+	};
+	// setSolid over a disc of radius r cells
+	this.paintSolid = function(x,y,r,isSolid) {
+		for (var i = Math.floor(x - r); i <= x + r; i++) {
+			for (var j = Math.floor(y - r); j <= y + r; j++) {
+				if ((i - x) * (i - x) + (j - y) * (j - y) <= r * r) this.setSolid(i, j, isSolid);
+			}
+		}
+	};
+	// the mask as a flat QUANT_X*QUANT_Y array of 0/1, x fastest, no ghosts
+	this.getMask = function() {
+		var mask = new Uint8Array(QX * QY);
+		for (var y = 0; y < QY; y++) {
+			for (var x = 0; x < QX; x++) {
+				mask[y * QX + x] = solid[this.index(x,y)];
+			}
+		}
+		return mask;
+	};
+	// takes what getMask makes (any array-like of QUANT_X*QUANT_Y truthy/falsy)
+	this.setMask = function(mask) {
+		for (var y = 0; y < QY; y++) {
+			for (var x = 0; x < QX; x++) {
+				this.setSolid(x, y, !!mask[y * QX + x]);
+			}
+		}
+	};
+
+	// average free surface of the wet water cells next to k, or -Infinity if none
+	var around = [1, -1, NX, -NX];
+	function neighborSurface(swe, k) {
+		var h = swe.U[0];
+		var eta = 0, n = 0, m, nb;
+		for (m = 0; m < 4; m++) {
+			nb = k + around[m];
+			if (!solid[nb] && h[nb] > swe.hDry) {
+				eta += h[nb] + z[nb];
+				n++;
+			}
+		}
+		return n ? eta / n : -Infinity;
+	}
+
+	// solid cells take the average surface of their water neighbors with no velocity,
+	// so stencils that peek into them see more or less a mirror and no fake slope.
+	// the wall fluxes are what actually keep water out (see SWE.centralWalls).
+	this.fillSolids = function() {
+		var h = this.U[0], hu = this.U[1], hv = this.U[2];
+		var x, y, k;
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				if (!solid[k]) continue;
+				h[k] = Math.max(0, neighborSurface(this, k) - z[k]);
+				hu[k] = 0;
+				hv[k] = 0;
+			}
+		}
+	};
+
+	// set boundary conditions, see the options above. throws on nonsense.
+	this.setBoundaries = function(spec) {
+		spec = spec || "reflective";
+		var edges = (typeof spec === "string" || spec.type) ?
+			{ left: spec, right: spec, top: spec, bottom: spec } : spec;
+		var b = {};
+		["left", "right", "top", "bottom"].forEach(function(edge) {
+			var e = edges[edge] || "reflective";
+			if (typeof e === "string") e = { type: e };
+			if (SWE.boundaryTypes.indexOf(e.type) < 0) {
+				throw new Error("SWE: " + edge + " boundary type " + e.type + " isn't one of " + SWE.boundaryTypes.join(", "));
+			}
+			b[edge] = e;
+		});
+		if ((b.left.type == "periodic") != (b.right.type == "periodic") ||
+			(b.top.type == "periodic") != (b.bottom.type == "periodic")) {
+			throw new Error("SWE: periodic boundaries have to come in opposite pairs");
+		}
+		this.boundaries = b;
+		this.fillBedGhosts();
+	};
+
+	// boundary params can be numbers or functions of time
+	function valueAt(v, t) {
+		return typeof v === "function" ? v(t) : v;
+	}
+
+	// fill the NG ghost cells of one edge of planes.
+	// planes is either [h, hu, hv] or just [z] for the bed, which gets the same
+	// treatment minus anything to do with momentum.
+	//		lo		-	true for the left / top edge
+	//		s		-	index step along the edge normal (1 or NX)
+	//		n		-	cells along the normal including ghosts (NX or NY)
+	//		normal	-	which momentum plane is normal to this edge (1 or 2)
+	//		from, to, stride - the lines to fill, as base indices along the edge
+	function fillEdge(swe, planes, bc, lo, s, n, normal, from, to, stride, t) {
+		var base, m, ghost, src, edge, p, hin, uin;
+		var h = planes[0];
+		for (base = from; base < to; base += stride) {
+			edge = lo ? base + NG * s : base + (n - NG - 1) * s;
+			for (m = 0; m < NG; m++) {
+				ghost = lo ? base + (NG - 1 - m) * s : base + (n - NG + m) * s;
+				if (bc.type == "reflective") {
+					// mirror image with the normal momentum flipped
+					src = lo ? base + (NG + m) * s : base + (n - NG - 1 - m) * s;
+					for (p = 0; p < planes.length; p++) planes[p][ghost] = planes[p][src];
+					if (planes[normal]) planes[normal][ghost] = -planes[normal][src];
+				} else if (bc.type == "periodic") {
+					src = lo ? base + (n - NG - 1 - m) * s : base + (NG + m) * s;
+					for (p = 0; p < planes.length; p++) planes[p][ghost] = planes[p][src];
+				} else if (bc.type == "open" || planes.length == 1) {
+					// zero gradient, waves mostly just leave
+					for (p = 0; p < planes.length; p++) planes[p][ghost] = planes[p][edge];
+				} else { // inflow
+					// prescribed height and/or speed into the domain, extrapolate the rest.
+					// a dry edge has no speed to extrapolate.
+					hin = bc.h !== undefined ? valueAt(bc.h, t) : h[edge];
+					if (bc.u !== undefined) uin = valueAt(bc.u, t) * (lo ? 1 : -1);
+					else uin = h[edge] > swe.hDry ? planes[normal][edge] / h[edge] : 0;
+					h[ghost] = hin;
+					planes[normal][ghost] = hin * uin;
+					planes[3 - normal][ghost] = 0;
+				}
+			}
+		}
+	}
+
+	// fill the ghost ring of planes (default this.U) according to this.boundaries.
+	// left/right go first over the interior rows, then top/bottom copy whole rows so
+	// the corners come out consistent.
+	this.fillGhosts = function(planes) {
+		planes = planes || this.U;
+		var b = this.boundaries;
+		fillEdge(this, planes, b.left, true, 1, NX, 1, NG * NX, (NY - NG) * NX, NX, this.t);
+		fillEdge(this, planes, b.right, false, 1, NX, 1, NG * NX, (NY - NG) * NX, NX, this.t);
+		fillEdge(this, planes, b.top, true, NX, NY, 2, 0, NX, 1, this.t);
+		fillEdge(this, planes, b.bottom, false, NX, NY, 2, 0, NX, 1, this.t);
+	};
+	// the bed doesn't move, so its ghosts only change with the bed or the boundaries
+	this.fillBedGhosts = function() {
+		this.fillGhosts([z]);
+	};
+	this.setBoundaries(opts.boundaries);
+
+	// open edges can carry a sponge: { type: "open", sponge: width in cells, strength: 1/s }.
+	// inside it the state gets relaxed toward still water with its surface at this.depth,
+	// ramping up toward the edge, which soaks up what the zero gradient ghosts reflect.
+	this.applySponges = function(dt) {
+		var b = this.boundaries;
+		var h = this.U[0], hu = this.U[1], hv = this.U[2];
+		var self = this;
+		var rest;
+		[["left", true, 1, NX, NG * NX, (NY - NG) * NX, NX],
+		 ["right", false, 1, NX, NG * NX, (NY - NG) * NX, NX],
+		 ["top", true, NX, NY, NG, NX - NG, 1],
+		 ["bottom", false, NX, NY, NG, NX - NG, 1]].forEach(function(e) {
+			var bc = b[e[0]];
+			if (bc.type != "open" || !bc.sponge) return;
+			var lo = e[1], s = e[2], n = e[3];
+			var w = Math.min(bc.sponge, n - 2 * NG);
+			var strength = bc.strength || 5;
+			var base, d, k, r, f;
+			for (base = e[4]; base < e[5]; base += e[6]) {
+				for (d = 0; d < w; d++) {
+					k = lo ? base + (NG + d) * s : base + (n - NG - 1 - d) * s;
+					if (solid[k]) continue;
+					r = (w - d) / w;
+					f = 1 / (1 + strength * r * r * dt); // implicit, so any dt is fine
+					rest = Math.max(0, self.depth - z[k]);
+					h[k] = rest + (h[k] - rest) * f;
+					hu[k] *= f;
+					hv[k] *= f;
+				}
+			}
+		});
+	};
+
+	// fastest signal in the tub: max of |u| + sqrt(g*h) and |v| + sqrt(g*h)
+	this.maxWaveSpeed = function() {
+		var h = this.U[0], hu = this.U[1], hv = this.U[2];
+		var s = 0, c, k, x, y;
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				if (h[k] <= this.hDry || solid[k]) continue;
+				c = Math.sqrt(this.g * h[k]);
+				s = Math.max(s, Math.abs(hu[k] / h[k]) + c, Math.abs(hv[k] / h[k]) + c);
+			}
+		}
+		return s;
+	};
+
+	// tiny event emitter. events so far:
+	//		blowup	-	{ t, x, y, h, hu, hv, action } the first non-finite cell after a step,
+	//					and what got done about it ("none", "pause" or "rollback")
+	this.on = function(event, fn) {
+		(listeners[event] = listeners[event] || []).push(fn);
+	};
+	this.off = function(event, fn) {
+		if (listeners[event]) listeners[event] = listeners[event].filter(function(f) { return f !== fn; });
+	};
+	this.emit = function(event, data) {
+		(listeners[event] || []).forEach(function(fn) { fn(data); });
+	};
+
+	this.resume = function() {
+		this.paused = false;
+	};
+	// go back to the state from before the last step() that started out finite
+	this.rollback = function() {
+		for (var p = 0; p < 3; p++) this.U[p].set(good[p]);
+		this.t = goodT;
+		blownUp = false;
+	};
+
+	// whole-tub sums and extremes, everything per unit area times dd^2:
+	//		mass			-	sum of h
+	//		momentumX/Y		-	sum of hu, hv
+	//		energy			-	kinetic (hu^2 + hv^2) / 2h plus potential g h (z + h/2)
+	//		maxWaveSpeed	-	see maxWaveSpeed()
+	//		nonFinite		-	{ x, y } of the first cell (row by row) with a NaN or
+	//							infinity in it, or null if there aren't any
+	this.diagnostics = function() {
+		var h = this.U[0], hu = this.U[1], hv = this.U[2];
+		var g = this.g, area = this.dd * this.dd;
+		var mass = 0, mx = 0, my = 0, energy = 0, speed = 0, bad = null;
+		var x, y, k, c;
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				if (solid[k]) continue;
+				if (!bad && !(isFinite(h[k]) && isFinite(hu[k]) && isFinite(hv[k]))) {
+					bad = { x: x - NG, y: y - NG };
+				}
+				mass += h[k];
+				mx += hu[k];
+				my += hv[k];
+				energy += g * h[k] * (z[k] + 0.5 * h[k]);
+				if (h[k] > this.hDry) {
+					energy += 0.5 * (hu[k] * hu[k] + hv[k] * hv[k]) / h[k];
+					c = Math.sqrt(g * h[k]);
+					speed = Math.max(speed, Math.abs(hu[k] / h[k]) + c, Math.abs(hv[k] / h[k]) + c);
+				}
+			}
+		}
+		return {
+			t: this.t,
+			mass: mass * area,
+			momentumX: mx * area,
+			momentumY: my * area,
+			energy: energy * area,
+			maxWaveSpeed: speed,
+			nonFinite: bad
+		};
+	};
+
+	// numerically step the system by time-diff dt (seconds)
+	// dt is whatever the caller wants, so chop it into substeps that each keep
+	// dt_sub * maxWaveSpeed / dd <= cfl. wave speed is re-measured every substep.
+	// explicit viscosity adds its own limit, dt_sub <= dd^2 / (4 nu).
+	// returns the diff: { t, changed, substeps, cfl, diagnostics, paused, truncated, remaining }
+	// where cfl is the largest courant number any substep actually ran at and diagnostics is
+	// what diagnostics() says afterwards. truncated is true when maxSubsteps ran out before
+	// dt did, and remaining is how many seconds of dt never got integrated (0 otherwise). changed is only there with trackChanges on, as a flat
+	// list of x, y, height triples for every cell whose height moved; otherwise it's null
+	// and step() skips the bookkeeping. while paused, nothing moves. nothing gets drawn here.
+	this.step = function(dt) {
+		var h = this.U[0];
+		if (this.paused) {
+			return { t: this.t, changed: this.trackChanges ? [] : null, substeps: 0, cfl: 0, diagnostics: this.diagnostics(), paused: true, truncated: false, remaining: 0 };
+		}
+		if (this.trackChanges) before.set(h);
+		if (!blownUp) {
+			for (var p = 0; p < 3; p++) good[p].set(this.U[p]);
+			goodT = this.t;
+		}
+		var remaining = dt;
+		var substeps = 0;
+		var used = 0;
+		var s, sub;
+		while (remaining > 0 && substeps < this.maxSubsteps) {
+			s = this.maxWaveSpeed();
+			// a blown up or bone dry tub has no sensible limit, just take the rest
+			sub = (isFinite(s) && s > 0) ? Math.min(remaining, this.cfl * this.dd / s) : remaining;
+			if (this.viscosity > 0) sub = Math.min(sub, 0.25 * this.dd * this.dd / this.viscosity);
+			// don't leave a sliver of a substep behind because of roundoff
+			if (remaining - sub < 1e-9 * dt) sub = remaining;
+			this.advance(sub);
+			if (isFinite(s)) used = Math.max(used, sub * s / this.dd);
+			remaining -= sub;
+			substeps++;
+		}
+		var diagnostics = this.diagnostics();
+		var bad = diagnostics.nonFinite;
+		blownUp = !!bad;
+		if (bad) {
+			var k = this.index(bad.x, bad.y);
+			var event = { t: this.t, x: bad.x, y: bad.y, h: h[k], hu: this.U[1][k], hv: this.U[2][k], action: this.onBlowup };
+			if (this.onBlowup == "rollback") {
+				this.rollback();
+				diagnostics = this.diagnostics();
+			}
+			if (this.onBlowup != "none") this.paused = true;
+			this.emit("blowup", event);
+		}
+		var changed = this.trackChanges ? [] : null;
+		var x, y;
+		for (y = NG; changed && y < NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				if (h[k] != before[k])
+					changed.push(x - NG, y - NG, h[k]);
+			}
+		}
+		return {
+			t: this.t, changed: changed, substeps: substeps, cfl: used, diagnostics: diagnostics, paused: this.paused,
+			truncated: remaining > 0, remaining: Math.max(0, remaining)
+		};
+	};
+
+	// one step of exactly dt with the current scheme, no stability checks.
+	// step() is the safe one. everything happens in preallocated planes.
+	this.advance = function(dt) {
+		var h = this.U[0], hu = this.U[1], hv = this.U[2];
+		var r = dt / this.dd;
+		var x, y, k;
+		this.fillGhosts();
+		this.fillSolids();
+		this.scheme.fluxes(this, dt);
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				if (solid[k]) continue;
+				h[k] -= r * (fx[0][k + 1] - fx[0][k] + fy[0][k + NX] - fy[0][k]);
+				hu[k] -= r * (fx[1][k + 1] - fx[1][k] + fy[1][k + NX] - fy[1][k]) - dt * S[0][k];
+				hv[k] -= r * (fx[2][k + 1] - fx[2][k] + fy[2][k + NX] - fy[2][k]) - dt * S[1][k];
+				// dry out anything that got too thin. clipping negative
+				// heights makes a little mass, but beats a NaN.
+				if (h[k] < this.hDry) {
+					if (h[k] < 0) h[k] = 0;
+					hu[k] = 0;
+					hv[k] = 0;
+				}
+			}
+		}
+		this.applySponges(dt);
+		for (var st = 0; st < SWE.sourceTerms.length; st++) {
+			SWE.sourceTerms[st].apply(this, dt);
+		}
+		this.t += dt;
+	};
+
+	// plip helpers
+	// add a to the column at i,j keeping its velocity. never digs below the bed.
+	this.addtoU = function(a,i,j) {
+		// got to break it down
+		var k = this.index(i,j);
+		if (this.solid[k]) return;
+		var dry = this.U[0][k] <= this.hDry;
+		var u = dry ? 0 : this.U[1][k] / this.U[0][k];
+		var v = dry ? 0 : this.U[2][k] / this.U[0][k];
+		this.U[0][k] = Math.max(0, this.U[0][k] + a);
+		if (this.U[0][k] <= this.hDry) u = v = 0;
+		this.U[1][k] = u * this.U[0][k];
+		this.U[2][k] = v * this.U[0][k];
+	};
+	// add amplitude * exp(-d^2 / 2 radius^2) to every cell, where d is the distance (in
+	// cells) to the segment from x0,y0 to x1,y1. only cells out to where that falls
+	// under SWE.dropCutoff of the peak get touched.
+	function stamp(swe, x0, y0, x1, y1, amplitude, radius) {
+		var reach = radius * Math.sqrt(-2 * Math.log(SWE.dropCutoff));
+		var dx = x1 - x0, dy = y1 - y0;
+		var len2 = dx * dx + dy * dy;
+		var xlo = Math.max(0, Math.ceil(Math.min(x0, x1) - reach));
+		var xhi = Math.min(QX - 1, Math.floor(Math.max(x0, x1) + reach));
+		var ylo = Math.max(0, Math.ceil(Math.min(y0, y1) - reach));
+		var yhi = Math.min(QY - 1, Math.floor(Math.max(y0, y1) + reach));
+		var x, y, s, ex, ey, d2;
+		for (y = ylo; y <= yhi; y++) {
+			for (x = xlo; x <= xhi; x++) {
+				// nearest point on the segment is s of the way along
+				s = len2 > 0 ? Math.max(0, Math.min(1, ((x - x0) * dx + (y - y0) * dy) / len2)) : 0;
+				ex = x - x0 - s * dx;
+				ey = y - y0 - s * dy;
+				d2 = ex * ex + ey * ey;
+				if (d2 <= reach * reach) swe.addtoU(amplitude * Math.exp(-0.5 * d2 / (radius * radius)), x, y);
+			}
+		}
+	}
+	// signed amplitude of a drop from its options, see drop()
+	function dropHeight(opts) {
+		var a = opts.amplitude === undefined ? SWE.dropDefaults.amplitude : opts.amplitude;
+		return opts.sign < 0 ? -a : a;
+	}
+	// it would be boring if we couldn't interact with this thing.
+	// drop a gaussian bump on the surface centered on x,y (cells, needn't be whole).
+	// opts (all optional, defaults in SWE.dropDefaults):
+	//		amplitude	-	peak height added
+	//		radius		-	gaussian width, in cells
+	//		sign		-	-1 for a trough instead of a bump
+	this.drop = function(x, y, opts) {
+		opts = opts || {};
+		stamp(this, x, y, x, y, dropHeight(opts), opts.radius || SWE.dropDefaults.radius);
+	};
+	// same, but a ridge (or trench) along the segment from x0,y0 to x1,y1
+	this.line = function(x0, y0, x1, y1, opts) {
+		opts = opts || {};
+		stamp(this, x0, y0, x1, y1, dropHeight(opts), opts.radius || SWE.dropDefaults.radius);
+	};
+	// drip the default drop at 0 < i < QUANT_X, 0 < j < QUANT_Y
+	this.plip = function(i,j) {
+		this.drop(i, j);
+		return true;
+	};
+
+	// wave makers: a line of surface that bobs up and down, amplitude * sin(2 pi f t + phase),
+	// from x0,y0 to x1,y1, radius cells wide. they're plain data so they get saved.
+	// see SWE.sourceTerms for where they run.
+	this.paddles = opts.paddles || [];
+	this.addPaddle = function(p) {
+		var paddle = {
+			x0: p.x0, y0: p.y0, x1: p.x1, y1: p.y1,
+			amplitude: p.amplitude === undefined ? 5 : p.amplitude,
+			frequency: p.frequency || 0.5,
+			phase: p.phase || 0,
+			radius: p.radius || 2
+		};
+		this.paddles.push(paddle);
+		return paddle;
+	};
+	this.removePaddle = function(paddle) {
+		this.paddles = this.paddles.filter(function(p) { return p !== paddle; });
+	};
+
+	// rain: { rate, amplitude, radius, sign }, rate drops per simulated second at random
+	// spots, the rest as in drop(). null for none.
+	this.rain = opts.rain || null;
+
+	// a choppy tub: count (default 12) drops and troughs of random size at random spots,
+	// none deeper than a quarter of the depth, on top of whatever's there
+	this.randomize = function(count) {
+		count = count || 12;
+		for (var i = 0; i < count; i++) {
+			this.drop(Math.random() * QX, Math.random() * QY, {
+				amplitude: Math.random() * this.depth / 4,
+				radius: 2 + Math.random() * Math.min(QX, QY) / 10,
+				sign: Math.random() < 0.5 ? -1 : 1
+			});
+		}
+	};
+
+};
+
+/* ********************************************************************************* */
+// saved tubs, see serialize() on an SWE for the two formats
+SWE.formatVersion = 1;
+
+// make a new SWE from whatever serialize() gave: a json string (or the parsed object),
+// or an ArrayBuffer / Uint8Array (so a node Buffer works too) holding either format.
+// throws if it doesn't look like one of ours or comes from a newer version.
+SWE.deserialize = function(data) {
+	var header, planes, mask, bytes;
+	if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+		bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+		if (bytes[0] == 123) data = new TextDecoder().decode(bytes); // "{", it's the json one
+	}
+	if (typeof data === "string") data = JSON.parse(data);
+	if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+		var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		if (bytes.length < 12 || bytes[0] != 83 || bytes[1] != 87 || bytes[2] != 69 || bytes[3] != 0) {
+			throw new Error("SWE: that's not a saved tub, the magic bytes are wrong");
+		}
+		var length = view.getUint32(8, true);
+		header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + length)));
+		var start = Math.ceil((12 + length) / 8) * 8;
+		var cells = (header.params.QUANT_X || header.params.QUANT) * (header.params.QUANT_Y || header.params.QUANT);
+		if (bytes.length < start + cells * 33) {
+			throw new Error("SWE: saved tub is cut short, expected " + (start + cells * 33) + " bytes, got " + bytes.length);
+		}
+		planes = [];
+		for (var p = 0; p < 4; p++) {
+			planes.push(new Float64Array(cells));
+			for (var i = 0; i < cells; i++) planes[p][i] = view.getFloat64(start + 8 * (p * cells + i), true);
+		}
+		mask = bytes.subarray(start + 32 * cells, start + 33 * cells);
+	} else {
+		header = data;
+		if (!header || header.format != "swe") throw new Error("SWE: that's not a saved tub");
+		planes = [header.h, header.hu, header.hv, header.bed];
+		mask = header.mask;
+	}
+	if (!(header.version <= SWE.formatVersion)) {
+		throw new Error("SWE: saved tub is format version " + header.version + ", this only reads up to " + SWE.formatVersion);
+	}
+	// version 1 files from before non-square tubs only have QUANT
+	var Q = header.params.QUANT_X || header.params.QUANT;
+	var opts = {};
+	for (var key in header.params) opts[key] = header.params[key];
+	opts.bed = function(x,y) { return planes[3][y * Q + x]; };
+	opts.mask = function(x,y) { return mask[y * Q + x]; };
+	var swe = new SWE(opts);
+	var k;
+	for (var y = 0; y < swe.QUANT_Y; y++) {
+		for (var x = 0; x < Q; x++) {
+			k = swe.index(x,y);
+			swe.U[0][k] = planes[0][y * Q + x];
+			swe.U[1][k] = planes[1][y * Q + x];
+			swe.U[2][k] = planes[2][y * Q + x];
+		}
+	}
+	swe.t = header.t;
+	return swe;
+};
+
+/* ********************************************************************************* */
+// a new SWE like swe but with some of its options changed (see parameters()), carrying
+// the water over. a new grid size gets everything interpolated onto it: bed and free
+// surface bilinearly, velocity the same from the water cells only, walls from the
+// nearest old cell. paddles move with the grid. a new depth raises or lowers the
+// surface by the difference, waves and all. the rest just gets set.
+SWE.regrid = function(swe, changes) {
+	var opts = swe.parameters();
+	for (var key in changes) opts[key] = changes[key];
+	if (changes.QUANT && !changes.QUANT_X) opts.QUANT_X = opts.QUANT_Y = changes.QUANT;
+	var OX = swe.QUANT_X, OY = swe.QUANT_Y;
+	var QX = opts.QUANT_X, QY = opts.QUANT_Y;
+	var rx = OX / QX, ry = OY / QY;
+	var rise = opts.depth - swe.depth;
+	var h = swe.U[0];
+	// bilinear at new cell (x,y) of f(k) over the old cells k around it. with waterOnly
+	// just the wet ones count, and it's NaN if there aren't any
+	function sample(x, y, f, waterOnly) {
+		var fx = Math.max(0, Math.min(OX - 1, (x + 0.5) * rx - 0.5));
+		var fy = Math.max(0, Math.min(OY - 1, (y + 0.5) * ry - 0.5));
+		var x0 = Math.floor(fx), y0 = Math.floor(fy);
+		var sum = 0, weight = 0, i, j, w, k;
+		for (j = 0; j < 2; j++) {
+			for (i = 0; i < 2; i++) {
+				k = swe.index(Math.min(x0 + i, OX - 1), Math.min(y0 + j, OY - 1));
+				if (waterOnly && (swe.solid[k] || !(h[k] > swe.hDry))) continue;
+				w = (i ? fx - x0 : 1 - fx + x0) * (j ? fy - y0 : 1 - fy + y0);
+				sum += w * f(k);
+				weight += w;
+			}
+		}
+		return weight > 0 ? sum / weight : NaN;
+	}
+	function surface(k) { return h[k] + swe.z[k]; }
+	function u(k) { return swe.U[1][k] / h[k]; }
+	function v(k) { return swe.U[2][k] / h[k]; }
+	function bed(k) { return swe.z[k]; }
+	opts.bed = function(x,y) { return sample(x, y, bed, false); };
+	opts.mask = function(x,y) {
+		return swe.solid[swe.index(Math.min(OX - 1, Math.floor((x + 0.5) * rx)), Math.min(OY - 1, Math.floor((y + 0.5) * ry)))];
+	};
+	opts.paddles = swe.paddles.map(function(p) {
+		return { x0: p.x0 / rx, y0: p.y0 / ry, x1: p.x1 / rx, y1: p.y1 / ry,
+			amplitude: p.amplitude, frequency: p.frequency, phase: p.phase, radius: p.radius / rx };
+	});
+	var fresh = new SWE(opts);
+	var x, y, k, eta;
+	for (y = 0; y < QY; y++) {
+		for (x = 0; x < QX; x++) {
+			k = fresh.index(x,y);
+			if (fresh.solid[k]) continue;
+			// dry old cells have no surface to speak of, so only wet ones count
+			eta = sample(x, y, surface, true);
+			fresh.U[0][k] = isNaN(eta) ? 0 : Math.max(0, eta + rise - fresh.z[k]);
+			if (fresh.U[0][k] <= fresh.hDry) continue;
+			fresh.U[1][k] = fresh.U[0][k] * sample(x, y, u, true);
+			fresh.U[2][k] = fresh.U[0][k] * sample(x, y, v, true);
+		}
+	}
+	fresh.t = swe.t;
+	return fresh;
+};
+
+/* ********************************************************************************* */
+// ready made scenarios. each is plain data:
+//		title, description	-	for people
+//		params				-	SWE options, see the constructor
+//		bed, surface, u, v	-	optional function(X, Y, swe) for the bed elevation, free
+//								surface elevation and velocity, where X, Y run 0 to 1 across
+//								the tub (cell centers), so presets work at any resolution.
+//								swe has the resolved params (depth, g, LENGTH, dd, ...).
+//								surface defaults to flat at depth, u and v to 0.
+// add your own to SWE.presets and SWE.preset(name) will build it.
+SWE.presets = {
+	damBreak: {
+		title: "Dam break",
+		description: "A dam across the middle of a long channel vanishes at t = 0. A bore runs into the shallow side and a rarefaction back into the deep side.",
+		params: { QUANT_X: 300, QUANT_Y: 30, LENGTH: 1500, depth: 10, scheme: "hll", boundaries: "reflective" },
+		surface: function(X, Y, swe) { return X < 0.5 ? swe.depth : swe.depth / 4; }
+	},
+	seiche: {
+		title: "Seiche",
+		description: "The (1,1) standing mode of a square basin: opposite corners take turns being high. One period is 2L / sqrt(2 g H).",
+		params: { QUANT: 100, LENGTH: 500, depth: 20, scheme: "laxWendroff" },
+		surface: function(X, Y, swe) {
+			return swe.depth + 0.05 * swe.depth * Math.cos(Math.PI * X) * Math.cos(Math.PI * Y);
+		}
+	},
+	splash: {
+		title: "Splash",
+		description: "A round mound of water let go in the middle of a square tub. The ring it makes reflects off the walls into a checkerboard.",
+		params: { QUANT: 150, LENGTH: 750, depth: 20, scheme: "hll" },
+		surface: function(X, Y, swe) {
+			var r2 = (X - 0.5) * (X - 0.5) + (Y - 0.5) * (Y - 0.5);
+			return swe.depth + swe.depth * Math.exp(-r2 / (2 * 0.04 * 0.04));
+		}
+	},
+	shelf: {
+		title: "Solitary wave onto a shelf",
+		description: "A solitary wave (sech^2 hump moving at sqrt(g (H + A))) runs out of deep water, up a slope onto a shelf a fifth as deep, and steepens as it slows down.",
+		params: { QUANT_X: 400, QUANT_Y: 40, LENGTH: 2000, depth: 20, scheme: "hll" },
+		bed: function(X, Y, swe) {
+			var shelf = 0.8 * swe.depth;
+			return X < 0.5 ? 0 : X > 0.65 ? shelf : shelf * (X - 0.5) / 0.15;
+		},
+		surface: function(X, Y, swe) {
+			return swe.depth + SWE.presets.shelf.hump(X, swe);
+		},
+		u: function(X, Y, swe) {
+			var eta = SWE.presets.shelf.hump(X, swe);
+			return Math.sqrt(swe.g * (swe.depth + 0.2 * swe.depth)) * eta / (swe.depth + eta);
+		},
+		// the KdV solitary wave of amplitude A = H / 5 centered at X = 0.2
+		hump: function(X, swe) {
+			var H = swe.depth, A = 0.2 * H;
+			var k = Math.sqrt(3 * A / (4 * H * H * H));
+			var s = 1 / Math.cosh(k * (X - 0.2) * swe.LENGTH);
+			return A * s * s;
+		}
+	},
+	kelvin: {
+		title: "Kelvin wave",
+		description: "With rotation on, a bump hugging the top wall can only travel one way along it, trapped within a Rossby radius sqrt(g H) / f of the coast. The channel wraps around left to right.",
+		params: {
+			QUANT_X: 240, QUANT_Y: 80, LENGTH: 1500, depth: 20, scheme: "hll", coriolis: 0.05,
+			boundaries: { left: "periodic", right: "periodic", top: "reflective", bottom: "reflective" }
+		},
+		surface: function(X, Y, swe) {
+			return swe.depth + SWE.presets.kelvin.bump(X, Y, swe);
+		},
+		// geostrophic along the wall: f u = -g d(eta)/dy
+		u: function(X, Y, swe) {
+			return Math.sqrt(swe.g / swe.depth) * SWE.presets.kelvin.bump(X, Y, swe);
+		},
+		bump: function(X, Y, swe) {
+			var radius = Math.sqrt(swe.g * swe.depth) / swe.coriolis; // meters
+			var y = Y * swe.dd * swe.QUANT_Y, x = (X - 0.3) * swe.LENGTH;
+			return 0.1 * swe.depth * Math.exp(-y / radius) * Math.exp(-x * x / (2 * 100 * 100));
+		}
+	}
+};
+
+// a new SWE set up as SWE.presets[name], with any options in overrides on top of the
+// preset's params
+SWE.preset = function(name, overrides) {
+	var preset = SWE.presets[name];
+	if (!preset) {
+		throw new Error("SWE: no preset called " + name + ", try one of " + Object.keys(SWE.presets).join(", "));
+	}
+	var opts = {};
+	var key;
+	for (key in preset.params) opts[key] = preset.params[key];
+	for (key in overrides) opts[key] = overrides[key];
+	var swe = new SWE(opts);
+	var QX = swe.QUANT_X, QY = swe.QUANT_Y;
+	function at(f) {
+		return function(x,y) { return f((x + 0.5) / QX, (y + 0.5) / QY, swe); };
+	}
+	if (preset.bed) swe.setBed(at(preset.bed));
+	var surface = preset.surface && at(preset.surface);
+	var u = preset.u && at(preset.u), v = preset.v && at(preset.v);
+	var x, y, k, h;
+	for (y = 0; y < QY; y++) {
+		for (x = 0; x < QX; x++) {
+			k = swe.index(x,y);
+			if (swe.solid[k]) continue;
+			h = surface ? Math.max(0, surface(x,y) - swe.z[k]) : swe.U[0][k];
+			swe.U[0][k] = h;
+			swe.U[1][k] = h > swe.hDry && u ? h * u(x,y) : 0;
+			swe.U[2][k] = h > swe.hDry && v ? h * v(x,y) : 0;
+		}
+	}
+	return swe;
+};
+
+/* ********************************************************************************* */
+// boundary conditions, per edge:
+//		reflective	-	solid wall, mirror the water with the normal velocity flipped
+//		periodic	-	wrap around to the opposite edge (which has to be periodic too)
+//		open		-	transmissive zero gradient. add sponge: n (cells) and optionally
+//						strength: s (1/seconds, default 5) for an absorbing layer
+//		inflow		-	prescribed h and/or u (speed into the domain), each a number or
+//						a function of t. whatever isn't given is extrapolated.
+SWE.boundaryTypes = ["reflective", "periodic", "open", "inflow"];
+
+/* ********************************************************************************* */
+// source terms that aren't the bed. each is { name, apply: function(swe, dt) } and runs
+// after the scheme's update every substep (operator splitting), so they work with any
+// scheme. each one checks its own parameter on swe and does nothing when it's off.
+// the stiff ones are done implicitly so they never limit dt.
+
+// bottom friction laws: the momentum loss rate per unit momentum, given depth and speed.
+// d(hu)/dt = -rate * hu
+SWE.frictionLaws = {
+	// g n^2 |u| / h^(4/3)
+	manning: function(g, law, h, speed) {
+		return g * law.n * law.n * speed / Math.pow(h, 4 / 3);
+	},
+	// g |u| / (C^2 h)
+	chezy: function(g, law, h, speed) {
+		return g * speed / (law.C * law.C * h);
+	}
+};
+
+SWE.sourceTerms = [
+	{
+		name: "friction",
+		apply: function(swe, dt) {
+			if (!swe.friction && !swe.drag) return;
+			var h = swe.U[0], hu = swe.U[1], hv = swe.U[2], solid = swe.solid;
+			var law = swe.friction && SWE.frictionLaws[swe.friction.type];
+			var NX = swe.NX, NY = swe.NY, NG = swe.NG;
+			var x, y, k, rate, speed;
+			for (y = NG; y < NY - NG; y++) {
+				for (x = NG; x < NX - NG; x++) {
+					k = y * NX + x;
+					if (solid[k] || h[k] <= swe.hDry) continue;
+					rate = swe.drag;
+					if (law) {
+						speed = Math.sqrt(hu[k] * hu[k] + hv[k] * hv[k]) / h[k];
+						rate += law(swe.g, swe.friction, h[k], speed);
+					}
+					// backward euler, so it can only ever slow things down
+					hu[k] /= 1 + rate * dt;
+					hv[k] /= 1 + rate * dt;
+				}
+			}
+		}
+	},
+	{
+		// d(hu)/dt = div(nu h grad u), flux form with face-averaged depths. walls and dry
+		// cells are free slip: they just mirror the cell's own velocity.
+		name: "viscosity",
+		apply: function(swe, dt) {
+			if (!swe.viscosity) return;
+			var h = swe.U[0], hu = swe.U[1], hv = swe.U[2], solid = swe.solid;
+			var NX = swe.NX, NY = swe.NY, NG = swe.NG, dry = swe.hDry;
+			var vel = swe.buffers(2), u = vel[0], v = vel[1];
+			var w = swe.viscosity * dt / (swe.dd * swe.dd);
+			var around = [1, -1, NX, -NX];
+			var x, y, k, m, nb, hf, du, dv;
+			swe.fillGhosts();
+			for (y = NG - 1; y <= NY - NG; y++) {
+				for (x = NG - 1; x <= NX - NG; x++) {
+					k = y * NX + x;
+					u[k] = h[k] > dry ? hu[k] / h[k] : 0;
+					v[k] = h[k] > dry ? hv[k] / h[k] : 0;
+				}
+			}
+			for (y = NG; y < NY - NG; y++) {
+				for (x = NG; x < NX - NG; x++) {
+					k = y * NX + x;
+					if (solid[k] || h[k] <= dry) continue;
+					du = 0;
+					dv = 0;
+					for (m = 0; m < 4; m++) {
+						nb = k + around[m];
+						if (solid[nb] || h[nb] <= dry) continue;
+						hf = 0.5 * (h[k] + h[nb]);
+						du += hf * (u[nb] - u[k]);
+						dv += hf * (v[nb] - v[k]);
+					}
+					hu[k] += w * du;
+					hv[k] += w * dv;
+				}
+			}
+		}
+	},
+	{
+		// du/dt = f v, dv/dt = -f u is a rotation by f dt, so do exactly that.
+		// f > 0 turns currents clockwise with y pointing up (northern hemisphere),
+		// which on the canvas (y down) looks counterclockwise.
+		name: "coriolis",
+		apply: function(swe, dt) {
+			if (!swe.coriolis) return;
+			var hu = swe.U[1], hv = swe.U[2];
+			var NX = swe.NX, NY = swe.NY, NG = swe.NG;
+			var c = Math.cos(swe.coriolis * dt), sn = Math.sin(swe.coriolis * dt);
+			var x, y, k, a;
+			for (y = NG; y < NY - NG; y++) {
+				for (x = NG; x < NX - NG; x++) {
+					k = y * NX + x;
+					a = hu[k];
+					hu[k] = a * c + hv[k] * sn;
+					hv[k] = -a * sn + hv[k] * c;
+				}
+			}
+		}
+	},
+	{
+		// paddles move the surface by exactly how much their sine moves over the
+		// substep, so a paddle adds no water over a whole period. rain drops one
+		// drop per 1/rate seconds on average.
+		name: "forcing",
+		apply: function(swe, dt) {
+			var p, w, i;
+			for (i = 0; i < swe.paddles.length; i++) {
+				p = swe.paddles[i];
+				w = 2 * Math.PI * p.frequency;
+				swe.line(p.x0, p.y0, p.x1, p.y1, {
+					amplitude: p.amplitude * (Math.sin(w * (swe.t + dt) + p.phase) - Math.sin(w * swe.t + p.phase)),
+					radius: p.radius
+				});
+			}
+			if (!swe.rain || !(swe.rain.rate > 0)) return;
+			// round rate * dt up or down at random so the average comes out right
+			var count = Math.floor(swe.rain.rate * dt + Math.random());
+			for (i = 0; i < count; i++) {
+				swe.drop(Math.random() * swe.QUANT_X, Math.random() * swe.QUANT_Y, swe.rain);
+			}
+		}
+	}
+];
+
+// what drop() does when not told otherwise. the radius makes the old plip,
+// 100 * exp(-0.008 r^2).
+SWE.dropDefaults = { amplitude: 100, radius: Math.sqrt(62.5) };
+// drops stop where they fall under this fraction of their peak
+SWE.dropCutoff = 1e-6;
+
+/* ********************************************************************************* */
+// numerical schemes. each one is
+//		{ name, fluxes: function(swe, dt) }
+// where fluxes reads swe.U and swe.z (ghosts already filled) and writes the face fluxes
+// into swe.fx / swe.fy for every face of the interior: fx[c][k] is the flux through the
+// low-x face of cell k, fy[c][k] through its low-y face. it also fills the momentum
+// sources swe.S for the interior cells. faces between water and a solid cell (swe.solid)
+// must come out as reflective walls. add your own here.
+//
+// the central schemes (laxFriedrichs, laxWendroff, macCormack) use the "pre-balanced"
+// pressure g/2 * (n^2 - z^2) in place of g/2 * n^2, which leaves -g * (n + z) * dz/dx as
+// the whole bed source. that's linear in z at rest, so centered differences cancel
+// exactly and a lake at rest stays put. they only guard against dividing by dry cells,
+// for beaches use the finite volume ones.
+SWE.schemes = {};
+
+// -g * (n + z) * dz/dx by centered differences, shared by the central schemes
+SWE.centralBedSource = function(swe) {
+	var g = swe.g, NX = swe.NX, NY = swe.NY, NG = swe.NG;
+	var h = swe.U[0], z = swe.z, S = swe.S;
+	var w = -g / (2 * swe.dd);
+	var x, y, k, eta;
+	for (y = NG; y < NY - NG; y++) {
+		for (x = NG; x < NX - NG; x++) {
+			k = y * NX + x;
+			eta = h[k] + z[k];
+			S[0][k] = w * eta * (z[k + 1] - z[k - 1]);
+			S[1][k] = w * eta * (z[k + NX] - z[k - NX]);
+		}
+	}
+};
+
+// walls for the central schemes: every face with solid on exactly one side carries no
+// mass and no tangential momentum, just the water side's pressure. that's the
+// pre-balanced pressure at the face's average bed, so still water stays still.
+// two step schemes pass their predicted heights as star, and the wall pressure is
+// then averaged over both the same way their fluxes are.
+SWE.centralWalls = function(swe, star) {
+	var g = swe.g, NX = swe.NX, NY = swe.NY, NG = swe.NG;
+	var h = swe.U[0], z = swe.z, solid = swe.solid;
+	var fx = swe.fx, fy = swe.fy;
+	var x, y, k, lo;
+	// pressure on a wall between k and lo
+	function wall(k, lo) {
+		var w = solid[k] ? lo : k;
+		var zf = 0.5 * (z[k] + z[lo]);
+		var d = Math.max(0, h[w] + z[w] - zf);
+		var p = 0.5 * g * (d * d - zf * zf);
+		if (!star) return p;
+		d = Math.max(0, star[w] + z[w] - zf);
+		return 0.5 * (p + 0.5 * g * (d * d - zf * zf));
+	}
+	for (y = NG; y <= NY - NG; y++) {
+		for (x = NG; x <= NX - NG; x++) {
+			k = y * NX + x;
+			if (y < NY - NG && solid[k] != solid[k - 1]) {
+				fx[0][k] = 0;
+				fx[1][k] = wall(k, k - 1);
+				fx[2][k] = 0;
+			}
+			if (x < NX - NG && solid[k] != solid[k - NX]) {
+				fy[0][k] = 0;
+				fy[1][k] = 0;
+				fy[2][k] = wall(k, k - NX);
+			}
+		}
+	}
+};
+
+// nothing gets through a reflective edge of the tub: zero mass and tangential momentum
+// flux on those faces. the mirrored ghosts already give that for the symmetric schemes,
+// but a corrector that pairs this cell with the predictor's ghost (macCormack) doesn't.
+SWE.reflectiveEdges = function(swe) {
+	var NX = swe.NX, NY = swe.NY, NG = swe.NG, b = swe.boundaries;
+	var fx = swe.fx, fy = swe.fy;
+	var x, y, k;
+	for (y = NG; y < NY - NG; y++) {
+		k = y * NX;
+		if (b.left.type == "reflective") fx[0][k + NG] = fx[2][k + NG] = 0;
+		if (b.right.type == "reflective") fx[0][k + NX - NG] = fx[2][k + NX - NG] = 0;
+	}
+	for (x = NG; x < NX - NG; x++) {
+		if (b.top.type == "reflective") fy[0][NG * NX + x] = fy[1][NG * NX + x] = 0;
+		if (b.bottom.type == "reflective") fy[0][(NY - NG) * NX + x] = fy[1][(NY - NG) * NX + x] = 0;
+	}
+};
+
+// plain Lax-Friedrichs: average the neighbors, central flux. very diffusive, very stable.
+// as a face flux that's  (F_lo + F_hi) / 2 - dd / (4 dt) * (U_hi - U_lo)
+// (the mass row diffuses the surface n + z instead of n, or it would flatten the lake)
+SWE.schemes.laxFriedrichs = {
+	name: "laxFriedrichs",
+	fluxes: function(swe, dt) {
+		var g = swe.g, NX = swe.NX, NY = swe.NY, NG = swe.NG, dry = swe.hDry;
+		var h = swe.U[0], hu = swe.U[1], hv = swe.U[2], z = swe.z;
+		var fx = swe.fx, fy = swe.fy;
+		var diff = swe.dd / (4 * dt);
+		var x, y, k, lo, uh, ul;
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x <= NX - NG; x++) {
+				k = y * NX + x;
+				lo = k - 1;
+				uh = h[k] > dry ? hu[k] / h[k] : 0;
+				ul = h[lo] > dry ? hu[lo] / h[lo] : 0;
+				fx[0][k] = 0.5 * (hu[k] + hu[lo]) - diff * (h[k] + z[k] - h[lo] - z[lo]);
+				fx[1][k] = 0.5 * (hu[k] * uh + 0.5 * g * (h[k] * h[k] - z[k] * z[k]) +
+					hu[lo] * ul + 0.5 * g * (h[lo] * h[lo] - z[lo] * z[lo])) - diff * (hu[k] - hu[lo]);
+				fx[2][k] = 0.5 * (hv[k] * uh + hv[lo] * ul) - diff * (hv[k] - hv[lo]);
+			}
+		}
+		for (y = NG; y <= NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				lo = k - NX;
+				uh = h[k] > dry ? hv[k] / h[k] : 0;
+				ul = h[lo] > dry ? hv[lo] / h[lo] : 0;
+				fy[0][k] = 0.5 * (hv[k] + hv[lo]) - diff * (h[k] + z[k] - h[lo] - z[lo]);
+				fy[1][k] = 0.5 * (hu[k] * uh + hu[lo] * ul) - diff * (hu[k] - hu[lo]);
+				fy[2][k] = 0.5 * (hv[k] * uh + 0.5 * g * (h[k] * h[k] - z[k] * z[k]) +
+					hv[lo] * ul + 0.5 * g * (h[lo] * h[lo] - z[lo] * z[lo])) - diff * (hv[k] - hv[lo]);
+			}
+		}
+		SWE.centralBedSource(swe);
+		SWE.centralWalls(swe);
+	}
+};
+
+// the original two-step Lax-Wendroff (Richtmyer): Lax half step to the faces, and the
+// face flux is just F of that half step value. the half step carries its own bed
+// source so it doesn't kick still water, and the face sees the average bed.
+SWE.schemes.laxWendroff = {
+	name: "laxWendroff",
+	fluxes: function(swe, dt) {
+		var g = swe.g, NX = swe.NX, NY = swe.NY, NG = swe.NG, dry = swe.hDry;
+		var h = swe.U[0], hu = swe.U[1], hv = swe.U[2], z = swe.z;
+		var fx = swe.fx, fy = swe.fy;
+		var step_factor = dt * 0.5 / swe.dd;
+		var x, y, k, lo, hl, hh, mh, ml, nh, nl, zh, zl, zf, uh, ul, a, b, c;
+
+		/*******************/
+		/* STEP 1 Lax shiz */
+		/*******************/
+		// U^{n+.5}_{i-.5,j} at the low-x face of every cell, including the face
+		// past the last column. interpolate the cell and its low-x neighbor, then
+		// keep only F of that half step value, which is all step 2 needs.
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x <= NX - NG; x++) {
+				k = y * NX + x;
+				lo = k - 1;
+				hh = h[k]; mh = hu[k]; nh = hv[k]; zh = z[k];
+				hl = h[lo]; ml = hu[lo]; nl = hv[lo]; zl = z[lo];
+				uh = hh > dry ? mh / hh : 0;
+				ul = hl > dry ? ml / hl : 0;
+				zf = 0.5 * (zh + zl);
+				a = 0.5 * (hh + hl) - step_factor * (mh - ml);
+				b = 0.5 * (mh + ml) - step_factor *
+					(mh * uh + 0.5 * g * (hh * hh - zh * zh) - ml * ul - 0.5 * g * (hl * hl - zl * zl) +
+					g * (0.5 * (hh + hl) + zf) * (zh - zl));
+				c = 0.5 * (nh + nl) - step_factor * (nh * uh - nl * ul);
+				fx[0][k] = b;
+				fx[1][k] = (a > dry ? b * b / a : 0) + 0.5 * g * (a * a - zf * zf);
+				fx[2][k] = a > dry ? c * b / a : 0;
+			}
+		}
+		// U^{n+.5}_{i,j-.5} at the low-y face, same deal with G
+		for (y = NG; y <= NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				lo = k - NX;
+				hh = h[k]; mh = hu[k]; nh = hv[k]; zh = z[k];
+				hl = h[lo]; ml = hu[lo]; nl = hv[lo]; zl = z[lo];
+				uh = hh > dry ? nh / hh : 0;
+				ul = hl > dry ? nl / hl : 0;
+				zf = 0.5 * (zh + zl);
+				a = 0.5 * (hh + hl) - step_factor * (nh - nl);
+				b = 0.5 * (mh + ml) - step_factor * (mh * uh - ml * ul);
+				c = 0.5 * (nh + nl) - step_factor *
+					(nh * uh + 0.5 * g * (hh * hh - zh * zh) - nl * ul - 0.5 * g * (hl * hl - zl * zl) +
+					g * (0.5 * (hh + hl) + zf) * (zh - zl));
+				fy[0][k] = c;
+				fy[1][k] = a > dry ? b * c / a : 0;
+				fy[2][k] = (a > dry ? c * c / a : 0) + 0.5 * g * (a * a - zf * zf);
+			}
+		}
+		/* Step 2 is the shared update in SWE.advance */
+		SWE.centralBedSource(swe);
+		SWE.centralWalls(swe);
+	}
+};
+
+// MacCormack: forward-differenced predictor U*, backward-differenced corrector.
+// the corrector averages to a face flux of (F(U_hi) + F(U*_lo)) / 2.
+SWE.schemes.macCormack = {
+	name: "macCormack",
+	fluxes: function(swe, dt) {
+		var g = swe.g, NX = swe.NX, NY = swe.NY, NG = swe.NG, dry = swe.hDry;
+		var h = swe.U[0], hu = swe.U[1], hv = swe.U[2], z = swe.z;
+		var fx = swe.fx, fy = swe.fy;
+		var star = swe.buffers(3);
+		var hs = star[0], us = star[1], vs = star[2];
+		var r = dt / swe.dd;
+		var solid = swe.solid;
+		var x, y, k, lo, e, n, ue, uk, vn, vk, pk, eta;
+		var he, me, ne, ze, hn, mn, nn, zn;
+		// predictor on the interior, bed source forward differenced to match. a solid
+		// neighbor is seen as the mirror image of this cell, i.e. a wall.
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				e = k + 1;
+				n = k + NX;
+				if (solid[e]) {
+					he = h[k]; me = -hu[k]; ne = hv[k]; ze = z[k];
+				} else {
+					he = h[e]; me = hu[e]; ne = hv[e]; ze = z[e];
+				}
+				if (solid[n]) {
+					hn = h[k]; mn = hu[k]; nn = -hv[k]; zn = z[k];
+				} else {
+					hn = h[n]; mn = hu[n]; nn = hv[n]; zn = z[n];
+				}
+				ue = he > dry ? me / he : 0; uk = h[k] > dry ? hu[k] / h[k] : 0;
+				vn = hn > dry ? nn / hn : 0; vk = h[k] > dry ? hv[k] / h[k] : 0;
+				pk = 0.5 * g * (h[k] * h[k] - z[k] * z[k]);
+				eta = h[k] + z[k];
+				hs[k] = h[k] - r * (me - hu[k] + nn - hv[k]);
+				us[k] = hu[k] - r * (me * ue + 0.5 * g * (he * he - ze * ze) - hu[k] * uk - pk +
+					mn * vn - hu[k] * vk + g * eta * (ze - z[k]));
+				vs[k] = hv[k] - r * (ne * ue - hv[k] * uk +
+					nn * vn + 0.5 * g * (hn * hn - zn * zn) - hv[k] * vk - pk + g * eta * (zn - z[k]));
+			}
+		}
+		// the corrector reaches one cell past the edge into U*, so U* needs ghosts too
+		swe.fillGhosts(star);
+		for (y = NG; y < NY - NG; y++) {
+			for (x = NG; x <= NX - NG; x++) {
+				k = y * NX + x;
+				lo = k - 1;
+				uk = h[k] > dry ? hu[k] / h[k] : 0;
+				ue = hs[lo] > dry ? us[lo] / hs[lo] : 0;
+				fx[0][k] = 0.5 * (hu[k] + us[lo]);
+				fx[1][k] = 0.5 * (hu[k] * uk + 0.5 * g * (h[k] * h[k] - z[k] * z[k]) +
+					us[lo] * ue + 0.5 * g * (hs[lo] * hs[lo] - z[lo] * z[lo]));
+				fx[2][k] = 0.5 * (hv[k] * uk + vs[lo] * ue);
+			}
+		}
+		for (y = NG; y <= NY - NG; y++) {
+			for (x = NG; x < NX - NG; x++) {
+				k = y * NX + x;
+				lo = k - NX;
+				vk = h[k] > dry ? hv[k] / h[k] : 0;
+				vn = hs[lo] > dry ? vs[lo] / hs[lo] : 0;
+				fy[0][k] = 0.5 * (hv[k] + vs[lo]);
+				fy[1][k] = 0.5 * (hu[k] * vk + us[lo] * vn);
+				fy[2][k] = 0.5 * (hv[k] * vk + 0.5 * g * (h[k] * h[k] - z[k] * z[k]) +
+					vs[lo] * vn + 0.5 * g * (hs[lo] * hs[lo] - z[lo] * z[lo]));
+			}
+		}
+		SWE.centralBedSource(swe);
+		SWE.reflectiveEdges(swe);
+		SWE.centralWalls(swe, hs);
+	}
+};
+
+// slope limiters for the finite volume schemes. a and b are the backward and forward
+// differences, out comes the slope to use. all of them are TVD.
+SWE.limiters = {
+	minmod: function(a, b) {
+		if (a * b <= 0) return 0;
+		return Math.abs(a) < Math.abs(b) ? a : b;
+	},
+	vanLeer: function(a, b) {
+		if (a * b <= 0) return 0;
+		return 2 * a * b / (a + b);
+	},
+	mc: function(a, b) {
+		if (a * b <= 0) return 0;
+		var m = Math.min(2 * Math.abs(a), 2 * Math.abs(b), 0.5 * Math.abs(a + b));
+		return a > 0 ? m : -m;
+	}
+};
+
+// approximate riemann solvers along one direction. states are (h, m, t): depth, momentum
+// normal to the face and momentum along it. the flux lands in out[0..2] in that same order.
+// either side may be dry (h = 0).
+SWE.riemann = {
+	// Rusanov / local Lax-Friedrichs: central flux plus the fastest wave's worth of diffusion
+	rusanov: function(g, hl, ml, tl, hr, mr, tr, out) {
+		var ul = hl > 0 ? ml / hl : 0, ur = hr > 0 ? mr / hr : 0;
+		var a = Math.max(Math.abs(ul) + Math.sqrt(g * hl), Math.abs(ur) + Math.sqrt(g * hr));
+		out[0] = 0.5 * (ml + mr - a * (hr - hl));
+		out[1] = 0.5 * (ml * ul + 0.5 * g * hl * hl + mr * ur + 0.5 * g * hr * hr - a * (mr - ml));
+		out[2] = 0.5 * (tl * ul + tr * ur - a * (tr - tl));
+	},
+	// HLL with the simple Davis wave speed estimates, and the dry bed ones from Toro
+	hll: function(g, hl, ml, tl, hr, mr, tr, out) {
+		var ul = hl > 0 ? ml / hl : 0, ur = hr > 0 ? mr / hr : 0;
+		var cl = Math.sqrt(g * hl), cr = Math.sqrt(g * hr);
+		var sl = hl > 0 ? Math.min(ul - cl, ur - cr) : ur - 2 * cr;
+		var sr = hr > 0 ? Math.max(ul + cl, ur + cr) : ul + 2 * cl;
+		var f0l = ml, f1l = ml * ul + 0.5 * g * hl * hl, f2l = tl * ul;
+		var f0r = mr, f1r = mr * ur + 0.5 * g * hr * hr, f2r = tr * ur;
+		if (sl >= 0) {
+			out[0] = f0l; out[1] = f1l; out[2] = f2l;
+		} else if (sr <= 0) {
+			out[0] = f0r; out[1] = f1r; out[2] = f2r;
+		} else {
+			var w = 1 / (sr - sl);
+			out[0] = (sr * f0l - sl * f0r + sl * sr * (hr - hl)) * w;
+			out[1] = (sr * f1l - sl * f1r + sl * sr * (mr - ml)) * w;
+			out[2] = (sr * f2l - sl * f2r + sl * sr * (tr - tl)) * w;
+		}
+	}
+};
+
+// second order finite volume: MUSCL reconstruction with swe.limiter, a Hancock half
+// step on the reconstructed face values, then a riemann solver at every face.
+// the bed goes in by hydrostatic reconstruction (Audusse et al. 2004): both sides of a
+// face are cut down to the higher of the two beds before the riemann solve, and the
+// pressure that cut removes comes back as a source on each side. that keeps lakes at
+// rest, never makes negative depth, and lets water run up a dry beach. faces against
+// solid cells are walls with the water side's face pressure.
+// returns a scheme object using the named SWE.riemann solver.
+SWE.musclHancock = function(name, riemann) {
+	var out = new Float64Array(3);
+	return {
+		name: name,
+		fluxes: function(swe, dt) {
+			var g = swe.g, NX = swe.NX, NY = swe.NY, NG = swe.NG, dry = swe.hDry;
+			var U = swe.U, h = U[0], z = swe.z;
+			var fx = swe.fx, fy = swe.fy, S = swe.S, solid = swe.solid;
+			var solve = SWE.riemann[riemann];
+			var limit = SWE.limiters[swe.limiter];
+			// west, east, south, north face values of each cell: h, hu, hv, and the bed
+			// that goes with the reconstructed surface there
+			var b = swe.buffers(16);
+			var W = [b[0], b[1], b[2]], E = [b[3], b[4], b[5]];
+			var Sf = [b[6], b[7], b[8]], Nf = [b[9], b[10], b[11]];
+			var zW = b[12], zE = b[13], zS = b[14], zN = b[15];
+			var half = 0.5 * dt / swe.dd;
+			var pw = 0.5 * g / swe.dd;
+			var x, y, k, p, q, sx, sy, lo, d0, d1, d2, eta, ex, ey;
+			var he, hw, hn, hs, ue, uw, vn, vs, zs, hl, hr, ul, ur, tl, tr;
+			// reconstruct on the interior plus one ring of ghosts, so every face has both sides
+			for (y = NG - 1; y <= NY - NG; y++) {
+				for (x = NG - 1; x <= NX - NG; x++) {
+					k = y * NX + x;
+					for (p = 0; p < 3; p++) {
+						q = U[p];
+						sx = 0.5 * limit(q[k] - q[k - 1], q[k + 1] - q[k]);
+						sy = 0.5 * limit(q[k] - q[k - NX], q[k + NX] - q[k]);
+						W[p][k] = q[k] - sx; E[p][k] = q[k] + sx;
+						Sf[p][k] = q[k] - sy; Nf[p][k] = q[k] + sy;
+					}
+					// limited surface slopes give the face beds
+					eta = h[k] + z[k];
+					ex = 0.5 * limit(eta - h[k - 1] - z[k - 1], h[k + 1] + z[k + 1] - eta);
+					ey = 0.5 * limit(eta - h[k - NX] - z[k - NX], h[k + NX] + z[k + NX] - eta);
+					zW[k] = eta - ex - W[0][k]; zE[k] = eta + ex - E[0][k];
+					zS[k] = eta - ey - Sf[0][k]; zN[k] = eta + ey - Nf[0][k];
+					// hancock: push all four face values half a step with the cell's own
+					// flux difference and bed slope
+					he = E[0][k]; hw = W[0][k]; hn = Nf[0][k]; hs = Sf[0][k];
+					ue = he > dry ? E[1][k] / he : 0; uw = hw > dry ? W[1][k] / hw : 0;
+					vn = hn > dry ? Nf[2][k] / hn : 0; vs = hs > dry ? Sf[2][k] / hs : 0;
+					d0 = half * (E[1][k] - W[1][k] + Nf[2][k] - Sf[2][k]);
+					d1 = half * (E[1][k] * ue + 0.5 * g * he * he - W[1][k] * uw - 0.5 * g * hw * hw +
+						Nf[1][k] * vn - Sf[1][k] * vs + 0.5 * g * (he + hw) * (zE[k] - zW[k]));
+					d2 = half * (E[2][k] * ue - W[2][k] * uw +
+						Nf[2][k] * vn + 0.5 * g * hn * hn - Sf[2][k] * vs - 0.5 * g * hs * hs +
+						0.5 * g * (hn + hs) * (zN[k] - zS[k]));
+					for (p = 0; p < 3; p++) {
+						q = p == 0 ? d0 : (p == 1 ? d1 : d2);
+						W[p][k] -= q; E[p][k] -= q; Sf[p][k] -= q; Nf[p][k] -= q;
+					}
+					if (W[0][k] < 0) W[0][k] = 0;
+					if (E[0][k] < 0) E[0][k] = 0;
+					if (Sf[0][k] < 0) Sf[0][k] = 0;
+					if (Nf[0][k] < 0) Nf[0][k] = 0;
+					// centered part of the bed source, with the face depths
+					S[0][k] = -pw * (E[0][k] + W[0][k]) * (zE[k] - zW[k]);
+					S[1][k] = -pw * (Nf[0][k] + Sf[0][k]) * (zN[k] - zS[k]);
+				}
+			}
+			for (y = NG; y < NY - NG; y++) {
+				for (x = NG; x <= NX - NG; x++) {
+					k = y * NX + x;
+					lo = k - 1;
+					if (solid[k] != solid[lo]) {
+						// wall: just the water side's face pressure, no audusse correction
+						hl = solid[k] ? E[0][lo] : W[0][k];
+						fx[0][k] = 0; fx[1][k] = 0.5 * g * hl * hl; fx[2][k] = 0;
+						continue;
+					}
+					zs = Math.max(zE[lo], zW[k]);
+					hl = Math.max(0, E[0][lo] + zE[lo] - zs);
+					hr = Math.max(0, W[0][k] + zW[k] - zs);
+					ul = E[0][lo] > dry ? E[1][lo] / E[0][lo] : 0; tl = E[0][lo] > dry ? E[2][lo] / E[0][lo] : 0;
+					ur = W[0][k] > dry ? W[1][k] / W[0][k] : 0; tr = W[0][k] > dry ? W[2][k] / W[0][k] : 0;
+					solve(g, hl, hl * ul, hl * tl, hr, hr * ur, hr * tr, out);
+					fx[0][k] = out[0]; fx[1][k] = out[1]; fx[2][k] = out[2];
+					S[0][lo] -= pw * (E[0][lo] * E[0][lo] - hl * hl);
+					S[0][k] += pw * (W[0][k] * W[0][k] - hr * hr);
+				}
+			}
+			for (y = NG; y <= NY - NG; y++) {
+				for (x = NG; x < NX - NG; x++) {
+					k = y * NX + x;
+					lo = k - NX;
+					if (solid[k] != solid[lo]) {
+						hl = solid[k] ? Nf[0][lo] : Sf[0][k];
+						fy[0][k] = 0; fy[1][k] = 0; fy[2][k] = 0.5 * g * hl * hl;
+						continue;
+					}
+					zs = Math.max(zN[lo], zS[k]);
+					hl = Math.max(0, Nf[0][lo] + zN[lo] - zs);
+					hr = Math.max(0, Sf[0][k] + zS[k] - zs);
+					// normal momentum is hv here, so swap it in and back out
+					ul = Nf[0][lo] > dry ? Nf[2][lo] / Nf[0][lo] : 0; tl = Nf[0][lo] > dry ? Nf[1][lo] / Nf[0][lo] : 0;
+					ur = Sf[0][k] > dry ? Sf[2][k] / Sf[0][k] : 0; tr = Sf[0][k] > dry ? Sf[1][k] / Sf[0][k] : 0;
+					solve(g, hl, hl * ul, hl * tl, hr, hr * ur, hr * tr, out);
+					fy[0][k] = out[0]; fy[2][k] = out[1]; fy[1][k] = out[2];
+					S[1][lo] -= pw * (Nf[0][lo] * Nf[0][lo] - hl * hl);
+					S[1][k] += pw * (Sf[0][k] * Sf[0][k] - hr * hr);
+				}
+			}
+		}
+	};
+};
+SWE.schemes.hll = SWE.musclHancock("hll", "hll");
+SWE.schemes.rusanov = SWE.musclHancock("rusanov", "rusanov");
+
+// node wants to require this, browsers just get the global
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = SWE;
+}
@@ -11,7 +11,7 @@ function Window (title, content, close, width, height) {
 	this.onClose = null; // window close handler 4 cleanup
 
 	this.html = "<div class='dragme' data-window-id='" + this.id + "'>" +
-					"<div class='handle'>" + this.title  + (close ? "<p class='x'>&times;</p>" : "") + "</div>" +
+					"<div class='handle'><span class='title'>" + this.title + "</span>" + (close ? "<p class='x'>&times;</p>" : "") + "</div>" +
 					"<div class='content'>" + this.content + "</div>" +
 				"</div>";
 
@@ -54,10 +54,36 @@ function Window (title, content, close, width, height) {
 		$(".dragme[data-window-id='" + this.id + "'] .handle").append("<span class='button noselect'>" + text + "</span>");
 		var b = $(".dragme[data-window-id='" + this.id + "'] .handle").children(".button").last();
 		b.click(action);
+		return b;
+	};
+
+	// a dropdown of options (strings), starting on selected. action gets called with
+	// the option picked.
+	this.select = function(options, selected, action) {
+		var $select = $("<select class='select'></select>");
+		for (var i = 0; i < options.length; i++) {
+			$select.append($("<option></option>").text(options[i]).prop("selected", options[i] == selected));
+		}
+		$select.change(function() {
+			action($select.val());
+		});
+		$(".dragme[data-window-id='" + this.id + "'] .handle").append($select);
+		return $select;
+	};
+
+	this.setTitle = function(title) {
+		this.title = title;
+		$(".dragme[data-window-id='" + this.id + "'] .handle .title").html(title);
 	};
 
 	this.desc = function(text) {
 		$(".dragme[data-window-id='" + this.id + "'] .handle").append("<span class='desc noselect'>" + text + "</span>");
+		return $(".dragme[data-window-id='" + this.id + "'] .handle").children(".desc").last();
+	};
+
+	// let the user drag the bottom right corner to resize
+	this.resizable = function() {
+		$(".dragme[data-window-id='" + this.id + "']").addClass("resizable");
 	};
 
 	this.jqObj = function() {